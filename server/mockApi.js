@@ -0,0 +1,300 @@
+/*
+ * Local stand-in for the MockAPI project the app talks to (see src/storage/rest.js).
+ *
+ * Serves the `books` and `members` resources under any prefix (/books, /api/v1/books, …):
+ *   GET    /books            list; page/limit, sortBy/order, search and field filters
+ *   GET    /books/:id        one record, 404 "Not found" when missing
+ *   POST   /books            create; the server picks the id
+ *   PUT    /books/:id        merge the body into the record
+ *   DELETE /books/:id        delete; answers with the deleted record
+ * Like MockAPI, a filtered or paged list with nothing in it is a 404.
+ *
+ * Every request can be slowed down (`latency` ms) and made to fail, either at random
+ * (`failRate`, answered with `failStatus`) or on purpose with fail(): status 0 drops the
+ * connection, as a network outage would. The same knobs are reachable over HTTP:
+ *   POST /__mock/fail      { method, path, status, times, retryAfter }
+ *   POST /__mock/settings  { latency, failRate, failStatus }
+ *   POST /__mock/reset     { books, members }  (the seed data when empty)
+ *
+ * Run it with `npm run mock-api -- --port 3001 --latency 300 --fail-rate 0.1 --data seed.json`
+ * and point the app at it with VITE_API_URL=http://localhost:3001/api/v1/books.
+ */
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+const RESOURCES = ["books", "members"];
+
+/* Uploaded covers travel inside the record as data URLs */
+const MAX_BODY = 10 * 1024 * 1024;
+
+/* List params that aren't field filters */
+const LIST_PARAMS = ["page", "limit", "sortBy", "order", "search", "p", "l"];
+
+const ROUTE = /^(?:\/.*)?\/(books|members)(?:\/([^/]+))?\/?$/;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const copy = (value) => structuredClone(value);
+
+/* Numeric ids count up from the highest one seeded, as MockAPI's do */
+const nextIds = (data) =>
+  Object.fromEntries(
+    RESOURCES.map((r) => [r, Math.max(0, ...data[r].map((x) => Number(x.id) || 0)) + 1])
+  );
+
+/* MockAPI filters match a substring of the field, ignoring case */
+const matches = (value, wanted) =>
+  String(value ?? "")
+    .toLowerCase()
+    .includes(String(wanted).toLowerCase());
+
+function listRecords(records, query) {
+  let list = records;
+  const filters = [...query].filter(([k]) => !LIST_PARAMS.includes(k));
+  list = list.filter((r) => filters.every(([k, v]) => matches(r[k], v)));
+
+  const search = query.get("search");
+  if (search) {
+    list = list.filter((r) =>
+      Object.values(r).some((v) => typeof v !== "object" && matches(v, search))
+    );
+  }
+
+  const sortBy = query.get("sortBy");
+  if (sortBy) {
+    const dir = query.get("order") === "desc" ? -1 : 1;
+    list = [...list].sort((a, b) => {
+      const x = a[sortBy] ?? "";
+      const y = b[sortBy] ?? "";
+      const cmp =
+        typeof x === "number" && typeof y === "number" ? x - y : String(x).localeCompare(String(y));
+      return cmp * dir;
+    });
+  }
+
+  const page = Number(query.get("page") ?? query.get("p"));
+  const limit = Number(query.get("limit") ?? query.get("l"));
+  if (page > 0 && limit > 0) list = list.slice((page - 1) * limit, page * limit);
+  else if (limit > 0) list = list.slice(0, limit);
+
+  const narrowed = filters.length || search || page || limit;
+  return narrowed && !list.length ? null : list;
+}
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) reject(Object.assign(new Error("Payload too large"), { status: 413 }));
+      else chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      if (!text) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== "object" || Array.isArray(body)) throw new Error();
+        resolve(body);
+      } catch {
+        reject(Object.assign(new Error("Invalid JSON"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+
+const send = (res, status, body, headers) => {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Expose-Headers": "Retry-After",
+    ...(body !== undefined && { "Content-Type": "application/json" }),
+    ...headers,
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+/*
+ * A mock API server; nothing listens until listen(). `books` and `members` are the seed
+ * records, put back by reset().
+ */
+export function createMockApi({
+  books = [],
+  members = [],
+  latency = 0,
+  failRate = 0,
+  failStatus = 500,
+} = {}) {
+  const seed = { books: copy(books), members: copy(members) };
+  const data = copy(seed);
+  let ids = nextIds(data);
+  let faults = [];
+  const settings = { latency, failRate, failStatus };
+  const requests = [];
+  /* Bumped by reset(); requests still waiting from before it are dropped */
+  let generation = 0;
+
+  /*
+   * Makes the next `times` requests matching `method` and `path` fail with `status`.
+   * `path` is a prefix of the request path without the API prefix, query included:
+   * "/books" matches every books request, "/books?page=2" only the second page.
+   * `retryAfter` (seconds) is sent as a Retry-After header.
+   */
+  const fail = ({ method, path = "", status = 500, times = 1, retryAfter } = {}) => {
+    faults.push({
+      method: method?.toUpperCase(),
+      path,
+      status,
+      times: times ?? Infinity,
+      retryAfter,
+    });
+  };
+
+  const takeFault = (method, path) => {
+    const fault = faults.find((f) => (!f.method || f.method === method) && path.startsWith(f.path));
+    if (!fault) return null;
+    if (--fault.times <= 0) faults = faults.filter((f) => f !== fault);
+    return fault;
+  };
+
+  /* Replaces the records with `next` (the seed when omitted) and clears faults and the log */
+  const reset = (next = seed) => {
+    for (const r of RESOURCES) data[r] = copy(next[r] ?? []);
+    ids = nextIds(data);
+    faults = [];
+    requests.length = 0;
+    generation++;
+  };
+
+  const control = (action, body, res) => {
+    if (action === "fail") fail(body);
+    else if (action === "reset") reset(body.books || body.members ? body : undefined);
+    else if (action === "settings") {
+      for (const k of Object.keys(settings))
+        if (body[k] !== undefined) settings[k] = Number(body[k]);
+    } else return send(res, 404, "Not found");
+    send(res, 200, { settings, faults });
+  };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const { method } = req;
+    if (method === "OPTIONS") return send(res, 204);
+
+    if (url.pathname.startsWith("/__mock/")) {
+      return control(url.pathname.slice("/__mock/".length), await readBody(req), res);
+    }
+
+    const route = url.pathname.match(ROUTE);
+    if (!route) return send(res, 404, "Not found");
+    const [, resource, id] = route;
+    const path = `/${resource}${id ? `/${id}` : ""}${url.search}`;
+    requests.push({ method, path });
+
+    if (settings.latency) {
+      const arrived = generation;
+      let abandoned = false;
+      res.once("close", () => (abandoned = !res.writableEnded));
+      await sleep(settings.latency);
+      /* The client gave up while it waited (a timeout or an abort) */
+      if (abandoned) return;
+      /* Or the server was reset meanwhile, and the request mustn't use the new faults */
+      if (arrived !== generation) return req.socket.destroy();
+    }
+    const fault = takeFault(method, path);
+    if (fault?.status === 0) return req.socket.destroy();
+    if (fault) {
+      const headers = fault.retryAfter !== undefined && { "Retry-After": String(fault.retryAfter) };
+      return send(res, fault.status, "Injected failure", headers);
+    }
+    if (settings.failRate && Math.random() < settings.failRate) {
+      return send(res, settings.failStatus, "Injected failure");
+    }
+
+    const records = data[resource];
+    const index = id ? records.findIndex((r) => String(r.id) === id) : -1;
+
+    if (!id && method === "GET") {
+      const list = listRecords(records, url.searchParams);
+      return list ? send(res, 200, list) : send(res, 404, "Not found");
+    }
+    if (!id && method === "POST") {
+      const body = await readBody(req);
+      const record = { ...body, id: String(ids[resource]++) };
+      records.push(record);
+      return send(res, 201, record);
+    }
+    if (!id) return send(res, 405, "Method not allowed");
+    if (index < 0) return send(res, 404, "Not found");
+
+    if (method === "GET") return send(res, 200, records[index]);
+    if (method === "PUT") {
+      const body = await readBody(req);
+      records[index] = { ...records[index], ...body, id: records[index].id };
+      return send(res, 200, records[index]);
+    }
+    if (method === "DELETE") {
+      const [removed] = records.splice(index, 1);
+      return send(res, 200, removed);
+    }
+    send(res, 405, "Method not allowed");
+  };
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      if (!res.headersSent) send(res, err.status ?? 500, err.message);
+    });
+  });
+
+  return {
+    /* The live records, by resource; tests change them to play another client */
+    data,
+    /* { method, path } of every API request since the last reset */
+    requests,
+    settings,
+    fail,
+    reset,
+    /* Resolves to the server's origin, e.g. http://127.0.0.1:3001 (port 0 picks a free one) */
+    listen: (port = 0, host = "127.0.0.1") =>
+      new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => resolve(`http://${host}:${server.address().port}`));
+      }),
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      }),
+  };
+}
+
+/* Seed file: a list of books, or { books, members } */
+function readSeed(file) {
+  if (!file) return {};
+  const json = JSON.parse(readFileSync(file, "utf8"));
+  return Array.isArray(json) ? { books: json } : json;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: "3001" },
+      host: { type: "string", default: "localhost" },
+      latency: { type: "string", default: "0" },
+      "fail-rate": { type: "string", default: "0" },
+      "fail-status": { type: "string", default: "500" },
+      data: { type: "string" },
+    },
+  });
+  const api = createMockApi({
+    ...readSeed(values.data),
+    latency: Number(values.latency),
+    failRate: Number(values["fail-rate"]),
+    failStatus: Number(values["fail-status"]),
+  });
+  const origin = await api.listen(Number(values.port), values.host);
+  console.log(`Mock API on ${origin}/api/v1/books (and /members)`);
+}
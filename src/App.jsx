@@ -1,205 +1,1071 @@
-import { useEffect, useMemo, useState } from "react";
-
-/* Your MockAPI base + prefix + resource name */
-const API_URL = "https://698861e1780e8375a6882998.mockapi.io/api/v1/books";
+import {
+  useDeferredValue,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import { createStorage, loadMemberId, saveMemberId } from "./storage/index.js";
+import { createCatalog } from "./catalog/index.js";
+import {
+  appendPage,
+  applyOps,
+  createSyncQueue,
+  loadCache,
+  saveCache,
+  tempId,
+} from "./storage/sync.js";
+import { describeError, isAborted } from "./storage/request.js";
+import { Field, Link, LoadMore, Modal } from "./components/ui.jsx";
+import ImportModal from "./components/ImportModal.jsx";
+import ExportMenu from "./components/ExportMenu.jsx";
+import Highlight from "./components/Highlight.jsx";
+import FilterBar from "./components/FilterBar.jsx";
+import StatsView from "./components/StatsView.jsx";
+import TrashView from "./components/TrashView.jsx";
+import DuplicatesView from "./components/DuplicatesView.jsx";
+import BatchBar from "./components/BatchBar.jsx";
+import CommandPalette from "./components/CommandPalette.jsx";
+import BookDetail from "./components/BookDetail.jsx";
+import VirtualGrid from "./components/VirtualGrid.jsx";
+import IsbnField from "./components/IsbnField.jsx";
+import ScanModal from "./components/ScanModal.jsx";
+import { Cover, CoverField } from "./components/Cover.jsx";
+import TagManager from "./components/TagManager.jsx";
+import { StarRating, Stars } from "./components/Stars.jsx";
+import { QuotesField, ReviewField } from "./components/Review.jsx";
+import { MemberPicker, ProfilesModal, TeamLine } from "./components/Members.jsx";
+import { CollectionsBar, TagChips, TagInput } from "./components/Tags.jsx";
+import {
+  ProgressLine,
+  ReadingFields,
+  ReadingStrip,
+  StatusPill,
+  StatusTabs,
+} from "./components/Reading.jsx";
+import { EMPTY_FORM, bookToForm, toPayload } from "./lib/book.js";
+import { SCHEMA_VERSION, assertValid, bookErrors, readBooks } from "./lib/schema.js";
+import { buildIndex, searchBooks } from "./lib/search.js";
+import {
+  EMPTY_FACETS,
+  activeFacetCount,
+  applyCollections,
+  applyFacets,
+  groupBooks,
+  readView,
+  sortBooks,
+  viewPatch,
+} from "./lib/organize.js";
+import { getStatus } from "./lib/reading.js";
+import { TAG_FIELDS, cleanTags, collectTags, getTags, hasTag, renameTag } from "./lib/tags.js";
+import { rangeIds, runBatch, toggleSelection } from "./lib/batch.js";
+import { addRevision, restorePatch } from "./lib/revisions.js";
+import { mergePatch } from "./lib/duplicates.js";
+import { forMember, isPersonalChange, recordPatch, sharedChanges } from "./lib/members.js";
+import { EXPORT_FORMATS, downloadBooks } from "./lib/exportBooks.js";
+import { matchPath, navigate, toHref, useLocation, withParams } from "./lib/router.js";
+import {
+  EMPTY_HISTORY,
+  createStep,
+  purgeStep,
+  pushEntry,
+  stepsFor,
+  updateStep,
+} from "./lib/history.js";
+import { S } from "./styles.js";
+
+/* Storage backend: MockAPI over REST, or IndexedDB when running offline (see storage/) */
+const storage = createStorage();
+
+/* Books per request; the rest of the list is fetched as the grid scrolls */
+const PAGE_SIZE = 100;
+
+/* Pending mutations, replayed against the backend whenever we're online */
+const queue = createSyncQueue(storage);
+
+/* ISBN lookups: Open Library, or a built-in list offline (see catalog/) */
+const catalog = createCatalog();
 
 export default function App() {
-  const hasApi = !!API_URL;
+  const [records, setRecords] = useState([]); // includes books in the trash (`deletedAt` set)
+  const [loading, setLoading] = useState(true);
+  const [nextPage, setNextPage] = useState(0); // next server page to fetch, 0 once all are in
+  const [paging, setPaging] = useState(false);
+  const firstLoad = useRef(null); // loadFirstPage, for the effect that runs it once
+  // Profile state: with a member picked, ratings, favorites and reading status are theirs
+  const [memberId, setMemberId] = useState(loadMemberId);
+  const [members, setMembers] = useState([]);
+  const [showProfiles, setShowProfiles] = useState(false);
+  const member = members.find((m) => m.id === memberId) ?? null;
+
+  const books = useMemo(() => records.map((r) => forMember(r, member?.id)), [records, member?.id]);
+  const archive = useMemo(() => books.filter((b) => !b.deletedAt), [books]);
+  const trash = useMemo(
+    () =>
+      books
+        .filter((b) => b.deletedAt)
+        .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt))),
+    [books]
+  );
 
-  const [books, setBooks] = useState([]);
-  const [loading, setLoading] = useState(hasApi);
+  // Route + view state (search, filters, sort and the open modal live in the URL)
+  const { path, params } = useLocation();
+  const detail = matchPath("/book/:id", path);
+  const statsPage = path === "/stats";
+  const trashPage = path === "/trash";
+  const dupesPage = path === "/duplicates";
+  const { q, onlyFav, status, shelf, tag, sort, group, facets } = useMemo(
+    () => readView(params),
+    [params]
+  );
+  const setParams = (patch) => navigate(withParams(path, params, patch), { replace: true });
+  const setView = (view) => setParams(viewPatch(view));
+  const listHref = withParams("/", params, { edit: null, new: null });
 
   // UI state
-  const [q, setQ] = useState("");
-  const [onlyFav, setOnlyFav] = useState(false);
+  const [showSearchHelp, setShowSearchHelp] = useState(false);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+
+  // Toast state (`action` names a button: "undo", "redo" or "retry")
+  const [toast, setToast] = useState({ show: false, msg: "", type: "success", action: null });
+
+  const toastTimer = useRef(null);
+  const retryAction = useRef(null); // what the toast's Retry button runs
 
-  // Toast state
-  const [toast, setToast] = useState({ show: false, msg: "", type: "success" });
+  // Undo/redo state
+  const [history, setHistory] = useState(EMPTY_HISTORY);
 
-  // Modal state
-  const [isModalOpen, setIsModalOpen] = useState(false);
-  const [editing, setEditing] = useState(null);
+  // Modal state (?new=1 or ?edit=<id>)
+  const editId = params.get("edit");
+  const editing = editId ? (archive.find((b) => String(b.id) === editId) ?? null) : null;
+  const isModalOpen = params.get("new") === "1" || !!editing;
 
   // Delete confirm state
   const [confirmId, setConfirmId] = useState(null);
 
-  // Form state
-  const [form, setForm] = useState({
-    title: "",
-    author: "",
-    coverImage: "",
-    description: "",
-    rating: 0,
-  });
+  // Sync state
+  const sync = useSyncExternalStore(queue.subscribe, queue.getSnapshot);
+  const [showConflicts, setShowConflicts] = useState(false);
+  const replacedIds = useRef(new Map()); // temp id -> server id, once a new book has synced
+  const [rejectedIds, setRejectedIds] = useState(() => new Set()); // books whose change was refused
+
+  // Form state, re-seeded whenever a different book (or "new") opens in the modal
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formFor, setFormFor] = useState(null);
+  const [showErrors, setShowErrors] = useState(false); // after a failed save, errors follow edits
+  const formCovers = useRef(new Set()); // covers uploaded since the form opened and not saved yet
+  const formKey = editing ? editing.id : isModalOpen ? "new" : null;
+  if (formKey !== formFor) {
+    setFormFor(formKey);
+    setShowErrors(false);
+    if (formKey !== null) setForm(editing ? bookToForm(editing) : EMPTY_FORM);
+  }
+  const formErrors = showErrors ? bookErrors(form) : {};
+
+  // Import state
+  const [showImport, setShowImport] = useState(false);
+
+  // Barcode scan state (opened from the Add Book modal)
+  const [showScan, setShowScan] = useState(false);
+
+  // Shelf / tag manager state
+  const [showTagManager, setShowTagManager] = useState(false);
+
+  // Selection state (batch operations on the grid)
+  const [selecting, setSelecting] = useState(false);
+  const [selected, setSelected] = useState(() => new Set());
+  const [anchorId, setAnchorId] = useState(null); // last clicked box, start of a shift-click range
+  const [batch, setBatch] = useState(null); // { label, done, total, failed }
+
+  // Keyboard state: the card with the focus ring, and the Ctrl+K palette
+  const [cursorId, setCursorId] = useState(null); // String(book.id)
+  const [showPalette, setShowPalette] = useState(false);
+  const searchRef = useRef(null);
+
+  /* Shows a toast for a short time (longer when it offers an action) */
+  const showToast = (msg, type = "success", action = null) => {
+    setToast({ show: true, msg, type, action });
+    hideToastIn(action ? 5000 : 2200);
+  };
 
-  /* Shows a toast for a short time */
-  const showToast = (msg, type = "success") => {
-    setToast({ show: true, msg, type });
-    window.clearTimeout(showToast._t);
-    showToast._t = window.setTimeout(() => {
+  /* Error toast whose Retry button runs `retry` */
+  const showRetry = (msg, retry, type = "error") => {
+    retryAction.current = retry;
+    showToast(msg, type, "retry");
+  };
+
+  const hideToastIn = (ms) => {
+    window.clearTimeout(toastTimer.current);
+    toastTimer.current = window.setTimeout(() => {
       setToast((t) => ({ ...t, show: false }));
-    }, 2200);
+    }, ms);
   };
 
-  const resetForm = () =>
-    setForm({ title: "", author: "", coverImage: "", description: "", rating: 0 });
+  /* The toast stays while it's hovered or focused, so there's time to read it or hit Undo */
+  const holdToast = (hold) => {
+    if (hold) window.clearTimeout(toastTimer.current);
+    else hideToastIn(2200);
+  };
 
-  const openCreate = () => {
-    setEditing(null);
-    resetForm();
-    setIsModalOpen(true);
+  const resetForm = () => setForm(EMPTY_FORM);
+
+  /* Stores a cropped cover for the form, remembering it until the form is saved */
+  const saveFormCover = async (blob) => {
+    const ref = await storage.saveCover(blob);
+    formCovers.current.add(ref);
+    return ref;
   };
 
-  const openEdit = (book) => {
-    setEditing(book);
-    setForm({
-      title: book.title || "",
-      author: book.author || "",
-      coverImage: book.coverImage || "",
-      description: book.description || "",
-      rating: Number(book.rating || 0),
-    });
-    setIsModalOpen(true);
+  /* Deletes stored covers that no book points at any more (`ids` are the books just changed) */
+  const dropCovers = (refs, ids = []) => {
+    const inUse = new Set(records.filter((b) => !ids.includes(b.id)).map((b) => b.coverImage));
+    for (const ref of new Set(refs)) {
+      if (ref && !inUse.has(ref)) storage.removeCover(ref).catch(() => {});
+    }
   };
 
-  const closeModal = () => {
-    setIsModalOpen(false);
-    setEditing(null);
+  const openCreate = () => setParams({ new: "1", edit: null });
+
+  const openEdit = (book) => setParams({ edit: book.id, new: null });
+
+  const closeModal = () => setParams({ edit: null, new: null });
+
+  /* Folds sync results ({ upsert, replaces } / { remove }) back into the list */
+  const applySyncEvents = (events) => {
+    if (!events.length) return;
+    for (const ev of events) if (ev.replaces) replacedIds.current.set(ev.replaces, ev.upsert.id);
+    setRecords((prev) =>
+      events.reduce((list, ev) => {
+        if (ev.remove) return list.filter((b) => b.id !== ev.remove);
+        /* Every caller awaiting the same flush applies its events, so match both ids */
+        const ids = [ev.replaces, ev.upsert.id];
+        return list.some((b) => ids.includes(b.id))
+          ? list.map((b) => (ids.includes(b.id) ? ev.upsert : b))
+          : [...list, ev.upsert];
+      }, prev)
+    );
   };
 
-  /* --- API helpers --- */
-  const apiGet = async () => {
-    const res = await fetch(API_URL);
-    if (!res.ok) throw new Error("GET failed");
-    return res.json();
+  /*
+   * Starts the list over from page 1 of the server, keeping changes that haven't synced yet;
+   * later pages load again as they're needed
+   */
+  const reload = async (signal) => {
+    const data = await apiGet(1, signal);
+    const rows = Array.isArray(data) ? data : [];
+    setRecords(applyOps(rows, queue.getSnapshot().ops));
+    setNextPage(rows.length < PAGE_SIZE ? 0 : 2);
   };
 
-  const apiPost = async (data) => {
-    const res = await fetch(API_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(data),
-    });
-    if (!res.ok) throw new Error("POST failed");
-    return res.json();
+  /* Fetches the next page of the server list, or every page left when `all` is set */
+  const loadPages = async (all = false) => {
+    if (!nextPage || paging) return;
+    setPaging(true);
+    let page = nextPage;
+    try {
+      do {
+        const data = await apiGet(page);
+        const rows = Array.isArray(data) ? data : [];
+        setRecords((prev) => appendPage(prev, rows, queue.getSnapshot().ops));
+        page = rows.length < PAGE_SIZE ? 0 : page + 1;
+        setNextPage(page);
+      } while (all && page);
+    } catch (err) {
+      showRetry(`❌ Could not load more books. ${describeError(err)}`, () => loadPages(all));
+    } finally {
+      setPaging(false);
+    }
   };
 
-  const apiPut = async (id, data) => {
-    const res = await fetch(`${API_URL}/${id}`, {
-      method: "PUT",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(data),
-    });
-    if (!res.ok) throw new Error("PUT failed");
-    return res.json();
+  /* Replays queued changes against the backend */
+  const syncNow = async () => {
+    const res = await queue.flush();
+    applySyncEvents(res.events);
+    if (res.errors.length) {
+      setRejectedIds((prev) => new Set([...prev, ...res.errors.map(({ op }) => op.bookId)]));
+    }
+
+    if (res.conflicts.length) {
+      showToast("⚠️ Some changes conflict with the server. Review them.", "error");
+      setShowConflicts(true);
+    } else if (res.errors.length) {
+      const { error } = res.errors[0];
+      showToast(
+        error.status
+          ? `❌ The server rejected a change (HTTP ${error.status}). Reloading.`
+          : `❌ Could not save a change (${error.message}). Reloading.`,
+        "error"
+      );
+      reload().catch(() => {});
+    } else if (res.offline) {
+      /* The changes stay queued either way; Retry just doesn't wait for the next trigger */
+      showRetry(
+        res.offline.kind === "network"
+          ? "📴 Offline. Changes will sync when you're back online."
+          : `⏳ ${describeError(res.offline)} Your changes will sync later.`,
+        syncNow,
+        "info"
+      );
+    }
+  };
+
+  /* --- API helpers: apply to `books` right away, queue for the storage adapter --- */
+  const apiGet = (page, signal) => storage.listPage(page, PAGE_SIZE, { signal });
+
+  const apiPost = async (input) => {
+    const data = {
+      createdAt: new Date().toISOString(),
+      ...recordPatch(null, input, member?.id),
+      schemaVersion: SCHEMA_VERSION,
+    };
+    assertValid(data, Object.keys(data));
+    const book = { ...data, id: tempId() };
+    setRecords((prev) => [...prev, book]);
+    queue.enqueue({ type: "create", bookId: book.id, data });
+    syncNow();
+    return book;
+  };
+
+  /*
+   * A member's own changes stay out of the shared record's history and timestamp. With `wait`
+   * it resolves once the change has synced, and throws when the server refused it.
+   */
+  const apiPut = async (id, changes, { wait = false } = {}) => {
+    const base = records.find((b) => b.id === id);
+    const personal = isPersonalChange(changes, member?.id);
+    const revisions = !personal && addRevision(base, sharedChanges(changes, member?.id));
+    const data = {
+      ...recordPatch(base, changes, member?.id),
+      ...(revisions && { revisions }),
+      ...(!personal && { updatedAt: new Date().toISOString() }),
+      schemaVersion: SCHEMA_VERSION,
+    };
+    const updated = { ...base, ...data, id };
+    assertValid(forMember(updated, member?.id), Object.keys(changes));
+    setRecords((prev) => prev.map((b) => (b.id === id ? updated : b)));
+    const synced = queue.enqueue({ type: "update", bookId: id, data, base });
+    syncNow();
+    if (wait) {
+      const { error, conflict } = await synced;
+      if (error) throw error;
+      if (conflict) throw new Error("Changed on the server meanwhile. Review the conflict");
+    }
+    return forMember(updated, member?.id);
   };
 
   const apiDel = async (id) => {
-    const res = await fetch(`${API_URL}/${id}`, { method: "DELETE" });
-    if (!res.ok) throw new Error("DELETE failed");
+    const base = records.find((b) => b.id === id);
+    setRecords((prev) => prev.filter((b) => b.id !== id));
+    queue.enqueue({ type: "delete", bookId: id, base });
+    syncNow();
   };
 
-  /* Initial load */
-  useEffect(() => {
-    (async () => {
-      if (!hasApi) {
-        setLoading(false);
-        return;
+  /* The first rule that one of `writes` ([book, patch] pairs) would break, or null */
+  const writeError = (writes) => {
+    for (const [book, patch] of writes) {
+      const [error] = Object.values(bookErrors({ ...book, ...patch }, Object.keys(patch)));
+      if (error) return error;
+    }
+    return null;
+  };
+
+  /* --- History: every change is recorded so it can be undone and redone --- */
+  const record = (label, steps) => setHistory((h) => pushEntry(h, { label, steps }));
+
+  /* Follows a book through re-creates and temp id -> server id swaps */
+  const currentId = (id) => {
+    let cur = id;
+    while (replacedIds.current.has(cur)) cur = replacedIds.current.get(cur);
+    return cur;
+  };
+
+  /* The writes replaying an entry would make, to check them before any is made */
+  const replayWrites = (entry, direction) =>
+    stepsFor(entry, direction).flatMap(({ id, from, to }) => {
+      if (from === null) return [[null, to]];
+      const book = books.find((b) => b.id === currentId(id));
+      return book && to !== null ? [[book, to]] : [];
+    });
+
+  /* Replays one history entry; returns how many steps no longer apply */
+  const replay = async (entry, direction) => {
+    let skipped = 0;
+    for (const { id, from, to } of stepsFor(entry, direction)) {
+      const cur = currentId(id);
+      const exists = books.some((b) => b.id === cur);
+      if (from === null) {
+        const created = await apiPost(to);
+        replacedIds.current.set(cur, created.id);
+      } else if (!exists) {
+        skipped++;
+      } else if (to === null) {
+        await apiDel(cur);
+      } else {
+        await apiPut(cur, to);
       }
-      try {
-        const data = await apiGet();
-        setBooks(Array.isArray(data) ? data : []);
-      } catch {
-        showToast("❌ Cannot load books. Check your API URL.", "error");
-      } finally {
-        setLoading(false);
+    }
+    return skipped;
+  };
+
+  const undo = async () => {
+    const entry = history.past.at(-1);
+    if (!entry) return;
+    const error = writeError(replayWrites(entry, "undo"));
+    if (error) {
+      showToast(`❌ Could not undo “${entry.label}”. ${error}`, "error");
+      return;
+    }
+    setHistory((h) => ({ past: h.past.slice(0, -1), future: [entry, ...h.future] }));
+    const skipped = await replay(entry, "undo");
+    showToast(
+      skipped
+        ? `↶ Undid “${entry.label}” (${skipped} book(s) no longer exist)`
+        : `↶ Undid “${entry.label}”`,
+      "info",
+      "redo"
+    );
+  };
+
+  const redo = async () => {
+    const entry = history.future[0];
+    if (!entry) return;
+    const error = writeError(replayWrites(entry, "redo"));
+    if (error) {
+      showToast(`❌ Could not redo “${entry.label}”. ${error}`, "error");
+      return;
+    }
+    setHistory((h) => ({ past: [...h.past, entry], future: h.future.slice(1) }));
+    await replay(entry, "redo");
+    showToast(`↷ Redid “${entry.label}”`, "info", "undo");
+  };
+
+  /* Resolves a conflict with "mine" or "server" */
+  const resolveConflict = async (id, choice) => {
+    try {
+      applySyncEvents(await queue.resolve(id, choice));
+      showToast(choice === "mine" ? "✅ Your version was saved" : "✅ Server version kept");
+    } catch (err) {
+      showRetry(`❌ Could not resolve right now. ${describeError(err)}`, () =>
+        resolveConflict(id, choice)
+      );
+    }
+  };
+
+  /* First page of the list (falls back to the last synced copy when offline) */
+  const loadFirstPage = async (signal) => {
+    const ops = queue.getSnapshot().ops;
+    try {
+      await reload(signal);
+    } catch (err) {
+      if (isAborted(err)) return;
+      const cached = storage.name === "rest" ? loadCache() : null;
+      if (cached) {
+        setRecords(applyOps(readBooks(cached), ops));
+        showRetry("📴 Offline. Showing your last synced archive.", loadFirstPage, "info");
+      } else if (storage.name === "rest") {
+        showRetry(`❌ Cannot load books. ${describeError(err)}`, loadFirstPage);
+      } else {
+        showToast("❌ Cannot open local storage.", "error");
       }
-    })();
+    }
+    setLoading(false);
+    if (ops.length) syncNow();
+  };
+
+  /* The mount effect below always calls the latest loadFirstPage */
+  useEffect(() => {
+    firstLoad.current = loadFirstPage;
+  });
+
+  /* Initial load, dropped if the app unmounts first */
+  useEffect(() => {
+    const controller = new AbortController();
+    firstLoad.current(controller.signal);
+    return () => controller.abort();
   }, []);
 
-  /* Filter list by search + favorites */
+  /* Team profiles; a backend without any just shows "No profile" */
+  useEffect(() => {
+    const controller = new AbortController();
+    storage
+      .listMembers({ signal: controller.signal })
+      .then((list) => setMembers(Array.isArray(list) ? list : []))
+      .catch(() => {});
+    return () => controller.abort();
+  }, []);
+
+  /* Sync again as soon as the browser reports connectivity (with the current syncNow) */
+  useEffect(() => {
+    const onOnline = () => syncNow();
+    window.addEventListener("online", onOnline);
+    return () => window.removeEventListener("online", onOnline);
+  });
+
+  /* Covers cropped in a form that closes without saving are deleted */
+  const formOpen = isModalOpen || !!editId;
+  useEffect(() => {
+    if (formOpen) return;
+    for (const ref of formCovers.current) storage.removeCover(ref).catch(() => {});
+    formCovers.current.clear();
+  }, [formOpen]);
+
+  /* Keep an offline copy of the server list */
+  useEffect(() => {
+    if (!loading && storage.name === "rest") saveCache(records);
+  }, [records, loading]);
+
+  /* Search index is rebuilt only when the list changes; typing re-runs the query */
+  const searchIndex = useMemo(() => buildIndex(archive), [archive]);
+  const query = useDeferredValue(q);
+  const results = useMemo(() => searchBooks(searchIndex, query), [searchIndex, query]);
+
+  /* Favorites, status, shelf/tag and facet filters, then the chosen sort (search rank default) */
   const filtered = useMemo(() => {
-    const query = q.trim().toLowerCase();
-    return books
+    const list = results
+      .map((r) => r.book)
       .filter((b) => (onlyFav ? !!b.isFavorite : true))
-      .filter((b) => (query ? (b.title || "").toLowerCase().includes(query) : true));
-  }, [books, q, onlyFav]);
+      .filter((b) => status === "all" || getStatus(b) === status);
+    return sortBooks(applyFacets(applyCollections(list, shelf, tag), facets), sort.key, sort.dir);
+  }, [results, onlyFav, status, shelf, tag, facets, sort]);
+
+  /* Every shelf and tag in the archive, for the sidebar and autocomplete */
+  const allShelves = useMemo(() => collectTags(archive, "shelves"), [archive]);
+  const allTags = useMemo(() => collectTags(archive, "tags"), [archive]);
+
+  const sections = useMemo(() => groupBooks(filtered, group), [filtered, group]);
+  const visibleIds = sections.flatMap((sec) => sec.books.map((b) => b.id));
+  const selectedBooks = archive.filter((b) => selected.has(b.id));
+
+  const bookHref = (b) => withParams(`/book/${encodeURIComponent(b.id)}`, params, {});
+  const detailBook = detail ? archive.find((b) => String(b.id) === detail.id) : null;
+
+  /* Stats, the trash, duplicates and a link to a book not loaded yet need every page */
+  const needsAll = statsPage || trashPage || dupesPage || (!!detail && !detailBook);
+  useEffect(() => {
+    if (needsAll && nextPage && !loading && !paging) loadPages(true);
+  });
+
+  /* Links to a just-added book (page or edit form) follow it to its server id */
+  useEffect(() => {
+    const moved = (id) => (id ? replacedIds.current.get(id) : undefined);
+    if (detail && !detailBook && moved(detail.id)) {
+      const id = encodeURIComponent(moved(detail.id));
+      navigate(withParams(`/book/${id}`, params, {}), { replace: true });
+    } else if (!editing && moved(editId)) {
+      setParams({ edit: moved(editId) });
+    }
+  });
+
+  const toggleSection = (key) =>
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+
+  /* Matched words per book id, for highlighting */
+  const highlights = useMemo(
+    () => new Map(results.filter((r) => r.terms).map((r) => [r.book.id, r.terms])),
+    [results]
+  );
 
   /* Save (create or update) */
   const saveBook = async () => {
-    if (!form.title.trim() || !form.author.trim()) {
-      showToast("Please fill Title and Author", "error");
+    const errors = bookErrors(form);
+    if (Object.keys(errors).length) {
+      setShowErrors(true);
+      showToast(`❌ ${Object.values(errors)[0]}`, "error");
       return;
     }
 
-    const ratingNum = Math.max(0, Math.min(5, Number(form.rating || 0)));
-
-    const payload = {
-      title: form.title.trim(),
-      author: form.author.trim(),
-      coverImage: form.coverImage.trim() || "https://picsum.photos/400/520",
-      description: form.description.trim(),
-      rating: ratingNum,
-    };
-
-    try {
-      if (editing) {
-        const updated = await apiPut(editing.id, { ...editing, ...payload });
-        setBooks((prev) => prev.map((b) => (b.id === updated.id ? updated : b)));
-        showToast("✅ Book updated");
-      } else {
-        const created = await apiPost({
-          ...payload,
-          isFavorite: false, // Default favorite is enforced by the client
-        });
-        setBooks((prev) => [...prev, created]);
-        showToast("✅ Book added");
-      }
-      closeModal();
-      resetForm();
-    } catch {
-      showToast("❌ Save failed. Check API / network.", "error");
+    const payload = toPayload(form);
+
+    if (editing) {
+      await apiPut(editing.id, payload);
+      record(`Edit “${payload.title}”`, [updateStep(editing, payload)]);
+      showToast("✅ Book updated", "success", "undo");
+    } else {
+      const book = await apiPost({
+        ...payload,
+        isFavorite: false, // Default favorite is enforced by the client
+      });
+      record(`Add “${book.title}”`, [createStep(book)]);
+      showToast("✅ Book added", "success", "undo");
     }
+    /* A replaced or cleared cover, and crops that were replaced before saving */
+    const unused = [...formCovers.current, editing?.coverImage];
+    formCovers.current.clear();
+    dropCovers(
+      unused.filter((ref) => ref !== payload.coverImage),
+      editing ? [editing.id] : []
+    );
+    closeModal();
+    resetForm();
   };
 
   /* Toggle favorite */
   const toggleFav = async (book) => {
-    try {
-      const updated = await apiPut(book.id, { ...book, isFavorite: !book.isFavorite });
-      setBooks((prev) => prev.map((b) => (b.id === updated.id ? updated : b)));
-      showToast(updated.isFavorite ? "❤️ Added to favorites" : "🤍 Removed from favorites", "info");
-    } catch {
-      showToast("❌ Failed to update favorite", "error");
+    const patch = { isFavorite: !book.isFavorite };
+    const updated = await apiPut(book.id, patch);
+    record(updated.isFavorite ? "Favorite" : "Unfavorite", [updateStep(book, patch)]);
+    showToast(
+      updated.isFavorite ? "❤️ Added to favorites" : "🤍 Removed from favorites",
+      "info",
+      "undo"
+    );
+  };
+
+  /* Bulk create for the import flow; returns the new (temporary) ids */
+  const importBooks = async (payloads, onProgress) => {
+    const ids = [];
+    const steps = [];
+    for (const payload of payloads) {
+      const book = await apiPost(payload);
+      ids.push(book.id);
+      steps.push(createStep(book));
+      onProgress(ids.length);
+      /* Let the progress bar paint on big files */
+      if (ids.length % 25 === 0) await new Promise((r) => setTimeout(r));
     }
+    record(`Import ${ids.length} book${ids.length === 1 ? "" : "s"}`, steps);
+    showToast(`📥 Imported ${ids.length} book${ids.length === 1 ? "" : "s"}`, "success", "undo");
+    return ids;
   };
 
+  /* Shows the list filtered to one shelf or tag (from a chip on a card or the detail page) */
+  const pickTag = (field, name) =>
+    navigate(
+      withParams("/", params, {
+        ...viewPatch(field === "tags" ? { tag: name } : { shelf: name }),
+        edit: null,
+        new: null,
+      })
+    );
+
+  /* Renames, merges (renaming onto an existing name) or, with `to` null, deletes a shelf/tag */
+  const retag = async (field, from, to) => {
+    const affected = books.filter((b) => hasTag(getTags(b, field), from));
+    const writes = affected.map((b) => [b, { [field]: renameTag(getTags(b, field), from, to) }]);
+    /* All or nothing: one bad name would otherwise stop the loop halfway, unrecorded */
+    const error = writeError(writes);
+    if (error) {
+      const verb = to === null ? "remove" : "rename";
+      showToast(`❌ Could not ${verb} “${from}”. ${error}`, "error");
+      return;
+    }
+    const steps = [];
+    for (const [b, patch] of writes) {
+      await apiPut(b.id, patch);
+      steps.push(updateStep(b, patch));
+    }
+    record(to === null ? `Delete “${from}”` : `Rename “${from}”`, steps);
+
+    const key = field === "tags" ? "tag" : "shelf";
+    const current = field === "tags" ? tag : shelf;
+    if (current && hasTag([current], from)) setView({ [key]: to ?? "" });
+
+    const what = TAG_FIELDS[field].one;
+    const n = `${affected.length} book${affected.length === 1 ? "" : "s"}`;
+    showToast(
+      to === null
+        ? `🗑️ Removed ${what} “${from}” from ${n}`
+        : `🏷️ Renamed “${from}” to “${to}” on ${n}`,
+      "success",
+      "undo"
+    );
+  };
+
+  const pendingIds = useMemo(() => new Set(sync.ops.map((o) => o.bookId)), [sync.ops]);
+
   const askDelete = (id) => setConfirmId(id);
 
+  /* Deleting moves a book to the trash; it's only removed from the backend when purged */
   const doDelete = async () => {
-    const id = confirmId;
-    if (!id) return;
+    const book = archive.find((b) => b.id === confirmId);
+    if (!book) return;
+    const patch = { deletedAt: new Date().toISOString() };
+    await apiPut(book.id, patch);
+    record(`Delete “${book.title}”`, [updateStep(book, patch)]);
+    setConfirmId(null);
+    if (detail) navigate(listHref);
+    showToast("🗑️ Moved to trash", "success", "undo");
+  };
+
+  const restoreBooks = async (list) => {
+    const patch = { deletedAt: null };
+    for (const b of list) await apiPut(b.id, patch);
+    record(
+      list.length === 1 ? `Restore “${list[0].title}”` : `Restore ${list.length} books`,
+      list.map((b) => updateStep(b, patch))
+    );
+    showToast(
+      `♻️ Restored ${list.length === 1 ? "1 book" : `${list.length} books`}`,
+      "success",
+      "undo"
+    );
+  };
+
+  const purgeBooks = async (list) => {
+    for (const b of list) await apiDel(b.id);
+    dropCovers(
+      list.map((b) => b.coverImage),
+      list.map((b) => b.id)
+    );
+    record(
+      list.length === 1 ? `Purge “${list[0].title}”` : `Empty trash`,
+      list.map((b) => purgeStep(b))
+    );
+    showToast(
+      `🔥 Deleted ${list.length === 1 ? "1 book" : `${list.length} books`} for good`,
+      "success",
+      "undo"
+    );
+  };
+
+  /* Switches profile; undo history is per profile, so it starts over */
+  const pickMember = (id) => {
+    setMemberId(id);
+    saveMemberId(id);
+    setHistory(EMPTY_HISTORY);
+    const picked = members.find((m) => m.id === id);
+    showToast(picked ? `👤 Rating as ${picked.name}` : "👥 No profile: shared ratings", "info");
+  };
+
+  /* Returns true once the profile exists; the first one is picked straight away */
+  const addMember = async (name) => {
+    try {
+      const created = await storage.createMember({ name });
+      setMembers((prev) => [...prev, created]);
+      if (!member) pickMember(created.id);
+      else showToast(`👤 Added ${name}`);
+      return true;
+    } catch (err) {
+      showRetry(`❌ Could not add the profile. ${describeError(err)}`, () => addMember(name));
+      return false;
+    }
+  };
+
+  const removeMember = async (m) => {
     try {
-      await apiDel(id);
-      setBooks((prev) => prev.filter((b) => b.id !== id));
-      showToast("🗑️ Book deleted");
+      await storage.removeMember(m.id);
+      setMembers((prev) => prev.filter((x) => x.id !== m.id));
+      if (m.id === memberId) pickMember(null);
+      else showToast(`👤 Removed ${m.name}`, "info");
+    } catch (err) {
+      showRetry(`❌ Could not remove the profile. ${describeError(err)}`, () => removeMember(m));
+    }
+  };
+
+  /* Keeps one copy with the picked fields and moves the others to the trash, as one step */
+  const mergeBooks = async (list, picks) => {
+    const keep = list.find((b) => b.id === picks.keep) ?? list[0];
+    const patch = mergePatch(list, picks);
+    const deletedAt = new Date().toISOString();
+    const rest = list.filter((b) => b.id !== keep.id);
+    const error = writeError([[keep, patch]]);
+    if (error) {
+      showToast(`❌ Could not merge “${patch.title}”. ${error}`, "error");
+      return;
+    }
+    await apiPut(keep.id, patch);
+    for (const b of rest) await apiPut(b.id, { deletedAt });
+    record(`Merge “${patch.title}”`, [
+      updateStep(keep, patch),
+      ...rest.map((b) => updateStep(b, { deletedAt })),
+    ]);
+    showToast(`⧉ Merged ${list.length} copies of “${patch.title}”`, "success", "undo");
+  };
+
+  /* Brings a book back to an earlier revision; that's recorded as a new revision */
+  const restoreRevision = async (book, index) => {
+    const patch = restorePatch(book, index);
+    if (!Object.keys(patch).length) {
+      showToast("Already matches that version", "info");
+      return;
+    }
+    const error = writeError([[book, patch]]);
+    if (error) {
+      showToast(`❌ Could not restore that version. ${error}`, "error");
+      return;
+    }
+    await apiPut(book.id, patch);
+    record(`Restore a version of “${book.title}”`, [updateStep(book, patch)]);
+    showToast("🕘 Version restored", "success", "undo");
+  };
+
+  /* --- Selection: checkboxes on the cards, shift-click for ranges --- */
+  const selectBook = (book, range) => {
+    const on = !selected.has(book.id);
+    const ids = range && anchorId ? rangeIds(visibleIds, anchorId, book.id) : [book.id];
+    setSelected((prev) => toggleSelection(prev, ids, on));
+    setAnchorId(book.id);
+  };
+
+  const stopSelecting = () => {
+    setSelecting(false);
+    setSelected(new Set());
+    setAnchorId(null);
+    setBatch(null);
+  };
+
+  /*
+   * Applies `patchFor(book)` to every selected book through the API helpers, a few at a
+   * time, each counted once it has synced (or is queued while offline). Books it returns
+   * null for are left alone; the whole batch is one undo step.
+   */
+  const runBatchUpdate = async (label, patchFor) => {
+    const list = selectedBooks.filter((b) => patchFor(b));
+    const steps = [];
+    setBatch({ label, done: 0, total: list.length, failed: [] });
+    const { failed } = await runBatch(
+      list,
+      async (book) => {
+        const patch = patchFor(book);
+        await apiPut(book.id, patch, { wait: true });
+        steps.push(updateStep(book, patch));
+      },
+      { onProgress: (done) => setBatch((b) => ({ ...b, done })) }
+    );
+    record(label, steps);
+    /* Keep the bar's report only when something needs looking at */
+    const report = failed.map(({ item, error }) => ({
+      book: item,
+      message: error.kind ? describeError(error) : error.message,
+    }));
+    setBatch((b) => (report.length ? { ...b, failed: report } : null));
+    const n = `${steps.length} book${steps.length === 1 ? "" : "s"}`;
+    if (failed.length) showToast(`⚠️ ${label}: ${n} done, ${failed.length} failed`, "error");
+    else showToast(`✅ ${label}: ${n}`, "success", steps.length ? "undo" : null);
+    return failed;
+  };
+
+  const batchFavorite = (on) =>
+    runBatchUpdate(on ? "Favorite" : "Unfavorite", (b) =>
+      !!b.isFavorite === on ? null : { isFavorite: on }
+    );
+
+  const batchRate = (rating) =>
+    runBatchUpdate(rating ? `Rate ${rating}/5` : "Clear rating", (b) =>
+      Number(b.rating || 0) === rating ? null : { rating }
+    );
+
+  const batchTag = (names) =>
+    runBatchUpdate(`Tag “${names.join(", ")}”`, (b) => {
+      const tags = getTags(b, "tags");
+      const next = cleanTags([...tags, ...names]);
+      return next.length === tags.length ? null : { tags: next };
+    });
+
+  const batchDelete = async () => {
+    const deletedAt = new Date().toISOString();
+    const failed = await runBatchUpdate("Move to trash", () => ({ deletedAt }));
+    setSelected(new Set(failed.map(({ item }) => item.id)));
+  };
+
+  const batchExport = (format) => {
+    if (!format) return;
+    downloadBooks(selectedBooks, format);
+    showToast(
+      `📤 Exported ${selectedBooks.length} books as ${EXPORT_FORMATS[format].label}`,
+      "info"
+    );
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.origin + toHref(path));
+      showToast("🔗 Link copied", "info");
     } catch {
-      showToast("❌ Delete failed", "error");
-    } finally {
-      setConfirmId(null);
+      showToast("❌ Could not copy the link", "error");
     }
   };
 
+  /* --- Keyboard --- */
+  const focusSearch = () => {
+    if (detail || statsPage || trashPage || dupesPage) navigate(listHref);
+    window.setTimeout(() => searchRef.current?.focus());
+  };
+
+  /* Arrow keys walk the focus ring across the cards on screen */
+  const moveCursor = (key) => {
+    const cards = [...document.querySelectorAll("[data-book-id]")];
+    if (!cards.length) return;
+    const i = cards.findIndex((c) => c.dataset.bookId === cursorId);
+    const next = cards[i < 0 ? 0 : neighbourCard(cards, i, key)];
+    next.focus();
+    next.scrollIntoView?.({ block: "nearest" });
+    setCursorId(next.dataset.bookId);
+  };
+
+  /* The book that f / e / Del / Enter act on */
+  const keyBook = detail ? detailBook : archive.find((b) => String(b.id) === cursorId);
+
+  /*
+   * Global shortcuts. Ctrl+K works everywhere; single keys are ignored while typing or
+   * when a dialog is open (dialogs handle Escape, Tab and Ctrl+Enter themselves).
+   */
+  useEffect(() => {
+    const onKey = (e) => {
+      const mod = e.ctrlKey || e.metaKey;
+      const key = e.key.toLowerCase();
+      const dialog = document.querySelector('[aria-modal="true"]');
+
+      if (mod && key === "k") {
+        e.preventDefault();
+        if (showPalette) setShowPalette(false);
+        else if (!dialog) setShowPalette(true);
+        return;
+      }
+      if (dialog || e.altKey || e.target.closest?.("input, textarea, select, [contenteditable]")) {
+        return;
+      }
+
+      if (mod) {
+        if (key === "z" && !e.shiftKey) {
+          e.preventDefault();
+          undo();
+        } else if ((key === "z" && e.shiftKey) || key === "y") {
+          e.preventDefault();
+          redo();
+        }
+        return;
+      }
+
+      if (key === "/") {
+        e.preventDefault();
+        focusSearch();
+      } else if (key === "n") {
+        e.preventDefault();
+        openCreate();
+      } else if (e.key.startsWith("Arrow") && !detail) {
+        e.preventDefault();
+        moveCursor(e.key);
+      } else if (key === "escape" && selecting) {
+        stopSelecting();
+      } else if (keyBook) {
+        if (key === "f") toggleFav(keyBook);
+        else if (key === "e") openEdit(keyBook);
+        else if (e.key === "Delete") askDelete(keyBook.id);
+        else if (e.key === "Enter" && !detail && !e.target.closest("button, a")) {
+          navigate(bookHref(keyBook));
+        }
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  /* What the palette offers besides books */
+  const commands = [
+    { id: "add", label: "Add book", hint: "N", icon: "+", run: openCreate },
+    { id: "search", label: "Search books", hint: "/", icon: "🔍", run: focusSearch },
+    { id: "books", label: "Go to books", icon: "📚", run: () => navigate(listHref) },
+    {
+      id: "stats",
+      label: "Go to stats",
+      icon: "📊",
+      run: () => navigate(withParams("/stats", params, { edit: null, new: null })),
+    },
+    {
+      id: "trash",
+      label: `Open trash (${trash.length})`,
+      icon: "🗑️",
+      run: () => navigate(withParams("/trash", params, { edit: null, new: null })),
+    },
+    {
+      id: "duplicates",
+      label: "Find duplicates",
+      icon: "⧉",
+      run: () => navigate(withParams("/duplicates", params, { edit: null, new: null })),
+    },
+    {
+      id: "favorites",
+      label: onlyFav ? "Show all books" : "Show favorites only",
+      icon: "♥",
+      run: () => setView({ onlyFav: !onlyFav }),
+    },
+    {
+      id: "clear",
+      label: "Clear search and filters",
+      icon: "✕",
+      run: () => setView({ q: "", onlyFav: false, facets: EMPTY_FACETS, shelf: "", tag: "" }),
+    },
+    {
+      id: "select",
+      label: selecting ? "Stop selecting" : "Select books",
+      icon: "☑",
+      run: () => (selecting ? stopSelecting() : setSelecting(true)),
+    },
+    { id: "import", label: "Import books…", icon: "⇪", run: () => setShowImport(true) },
+    {
+      id: "tags",
+      label: "Manage shelves & tags",
+      icon: "#",
+      run: () => setShowTagManager(true),
+    },
+    { id: "profiles", label: "Manage profiles", icon: "👤", run: () => setShowProfiles(true) },
+    ...(history.past.length
+      ? [
+          {
+            id: "undo",
+            label: `Undo “${history.past.at(-1).label}”`,
+            hint: "Ctrl+Z",
+            icon: "↶",
+            run: undo,
+          },
+        ]
+      : []),
+    ...(history.future.length
+      ? [
+          {
+            id: "redo",
+            label: `Redo “${history.future[0].label}”`,
+            hint: "Ctrl+Shift+Z",
+            icon: "↷",
+            run: redo,
+          },
+        ]
+      : []),
+  ];
+
   return (
     <div style={S.page}>
-      <Toast toast={toast} onClose={() => setToast((t) => ({ ...t, show: false }))} />
+      <Toast
+        toast={toast}
+        onAction={() => {
+          setToast((t) => ({ ...t, show: false }));
+          if (toast.action === "undo") undo();
+          else if (toast.action === "redo") redo();
+          else if (toast.action === "retry") retryAction.current?.();
+        }}
+        onClose={() => setToast((t) => ({ ...t, show: false }))}
+        onHold={holdToast}
+      />
 
       <div style={S.container}>
         <header style={S.header}>
           <div>
             <div style={S.badgesRow}>
               <span style={S.badge}>📚 pastel library · by Leeron Spiegel</span>
-              <span style={S.badgeSoft}>{books.length} total</span>
-              <span style={S.badgeSoft}>{books.filter((b) => b.isFavorite).length} favorites</span>
+              <span style={S.badgeSoft}>{archive.length} total</span>
+              <span style={S.badgeSoft}>
+                {archive.filter((b) => b.isFavorite).length} favorites
+              </span>
+              <span style={S.badgeSoft} title={`Storage: ${storage.label}`}>
+                {storage.name === "rest" ? "☁️" : "💾"} {storage.label}
+              </span>
+              {(sync.ops.length > 0 || sync.syncing) && (
+                <button style={{ ...S.badgeSoft, cursor: "pointer" }} onClick={syncNow}>
+                  {sync.syncing ? "⏳ Syncing…" : `⏳ ${sync.ops.length} pending · Sync now`}
+                </button>
+              )}
+              {sync.conflicts.length > 0 && (
+                <button style={S.badgeConflict} onClick={() => setShowConflicts(true)}>
+                  ⚠️ {sync.conflicts.length} conflict{sync.conflicts.length === 1 ? "" : "s"}
+                </button>
+              )}
             </div>
 
             <h1 style={S.h1}>
@@ -209,80 +1075,322 @@ export default function App() {
             <p style={S.sub}>CRUD app (React) • Add / Edit / Delete • Favorites • Search</p>
           </div>
 
-          <button style={S.primaryBtn} onClick={openCreate}>
-            + Add Book
-          </button>
-        </header>
-
-        <section style={S.toolbar}>
-          <div style={S.searchWrap}>
-            <span style={S.searchIcon}>🔍</span>
-
-            <input
-              style={S.searchInput}
-              placeholder="Search by title..."
-              value={q}
-              onChange={(e) => setQ(e.target.value)}
+          <div style={S.headerActions}>
+            <MemberPicker
+              members={members}
+              value={member?.id}
+              onChange={pickMember}
+              onManage={() => setShowProfiles(true)}
             />
-
-            {q && (
-              <button type="button" style={S.clearBtn} onClick={() => setQ("")} aria-label="Clear">
-                ✕
-              </button>
+            <button
+              style={S.secondaryBtn}
+              onClick={() => setShowPalette(true)}
+              title="Command palette (Ctrl+K)"
+              aria-label="Command palette"
+            >
+              ⌘K
+            </button>
+            <button
+              style={{ ...S.secondaryBtn, ...(history.past.length ? null : S.btnDisabled) }}
+              disabled={!history.past.length}
+              onClick={undo}
+              title={history.past.length ? `Undo “${history.past.at(-1).label}” (Ctrl+Z)` : "Undo"}
+              aria-label="Undo"
+            >
+              ↶
+            </button>
+            <button
+              style={{ ...S.secondaryBtn, ...(history.future.length ? null : S.btnDisabled) }}
+              disabled={!history.future.length}
+              onClick={redo}
+              title={
+                history.future.length ? `Redo “${history.future[0].label}” (Ctrl+Shift+Z)` : "Redo"
+              }
+              aria-label="Redo"
+            >
+              ↷
+            </button>
+            {(trash.length > 0 || trashPage) && (
+              <Link
+                to={withParams(trashPage ? "/" : "/trash", params, { edit: null, new: null })}
+                style={{ ...S.secondaryBtn, textDecoration: "none" }}
+              >
+                {trashPage ? "📚 Books" : `🗑️ Trash (${trash.length})`}
+              </Link>
             )}
-          </div>
-
-          <button
-            style={{ ...S.chip, ...(onlyFav ? S.chipActive : null) }}
-            onClick={() => setOnlyFav((v) => !v)}
-          >
-            {onlyFav ? "Showing Favorites" : "Show Favorites"}
-          </button>
-        </section>
-
-        {loading ? (
-          <div style={S.centerBox}>
-            <div style={S.loader} />
-            <span style={{ color: "#475569" }}>Loading…</span>
-          </div>
-        ) : filtered.length === 0 ? (
-          <div style={S.emptyCard}>
-            <div style={S.emptyIcon}>✨</div>
-            <h2 style={S.emptyTitle}>No books found</h2>
-            <p style={S.emptyText}>
-              {onlyFav ? "No favorites yet. Add some hearts ♥" : "Try adding a book or changing the search."}
-            </p>
+            <Link
+              to={withParams(dupesPage ? "/" : "/duplicates", params, { edit: null, new: null })}
+              style={{ ...S.secondaryBtn, textDecoration: "none" }}
+            >
+              {dupesPage ? "📚 Books" : "⧉ Duplicates"}
+            </Link>
+            <Link
+              to={withParams(statsPage ? "/" : "/stats", params, { edit: null, new: null })}
+              style={{ ...S.secondaryBtn, textDecoration: "none" }}
+            >
+              {statsPage ? "📚 Books" : "📊 Stats"}
+            </Link>
+            <button style={S.secondaryBtn} onClick={() => setShowImport(true)}>
+              ⇪ Import
+            </button>
+            <ExportMenu
+              books={archive}
+              filtered={filtered}
+              onOpen={() => loadPages(true)}
+              onExported={(n, label) => showToast(`📤 Exported ${n} books as ${label}`, "info")}
+            />
             <button style={S.primaryBtn} onClick={openCreate}>
               + Add Book
             </button>
           </div>
+        </header>
+
+        {detail ? (
+          loading || (!detailBook && nextPage) ? (
+            <div style={S.centerBox}>
+              <div style={S.loader} />
+              <span style={{ color: "#475569" }}>Loading…</span>
+            </div>
+          ) : (
+            <BookDetail
+              book={detailBook}
+              members={members}
+              backTo={listHref}
+              onFav={() => toggleFav(detailBook)}
+              onEdit={() => openEdit(detailBook)}
+              onDelete={() => askDelete(detailBook.id)}
+              onCopyLink={copyLink}
+              onPickTag={pickTag}
+              onRestoreRevision={(index) => restoreRevision(detailBook, index)}
+            />
+          )
+        ) : dupesPage ? (
+          loading || nextPage ? (
+            <div style={S.centerBox}>
+              <div style={S.loader} />
+              <span style={{ color: "#475569" }}>Loading…</span>
+            </div>
+          ) : (
+            <DuplicatesView books={archive} backTo={listHref} onMerge={mergeBooks} />
+          )
+        ) : trashPage ? (
+          <TrashView
+            books={trash}
+            onRestore={restoreBooks}
+            onPurge={purgeBooks}
+            backTo={listHref}
+          />
         ) : (
-          <div style={S.grid} data-gridfix="true">
-            {filtered.map((b) => (
-              <BookCard
-                key={b.id}
-                book={b}
-                onFav={() => toggleFav(b)}
-                onEdit={() => openEdit(b)}
-                onDelete={() => askDelete(b.id)}
+          <>
+            {!statsPage && <ReadingStrip books={archive} hrefFor={bookHref} />}
+
+            <section style={S.toolbar}>
+              <StatusTabs books={archive} value={status} onChange={(v) => setView({ status: v })} />
+
+              <div style={S.searchWrap}>
+                <span style={S.searchIcon}>🔍</span>
+
+                <input
+                  ref={searchRef}
+                  style={S.searchInput}
+                  placeholder="Search title, author, description…"
+                  value={q}
+                  onChange={(e) => setView({ q: e.target.value })}
+                />
+
+                {q && (
+                  <button
+                    type="button"
+                    style={S.clearBtn}
+                    onClick={() => setView({ q: "" })}
+                    aria-label="Clear"
+                  >
+                    ✕
+                  </button>
+                )}
+                <button
+                  type="button"
+                  style={S.clearBtn}
+                  onClick={() => setShowSearchHelp((v) => !v)}
+                  aria-label="Search syntax"
+                  aria-expanded={showSearchHelp}
+                  title="Search syntax"
+                >
+                  ?
+                </button>
+              </div>
+
+              <button
+                style={{ ...S.chip, ...(onlyFav ? S.chipActive : null) }}
+                onClick={() => setView({ onlyFav: !onlyFav })}
+              >
+                {onlyFav ? "Showing Favorites" : "Show Favorites"}
+              </button>
+
+              {!statsPage && (
+                <button
+                  style={{ ...S.chip, ...(selecting ? S.chipActive : null) }}
+                  onClick={() => (selecting ? stopSelecting() : setSelecting(true))}
+                  aria-pressed={selecting}
+                >
+                  ☑ Select
+                </button>
+              )}
+            </section>
+
+            <FilterBar
+              sort={sort}
+              onSort={(v) => setView({ sort: v })}
+              group={group}
+              onGroup={(v) => setView({ group: v })}
+              facets={facets}
+              onFacets={(v) => setView({ facets: v })}
+              canRank={!!q.trim()}
+            />
+
+            <CollectionsBar
+              shelves={allShelves}
+              tags={allTags}
+              shelf={shelf}
+              tag={tag}
+              onShelf={(v) => setView({ shelf: v })}
+              onTag={(v) => setView({ tag: v })}
+              onManage={() => setShowTagManager(true)}
+            />
+
+            {selecting && !statsPage && (
+              <BatchBar
+                count={selected.size}
+                visible={visibleIds.length}
+                batch={batch}
+                knownTags={allTags}
+                onSelectAll={() => setSelected(new Set(visibleIds))}
+                onClear={() => setSelected(new Set())}
+                onExit={stopSelecting}
+                onFavorite={batchFavorite}
+                onRate={batchRate}
+                onAddTags={batchTag}
+                onExport={batchExport}
+                onDelete={batchDelete}
+                onDismiss={() => setBatch(null)}
               />
-            ))}
-          </div>
+            )}
+
+            {showSearchHelp && (
+              <p style={S.searchHelp}>
+                Words match title, author and description, typos included. Narrow it down with{" "}
+                <code style={S.code}>author:Michaelides</code>{" "}
+                <code style={S.code}>title:patient</code> <code style={S.code}>desc:therapy</code>{" "}
+                <code style={S.code}>rating:&gt;=4</code> <code style={S.code}>fav:yes</code>{" "}
+                <code style={S.code}>tag:space</code> or a{" "}
+                <code style={S.code}>"quoted phrase"</code>.
+              </p>
+            )}
+
+            {loading ? (
+              <div style={S.centerBox}>
+                <div style={S.loader} />
+                <span style={{ color: "#475569" }}>Loading…</span>
+              </div>
+            ) : statsPage ? (
+              <StatsView books={filtered} filteredOut={archive.length - filtered.length} />
+            ) : filtered.length === 0 && nextPage ? (
+              <LoadMore loading={paging} onMore={() => loadPages()}>
+                Looking through the rest of the archive…
+              </LoadMore>
+            ) : filtered.length === 0 ? (
+              <div style={S.emptyCard}>
+                <div style={S.emptyIcon}>✨</div>
+                <h2 style={S.emptyTitle}>No books found</h2>
+                <p style={S.emptyText}>
+                  {onlyFav
+                    ? "No favorites yet. Add some hearts ♥"
+                    : "Try adding a book or changing the search."}
+                </p>
+                {activeFacetCount(facets) > 0 || shelf || tag ? (
+                  <button
+                    style={S.primaryBtn}
+                    onClick={() => setView({ facets: EMPTY_FACETS, shelf: "", tag: "" })}
+                  >
+                    Clear filters
+                  </button>
+                ) : (
+                  <button style={S.primaryBtn} onClick={openCreate}>
+                    + Add Book
+                  </button>
+                )}
+              </div>
+            ) : (
+              sections.map((sec) => (
+                <div key={sec.key}>
+                  {group !== "none" && (
+                    <button
+                      style={S.groupHeader}
+                      onClick={() => toggleSection(`${group}:${sec.key}`)}
+                      aria-expanded={!collapsed.has(`${group}:${sec.key}`)}
+                    >
+                      <span>{collapsed.has(`${group}:${sec.key}`) ? "▸" : "▾"}</span>
+                      {sec.label}
+                      <span style={S.groupCount}>{sec.books.length}</span>
+                    </button>
+                  )}
+                  {!collapsed.has(`${group}:${sec.key}`) && (
+                    <VirtualGrid
+                      items={sec.books}
+                      renderItem={(b) => (
+                        <BookCard
+                          key={b.id}
+                          book={b}
+                          highlight={highlights.get(b.id)}
+                          href={bookHref(b)}
+                          onFav={() => toggleFav(b)}
+                          onEdit={() => openEdit(b)}
+                          onDelete={() => askDelete(b.id)}
+                          onPickTag={(field, name) =>
+                            setView(field === "tags" ? { tag: name } : { shelf: name })
+                          }
+                          selected={selecting ? selected.has(b.id) : undefined}
+                          onSelect={(range) => selectBook(b, range)}
+                          focused={cursorId === String(b.id)}
+                          onFocus={() => setCursorId(String(b.id))}
+                          members={members}
+                        />
+                      )}
+                    />
+                  )}
+                </div>
+              ))
+            )}
+            {!loading && !statsPage && filtered.length > 0 && nextPage > 0 && (
+              <LoadMore loading={paging} onMore={() => loadPages()}>
+                {archive.length} books loaded so far
+              </LoadMore>
+            )}
+          </>
         )}
       </div>
 
       {/* Add/Edit Modal */}
       {isModalOpen && (
-        <Modal onClose={closeModal}>
+        <Modal onClose={closeModal} onSubmit={saveBook} label={editing ? "Edit Book" : "Add Book"}>
           <div style={S.modalTitleRow}>
             <h3 style={S.modalTitle}>{editing ? "Edit Book" : "Add Book"}</h3>
-            <button style={S.iconBtn} onClick={closeModal} aria-label="close">
-              ✕
-            </button>
+            <div style={{ display: "flex", gap: 8 }}>
+              {!editing && (
+                <button style={S.smallBtn} onClick={() => setShowScan(true)}>
+                  📷 Scan
+                </button>
+              )}
+              <button style={S.iconBtn} onClick={closeModal} aria-label="close">
+                ✕
+              </button>
+            </div>
           </div>
 
           <div style={S.formGrid}>
-            <Field label="Title *">
+            <IsbnField form={form} setForm={setForm} catalog={catalog} error={formErrors.isbn} />
+
+            <Field label="Title *" error={formErrors.title}>
               <input
                 style={S.input}
                 value={form.title}
@@ -291,7 +1399,7 @@ export default function App() {
               />
             </Field>
 
-            <Field label="Author *">
+            <Field label="Author *" error={formErrors.author}>
               <input
                 style={S.input}
                 value={form.author}
@@ -300,24 +1408,38 @@ export default function App() {
               />
             </Field>
 
-            <Field label="Cover Image URL">
-              <input
-                style={S.input}
-                value={form.coverImage}
-                onChange={(e) => setForm((p) => ({ ...p, coverImage: e.target.value }))}
-                placeholder="https://... (or leave empty)"
-              />
-              <div style={S.hint}>Tip: leave empty for a random image.</div>
+            <Field label="Cover" error={formErrors.coverImage}>
+              <CoverField form={form} setForm={setForm} saveCover={saveFormCover} />
             </Field>
 
-            <Field label="Rating">
+            <Field label="Rating" error={formErrors.rating}>
               <StarRating
                 value={Number(form.rating || 0)}
                 onChange={(v) => setForm((p) => ({ ...p, rating: v }))}
               />
             </Field>
 
-            <Field label="Description">
+            <ReadingFields form={form} setForm={setForm} errors={formErrors} />
+
+            <Field label="Shelves" error={formErrors.shelves}>
+              <TagInput
+                value={form.shelves}
+                onChange={(v) => setForm((p) => ({ ...p, shelves: v }))}
+                known={allShelves}
+                placeholder="e.g. Book club 2026"
+              />
+            </Field>
+
+            <Field label="Tags" error={formErrors.tags}>
+              <TagInput
+                value={form.tags}
+                onChange={(v) => setForm((p) => ({ ...p, tags: v }))}
+                known={allTags}
+                placeholder="e.g. sci-fi, classics"
+              />
+            </Field>
+
+            <Field label="Description" error={formErrors.description}>
               <textarea
                 style={S.textarea}
                 rows={3}
@@ -326,6 +1448,21 @@ export default function App() {
                 placeholder="Short summary..."
               />
             </Field>
+
+            <Field label="Review" error={formErrors.review}>
+              <ReviewField
+                value={form.review}
+                onChange={(v) => setForm((p) => ({ ...p, review: v }))}
+                invalid={!!formErrors.review}
+              />
+            </Field>
+
+            <Field label="Favorite quotes" error={formErrors.quotes}>
+              <QuotesField
+                value={form.quotes}
+                onChange={(v) => setForm((p) => ({ ...p, quotes: v }))}
+              />
+            </Field>
           </div>
 
           <div style={S.modalFooter}>
@@ -341,7 +1478,7 @@ export default function App() {
 
       {/* Delete confirm */}
       {confirmId && (
-        <Modal onClose={() => setConfirmId(null)}>
+        <Modal onClose={() => setConfirmId(null)} label="Delete book?">
           <div style={S.modalTitleRow}>
             <h3 style={S.modalTitle}>Delete book?</h3>
             <button style={S.iconBtn} onClick={() => setConfirmId(null)} aria-label="close">
@@ -349,134 +1486,220 @@ export default function App() {
             </button>
           </div>
           <p style={{ color: "#475569", margin: "8px 0 18px" }}>
-            Are you sure you want to delete this book? This action cannot be undone.
+            The book moves to the trash. You can restore it from there, or undo right away.
           </p>
           <div style={S.modalFooter}>
             <button style={S.secondaryBtn} onClick={() => setConfirmId(null)}>
               Cancel
             </button>
             <button style={S.dangerBtn} onClick={doDelete}>
-              Delete
+              Move to trash
             </button>
           </div>
         </Modal>
       )}
-    </div>
-  );
-}
 
-/* ---------- Components ---------- */
+      {/* Import */}
+      {showImport && (
+        <ImportModal
+          books={archive}
+          pendingIds={pendingIds}
+          rejectedIds={rejectedIds}
+          onImport={importBooks}
+          onClose={() => setShowImport(false)}
+        />
+      )}
 
-function Field({ label, children }) {
-  return (
-    <div style={{ display: "grid", gap: 8 }}>
-      <div style={{ fontSize: 13, fontWeight: 700, color: "#334155" }}>{label}</div>
-      {children}
-    </div>
-  );
-}
+      {/* Barcode scan: one book fills the form, a batch is added straight away */}
+      {showScan && (
+        <ScanModal
+          books={archive}
+          catalog={catalog}
+          onScanned={(scanned) => {
+            setForm(scanned);
+            setShowScan(false);
+          }}
+          onAddAll={async (payloads, onProgress) => {
+            const ids = await importBooks(payloads, onProgress);
+            closeModal();
+            return ids;
+          }}
+          onClose={() => setShowScan(false)}
+        />
+      )}
 
-function Modal({ children, onClose }) {
-  return (
-    <div style={S.overlay} onMouseDown={onClose}>
-      <div style={S.modal} onMouseDown={(e) => e.stopPropagation()}>
-        {children}
-      </div>
-    </div>
-  );
-}
+      {/* Command palette */}
+      {showPalette && (
+        <CommandPalette
+          actions={commands}
+          books={archive}
+          onOpenBook={(b) => navigate(bookHref(b))}
+          onClose={() => setShowPalette(false)}
+        />
+      )}
 
-function StarRating({ value, onChange }) {
-  const v = Math.max(0, Math.min(5, Number(value || 0)));
+      {/* Shelves & tags */}
+      {showTagManager && (
+        <TagManager books={archive} onRetag={retag} onClose={() => setShowTagManager(false)} />
+      )}
 
-  return (
-    <div style={S.ratingBox}>
-      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
-        {Array.from({ length: 5 }).map((_, i) => {
-          const star = i + 1;
-          const active = star <= v;
-          return (
-            <button
-              key={star}
-              type="button"
-              onClick={() => onChange(star)}
-              style={{ ...S.starBtn, ...(active ? S.starBtnOn : null) }}
-              aria-label={`rate ${star}`}
-              title={`Rate ${star}`}
-            >
-              ★
-            </button>
-          );
-        })}
+      {/* Team profiles */}
+      {showProfiles && (
+        <ProfilesModal
+          members={members}
+          currentId={member?.id}
+          onAdd={addMember}
+          onRemove={removeMember}
+          onPick={pickMember}
+          onClose={() => setShowProfiles(false)}
+        />
+      )}
 
-        <button type="button" style={S.clearRatingBtn} onClick={() => onChange(0)} title="Clear">
-          Clear
-        </button>
-      </div>
-      <div style={S.ratingHint}>{v === 0 ? "No rating" : `${v}/5`}</div>
+      {/* Sync conflicts */}
+      {showConflicts && (
+        <Modal onClose={() => setShowConflicts(false)} label="Sync conflicts">
+          <div style={S.modalTitleRow}>
+            <h3 style={S.modalTitle}>Sync conflicts</h3>
+            <button style={S.iconBtn} onClick={() => setShowConflicts(false)} aria-label="close">
+              ✕
+            </button>
+          </div>
+          {sync.conflicts.length === 0 ? (
+            <p style={{ color: "#475569", margin: "8px 0 4px" }}>All conflicts resolved ✨</p>
+          ) : (
+            sync.conflicts.map((c) => (
+              <ConflictCard
+                key={c.id}
+                conflict={c}
+                onResolve={(choice) => resolveConflict(c.id, choice)}
+              />
+            ))
+          )}
+        </Modal>
+      )}
     </div>
   );
 }
 
-function BookCard({ book, onFav, onEdit, onDelete }) {
-  const cover = book.coverImage || "https://picsum.photos/400/520";
-  const rating = Math.max(0, Math.min(5, Number(book.rating || 0)));
+/* ---------- Components ---------- */
+
+/*
+ * Index of the card an arrow key moves to. Up/down keep the column within a grid; the column
+ * count is read from the layout (cards sharing the first card's row).
+ */
+function neighbourCard(cards, i, key) {
+  const grid = cards.filter((c) => c.parentElement === cards[i].parentElement);
+  const cols = Math.max(1, grid.filter((c) => c.offsetTop === grid[0].offsetTop).length);
+  const step = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -cols, ArrowDown: cols }[key] ?? 0;
+  return Math.min(cards.length - 1, Math.max(0, i + step));
+}
+
+/* `selected` is undefined outside selection mode, which hides the checkbox */
+function BookCard({
+  book,
+  highlight,
+  href,
+  onFav,
+  onEdit,
+  onDelete,
+  onPickTag,
+  selected,
+  onSelect,
+  focused,
+  onFocus,
+  members,
+}) {
+  const rating = Number(book.rating) || 0;
 
   return (
-    <div style={S.card}>
+    <div
+      style={{
+        ...S.card,
+        ...(selected ? S.cardSelected : null),
+        ...(focused ? S.cardFocused : null),
+      }}
+      data-book-id={book.id}
+      tabIndex={-1}
+      onFocus={onFocus}
+      aria-label={`${book.title} by ${book.author}`}
+    >
       <div style={S.cardTopGradient} />
+      {selected !== undefined && (
+        <input
+          type="checkbox"
+          style={S.cardCheck}
+          checked={selected}
+          onChange={(e) => onSelect(e.nativeEvent.shiftKey)}
+          aria-label={`Select “${book.title}”`}
+        />
+      )}
       <div style={S.cardInner}>
         <div style={S.coverWrap}>
-          <img src={cover} alt={book.title} style={S.cover} />
+          <Cover book={book} thumb />
         </div>
 
         <div style={{ flex: 1, minWidth: 0 }}>
           <div style={S.cardHeaderRow}>
             <div style={{ minWidth: 0 }}>
               <div style={S.cardTitle} title={book.title}>
-                {book.title}
+                <Link to={href} style={S.titleLink}>
+                  <Highlight text={book.title} terms={highlight} />
+                </Link>
               </div>
               <div style={S.cardAuthor} title={book.author}>
-                {book.author}
+                <Highlight text={book.author} terms={highlight} />
               </div>
             </div>
 
-            <button style={S.heartBtn} onClick={onFav} aria-label="favorite">
-              <span style={{ fontSize: 18, color: book.isFavorite ? "#f43f5e" : "#94a3b8" }}>
+            <button
+              style={S.heartBtn}
+              onClick={onFav}
+              aria-label={`Favorite “${book.title}”`}
+              aria-pressed={!!book.isFavorite}
+            >
+              <span
+                aria-hidden="true"
+                style={{ fontSize: 18, color: book.isFavorite ? "#e11d48" : "#64748b" }}
+              >
                 ♥
               </span>
             </button>
           </div>
 
           <div style={S.cardRatingRow}>
-            <div style={S.starsLine} aria-label={`rating ${rating}`}>
-              {Array.from({ length: 5 }).map((_, i) => (
-                <span key={i} style={{ color: i < rating ? "#f59e0b" : "#cbd5e1" }}>
-                  ★
-                </span>
-              ))}
-            </div>
+            <Stars rating={rating} />
             <span style={S.ratingPill}>{rating === 0 ? "No rating" : `${rating}/5`}</span>
           </div>
 
           <div style={S.cardDesc}>
             {book.description ? (
-              book.description
+              <Highlight text={book.description} terms={highlight} />
             ) : (
-              <span style={{ color: "#94a3b8", fontStyle: "italic" }}>No description</span>
+              <span style={{ color: "#64748b", fontStyle: "italic" }}>No description</span>
             )}
           </div>
 
+          <TagChips book={book} onPick={onPickTag} />
+          <TeamLine book={book} members={members} />
+
+          {getStatus(book) === "reading" && (
+            <div style={{ marginTop: 10 }}>
+              <ProgressLine book={book} />
+            </div>
+          )}
+
           <div style={S.cardActions}>
-            <span style={book.isFavorite ? S.favPill : S.pill}>
-              {book.isFavorite ? "Favorite" : "Book"}
-            </span>
+            <StatusPill book={book} />
 
             <div style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
-              <button style={S.smallBtn} onClick={onEdit}>
+              <button style={S.smallBtn} onClick={onEdit} aria-label={`Edit “${book.title}”`}>
                 Edit
               </button>
-              <button style={S.smallDangerBtn} onClick={onDelete}>
+              <button
+                style={S.smallDangerBtn}
+                onClick={onDelete}
+                aria-label={`Delete “${book.title}”`}
+              >
                 Delete
               </button>
             </div>
@@ -487,462 +1710,105 @@ function BookCard({ book, onFav, onEdit, onDelete }) {
   );
 }
 
-function Toast({ toast, onClose }) {
-  if (!toast.show) return null;
+/* Shows what changed on the server vs. the queued local change */
+function ConflictCard({ conflict, onResolve }) {
+  const { op, server, fields } = conflict;
+  const mine = op.type === "delete" ? null : { ...op.base, ...op.data };
+  const keys = [...new Set([...fields, ...Object.keys(op.data || {})])].filter(
+    (k) =>
+      k !== "id" && k !== "revisions" && JSON.stringify(server?.[k]) !== JSON.stringify(mine?.[k])
+  );
+  const title = server?.title || op.base?.title || "Untitled";
+  const show = (v) => (v === undefined || v === "" ? "—" : String(v));
 
+  return (
+    <div style={S.conflictCard}>
+      <div style={{ fontWeight: 900, color: "#0f172a" }}>{title}</div>
+      <div style={S.hint}>
+        {!server
+          ? "Deleted on the server while you were editing it."
+          : op.type === "delete"
+            ? "You deleted this book, but it was changed on the server."
+            : "Changed on the server since you loaded it."}
+      </div>
+
+      {server && mine && keys.length > 0 && (
+        <table style={S.conflictTable}>
+          <thead>
+            <tr>
+              <th style={S.conflictTh}>Field</th>
+              <th style={S.conflictTh}>Server</th>
+              <th style={S.conflictTh}>Yours</th>
+            </tr>
+          </thead>
+          <tbody>
+            {keys.map((k) => (
+              <tr key={k}>
+                <td style={S.conflictTd}>{k}</td>
+                <td style={S.conflictTd}>{show(server[k])}</td>
+                <td style={S.conflictTd}>{show(mine[k])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div style={{ ...S.modalFooter, marginTop: 10 }}>
+        <button style={S.secondaryBtn} onClick={() => onResolve("server")}>
+          {server ? "Keep server" : "Accept delete"}
+        </button>
+        <button style={S.primaryBtn} onClick={() => onResolve("mine")}>
+          {op.type === "delete" ? "Delete anyway" : server ? "Keep mine" : "Restore with my edits"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* Always mounted: a live region only announces changes to a node that's already there */
+function Toast({ toast, onAction, onClose, onHold }) {
   const bg =
     toast.type === "success" ? "#DCFCE7" : toast.type === "error" ? "#FFE4E6" : "#E0F2FE";
   const fg =
     toast.type === "success" ? "#166534" : toast.type === "error" ? "#9F1239" : "#075985";
 
   return (
-    <div style={S.toastWrap}>
-      <div style={{ ...S.toast, background: "rgba(255,255,255,0.85)" }}>
-        <div style={{ ...S.toastIcon, background: bg, color: fg }}>
-          {toast.type === "success" ? "✓" : toast.type === "error" ? "!" : "i"}
+    <div
+      style={S.toastWrap}
+      role="status"
+      aria-live="polite"
+      aria-atomic="true"
+      onMouseEnter={() => onHold(true)}
+      onMouseLeave={() => onHold(false)}
+      onFocus={() => onHold(true)}
+      onBlur={() => onHold(false)}
+    >
+      {toast.show && (
+        <div style={{ ...S.toast, background: "rgba(255,255,255,0.85)" }}>
+          <div style={{ ...S.toastIcon, background: bg, color: fg }} aria-hidden="true">
+            {toast.type === "success" ? "✓" : toast.type === "error" ? "!" : "i"}
+          </div>
+          <div style={{ color: "#334155", fontWeight: 700 }}>{toast.msg}</div>
+          {toast.action && (
+            <button style={S.smallBtn} onClick={onAction}>
+              {{ undo: "↶ Undo", redo: "↷ Redo", retry: "↻ Retry" }[toast.action]}
+            </button>
+          )}
+          <button style={S.iconBtn} onClick={onClose} aria-label="Dismiss notification">
+            ✕
+          </button>
         </div>
-        <div style={{ color: "#334155", fontWeight: 700 }}>{toast.msg}</div>
-        <button style={S.iconBtn} onClick={onClose} aria-label="close toast">
-          ✕
-        </button>
-      </div>
+      )}
     </div>
   );
 }
 
-/* ---------- Styles ---------- */
-const S = {
-  page: {
-    minHeight: "100vh",
-    background: "linear-gradient(135deg, #fff7ed 0%, #fdf2f8 30%, #eff6ff 65%, #ecfdf5 100%)",
-    padding: 34,
-    fontFamily:
-      'ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, "Helvetica Neue", Arial',
-  },
-  container: { maxWidth: 1100, margin: "0 auto" },
-
-  header: {
-    display: "flex",
-    gap: 16,
-    justifyContent: "space-between",
-    alignItems: "flex-end",
-    marginBottom: 18,
-    flexWrap: "wrap",
-  },
-
-  badgesRow: { display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" },
-  badge: {
-    background: "rgba(255,255,255,0.75)",
-    border: "1px solid rgba(255,255,255,0.8)",
-    padding: "8px 12px",
-    borderRadius: 999,
-    fontWeight: 900,
-    color: "#0f172a",
-    boxShadow: "0 10px 25px rgba(15,23,42,0.06)",
-  },
-  badgeSoft: {
-    background: "rgba(255,255,255,0.6)",
-    border: "1px solid rgba(255,255,255,0.75)",
-    padding: "8px 12px",
-    borderRadius: 999,
-    fontWeight: 800,
-    color: "#334155",
-  },
-
-  h1: { margin: "10px 0 6px" },
-  h1Script: {
-    fontSize: 62,
-    color: "#0f172a",
-    letterSpacing: -1,
-    fontWeight: 900,
-    fontFamily:
-      '"Brush Script MT","Segoe Script","Snell Roundhand","Apple Chancery","Comic Sans MS",cursive',
-  },
-
-  sub: { margin: 0, color: "#475569", fontSize: 16 },
-
-  primaryBtn: {
-    border: "none",
-    borderRadius: 16,
-    padding: "12px 16px",
-    cursor: "pointer",
-    background: "linear-gradient(90deg, #fb7185 0%, #f472b6 55%, #a78bfa 100%)",
-    color: "white",
-    fontWeight: 900,
-    boxShadow: "0 14px 35px rgba(244,114,182,0.25)",
-  },
-  secondaryBtn: {
-    border: "1px solid rgba(148,163,184,0.35)",
-    borderRadius: 16,
-    padding: "12px 16px",
-    cursor: "pointer",
-    background: "rgba(255,255,255,0.75)",
-    color: "#0f172a",
-    fontWeight: 900,
-  },
-  dangerBtn: {
-    border: "none",
-    borderRadius: 16,
-    padding: "12px 16px",
-    cursor: "pointer",
-    background: "linear-gradient(90deg, #fb7185 0%, #ef4444 100%)",
-    color: "white",
-    fontWeight: 900,
-  },
-
-  toolbar: {
-    display: "flex",
-    gap: 12,
-    alignItems: "center",
-    flexWrap: "wrap",
-    padding: 14,
-    borderRadius: 22,
-    background: "rgba(255,255,255,0.65)",
-    border: "1px solid rgba(255,255,255,0.8)",
-    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
-    marginBottom: 18,
-  },
-
-  searchWrap: {
-    flex: 1,
-    minWidth: 260,
-    display: "flex",
-    alignItems: "center",
-    gap: 10,
-    padding: "12px 14px",
-    borderRadius: 18,
-    background: "rgba(255,255,255,0.85)",
-    border: "1px solid rgba(226,232,240,0.9)",
-    boxShadow: "inset 0 1px 0 rgba(255,255,255,0.8)",
-  },
-  searchIcon: { fontSize: 16, opacity: 0.7 },
-  searchInput: {
-    flex: 1,
-    border: "none",
-    outline: "none",
-    background: "transparent",
-    fontSize: 15,
-    color: "#0f172a",
-  },
-  clearBtn: {
-    border: "none",
-    cursor: "pointer",
-    width: 34,
-    height: 34,
-    borderRadius: 12,
-    background: "rgba(241,245,249,0.9)",
-    color: "#475569",
-    fontWeight: 900,
-  },
-
-  chip: {
-    borderRadius: 999,
-    padding: "10px 14px",
-    border: "1px solid rgba(148,163,184,0.35)",
-    background: "rgba(255,255,255,0.75)",
-    cursor: "pointer",
-    fontWeight: 900,
-    color: "#0f172a",
-  },
-  chipActive: {
-    background: "linear-gradient(90deg, rgba(251,113,133,0.25), rgba(167,139,250,0.25))",
-    border: "1px solid rgba(167,139,250,0.35)",
-  },
-
-  grid: {
-    display: "grid",
-    gridTemplateColumns: "repeat(3, minmax(0, 1fr))",
-    gap: 16,
-  },
-
-  centerBox: {
-    display: "flex",
-    alignItems: "center",
-    gap: 12,
-    padding: 16,
-    borderRadius: 22,
-    background: "rgba(255,255,255,0.65)",
-    border: "1px solid rgba(255,255,255,0.8)",
-    width: "fit-content",
-  },
-  loader: {
-    width: 18,
-    height: 18,
-    borderRadius: "50%",
-    border: "3px solid rgba(148,163,184,0.35)",
-    borderTopColor: "#a78bfa",
-    animation: "spin 1s linear infinite",
-  },
-
-  emptyCard: {
-    padding: 26,
-    borderRadius: 26,
-    background: "rgba(255,255,255,0.65)",
-    border: "1px solid rgba(255,255,255,0.8)",
-    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
-    textAlign: "center",
-    maxWidth: 520,
-  },
-  emptyIcon: {
-    width: 56,
-    height: 56,
-    borderRadius: 18,
-    display: "grid",
-    placeItems: "center",
-    margin: "0 auto 10px",
-    background:
-      "linear-gradient(135deg, rgba(251,113,133,0.25), rgba(96,165,250,0.25), rgba(52,211,153,0.25))",
-    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
-    fontSize: 22,
-  },
-  emptyTitle: { margin: "8px 0 6px", fontSize: 22, fontWeight: 1000, color: "#0f172a" },
-  emptyText: { margin: "0 0 14px", color: "#475569" },
-
-  card: {
-    position: "relative",
-    overflow: "hidden",
-    borderRadius: 26,
-    background: "rgba(255,255,255,0.7)",
-    border: "1px solid rgba(255,255,255,0.85)",
-    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
-  },
-  cardTopGradient: {
-    position: "absolute",
-    inset: 0,
-    height: 92,
-    background:
-      "linear-gradient(90deg, rgba(251,113,133,0.25), rgba(96,165,250,0.25), rgba(52,211,153,0.25))",
-  },
-  cardInner: { position: "relative", display: "flex", gap: 14, padding: 14 },
-
-  coverWrap: {
-    width: 86,
-    height: 124,
-    borderRadius: 20,
-    overflow: "hidden",
-    background: "rgba(255,255,255,0.85)",
-    border: "1px solid rgba(255,255,255,0.9)",
-    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
-    flexShrink: 0,
-  },
-  cover: { width: "100%", height: "100%", objectFit: "cover" },
-
-  cardHeaderRow: {
-    display: "flex",
-    justifyContent: "space-between",
-    gap: 10,
-    alignItems: "flex-start",
-  },
-  cardTitle: {
-    fontSize: 16,
-    fontWeight: 1000,
-    color: "#0f172a",
-    whiteSpace: "nowrap",
-    overflow: "hidden",
-    textOverflow: "ellipsis",
-  },
-  cardAuthor: {
-    fontSize: 13,
-    fontWeight: 800,
-    color: "#475569",
-    whiteSpace: "nowrap",
-    overflow: "hidden",
-    textOverflow: "ellipsis",
-  },
-
-  cardRatingRow: { display: "flex", alignItems: "center", gap: 10, marginTop: 8 },
-  starsLine: { display: "flex", gap: 2, fontSize: 14, lineHeight: "14px" },
-  ratingPill: {
-    fontSize: 12,
-    fontWeight: 900,
-    color: "#334155",
-    background: "rgba(255,255,255,0.75)",
-    border: "1px solid rgba(255,255,255,0.85)",
-    padding: "4px 10px",
-    borderRadius: 999,
-  },
-
-  heartBtn: {
-    border: "1px solid rgba(255,255,255,0.85)",
-    background: "rgba(255,255,255,0.75)",
-    width: 36,
-    height: 36,
-    borderRadius: 999,
-    cursor: "pointer",
-    display: "grid",
-    placeItems: "center",
-    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
-  },
-
-  cardDesc: {
-    marginTop: 10,
-    fontSize: 13,
-    color: "#334155",
-    display: "-webkit-box",
-    WebkitLineClamp: 2,
-    WebkitBoxOrient: "vertical",
-    overflow: "hidden",
-    minHeight: 34,
-  },
-
-  cardActions: { marginTop: 12, display: "flex", alignItems: "center", gap: 10 },
-  pill: {
-    fontSize: 12,
-    fontWeight: 900,
-    color: "#334155",
-    background: "rgba(255,255,255,0.75)",
-    border: "1px solid rgba(255,255,255,0.85)",
-    padding: "6px 10px",
-    borderRadius: 999,
-  },
-  favPill: {
-    fontSize: 12,
-    fontWeight: 900,
-    color: "#9f1239",
-    background: "rgba(255,228,230,0.7)",
-    border: "1px solid rgba(251,113,133,0.35)",
-    padding: "6px 10px",
-    borderRadius: 999,
-  },
-  smallBtn: {
-    borderRadius: 12,
-    padding: "8px 10px",
-    border: "1px solid rgba(148,163,184,0.35)",
-    background: "rgba(255,255,255,0.8)",
-    cursor: "pointer",
-    fontWeight: 900,
-    color: "#0f172a",
-  },
-  smallDangerBtn: {
-    borderRadius: 12,
-    padding: "8px 10px",
-    border: "1px solid rgba(251,113,133,0.35)",
-    background: "rgba(255,228,230,0.7)",
-    cursor: "pointer",
-    fontWeight: 900,
-    color: "#9f1239",
-  },
-
-  overlay: {
-    position: "fixed",
-    inset: 0,
-    background: "rgba(15,23,42,0.35)",
-    backdropFilter: "blur(6px)",
-    display: "grid",
-    placeItems: "center",
-    padding: 18,
-    zIndex: 50,
-  },
-  modal: {
-    width: "min(620px, 100%)",
-    borderRadius: 26,
-    background: "rgba(255,255,255,0.9)",
-    border: "1px solid rgba(255,255,255,0.9)",
-    boxShadow: "0 24px 60px rgba(15,23,42,0.25)",
-    padding: 16,
-  },
-  modalTitleRow: {
-    display: "flex",
-    justifyContent: "space-between",
-    alignItems: "center",
-    gap: 10,
-  },
-  modalTitle: { margin: 0, fontSize: 20, fontWeight: 1000, color: "#0f172a" },
-  iconBtn: {
-    border: "none",
-    background: "rgba(255,255,255,0.75)",
-    borderRadius: 12,
-    width: 36,
-    height: 36,
-    cursor: "pointer",
-    fontWeight: 900,
-    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
-  },
-
-  formGrid: { display: "grid", gap: 12, marginTop: 14 },
-  input: {
-    width: "100%",
-    borderRadius: 14,
-    border: "1px solid rgba(148,163,184,0.35)",
-    background: "rgba(255,255,255,0.95)",
-    padding: "12px 12px",
-    outline: "none",
-    fontSize: 14,
-  },
-  textarea: {
-    width: "100%",
-    borderRadius: 14,
-    border: "1px solid rgba(148,163,184,0.35)",
-    background: "rgba(255,255,255,0.95)",
-    padding: "12px 12px",
-    outline: "none",
-    fontSize: 14,
-    resize: "vertical",
-  },
-  hint: { marginTop: 6, fontSize: 12, color: "#64748b" },
-
-  modalFooter: { display: "flex", justifyContent: "flex-end", gap: 10, marginTop: 14 },
-
-  toastWrap: { position: "fixed", top: 16, right: 16, zIndex: 60 },
-  toast: {
-    display: "flex",
-    alignItems: "center",
-    gap: 10,
-    borderRadius: 18,
-    padding: "10px 12px",
-    border: "1px solid rgba(255,255,255,0.85)",
-    boxShadow: "0 18px 45px rgba(15,23,42,0.12)",
-  },
-  toastIcon: {
-    width: 32,
-    height: 32,
-    borderRadius: 12,
-    display: "grid",
-    placeItems: "center",
-    fontWeight: 1000,
-  },
-
-  ratingBox: {
-    borderRadius: 16,
-    padding: 12,
-    border: "1px solid rgba(148,163,184,0.25)",
-    background: "rgba(255,255,255,0.8)",
-  },
-  starBtn: {
-    width: 40,
-    height: 40,
-    borderRadius: 14,
-    border: "1px solid rgba(148,163,184,0.25)",
-    background: "rgba(255,255,255,0.85)",
-    cursor: "pointer",
-    fontSize: 18,
-    lineHeight: "18px",
-    fontWeight: 900,
-    color: "#94a3b8",
-  },
-  starBtnOn: {
-    color: "#f59e0b",
-    border: "1px solid rgba(245,158,11,0.35)",
-    background: "rgba(254,243,199,0.9)",
-  },
-  clearRatingBtn: {
-    marginLeft: 6,
-    height: 40,
-    padding: "0 12px",
-    borderRadius: 14,
-    border: "1px solid rgba(148,163,184,0.25)",
-    background: "rgba(241,245,249,0.8)",
-    cursor: "pointer",
-    fontWeight: 900,
-    color: "#475569",
-  },
-  ratingHint: { marginTop: 8, fontSize: 12, color: "#64748b", fontWeight: 800 },
-};
-
 /* Inject minimal CSS for spinner + responsive grid */
 const __style = document.createElement("style");
 __style.innerHTML = `
 @keyframes spin { to { transform: rotate(360deg); } }
+:focus-visible { outline: 3px solid #7c3aed; outline-offset: 2px; }
+@media (prefers-reduced-motion: reduce) { *, *::before, *::after { animation-duration: 0.01ms !important; transition-duration: 0.01ms !important; } }
 @media (max-width: 980px) { .__gridfix { grid-template-columns: repeat(2, minmax(0, 1fr)); } }
 @media (max-width: 640px) { .__gridfix { grid-template-columns: repeat(1, minmax(0, 1fr)); } }
 `;
@@ -0,0 +1,61 @@
+/* A few well-known editions, so lookups work offline and in tests */
+export const CATALOG_FIXTURES = [
+  {
+    isbn: "9780441172719",
+    title: "Dune",
+    author: "Frank Herbert",
+    description:
+      "On the desert planet Arrakis, young Paul Atreides is drawn into a struggle over the most valuable substance in the universe.",
+    pageCount: 896,
+    coverImage: "",
+  },
+  {
+    isbn: "9781250301697",
+    title: "The Silent Patient",
+    author: "Alex Michaelides",
+    description:
+      "A famous painter shoots her husband and never speaks again; a criminal psychotherapist sets out to make her talk.",
+    pageCount: 336,
+    coverImage: "",
+  },
+  {
+    isbn: "9780593135204",
+    title: "Project Hail Mary",
+    author: "Andy Weir",
+    description:
+      "A lone astronaut wakes up on a spaceship with no memory of how he got there, and the fate of Earth in his hands.",
+    pageCount: 496,
+    coverImage: "",
+  },
+  {
+    isbn: "9780141439518",
+    title: "Pride and Prejudice",
+    author: "Jane Austen",
+    description:
+      "Elizabeth Bennet and Mr. Darcy misjudge each other in a comedy of manners about marriage, money and first impressions.",
+    pageCount: 480,
+    coverImage: "",
+  },
+  {
+    isbn: "9780451524935",
+    title: "1984",
+    author: "George Orwell",
+    description:
+      "Winston Smith works for the Ministry of Truth in a state where Big Brother watches everyone, and starts to doubt.",
+    pageCount: 328,
+    coverImage: "",
+  },
+];
+
+/* Catalog provider that answers from an in-memory list (defaults to the fixtures above) */
+export function createFixtureProvider(records = CATALOG_FIXTURES) {
+  const byIsbn = new Map(records.map((r) => [r.isbn, r]));
+  return {
+    name: "fixture",
+    label: "Offline catalog",
+    lookup: async (isbn) => {
+      const hit = byIsbn.get(isbn);
+      return hit ? { ...hit } : null;
+    },
+  };
+}
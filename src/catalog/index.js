@@ -0,0 +1,40 @@
+import { createOpenLibraryProvider } from "./openLibrary.js";
+import { createFixtureProvider } from "./fixture.js";
+
+/*
+ * Picks the ISBN catalog provider from the Vite env:
+ *   VITE_CATALOG=openlibrary -> Open Library at VITE_CATALOG_URL (default)
+ *   VITE_CATALOG=fixture     -> a small built-in list, no network needed
+ *
+ * A provider is { name, label, lookup(isbn13) } where lookup resolves to
+ * { isbn, title, author, description, pageCount, coverImage } or null when unknown.
+ */
+export function createCatalog(env = import.meta.env) {
+  if (env.VITE_CATALOG === "fixture") return createFixtureProvider();
+  return createOpenLibraryProvider(env.VITE_CATALOG_URL || undefined);
+}
+
+/* Form fields a lookup can fill, with the words used to report what was filled */
+const FILLS = [
+  ["title", "title"],
+  ["author", "author"],
+  ["description", "description"],
+  ["pageCount", "pages"],
+  ["coverImage", "cover"],
+];
+
+const isEmpty = (v) => v === null || v === undefined || String(v).trim() === "";
+
+/* Copies a lookup result into the still-empty fields of a form: { form, filled: [words] } */
+export function fillFromCatalog(form, found) {
+  const next = { ...form, isbn: found.isbn || form.isbn };
+  const filled = [];
+  for (const [key, word] of FILLS) {
+    if (isEmpty(found[key]) || !isEmpty(form[key])) continue;
+    next[key] = found[key];
+    filled.push(word);
+  }
+  return { form: next, filled };
+}
+
+export { createOpenLibraryProvider, createFixtureProvider };
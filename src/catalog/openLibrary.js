@@ -0,0 +1,44 @@
+import { toIsbn10 } from "../lib/isbn.js";
+
+/* Open Library keeps descriptions either as plain strings or as { type, value } */
+const text = (v) => String((typeof v === "object" ? v?.value : v) ?? "").trim();
+
+/* Catalog provider backed by the Open Library Books API (no key needed) */
+export function createOpenLibraryProvider(baseUrl = "https://openlibrary.org") {
+  const url = baseUrl.replace(/\/+$/, "");
+
+  const get = async (path) => {
+    const res = await fetch(`${url}${path}`);
+    if (!res.ok) throw Object.assign(new Error("Lookup failed"), { status: res.status });
+    return res.json();
+  };
+
+  const lookup = async (isbn) => {
+    /* Older editions are often only indexed under their ISBN-10 */
+    const keys = [isbn, toIsbn10(isbn)].filter(Boolean).map((k) => `ISBN:${k}`);
+    const data = await get(`/api/books?bibkeys=${keys.join(",")}&format=json&jscmd=details`);
+    const entry = keys.map((k) => data[k]).find(Boolean);
+    if (!entry) return null;
+
+    const d = entry.details ?? {};
+    let description = text(d.description);
+    if (!description && d.works?.[0]?.key) {
+      try {
+        description = text((await get(`${d.works[0].key}.json`)).description);
+      } catch {
+        /* The edition data is enough on its own */
+      }
+    }
+
+    return {
+      isbn,
+      title: [d.title, d.subtitle].filter(Boolean).join(": "),
+      author: (d.authors ?? []).map((a) => a.name).join(", "),
+      description,
+      pageCount: d.number_of_pages ?? null,
+      coverImage: d.covers?.[0] ? `https://covers.openlibrary.org/b/id/${d.covers[0]}-L.jpg` : "",
+    };
+  };
+
+  return { name: "openlibrary", label: "Open Library", lookup };
+}
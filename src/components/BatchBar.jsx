@@ -0,0 +1,142 @@
+import { useState } from "react";
+import { S } from "../styles.js";
+import { TagInput } from "./Tags.jsx";
+import { EXPORT_FORMATS } from "../lib/exportBooks.js";
+
+/*
+ * Toolbar shown in selection mode. `batch` is the running or last batch:
+ * { label, done, total, failed: [{ book, message }] }.
+ */
+export default function BatchBar({
+  count,
+  visible,
+  batch,
+  knownTags,
+  onSelectAll,
+  onClear,
+  onExit,
+  onFavorite,
+  onRate,
+  onAddTags,
+  onExport,
+  onDelete,
+  onDismiss,
+}) {
+  const [tags, setTags] = useState([]);
+  const running = !!batch && batch.done < batch.total;
+  const off = !count || running;
+  const btn = (style) => ({ ...style, ...(off ? S.btnDisabled : null) });
+
+  return (
+    <section style={S.batchBar} aria-label="Batch actions">
+      <div style={S.batchRow}>
+        <strong aria-live="polite">{count} selected</strong>
+        <button style={S.smallBtn} onClick={onSelectAll} disabled={running}>
+          Select all {visible}
+        </button>
+        <button style={S.smallBtn} onClick={onClear} disabled={!count || running}>
+          Clear
+        </button>
+        <span style={S.hint}>Shift-click a checkbox to select a range.</span>
+        <button style={{ ...S.smallBtn, marginLeft: "auto" }} onClick={onExit}>
+          Done
+        </button>
+      </div>
+
+      <div style={S.batchRow}>
+        <button style={btn(S.smallBtn)} disabled={off} onClick={() => onFavorite(true)}>
+          ♥ Favorite
+        </button>
+        <button style={btn(S.smallBtn)} disabled={off} onClick={() => onFavorite(false)}>
+          ♡ Unfavorite
+        </button>
+        <select
+          style={btn(S.smallBtn)}
+          disabled={off}
+          value=""
+          aria-label="Set rating"
+          onChange={(e) => onRate(Number(e.target.value))}
+        >
+          <option value="">★ Set rating…</option>
+          {[5, 4, 3, 2, 1, 0].map((n) => (
+            <option key={n} value={n}>
+              {n ? `${"★".repeat(n)} ${n}/5` : "No rating"}
+            </option>
+          ))}
+        </select>
+        <div style={{ minWidth: 200 }}>
+          <TagInput value={tags} onChange={setTags} known={knownTags} placeholder="Tags to add" />
+        </div>
+        <button
+          style={btn(S.smallBtn)}
+          disabled={off || !tags.length}
+          onClick={() => {
+            onAddTags(tags);
+            setTags([]);
+          }}
+        >
+          # Add tags
+        </button>
+        <select
+          style={btn(S.smallBtn)}
+          disabled={!count}
+          value=""
+          aria-label="Export selected"
+          onChange={(e) => onExport(e.target.value)}
+        >
+          <option value="">⇩ Export as…</option>
+          {Object.entries(EXPORT_FORMATS).map(([key, f]) => (
+            <option key={key} value={key}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+        <button style={btn(S.smallDangerBtn)} disabled={off} onClick={onDelete}>
+          🗑️ Delete
+        </button>
+      </div>
+
+      {batch && (
+        <div>
+          <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13 }}>
+            <strong>{batch.label}</strong>
+            <span>
+              {batch.done}/{batch.total}
+            </span>
+          </div>
+          <div
+            style={S.progressTrack}
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={batch.total}
+            aria-valuenow={batch.done}
+          >
+            <div
+              style={{
+                ...S.progressFill,
+                width: `${batch.total ? Math.round((batch.done / batch.total) * 100) : 0}%`,
+              }}
+            />
+          </div>
+          {!running && batch.failed.length > 0 && (
+            <div style={S.batchReport} role="alert">
+              <strong>
+                {batch.failed.length} of {batch.total} failed
+              </strong>
+              <ul style={{ margin: "6px 0 0", paddingLeft: 18 }}>
+                {batch.failed.map(({ book, message }) => (
+                  <li key={book.id}>
+                    {book.title}: {message || "failed"}
+                  </li>
+                ))}
+              </ul>
+              <button style={{ ...S.smallBtn, marginTop: 8 }} onClick={onDismiss}>
+                Dismiss
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
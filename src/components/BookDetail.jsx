@@ -0,0 +1,110 @@
+import { S } from "../styles.js";
+import { Link } from "./ui.jsx";
+import { ProgressLine, StatusPill } from "./Reading.jsx";
+import { TagChips } from "./Tags.jsx";
+import { Cover } from "./Cover.jsx";
+import RevisionHistory from "./RevisionHistory.jsx";
+import { Stars } from "./Stars.jsx";
+import { ReviewSection } from "./Review.jsx";
+import { TeamTable } from "./Members.jsx";
+import { getStatus } from "../lib/reading.js";
+
+/* Full page for one book at /book/:id */
+export default function BookDetail({
+  book,
+  members,
+  backTo,
+  onFav,
+  onEdit,
+  onDelete,
+  onCopyLink,
+  onPickTag,
+  onRestoreRevision,
+}) {
+  if (!book) {
+    return (
+      <div style={S.emptyCard}>
+        <div style={S.emptyIcon}>🔎</div>
+        <h2 style={S.emptyTitle}>Book not found</h2>
+        <p style={S.emptyText}>It may have been deleted, or the link is wrong.</p>
+        <Link to={backTo} style={{ ...S.primaryBtn, textDecoration: "none" }}>
+          ← Back to archive
+        </Link>
+      </div>
+    );
+  }
+
+  const rating = Number(book.rating) || 0;
+
+  return (
+    <article style={S.detail}>
+      <div style={S.detailTop}>
+        <Link to={backTo} style={S.backLink}>
+          ← Back to archive
+        </Link>
+        <button style={S.smallBtn} onClick={onCopyLink}>
+          🔗 Copy link
+        </button>
+      </div>
+
+      <div style={S.detailBody}>
+        <div style={S.detailCover}>
+          <Cover book={book} />
+        </div>
+
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <h2 style={S.detailTitle}>{book.title}</h2>
+          <div style={S.detailAuthor}>by {book.author}</div>
+
+          <div style={S.cardRatingRow}>
+            <Stars rating={rating} style={{ fontSize: 20, lineHeight: "20px" }} />
+            <span style={S.ratingPill}>{rating === 0 ? "No rating" : `${rating}/5`}</span>
+            {book.isFavorite && <span style={S.favPill}>Favorite</span>}
+          </div>
+
+          <div style={S.detailMeta}>
+            <StatusPill book={book} />
+            {book.startedAt && <span>Started {book.startedAt}</span>}
+            {book.finishedAt && (
+              <span>
+                {getStatus(book) === "abandoned" ? "Stopped" : "Finished"} {book.finishedAt}
+              </span>
+            )}
+            {book.pageCount > 0 && <span>{book.pageCount} pages</span>}
+            {book.isbn && <span>ISBN {book.isbn}</span>}
+          </div>
+          <TagChips book={book} onPick={onPickTag} />
+          {getStatus(book) === "reading" && (
+            <div style={{ maxWidth: 360, marginTop: 10 }}>
+              <ProgressLine book={book} />
+            </div>
+          )}
+
+          <p style={S.detailDesc}>
+            {book.description || (
+              <span style={{ color: "#64748b", fontStyle: "italic" }}>No description</span>
+            )}
+          </p>
+
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            <button style={S.smallBtn} onClick={onFav}>
+              {book.isFavorite ? "♥ Unfavorite" : "♡ Favorite"}
+            </button>
+            <button style={S.smallBtn} onClick={onEdit}>
+              Edit
+            </button>
+            <button style={S.smallDangerBtn} onClick={onDelete}>
+              Delete
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <TeamTable book={book} members={members} />
+
+      <ReviewSection book={book} />
+
+      <RevisionHistory book={book} onRestore={onRestoreRevision} />
+    </article>
+  );
+}
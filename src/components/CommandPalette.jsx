@@ -0,0 +1,101 @@
+import { useMemo, useState } from "react";
+import { S } from "../styles.js";
+import { Modal } from "./ui.jsx";
+import { fuzzyScore } from "../lib/fuzzy.js";
+
+const MAX_RESULTS = 12;
+
+/*
+ * Ctrl+K palette. `actions` are [{ id, label, hint?, run }]; books only show up once
+ * something is typed. Actions and books are ranked together by fuzzy score.
+ */
+export default function CommandPalette({ actions, books, onOpenBook, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+
+  const results = useMemo(() => {
+    const found = actions.map((a) => ({
+      ...a,
+      key: `action:${a.id}`,
+      score: fuzzyScore(query, a.label),
+    }));
+    if (query.trim()) {
+      for (const b of books) {
+        found.push({
+          key: `book:${b.id}`,
+          label: b.title,
+          hint: `by ${b.author}`,
+          icon: "📖",
+          book: b,
+          score: fuzzyScore(query, `${b.title} ${b.author}`),
+        });
+      }
+    }
+    return found
+      .filter((r) => r.score !== null)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS);
+  }, [actions, books, query]);
+
+  const current = Math.min(active, results.length - 1);
+
+  const pick = (r) => {
+    onClose();
+    if (r.book) onOpenBook(r.book);
+    else r.run();
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" && results.length) {
+      e.preventDefault();
+      setActive((current + 1) % results.length);
+    } else if (e.key === "ArrowUp" && results.length) {
+      e.preventDefault();
+      setActive(current <= 0 ? results.length - 1 : current - 1);
+    } else if (e.key === "Enter" && results[current]) {
+      e.preventDefault();
+      pick(results[current]);
+    }
+  };
+
+  return (
+    <Modal onClose={onClose} label="Command palette" style={S.palette}>
+      <input
+        style={S.paletteInput}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActive(0);
+        }}
+        onKeyDown={onKeyDown}
+        placeholder="Type a command or a book…"
+        role="combobox"
+        aria-label="Commands and books"
+        aria-expanded={results.length > 0}
+        aria-controls="palette-results"
+        aria-activedescendant={results[current] ? `palette-${current}` : undefined}
+        aria-autocomplete="list"
+      />
+      <ul id="palette-results" role="listbox" style={S.paletteList}>
+        {results.map((r, i) => (
+          <li
+            key={r.key}
+            id={`palette-${i}`}
+            role="option"
+            aria-selected={i === current}
+            style={{ ...S.paletteItem, ...(i === current ? S.tagSuggestOn : null) }}
+            onMouseEnter={() => setActive(i)}
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => pick(r)}
+          >
+            <span aria-hidden="true">{r.icon ?? "›"}</span>
+            <span style={{ flex: 1, minWidth: 0 }}>{r.label}</span>
+            {r.hint && <span style={S.paletteHint}>{r.hint}</span>}
+          </li>
+        ))}
+        {!results.length && <li style={{ ...S.hint, padding: 10 }}>Nothing matches “{query}”.</li>}
+      </ul>
+      <div style={S.hint}>↑ ↓ to move · Enter to run · Esc to close</div>
+    </Modal>
+  );
+}
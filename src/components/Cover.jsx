@@ -0,0 +1,288 @@
+import { useEffect, useRef, useState } from "react";
+import { S } from "../styles.js";
+import {
+  COVER_HEIGHT,
+  COVER_WIDTH,
+  centerCrop,
+  clampCrop,
+  coverHue,
+  coverSource,
+  initials,
+  renderCrop,
+  thumbSource,
+  zoomCrop,
+} from "../lib/covers.js";
+import { LOCAL_COVER_PREFIX, readLocalCover } from "../storage/index.js";
+
+/* Object URLs for covers kept in IndexedDB, shared by every <Cover> on the page */
+const localUrls = new Map();
+
+function useCoverSrc(value) {
+  const src = coverSource(value);
+  const local = src.startsWith(LOCAL_COVER_PREFIX);
+  const [loaded, setLoaded] = useState(null); // { src, url }
+
+  useEffect(() => {
+    if (!local || localUrls.has(src)) return;
+    let live = true;
+    readLocalCover(src)
+      .then((blob) => {
+        const url = blob ? URL.createObjectURL(blob) : "";
+        localUrls.set(src, url);
+        if (live) setLoaded({ src, url });
+      })
+      .catch(() => live && setLoaded({ src, url: "" }));
+    return () => {
+      live = false;
+    };
+  }, [src, local]);
+
+  if (!local) return src;
+  return localUrls.get(src) ?? (loaded?.src === src ? loaded.url : "");
+}
+
+/*
+ * A book's cover, or a generated one with its initials when there's none or it fails to load.
+ * `thumb` asks for a smaller image where the source has one (the grid's cards).
+ */
+export function Cover({ book, style = S.cover, alt, thumb = false }) {
+  const full = useCoverSrc(book?.coverImage);
+  const src = thumb ? thumbSource(full) : full;
+  const [failed, setFailed] = useState(null);
+
+  if (!src || failed === src) return <CoverPlaceholder book={book} />;
+  return (
+    <img
+      src={src}
+      alt={alt ?? book.title}
+      style={style}
+      loading="lazy"
+      decoding="async"
+      onError={() => setFailed(src)}
+    />
+  );
+}
+
+function CoverPlaceholder({ book }) {
+  const hue = coverHue(book);
+  return (
+    <svg
+      viewBox="0 0 100 144"
+      preserveAspectRatio="xMidYMid slice"
+      style={{ width: "100%", height: "100%", display: "block" }}
+      role="img"
+      aria-label={book?.title ? `${book.title} (no cover)` : "No cover"}
+    >
+      <defs>
+        <linearGradient id={`cover-${hue}`} x1="0" y1="0" x2="1" y2="1">
+          <stop offset="0" stopColor={`hsl(${hue} 70% 82%)`} />
+          <stop offset="1" stopColor={`hsl(${(hue + 50) % 360} 65% 68%)`} />
+        </linearGradient>
+      </defs>
+      <rect width="100" height="144" fill={`url(#cover-${hue})`} />
+      <rect x="8" y="8" width="84" height="128" rx="6" fill="none" stroke="rgba(255,255,255,0.6)" />
+      <text
+        x="50"
+        y="70"
+        textAnchor="middle"
+        style={{ fontSize: 38, fontWeight: 900, fill: `hsl(${hue} 45% 25%)` }}
+      >
+        {initials(book?.title) || "?"}
+      </text>
+      <text
+        x="50"
+        y="108"
+        textAnchor="middle"
+        style={{ fontSize: 14, fontWeight: 800, letterSpacing: 2, fill: `hsl(${hue} 35% 32%)` }}
+      >
+        {initials(book?.author, 3)}
+      </text>
+    </svg>
+  );
+}
+
+/*
+ * Cover input for the Add/Edit form: a URL, or an uploaded/pasted image cropped to the
+ * card's shape. `saveCover(blob)` stores the crop and resolves to the value to keep.
+ */
+export function CoverField({ form, setForm, saveCover }) {
+  const [picked, setPicked] = useState(null); // { url, img }
+  const [error, setError] = useState("");
+  const uploaded =
+    form.coverImage.startsWith("data:") || form.coverImage.startsWith(LOCAL_COVER_PREFIX);
+
+  const pick = (file) => {
+    if (!file || !file.type.startsWith("image/")) return;
+    setError("");
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => setPicked({ url, img });
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      setError("That file isn't an image we can read.");
+    };
+    img.src = url;
+  };
+
+  const closeCropper = () => {
+    URL.revokeObjectURL(picked.url);
+    setPicked(null);
+  };
+
+  const applyCrop = async (crop) => {
+    try {
+      const value = await saveCover(await renderCrop(picked.img, crop));
+      setForm((p) => ({ ...p, coverImage: value }));
+      closeCropper();
+    } catch {
+      setError("Could not save the image.");
+    }
+  };
+
+  return (
+    <div
+      style={S.coverField}
+      onPaste={(e) => {
+        const file = [...(e.clipboardData?.files ?? [])].find((f) => f.type.startsWith("image/"));
+        if (file) {
+          e.preventDefault();
+          pick(file);
+        }
+      }}
+    >
+      <div style={{ ...S.coverWrap, width: 72, height: 104 }}>
+        <Cover book={form} />
+      </div>
+
+      <div style={{ display: "grid", gap: 8, flex: 1, minWidth: 0 }}>
+        {uploaded ? (
+          <div style={S.hint}>Uploaded image</div>
+        ) : (
+          <input
+            style={S.input}
+            value={form.coverImage}
+            onChange={(e) => setForm((p) => ({ ...p, coverImage: e.target.value }))}
+            placeholder="https://... or paste an image"
+          />
+        )}
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          <label style={{ ...S.smallBtn, display: "inline-block" }}>
+            ⇪ Upload image
+            <input
+              type="file"
+              accept="image/*"
+              style={{ display: "none" }}
+              onChange={(e) => {
+                pick(e.target.files?.[0]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          {form.coverImage && (
+            <button
+              type="button"
+              style={S.smallBtn}
+              onClick={() => setForm((p) => ({ ...p, coverImage: "" }))}
+            >
+              Remove
+            </button>
+          )}
+        </div>
+        <div style={{ ...S.hint, ...(error ? { color: "#9f1239" } : null) }}>
+          {error ? `❌ ${error}` : "Leave empty for a generated cover."}
+        </div>
+      </div>
+
+      {picked && <CoverCropper img={picked.img} onDone={applyCrop} onCancel={closeCropper} />}
+    </div>
+  );
+}
+
+const FRAME_SCALE = 0.55; // on-screen frame size relative to the stored image
+
+/* Drag to position, slider to zoom; the frame has the card's aspect ratio */
+function CoverCropper({ img, onDone, onCancel }) {
+  const [crop, setCrop] = useState(() => centerCrop(img));
+  const [busy, setBusy] = useState(false);
+  const drag = useRef(null);
+
+  const onPointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drag.current = { px: e.clientX, py: e.clientY, x: crop.x, y: crop.y };
+  };
+  const onPointerMove = (e) => {
+    if (!drag.current) return;
+    const { px, py, x, y } = drag.current;
+    setCrop((c) =>
+      clampCrop(img, {
+        ...c,
+        x: x + (e.clientX - px) / FRAME_SCALE,
+        y: y + (e.clientY - py) / FRAME_SCALE,
+      })
+    );
+  };
+
+  return (
+    <div style={S.cropper}>
+      <div
+        style={{
+          ...S.cropFrame,
+          width: COVER_WIDTH * FRAME_SCALE,
+          height: COVER_HEIGHT * FRAME_SCALE,
+        }}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={() => (drag.current = null)}
+        onPointerCancel={() => (drag.current = null)}
+        onWheel={(e) => setCrop((c) => zoomCrop(img, c, c.zoom * (e.deltaY < 0 ? 1.08 : 1 / 1.08)))}
+      >
+        <img
+          src={img.src}
+          alt=""
+          draggable={false}
+          style={{
+            position: "absolute",
+            left: crop.x * FRAME_SCALE,
+            top: crop.y * FRAME_SCALE,
+            width: crop.w * FRAME_SCALE,
+            height: crop.h * FRAME_SCALE,
+            maxWidth: "none",
+            pointerEvents: "none",
+          }}
+        />
+      </div>
+
+      <div style={{ display: "grid", gap: 10, alignContent: "start", flex: 1, minWidth: 160 }}>
+        <div style={S.hint}>Drag to position the image, zoom to fit the cover.</div>
+        <label style={S.filterLabel}>
+          Zoom
+          <input
+            type="range"
+            min={1}
+            max={4}
+            step={0.01}
+            value={crop.zoom}
+            onChange={(e) => setCrop((c) => zoomCrop(img, c, Number(e.target.value)))}
+          />
+        </label>
+        <div style={{ display: "flex", gap: 8 }}>
+          <button type="button" style={S.smallBtn} onClick={onCancel}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            style={{ ...S.smallBtn, ...S.cropUse }}
+            disabled={busy}
+            onClick={async () => {
+              setBusy(true);
+              await onDone(crop);
+              setBusy(false);
+            }}
+          >
+            {busy ? "Saving…" : "Use cover"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import { useMemo, useState } from "react";
+import { S } from "../styles.js";
+import { Link } from "./ui.jsx";
+import { Cover } from "./Cover.jsx";
+import { MERGE_FIELDS, defaultPicks, findDuplicates, mergeValue } from "../lib/duplicates.js";
+
+const addedOn = (iso) => {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "" : `Added ${d.toLocaleDateString()}`;
+};
+
+/* Page at /duplicates: likely copies side by side, merged one group at a time */
+export default function DuplicatesView({ books, backTo, onMerge }) {
+  const groups = useMemo(() => findDuplicates(books), [books]);
+
+  return (
+    <section style={S.detail} aria-label="Duplicates">
+      <div style={S.detailTop}>
+        <Link to={backTo} style={S.backLink}>
+          ← Back to archive
+        </Link>
+        <span style={S.hint}>
+          {groups.length === 1 ? "1 group" : `${groups.length} groups`} of likely duplicates
+        </span>
+      </div>
+
+      {groups.length === 0 ? (
+        <div style={{ ...S.emptyText, padding: "24px 0" }}>
+          No likely duplicates. Books that share an ISBN, or whose title and author nearly match,
+          show up here.
+        </div>
+      ) : (
+        <div style={{ display: "grid", gap: 16, marginTop: 16 }}>
+          {groups.map((g) => (
+            <DuplicateGroup key={g.id} group={g} onMerge={onMerge} />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+/* One group: a column per copy, and a choice per field of which copy's value to keep */
+function DuplicateGroup({ group, onMerge }) {
+  const { books } = group;
+  const [picks, setPicks] = useState(() => defaultPicks(books));
+  const [busy, setBusy] = useState(false);
+  const pick = (field, id) => setPicks((p) => ({ ...p, [field]: id }));
+
+  return (
+    <article style={S.dupeGroup} aria-label={`${books[0].title}, ${books.length} copies`}>
+      <div style={S.detailTop}>
+        <span style={S.dupeReason}>
+          {group.reason === "isbn" ? "Same ISBN" : "Similar title and author"}
+        </span>
+        <button
+          style={{ ...S.smallBtn, ...S.cropUse }}
+          disabled={busy}
+          onClick={async () => {
+            setBusy(true);
+            await onMerge(books, picks);
+            setBusy(false);
+          }}
+        >
+          {busy ? "Merging…" : `⧉ Merge ${books.length} into one`}
+        </button>
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={S.conflictTable}>
+          <thead>
+            <tr>
+              <th style={S.conflictTh}>Keep</th>
+              {books.map((b, i) => (
+                <th key={b.id} style={{ ...S.conflictTh, minWidth: 180 }}>
+                  <label style={S.dupeCopy}>
+                    <input
+                      type="radio"
+                      name={`${group.id}:keep`}
+                      checked={picks.keep === b.id}
+                      onChange={() => pick("keep", b.id)}
+                    />
+                    <span style={{ ...S.stripCover, overflow: "hidden" }}>
+                      <Cover book={b} alt="" thumb />
+                    </span>
+                    <span>
+                      Copy {i + 1}
+                      <span style={{ ...S.hint, display: "block" }}>{addedOn(b.createdAt)}</span>
+                    </span>
+                  </label>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(MERGE_FIELDS).map(([field, label]) => (
+              <tr key={field}>
+                <th scope="row" style={S.conflictTh}>
+                  {label}
+                </th>
+                {books.map((b) => (
+                  <td key={b.id} style={S.conflictTd}>
+                    <label
+                      style={{ ...S.dupeCell, ...(picks[field] === b.id ? S.dupeCellOn : null) }}
+                    >
+                      <input
+                        type="radio"
+                        name={`${group.id}:${field}`}
+                        checked={picks[field] === b.id}
+                        onChange={() => pick(field, b.id)}
+                      />
+                      <span style={S.dupeValue}>
+                        {mergeValue(b, field) || <span style={S.hint}>empty</span>}
+                      </span>
+                    </label>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={S.hint}>
+        The kept record stays a favorite if any copy was, and gets every copy's tags, shelves and
+        quotes. The other copies go to the trash.
+      </div>
+    </article>
+  );
+}
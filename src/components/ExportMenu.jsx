@@ -0,0 +1,76 @@
+import { useEffect, useRef, useState } from "react";
+import { S } from "../styles.js";
+import { EXPORT_FORMATS, downloadBooks } from "../lib/exportBooks.js";
+
+/* Header dropdown: pick current view vs. whole archive, then a format */
+/* `onOpen` lets the app fetch the rest of the archive before "Whole archive" is picked */
+export default function ExportMenu({ books, filtered, onOpen, onExported }) {
+  const [open, setOpen] = useState(false);
+  const [scope, setScope] = useState("filtered");
+  const ref = useRef(null);
+
+  /* Close when clicking anywhere outside the menu */
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (!ref.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onDown);
+    return () => document.removeEventListener("mousedown", onDown);
+  }, [open]);
+
+  const list = scope === "filtered" ? filtered : books;
+
+  const run = (format) => {
+    downloadBooks(list, format);
+    setOpen(false);
+    onExported?.(list.length, EXPORT_FORMATS[format].label);
+  };
+
+  return (
+    <div ref={ref} style={{ position: "relative" }}>
+      <button
+        style={S.secondaryBtn}
+        onClick={() => {
+          if (!open) onOpen?.();
+          setOpen(!open);
+        }}
+        aria-expanded={open}
+      >
+        ⇩ Export
+      </button>
+
+      {open && (
+        <div style={S.menu}>
+          <div style={S.menuLabel}>Books</div>
+          {[
+            ["filtered", `Current view (${filtered.length})`],
+            ["all", `Whole archive (${books.length})`],
+          ].map(([value, label]) => (
+            <label key={value} style={S.menuRadio}>
+              <input
+                type="radio"
+                name="export-scope"
+                checked={scope === value}
+                onChange={() => setScope(value)}
+              />
+              {label}
+            </label>
+          ))}
+
+          <div style={S.menuLabel}>Format</div>
+          {Object.entries(EXPORT_FORMATS).map(([key, f]) => (
+            <button
+              key={key}
+              style={{ ...S.menuItem, ...(list.length ? null : S.btnDisabled) }}
+              disabled={!list.length}
+              onClick={() => run(key)}
+            >
+              {f.label} <span style={S.menuExt}>.{f.ext}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { S } from "../styles.js";
+import { GROUPS, SORTS } from "../lib/organize.js";
+
+/* Second toolbar row: sort, group and facet chips */
+export default function FilterBar({ sort, onSort, group, onGroup, facets, onFacets, canRank }) {
+  const toggle = (key) => onFacets({ ...facets, [key]: !facets[key] });
+
+  return (
+    <section style={S.filterBar}>
+      <label style={S.filterLabel}>
+        Sort
+        <select
+          style={S.select}
+          value={sort.key}
+          onChange={(e) => onSort({ key: e.target.value, dir: SORTS[e.target.value].dir })}
+        >
+          {Object.entries(SORTS).map(([key, s]) => (
+            <option key={key} value={key}>
+              {key === "relevance" && !canRank ? "Archive order" : s.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {sort.key !== "relevance" && (
+        <button
+          style={S.chip}
+          onClick={() => onSort({ ...sort, dir: sort.dir === "asc" ? "desc" : "asc" })}
+          aria-label={sort.dir === "asc" ? "Ascending" : "Descending"}
+          title={sort.dir === "asc" ? "Ascending" : "Descending"}
+        >
+          {sort.dir === "asc" ? "↑" : "↓"}
+        </button>
+      )}
+
+      <label style={S.filterLabel}>
+        Group
+        <select style={S.select} value={group} onChange={(e) => onGroup(e.target.value)}>
+          {Object.entries(GROUPS).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <span style={S.filterDivider} />
+
+      <label style={S.filterLabel}>
+        Min rating
+        <select
+          style={S.select}
+          value={facets.minRating}
+          onChange={(e) => onFacets({ ...facets, minRating: Number(e.target.value) })}
+        >
+          <option value={0}>Any</option>
+          {[1, 2, 3, 4, 5].map((n) => (
+            <option key={n} value={n}>
+              {"★".repeat(n)}
+              {n < 5 ? "+" : ""}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button
+        style={{ ...S.chip, ...(facets.hasDescription ? S.chipActive : null) }}
+        onClick={() => toggle("hasDescription")}
+        aria-pressed={facets.hasDescription}
+      >
+        Has description
+      </button>
+      <button
+        style={{ ...S.chip, ...(facets.hasCover ? S.chipActive : null) }}
+        onClick={() => toggle("hasCover")}
+        aria-pressed={facets.hasCover}
+      >
+        Has cover
+      </button>
+    </section>
+  );
+}
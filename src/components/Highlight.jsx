@@ -0,0 +1,18 @@
+import { S } from "../styles.js";
+import { fold } from "../lib/book.js";
+
+/* Wraps words whose folded form is in `terms` (a Set) in <mark> */
+export default function Highlight({ text, terms }) {
+  if (!text || !terms?.size) return text || null;
+  return String(text)
+    .split(/([\p{L}\p{N}]+)/u)
+    .map((part, i) =>
+      i % 2 === 1 && terms.has(fold(part)) ? (
+        <mark key={i} style={S.mark}>
+          {part}
+        </mark>
+      ) : (
+        part
+      )
+    );
+}
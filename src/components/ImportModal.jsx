@@ -0,0 +1,247 @@
+import { useMemo, useState } from "react";
+import { S } from "../styles.js";
+import { Field, Modal } from "./ui.jsx";
+import {
+  IMPORT_FIELDS,
+  buildImportRows,
+  guessMapping,
+  parseImportFile,
+} from "../lib/importBooks.js";
+
+const FIELD_LABELS = {
+  isbn: "ISBN",
+  title: "Title *",
+  author: "Author *",
+  rating: "Rating",
+  description: "Description",
+  review: "Review",
+  coverImage: "Cover Image URL",
+  isFavorite: "Favorite",
+  status: "Reading status",
+  startedAt: "Started",
+  finishedAt: "Finished",
+  pageCount: "Pages",
+  currentPage: "Current page",
+  progress: "Progress %",
+  shelves: "Shelves",
+  tags: "Tags",
+  quotes: "Quotes",
+  members: "Team ratings",
+};
+
+const FORMAT_LABELS = { json: "JSON", csv: "CSV", goodreads: "Goodreads export" };
+
+/*
+ * Import flow: pick a file -> map columns + preview -> bulk create.
+ * `onImport(payloads, onProgress)` creates the books and resolves to the new ids;
+ * `pendingIds` tells us which of them are still waiting to reach the server, and
+ * `rejectedIds` which ones it refused.
+ */
+export default function ImportModal({ books, pendingIds, rejectedIds, onImport, onClose }) {
+  const [file, setFile] = useState(null); // { name, format, columns, records }
+  const [error, setError] = useState("");
+  const [mapping, setMapping] = useState({});
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [progress, setProgress] = useState(null); // { done, total, ids, payloads }
+
+  const rows = useMemo(
+    () => (file ? buildImportRows(file.records, mapping, books) : []),
+    [file, mapping, books]
+  );
+  const selected = rows.filter((r) => !r.error && !(skipDuplicates && r.duplicate));
+  const invalid = rows.filter((r) => r.error).length;
+  const dupes = rows.filter((r) => !r.error && r.duplicate).length;
+
+  const readFile = async (f) => {
+    if (!f) return;
+    setError("");
+    try {
+      const parsed = parseImportFile(f.name, await f.text());
+      if (!parsed.records.length) throw new Error("No rows found in this file");
+      setFile({ name: f.name, ...parsed });
+      setMapping(guessMapping(parsed.columns));
+    } catch (err) {
+      setFile(null);
+      setError(err.message || "Could not read this file");
+    }
+  };
+
+  const start = async () => {
+    const payloads = selected.map((r) => r.payload);
+    setProgress({ done: 0, total: payloads.length, ids: [], payloads });
+    const ids = await onImport(payloads, (done) => setProgress((p) => ({ ...p, done })));
+    setProgress((p) => ({ ...p, ids }));
+  };
+
+  const ids = progress?.ids ?? [];
+  const rejected = ids.flatMap((id, i) => (rejectedIds.has(id) ? [progress.payloads[i]] : []));
+  const synced = ids.filter((id) => !pendingIds.has(id) && !rejectedIds.has(id)).length;
+  const waiting = ids.length - synced - rejected.length;
+  const finished = progress && ids.length === progress.total;
+
+  return (
+    <Modal onClose={progress && !finished ? () => {} : onClose} label="Import books">
+      <div style={S.modalTitleRow}>
+        <h3 style={S.modalTitle}>Import books</h3>
+        <button style={S.iconBtn} onClick={onClose} aria-label="close">
+          ✕
+        </button>
+      </div>
+
+      {!progress && (
+        <div style={S.formGrid}>
+          <Field label="File (CSV, JSON or Goodreads library export)">
+            <input
+              style={S.input}
+              type="file"
+              accept=".csv,.json,.txt,text/csv,application/json"
+              onChange={(e) => readFile(e.target.files?.[0])}
+            />
+            {error ? (
+              <div style={{ ...S.hint, color: "#9f1239" }}>❌ {error}</div>
+            ) : (
+              file && (
+                <div style={S.hint}>
+                  {file.name} · {FORMAT_LABELS[file.format]} · {file.records.length} rows
+                </div>
+              )
+            )}
+          </Field>
+
+          {file && (
+            <>
+              <div style={S.importMapGrid}>
+                {IMPORT_FIELDS.map((f) => (
+                  <Field key={f} label={FIELD_LABELS[f]}>
+                    <select
+                      style={S.input}
+                      value={mapping[f] ?? ""}
+                      onChange={(e) => setMapping((m) => ({ ...m, [f]: e.target.value }))}
+                    >
+                      <option value="">— skip —</option>
+                      {file.columns.map((c) => (
+                        <option key={c} value={c}>
+                          {c}
+                        </option>
+                      ))}
+                    </select>
+                  </Field>
+                ))}
+              </div>
+
+              <div style={S.importSummary}>
+                <span style={S.pill}>{selected.length} to import</span>
+                {invalid > 0 && <span style={S.favPill}>{invalid} invalid</span>}
+                {dupes > 0 && (
+                  <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13 }}>
+                    <input
+                      type="checkbox"
+                      checked={skipDuplicates}
+                      onChange={(e) => setSkipDuplicates(e.target.checked)}
+                    />
+                    Skip {dupes} duplicate{dupes === 1 ? "" : "s"}
+                  </label>
+                )}
+              </div>
+
+              <div style={S.importPreview}>
+                <table style={S.conflictTable}>
+                  <thead>
+                    <tr>
+                      <th style={S.conflictTh}>#</th>
+                      <th style={S.conflictTh}>Title</th>
+                      <th style={S.conflictTh}>Author</th>
+                      <th style={S.conflictTh}>Rating</th>
+                      <th style={S.conflictTh}>Check</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.slice(0, 200).map((r) => (
+                      <tr key={r.index} style={r.error ? { opacity: 0.6 } : null}>
+                        <td style={S.conflictTd}>{r.index + 1}</td>
+                        <td style={S.conflictTd}>{r.payload.title || "—"}</td>
+                        <td style={S.conflictTd}>{r.payload.author || "—"}</td>
+                        <td style={S.conflictTd}>{r.payload.rating || "—"}</td>
+                        <td style={S.conflictTd}>
+                          {r.error
+                            ? `❌ ${r.error}`
+                            : r.duplicate === "archive"
+                              ? "⚠️ Already in archive"
+                              : r.duplicate === "file"
+                                ? "⚠️ Duplicate row"
+                                : "✓ OK"}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {rows.length > 200 && (
+                  <div style={S.hint}>Showing the first 200 of {rows.length} rows.</div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {progress && (
+        <div style={{ ...S.formGrid, color: "#334155" }}>
+          <ProgressBar label="Added" value={progress.done} total={progress.total} />
+          <ProgressBar label="Synced" value={synced} total={progress.total} />
+          {finished && synced === progress.total && (
+            <div style={S.hint}>✅ Imported {progress.total} books.</div>
+          )}
+          {finished && waiting > 0 && (
+            <div style={S.hint}>⏳ {waiting} still waiting to sync. You can close this window.</div>
+          )}
+          {finished && rejected.length > 0 && (
+            <div style={S.batchReport} role="alert">
+              <strong>
+                The server refused {rejected.length} of {progress.total}; they weren't imported
+              </strong>
+              <ul style={{ margin: "6px 0 0", paddingLeft: 18 }}>
+                {rejected.map((payload, i) => (
+                  <li key={i}>
+                    {payload.title} — {payload.author}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div style={S.modalFooter}>
+        <button style={S.secondaryBtn} onClick={onClose}>
+          {progress ? "Close" : "Cancel"}
+        </button>
+        {!progress && (
+          <button
+            style={{ ...S.primaryBtn, ...(selected.length ? null : S.btnDisabled) }}
+            disabled={!selected.length}
+            onClick={start}
+          >
+            Import {selected.length || ""} book{selected.length === 1 ? "" : "s"}
+          </button>
+        )}
+      </div>
+    </Modal>
+  );
+}
+
+function ProgressBar({ label, value, total }) {
+  const pct = total ? Math.round((value / total) * 100) : 0;
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13 }}>
+        <strong>{label}</strong>
+        <span>
+          {value}/{total}
+        </span>
+      </div>
+      <div style={S.progressTrack}>
+        <div style={{ ...S.progressFill, width: `${pct}%` }} />
+      </div>
+    </div>
+  );
+}
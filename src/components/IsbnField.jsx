@@ -0,0 +1,85 @@
+import { useId, useState } from "react";
+import { S } from "../styles.js";
+import { Field } from "./ui.jsx";
+import { cleanIsbn, normalizeIsbn, validateIsbn } from "../lib/isbn.js";
+import { fillFromCatalog } from "../catalog/index.js";
+
+/*
+ * ISBN input for the Add/Edit form; "Look up" fills the fields that are still empty.
+ * A full-length ISBN is checked as it's typed; `error` is the form's own check on save.
+ * The button shares the field, so the input is named and described here, not by Field.
+ */
+export default function IsbnField({ form, setForm, catalog, error: saveError }) {
+  const [lookup, setLookup] = useState({ busy: false, msg: "", error: false });
+  const typed = cleanIsbn(form.isbn);
+  const error = (typed.length >= 10 ? validateIsbn(form.isbn) : null) ?? saveError;
+  const isbn = normalizeIsbn(form.isbn);
+  const messageId = useId();
+
+  const run = async () => {
+    if (!isbn || lookup.busy) return;
+    setLookup({ busy: true, msg: "", error: false });
+    try {
+      const found = await catalog.lookup(isbn);
+      if (!found) {
+        setLookup({ busy: false, msg: `No match in ${catalog.label} for ${isbn}.`, error: true });
+        return;
+      }
+      const { filled } = fillFromCatalog(form, found);
+      setForm((p) => fillFromCatalog(p, found).form);
+      setLookup({
+        busy: false,
+        msg: filled.length
+          ? `Filled ${filled.join(", ")} from ${catalog.label}.`
+          : `Found “${found.title}”, but every field is already filled in.`,
+        error: false,
+      });
+    } catch {
+      setLookup({ busy: false, msg: `${catalog.label} is not reachable right now.`, error: true });
+    }
+  };
+
+  return (
+    <Field label="ISBN">
+      <div style={{ display: "flex", gap: 8 }}>
+        <input
+          style={error ? { ...S.input, ...S.inputInvalid } : S.input}
+          value={form.isbn}
+          onChange={(e) => setForm((p) => ({ ...p, isbn: e.target.value }))}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              run();
+            }
+          }}
+          placeholder="e.g. 978-0-441-17271-9"
+          inputMode="numeric"
+          aria-label="ISBN"
+          aria-invalid={!!error}
+          aria-describedby={messageId}
+        />
+        <button
+          type="button"
+          style={{ ...S.secondaryBtn, whiteSpace: "nowrap", ...(isbn ? null : S.btnDisabled) }}
+          onClick={run}
+          disabled={!isbn || lookup.busy}
+        >
+          {lookup.busy ? "Looking up…" : "🔎 Look up"}
+        </button>
+      </div>
+      {error ? (
+        <div id={messageId} style={S.fieldError}>
+          ❌ {error}
+        </div>
+      ) : lookup.msg ? (
+        <div id={messageId} style={{ ...S.hint, ...(lookup.error ? { color: "#9f1239" } : null) }}>
+          {lookup.error ? "❌" : "✅"} {lookup.msg}
+        </div>
+      ) : (
+        <div id={messageId} style={S.hint}>
+          ISBN-10 or ISBN-13, dashes optional.
+        </div>
+      )}
+    </Field>
+  );
+}
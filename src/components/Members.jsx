@@ -0,0 +1,193 @@
+import { useState } from "react";
+import { S } from "../styles.js";
+import { Field, Modal } from "./ui.jsx";
+import { Stars } from "./Stars.jsx";
+import { STATUSES, getStatus } from "../lib/reading.js";
+import { memberNameError, teamSummary } from "../lib/members.js";
+
+/* "Ana, Ben and 2 more" */
+const names = (list, max = 3) =>
+  list.length <= max
+    ? list.map((m) => m.name).join(", ")
+    : `${list
+        .slice(0, max)
+        .map((m) => m.name)
+        .join(", ")} and ${list.length - max} more`;
+
+/* Header control: whose ratings, favorites and reading status the app shows and changes */
+export function MemberPicker({ members, value, onChange, onManage }) {
+  return (
+    <div style={S.memberPicker}>
+      <select
+        style={S.select}
+        value={value ?? ""}
+        onChange={(e) => onChange(e.target.value || null)}
+        aria-label="Profile"
+      >
+        <option value="">👥 No profile</option>
+        {members.map((m) => (
+          <option key={m.id} value={m.id}>
+            👤 {m.name}
+          </option>
+        ))}
+      </select>
+      <button
+        style={S.secondaryBtn}
+        onClick={onManage}
+        title="Manage profiles"
+        aria-label="Manage profiles"
+      >
+        ⚙
+      </button>
+    </div>
+  );
+}
+
+/* Add and remove team profiles */
+export function ProfilesModal({ members, currentId, onAdd, onRemove, onPick, onClose }) {
+  const [name, setName] = useState("");
+  const [tried, setTried] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const error = tried ? memberNameError(name, members) : null;
+
+  const add = async () => {
+    setTried(true);
+    if (memberNameError(name, members)) return;
+    setBusy(true);
+    try {
+      if (await onAdd(name.trim())) {
+        setName("");
+        setTried(false);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal onClose={onClose} onSubmit={add} label="Profiles">
+      <div style={S.modalTitleRow}>
+        <h3 style={S.modalTitle}>Profiles</h3>
+        <button style={S.iconBtn} onClick={onClose} aria-label="close">
+          ✕
+        </button>
+      </div>
+      <p style={S.hint}>
+        Everyone on the team picks their own profile in this browser. Ratings, favorites and reading
+        status are kept per profile; everything else about a book is shared.
+      </p>
+
+      <div style={{ display: "grid", gap: 8, margin: "14px 0" }}>
+        {members.length === 0 && <p style={S.hint}>No profiles yet.</p>}
+        {members.map((m) => (
+          <div key={m.id} style={S.tagManageRow}>
+            <span style={{ flex: 1, fontWeight: 800, color: "#0f172a" }}>👤 {m.name}</span>
+            {m.id === currentId ? (
+              <span style={S.hint}>In use</span>
+            ) : (
+              <button style={S.smallBtn} onClick={() => onPick(m.id)} disabled={busy}>
+                Use
+              </button>
+            )}
+            <button
+              style={S.smallDangerBtn}
+              onClick={() => onRemove(m)}
+              disabled={busy}
+              aria-label={`Remove ${m.name}`}
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: 8, alignItems: "flex-end" }}>
+        <div style={{ flex: 1 }}>
+          <Field label="New profile" error={error}>
+            <input
+              style={S.input}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && add()}
+              placeholder="e.g. Ana"
+            />
+          </Field>
+        </div>
+        <button style={S.primaryBtn} onClick={add} disabled={busy}>
+          Add
+        </button>
+      </div>
+      <p style={S.hint}>
+        Removing a profile keeps its ratings on the books, but they stop counting for the team.
+      </p>
+    </Modal>
+  );
+}
+
+/* Card line: the team's average rating and who has read the book */
+export function TeamLine({ book, members }) {
+  if (!members.length) return null;
+  const team = teamSummary(book, members);
+  if (!team.ratings && !team.read.length && !team.reading.length) return null;
+
+  return (
+    <div style={S.teamLine}>
+      {team.ratings > 0 && (
+        <span title={`Average of ${team.ratings} team rating${team.ratings === 1 ? "" : "s"}`}>
+          👥 Team {team.avgRating.toFixed(1)}★ ({team.ratings})
+        </span>
+      )}
+      {team.read.length > 0 && <span>✅ Read by {names(team.read)}</span>}
+      {team.reading.length > 0 && <span>📖 {names(team.reading)} reading</span>}
+    </div>
+  );
+}
+
+/* Detail page: every member's rating, status and favorite */
+export function TeamTable({ book, members }) {
+  if (!members.length) return null;
+  const team = teamSummary(book, members);
+
+  return (
+    <section style={S.reviewSection} aria-label="Team">
+      <h3 style={S.statsTitle}>
+        👥 Team
+        {team.ratings > 0 && (
+          <span style={{ ...S.hint, marginLeft: 8 }}>
+            {team.avgRating.toFixed(1)}★ average from {team.ratings}
+          </span>
+        )}
+      </h3>
+      <div style={{ overflowX: "auto" }}>
+        <table style={S.conflictTable}>
+          <thead>
+            <tr>
+              <th style={S.conflictTh}>Member</th>
+              <th style={S.conflictTh}>Rating</th>
+              <th style={S.conflictTh}>Status</th>
+              <th style={S.conflictTh}>Favorite</th>
+            </tr>
+          </thead>
+          <tbody>
+            {team.rows.map(({ member, entry }) => (
+              <tr key={member.id}>
+                <th scope="row" style={S.conflictTh}>
+                  {member.name}
+                </th>
+                <td style={S.conflictTd}>
+                  {entry?.rating ? <Stars rating={entry.rating} /> : "—"}
+                </td>
+                <td style={S.conflictTd}>
+                  {entry
+                    ? `${STATUSES[getStatus(entry)].icon} ${STATUSES[getStatus(entry)].label}`
+                    : "—"}
+                </td>
+                <td style={S.conflictTd}>{entry?.isFavorite ? "♥" : ""}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
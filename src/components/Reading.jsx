@@ -0,0 +1,164 @@
+import { S } from "../styles.js";
+import { Field, Link } from "./ui.jsx";
+import { Cover } from "./Cover.jsx";
+import { STATUSES, getStatus, progressPct, withStatus } from "../lib/reading.js";
+
+export function StatusPill({ book }) {
+  const s = STATUSES[getStatus(book)];
+  return (
+    <span style={{ ...S.pill, ...S.statusPill[getStatus(book)] }}>
+      {s.icon} {s.label}
+    </span>
+  );
+}
+
+export function ProgressLine({ book }) {
+  const pct = progressPct(book);
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+      <div style={{ ...S.progressTrack, flex: 1, marginTop: 0, height: 8 }}>
+        <div style={{ ...S.progressFill, width: `${pct}%` }} />
+      </div>
+      <span style={{ fontSize: 12, fontWeight: 800, color: "#475569" }}>
+        {book.pageCount && book.currentPage !== null && book.currentPage !== undefined
+          ? `p. ${book.currentPage}/${book.pageCount}`
+          : `${pct}%`}
+      </span>
+    </div>
+  );
+}
+
+/* Toolbar tabs: All / Want to read / Reading / Finished / Abandoned, with counts */
+export function StatusTabs({ books, value, onChange }) {
+  const counts = books.reduce((acc, b) => {
+    acc[getStatus(b)] = (acc[getStatus(b)] || 0) + 1;
+    return acc;
+  }, {});
+  const tabs = [["all", "All", books.length]].concat(
+    Object.entries(STATUSES).map(([key, s]) => [key, `${s.icon} ${s.label}`, counts[key] || 0])
+  );
+
+  return (
+    <div style={S.tabs} role="tablist" aria-label="Reading status">
+      {tabs.map(([key, label, count]) => (
+        <button
+          key={key}
+          role="tab"
+          aria-selected={value === key}
+          style={{ ...S.tab, ...(value === key ? S.tabActive : null) }}
+          onClick={() => onChange(key)}
+        >
+          {label} <span style={S.tabCount}>{count}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/* "Currently reading" strip at the top of the list */
+export function ReadingStrip({ books, hrefFor }) {
+  const reading = books.filter((b) => getStatus(b) === "reading");
+  if (!reading.length) return null;
+
+  return (
+    <section style={S.strip} aria-label="Currently reading">
+      <div style={S.stripTitle}>📖 Currently reading</div>
+      <div style={S.stripRow}>
+        {reading.map((b) => (
+          <Link key={b.id} to={hrefFor(b)} style={S.stripCard}>
+            <div style={{ ...S.stripCover, overflow: "hidden" }}>
+              <Cover book={b} alt="" />
+            </div>
+            <div style={{ minWidth: 0, flex: 1 }}>
+              <div style={S.cardTitle}>{b.title}</div>
+              <div style={S.cardAuthor}>{b.author}</div>
+              <div style={{ marginTop: 8 }}>
+                <ProgressLine book={b} />
+              </div>
+            </div>
+          </Link>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+/* Status, dates and progress inputs for the Add/Edit modal; `errors` is { field: message } */
+export function ReadingFields({ form, setForm, errors = {} }) {
+  const set = (key) => (e) => setForm((p) => ({ ...p, [key]: e.target.value }));
+  const status = getStatus(form);
+  const byPages = !!form.pageCount;
+
+  return (
+    <>
+      <Field label="Reading status" error={errors.status}>
+        <div style={S.segmented}>
+          {Object.entries(STATUSES).map(([key, s]) => (
+            <button
+              key={key}
+              type="button"
+              style={{ ...S.segment, ...(status === key ? S.segmentOn : null) }}
+              aria-pressed={status === key}
+              onClick={() => setForm((p) => withStatus(p, key))}
+            >
+              {s.icon} {s.label}
+            </button>
+          ))}
+        </div>
+      </Field>
+
+      <div style={S.formRow}>
+        <Field label="Started" error={errors.startedAt}>
+          <input style={S.input} type="date" value={form.startedAt} onChange={set("startedAt")} />
+        </Field>
+        {(status === "finished" || status === "abandoned") && (
+          <Field label={status === "finished" ? "Finished" : "Stopped"} error={errors.finishedAt}>
+            <input
+              style={S.input}
+              type="date"
+              value={form.finishedAt}
+              onChange={set("finishedAt")}
+            />
+          </Field>
+        )}
+      </div>
+
+      {status !== "finished" && (
+        <div style={S.formRow}>
+          <Field label="Current page" error={errors.currentPage}>
+            <input
+              style={S.input}
+              type="number"
+              min={0}
+              value={form.currentPage}
+              onChange={set("currentPage")}
+              placeholder="e.g. 120"
+            />
+          </Field>
+          <Field label="Pages" error={errors.pageCount}>
+            <input
+              style={S.input}
+              type="number"
+              min={1}
+              value={form.pageCount}
+              onChange={set("pageCount")}
+              placeholder="e.g. 336"
+            />
+          </Field>
+          <Field label="Progress %" error={errors.progress}>
+            <input
+              style={S.input}
+              type="number"
+              min={0}
+              max={100}
+              value={byPages ? progressPct(form) : form.progress}
+              onChange={set("progress")}
+              disabled={byPages}
+              title={byPages ? "Worked out from the page numbers" : undefined}
+            />
+          </Field>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,222 @@
+import { useMemo, useState } from "react";
+import { S } from "../styles.js";
+import { parseMarkdown } from "../lib/markdown.js";
+import { getQuotes } from "../lib/review.js";
+
+/* Hidden until clicked; the hidden text isn't in the page at all, so it can't be read early */
+function InlineSpoiler({ children }) {
+  const [shown, setShown] = useState(false);
+  if (shown) return <mark style={S.spoilerShown}>{children}</mark>;
+  return (
+    <button type="button" style={S.spoilerHidden} onClick={() => setShown(true)}>
+      Spoiler — show
+    </button>
+  );
+}
+
+function Inline({ nodes }) {
+  return nodes.map((n, i) => {
+    if (typeof n === "string") return n;
+    if (n.type === "code") {
+      return (
+        <code key={i} style={S.code}>
+          {n.text}
+        </code>
+      );
+    }
+    const children = <Inline nodes={n.children} />;
+    if (n.type === "strong") return <strong key={i}>{children}</strong>;
+    if (n.type === "em") return <em key={i}>{children}</em>;
+    if (n.type === "spoiler") return <InlineSpoiler key={i}>{children}</InlineSpoiler>;
+    return (
+      <a key={i} href={n.href} target="_blank" rel="noopener noreferrer nofollow">
+        {children}
+      </a>
+    );
+  });
+}
+
+/* Review headings all sit one level under the section's h3, sized by their # count */
+const HEADING_SIZES = { 1: 16, 2: 15, 3: 14 };
+
+function Blocks({ blocks }) {
+  return blocks.map((b, i) => {
+    if (b.type === "paragraph") {
+      return (
+        <p key={i} style={S.reviewPara}>
+          <Inline nodes={b.children} />
+        </p>
+      );
+    }
+    if (b.type === "heading") {
+      return (
+        <h4 key={i} style={{ ...S.reviewHeading, fontSize: HEADING_SIZES[b.level] }}>
+          <Inline nodes={b.children} />
+        </h4>
+      );
+    }
+    if (b.type === "rule") return <hr key={i} style={S.reviewRule} />;
+    if (b.type === "quote") {
+      return (
+        <blockquote key={i} style={S.reviewQuote}>
+          <Blocks blocks={b.blocks} />
+        </blockquote>
+      );
+    }
+    if (b.type === "list") {
+      const List = b.ordered ? "ol" : "ul";
+      return (
+        <List key={i} start={b.ordered ? b.start : undefined} style={S.reviewList}>
+          {b.items.map((item, j) => (
+            <li key={j}>
+              <Inline nodes={item} />
+            </li>
+          ))}
+        </List>
+      );
+    }
+    return (
+      <details key={i} style={S.spoilerBlock}>
+        <summary style={S.spoilerSummary}>Spoiler{b.title ? `: ${b.title}` : ""} — show</summary>
+        <Blocks blocks={b.blocks} />
+      </details>
+    );
+  });
+}
+
+function Markdown({ source }) {
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+  return (
+    <div style={S.review}>
+      <Blocks blocks={blocks} />
+    </div>
+  );
+}
+
+/* Review textarea with a Write / Preview switch */
+export function ReviewField({ value, onChange, invalid }) {
+  const [preview, setPreview] = useState(false);
+
+  return (
+    <div>
+      <div style={S.reviewTabs}>
+        {[
+          [false, "Write"],
+          [true, "Preview"],
+        ].map(([on, label]) => (
+          <button
+            key={label}
+            type="button"
+            style={{ ...S.chip, ...S.reviewTab, ...(preview === on ? S.chipActive : null) }}
+            aria-pressed={preview === on}
+            onClick={() => setPreview(on)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {preview ? (
+        <div style={S.reviewPreview}>
+          {value.trim() ? <Markdown source={value} /> : <span style={S.hint}>Nothing yet</span>}
+        </div>
+      ) : (
+        <textarea
+          style={{ ...S.textarea, ...(invalid ? S.inputInvalid : null) }}
+          rows={6}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          aria-label="Review"
+          aria-invalid={invalid || undefined}
+          placeholder="What did you think?"
+        />
+      )}
+      <div style={S.hint}>
+        Markdown: <code style={S.code}>**bold**</code> <code style={S.code}>*italic*</code>{" "}
+        <code style={S.code}>&gt; quote</code> <code style={S.code}>- list</code>{" "}
+        <code style={S.code}>||spoiler||</code>, and a hidden section between{" "}
+        <code style={S.code}>:::spoiler</code> and <code style={S.code}>:::</code>
+      </div>
+    </div>
+  );
+}
+
+/* Favorite quotes editor: a row per quote with its page */
+export function QuotesField({ value, onChange }) {
+  const update = (i, patch) => onChange(value.map((q, j) => (j === i ? { ...q, ...patch } : q)));
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      {value.map((q, i) => (
+        <div key={i} style={S.quoteRow}>
+          <textarea
+            style={{ ...S.textarea, flex: 1 }}
+            rows={2}
+            value={q.text}
+            onChange={(e) => update(i, { text: e.target.value })}
+            aria-label={`Quote ${i + 1}`}
+            placeholder="A line worth keeping"
+          />
+          <input
+            style={{ ...S.input, width: 90 }}
+            type="number"
+            min={1}
+            value={q.page}
+            onChange={(e) => update(i, { page: e.target.value })}
+            aria-label={`Page of quote ${i + 1}`}
+            placeholder="Page"
+          />
+          <button
+            type="button"
+            style={S.iconBtn}
+            onClick={() => onChange(value.filter((_, j) => j !== i))}
+            aria-label={`Remove quote ${i + 1}`}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <div>
+        <button
+          type="button"
+          style={S.smallBtn}
+          onClick={() => onChange([...value, { text: "", page: "" }])}
+        >
+          + Add quote
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* The detail page's review and quotes; nothing when the book has neither */
+export function ReviewSection({ book }) {
+  const quotes = getQuotes(book);
+  const review = String(book.review ?? "").trim();
+  if (!review && !quotes.length) return null;
+
+  return (
+    <section style={S.reviewSection} aria-label="Review">
+      {review && (
+        <>
+          <h3 style={S.statsTitle}>✍️ Review</h3>
+          <Markdown source={review} />
+        </>
+      )}
+      {quotes.length > 0 && (
+        <>
+          <h3 style={S.statsTitle}>❝ Favorite quotes</h3>
+          <ul style={S.quoteList}>
+            {quotes.map((q, i) => (
+              <li key={i}>
+                <figure style={S.quoteFigure}>
+                  <blockquote style={S.reviewQuote}>{q.text}</blockquote>
+                  {q.page && <figcaption style={S.hint}>p. {q.page}</figcaption>}
+                </figure>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,85 @@
+import { S } from "../styles.js";
+import { FIELD_LABELS, diffWords, formatValue, getRevisions } from "../lib/revisions.js";
+
+/* Text fields get a word diff; everything else shows old -> new */
+const PROSE = new Set(["title", "author", "description", "review"]);
+
+/* "History" section of the book page: newest revision first, each one restorable */
+export default function RevisionHistory({ book, onRestore }) {
+  const revisions = getRevisions(book);
+  if (!revisions.length) return null;
+
+  const newest = revisions.length - 1;
+  return (
+    <section style={S.revisions} aria-label="Revision history">
+      <h3 style={S.statsTitle}>🕘 History</h3>
+      <ol style={S.revList}>
+        {revisions
+          .map((rev, index) => ({ rev, index }))
+          .reverse()
+          .map(({ rev, index }) => (
+            <li key={`${rev.at}-${index}`} style={S.revItem}>
+              <div style={S.revHead}>
+                <time dateTime={rev.at}>{new Date(rev.at).toLocaleString()}</time>
+                {index === newest ? (
+                  <span style={S.hint}>Current version</span>
+                ) : (
+                  <button style={S.smallBtn} onClick={() => onRestore(index)}>
+                    ↺ Restore this version
+                  </button>
+                )}
+              </div>
+              <table style={S.conflictTable}>
+                <tbody>
+                  {Object.entries(rev.changes).map(([field, { from, to }]) => (
+                    <tr key={field}>
+                      <th style={{ ...S.conflictTd, width: 120, textAlign: "left" }}>
+                        {FIELD_LABELS[field] ?? field}
+                      </th>
+                      <td style={S.conflictTd}>
+                        <Change field={field} from={from} to={to} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </li>
+          ))}
+      </ol>
+      <div style={S.revHead}>
+        <span style={S.hint}>Before the first recorded change</span>
+        <button style={S.smallBtn} onClick={() => onRestore(-1)}>
+          ↺ Restore original
+        </button>
+      </div>
+    </section>
+  );
+}
+
+function Change({ field, from, to }) {
+  if (PROSE.has(field) && from && to) {
+    return (
+      <span style={{ whiteSpace: "pre-wrap" }}>
+        {diffWords(from, to).map((part, i) =>
+          part.type === "same" ? (
+            <span key={i}>{part.text}</span>
+          ) : part.type === "del" ? (
+            <del key={i} style={S.diffDel}>
+              {part.text}
+            </del>
+          ) : (
+            <ins key={i} style={S.diffAdd}>
+              {part.text}
+            </ins>
+          )
+        )}
+      </span>
+    );
+  }
+  return (
+    <span>
+      <del style={S.diffDel}>{formatValue(field, from)}</del> →{" "}
+      <ins style={S.diffAdd}>{formatValue(field, to)}</ins>
+    </span>
+  );
+}
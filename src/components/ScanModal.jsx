@@ -0,0 +1,317 @@
+import { useEffect, useRef, useState } from "react";
+import { S } from "../styles.js";
+import { Modal } from "./ui.jsx";
+import { EMPTY_FORM, toPayload } from "../lib/book.js";
+import { validateBook } from "../lib/schema.js";
+import { createBarcodeReader } from "../lib/barcode.js";
+import { fillFromCatalog } from "../catalog/index.js";
+
+const SCAN_EVERY_MS = 250;
+const SAME_CODE_MS = 2500; // ignore the same barcode held in front of the camera
+
+/*
+ * Scan ISBN barcodes with the camera (or from photos).
+ * Single mode hands the first book to the Add form via `onScanned(form)`;
+ * batch mode collects books into a review list and creates them with `onAddAll(payloads, onProgress)`.
+ */
+export default function ScanModal({ books, catalog, onScanned, onAddAll, onClose }) {
+  const [batch, setBatch] = useState(false);
+  const [camera, setCamera] = useState({ on: false, error: "" });
+  const [note, setNote] = useState("");
+  const [items, setItems] = useState([]); // { isbn, state: "looking" | "found" | "missing", form }
+  const [skipOwned, setSkipOwned] = useState(true);
+  const [progress, setProgress] = useState(null); // { done, total }
+
+  const videoRef = useRef(null);
+  const [reader] = useState(createBarcodeReader);
+  const onCode = useRef(null);
+  const lastCode = useRef({ isbn: "", at: 0 });
+
+  const owned = new Set(books.map((b) => b.isbn).filter(Boolean));
+
+  const lookup = async (isbn) => {
+    const base = { ...EMPTY_FORM, isbn };
+    try {
+      const found = await catalog.lookup(isbn);
+      return found ? fillFromCatalog(base, found).form : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const handleCode = async (isbn) => {
+    const now = Date.now();
+    if (lastCode.current.isbn === isbn && now - lastCode.current.at < SAME_CODE_MS) return;
+    lastCode.current = { isbn, at: now };
+
+    if (!batch) {
+      setCamera({ on: false, error: "" });
+      setNote(`Found ${isbn}, looking it up…`);
+      onScanned((await lookup(isbn)) ?? { ...EMPTY_FORM, isbn });
+      return;
+    }
+
+    if (items.some((it) => it.isbn === isbn)) {
+      setNote(`${isbn} is already in the list.`);
+      return;
+    }
+    navigator.vibrate?.(60);
+    setNote(`Scanned ${isbn}`);
+    setItems((list) => [{ isbn, state: "looking", form: { ...EMPTY_FORM, isbn } }, ...list]);
+    const form = await lookup(isbn);
+    setItems((list) =>
+      list.map((it) =>
+        it.isbn === isbn && it.state === "looking"
+          ? { ...it, state: form ? "found" : "missing", form: form ?? it.form }
+          : it
+      )
+    );
+  };
+
+  /* The scan loop always calls the latest handler */
+  useEffect(() => {
+    onCode.current = handleCode;
+  });
+
+  /* Camera stream + scan loop while the camera is on */
+  useEffect(() => {
+    if (!camera.on) return;
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+
+    const tick = async () => {
+      const video = videoRef.current;
+      if (stopped) return;
+      if (video?.readyState >= 2) {
+        const isbn = await reader.detect(video);
+        if (isbn && !stopped) await onCode.current(isbn);
+      }
+      if (!stopped) timer = setTimeout(tick, SCAN_EVERY_MS);
+    };
+
+    (async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: "environment" },
+          audio: false,
+        });
+        if (stopped) return stream.getTracks().forEach((t) => t.stop());
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play().catch(() => {});
+        tick();
+      } catch {
+        setCamera({
+          on: false,
+          error: "Camera not available. Allow access, or scan a photo instead.",
+        });
+      }
+    })();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach((t) => t.stop());
+    };
+  }, [camera.on, reader]);
+
+  /* Photo fallback: every picked image is searched for a barcode */
+  const readPhotos = async (files) => {
+    for (const file of files) {
+      try {
+        const bitmap = await createImageBitmap(file);
+        const isbn = await reader.detect(bitmap);
+        bitmap.close?.();
+        if (isbn) await handleCode(isbn);
+        else setNote(`No ISBN barcode found in ${file.name}.`);
+      } catch {
+        setNote(`Could not open ${file.name}.`);
+      }
+      if (!batch) break;
+    }
+  };
+
+  const editItem = (isbn, patch) =>
+    setItems((list) =>
+      list.map((it) => (it.isbn === isbn ? { ...it, form: { ...it.form, ...patch } } : it))
+    );
+
+  const ready = items.filter(
+    (it) => it.state !== "looking" && !validateBook(it.form) && !(skipOwned && owned.has(it.isbn))
+  );
+  const ownedCount = items.filter((it) => owned.has(it.isbn)).length;
+
+  const addAll = async () => {
+    const payloads = ready.map((it) => toPayload(it.form));
+    setCamera({ on: false, error: "" });
+    setProgress({ done: 0, total: payloads.length });
+    await onAddAll(payloads, (done) => setProgress((p) => ({ ...p, done })));
+    onClose();
+  };
+
+  return (
+    <Modal onClose={progress ? () => {} : onClose} label="Scan barcodes">
+      <div style={S.modalTitleRow}>
+        <h3 style={S.modalTitle}>Scan barcodes</h3>
+        <button style={S.iconBtn} onClick={onClose} aria-label="close">
+          ✕
+        </button>
+      </div>
+
+      <div style={S.formGrid}>
+        <div style={S.segmented} role="radiogroup" aria-label="Scan mode">
+          {[
+            [false, "One book"],
+            [true, "Batch"],
+          ].map(([value, label]) => (
+            <button
+              key={label}
+              role="radio"
+              aria-checked={batch === value}
+              style={{ ...S.segment, ...(batch === value ? S.segmentOn : null) }}
+              onClick={() => setBatch(value)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div style={S.scanView}>
+          {camera.on ? (
+            <>
+              <video ref={videoRef} style={S.scanVideo} muted playsInline />
+              <div style={S.scanAim} />
+            </>
+          ) : (
+            <div style={{ ...S.hint, textAlign: "center", padding: 16 }}>
+              {camera.error ||
+                (batch
+                  ? "Scan book after book; they collect in the list below."
+                  : "Point the camera at the barcode on the back cover.")}
+            </div>
+          )}
+        </div>
+
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+          <button
+            style={camera.on ? S.secondaryBtn : S.primaryBtn}
+            onClick={() => setCamera((c) => ({ on: !c.on, error: "" }))}
+          >
+            {camera.on ? "⏹ Stop camera" : "📷 Start camera"}
+          </button>
+          <label style={{ ...S.secondaryBtn, display: "inline-block" }}>
+            🖼️ Scan a photo
+            <input
+              type="file"
+              accept="image/*"
+              multiple={batch}
+              style={{ display: "none" }}
+              onChange={(e) => {
+                readPhotos([...(e.target.files ?? [])]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          {note && <span style={S.hint}>{note}</span>}
+        </div>
+
+        {batch && items.length > 0 && (
+          <>
+            <div style={S.importSummary}>
+              <span style={S.pill}>{ready.length} ready</span>
+              {ownedCount > 0 && (
+                <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13 }}>
+                  <input
+                    type="checkbox"
+                    checked={skipOwned}
+                    onChange={(e) => setSkipOwned(e.target.checked)}
+                  />
+                  Skip {ownedCount} already in the archive
+                </label>
+              )}
+            </div>
+            <div style={S.importPreview}>
+              <table style={S.conflictTable}>
+                <thead>
+                  <tr>
+                    <th style={S.conflictTh}>ISBN</th>
+                    <th style={S.conflictTh}>Title</th>
+                    <th style={S.conflictTh}>Author</th>
+                    <th style={S.conflictTh}>Check</th>
+                    <th style={S.conflictTh} />
+                  </tr>
+                </thead>
+                <tbody>
+                  {items.map((it) => (
+                    <tr key={it.isbn}>
+                      <td style={S.conflictTd}>{it.isbn}</td>
+                      <td style={S.conflictTd}>
+                        <input
+                          style={S.scanCell}
+                          value={it.form.title}
+                          onChange={(e) => editItem(it.isbn, { title: e.target.value })}
+                          placeholder="Title"
+                          aria-label={`Title for ${it.isbn}`}
+                        />
+                      </td>
+                      <td style={S.conflictTd}>
+                        <input
+                          style={S.scanCell}
+                          value={it.form.author}
+                          onChange={(e) => editItem(it.isbn, { author: e.target.value })}
+                          placeholder="Author"
+                          aria-label={`Author for ${it.isbn}`}
+                        />
+                      </td>
+                      <td style={S.conflictTd}>
+                        {it.state === "looking"
+                          ? "⏳ Looking up…"
+                          : owned.has(it.isbn)
+                            ? "⚠️ Already in archive"
+                            : validateBook(it.form)
+                              ? "✍️ Fill in title and author"
+                              : it.state === "missing"
+                                ? "✓ OK (not in catalog)"
+                                : "✓ OK"}
+                      </td>
+                      <td style={S.conflictTd}>
+                        <button
+                          style={S.iconBtn}
+                          onClick={() => setItems((list) => list.filter((x) => x !== it))}
+                          aria-label={`Remove ${it.isbn}`}
+                        >
+                          ✕
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        {progress && (
+          <div style={S.hint}>
+            Adding {progress.done}/{progress.total}…
+          </div>
+        )}
+      </div>
+
+      <div style={S.modalFooter}>
+        <button style={S.secondaryBtn} onClick={onClose}>
+          Cancel
+        </button>
+        {batch && (
+          <button
+            style={{ ...S.primaryBtn, ...(ready.length && !progress ? null : S.btnDisabled) }}
+            disabled={!ready.length || !!progress}
+            onClick={addAll}
+          >
+            Add {ready.length || ""} book{ready.length === 1 ? "" : "s"}
+          </button>
+        )}
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,110 @@
+import { useState } from "react";
+import { S } from "../styles.js";
+import { clampRating } from "../lib/book.js";
+
+const STARS = [1, 2, 3, 4, 5];
+const STEP = 0.5;
+
+/* A ★ glyph filled from the left: 1 = whole star, 0.5 = half, 0 = empty */
+const starFill = (fill, on, off) => {
+  const pct = Math.max(0, Math.min(1, fill)) * 100;
+  return {
+    backgroundImage: `linear-gradient(90deg, ${on} ${pct}%, ${off} ${pct}%)`,
+    WebkitBackgroundClip: "text",
+    backgroundClip: "text",
+    color: "transparent",
+  };
+};
+
+const ratingText = (v) => (v ? `${v} out of 5 stars` : "No rating");
+
+/* Read-only stars for cards and the detail page */
+export function Stars({ rating, style }) {
+  const r = clampRating(rating);
+  return (
+    <div style={{ ...S.starsLine, ...style }} role="img" aria-label={`Rated ${r} out of 5`}>
+      {STARS.map((star) => (
+        <span key={star} style={starFill(r - star + 1, "#f59e0b", "#cbd5e1")}>
+          ★
+        </span>
+      ))}
+    </div>
+  );
+}
+
+/*
+ * Rating input in half stars. Pointing at the left half of a star previews (and a click sets)
+ * the half star; from the keyboard it's a slider: arrows move half a star, Page Up/Down a
+ * whole one, Home clears and End gives five.
+ */
+export function StarRating({ value, onChange }) {
+  const v = clampRating(value);
+  const [hover, setHover] = useState(null);
+  const shown = hover ?? v;
+  const set = (next) => onChange(clampRating(next));
+
+  const onKeyDown = (e) => {
+    const next = {
+      ArrowRight: v + STEP,
+      ArrowUp: v + STEP,
+      ArrowLeft: v - STEP,
+      ArrowDown: v - STEP,
+      PageUp: v + 1,
+      PageDown: v - 1,
+      Home: 0,
+      End: 5,
+    }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    set(next);
+  };
+
+  const pointAt = (e, star) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    return e.clientX < box.left + box.width / 2 ? star - STEP : star;
+  };
+
+  return (
+    <div style={S.ratingBox}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <div
+          role="slider"
+          tabIndex={0}
+          aria-label="Rating"
+          aria-valuemin={0}
+          aria-valuemax={5}
+          aria-valuenow={v}
+          aria-valuetext={ratingText(v)}
+          style={S.starSlider}
+          onKeyDown={onKeyDown}
+          onPointerLeave={() => setHover(null)}
+        >
+          {STARS.map((star) => (
+            <span
+              key={star}
+              aria-hidden="true"
+              title={`Rate ${star - STEP} or ${star}`}
+              style={{ ...S.starBtn, ...(shown > star - 1 ? S.starBtnOn : null) }}
+              onPointerMove={(e) => setHover(pointAt(e, star))}
+              onClick={(e) => set(pointAt(e, star))}
+            >
+              <span style={starFill(shown - star + 1, "#d97706", "#94a3b8")}>★</span>
+            </span>
+          ))}
+        </div>
+
+        <button
+          type="button"
+          style={S.clearRatingBtn}
+          onClick={() => onChange(0)}
+          aria-label="Clear rating"
+        >
+          Clear
+        </button>
+      </div>
+      <div style={S.ratingHint}>
+        {hover !== null ? `Rate ${hover}/5` : v === 0 ? "No rating" : `${v}/5`}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import { useMemo } from "react";
+import { S } from "../styles.js";
+import { summarize } from "../lib/stats.js";
+
+/* Reading stats for the given (already filtered) list, drawn with plain SVG */
+export default function StatsView({ books, filteredOut }) {
+  const st = useMemo(() => summarize(books), [books]);
+
+  return (
+    <div style={S.statsGrid}>
+      {filteredOut > 0 && (
+        <div style={{ ...S.hint, gridColumn: "1 / -1", marginTop: -6 }}>
+          Showing stats for {books.length} books matching the current filters ({filteredOut}{" "}
+          hidden).
+        </div>
+      )}
+
+      <div style={{ ...S.statsCard, gridColumn: "1 / -1" }}>
+        <div style={S.statsTiles}>
+          <Tile label="Books" value={st.total} />
+          <Tile label="Finished" value={st.finished} />
+          <Tile label="Reading now" value={st.reading} />
+          <Tile label="Avg rating" value={st.avgRating ? st.avgRating.toFixed(1) : "–"} />
+        </div>
+      </div>
+
+      <ChartCard title="Finished per month" wide>
+        <BarChart data={st.byMonth} label="Books finished per month" />
+      </ChartCard>
+
+      <ChartCard title="Finished per year">
+        {st.byYear.length ? (
+          <BarChart data={st.byYear} label="Books finished per year" />
+        ) : (
+          <Empty />
+        )}
+      </ChartCard>
+
+      <ChartCard title="Rating distribution">
+        <BarChart data={st.ratings} color="#f59e0b" label="Rating distribution" />
+      </ChartCard>
+
+      <ChartCard title="Favorites">
+        <Donut ratio={st.favoriteRatio} label={`${st.favorites} of ${st.total}`} />
+      </ChartCard>
+
+      <ChartCard title="Top authors">
+        {st.topAuthors.length ? (
+          <HBars
+            rows={st.topAuthors.map((a) => ({ key: a.name, label: a.name, value: a.count }))}
+            format={(v) => `${v} book${v === 1 ? "" : "s"}`}
+          />
+        ) : (
+          <Empty />
+        )}
+      </ChartCard>
+
+      <ChartCard title="Average rating per author">
+        {st.bestRatedAuthors.length ? (
+          <HBars
+            rows={st.bestRatedAuthors.map((a) => ({
+              key: a.name,
+              label: a.name,
+              value: a.avgRating,
+            }))}
+            max={5}
+            color="#f59e0b"
+            format={(v) => `${v.toFixed(1)}★`}
+          />
+        ) : (
+          <Empty />
+        )}
+      </ChartCard>
+    </div>
+  );
+}
+
+function Tile({ label, value }) {
+  return (
+    <div style={S.statsTile}>
+      <div style={S.statsTileValue}>{value}</div>
+      <div style={S.statsTileLabel}>{label}</div>
+    </div>
+  );
+}
+
+function ChartCard({ title, wide, children }) {
+  return (
+    <section style={{ ...S.statsCard, ...(wide ? { gridColumn: "1 / -1" } : null) }}>
+      <h3 style={S.statsTitle}>{title}</h3>
+      {children}
+    </section>
+  );
+}
+
+function Empty() {
+  return <div style={S.hint}>Nothing to show yet.</div>;
+}
+
+/* Vertical bars; data = [{ key, label, sub?, value }] */
+function BarChart({ data, label, color = "#a78bfa" }) {
+  const max = Math.max(1, ...data.map((d) => d.value));
+  const w = 100 / data.length;
+  const H = 120;
+
+  return (
+    <svg
+      viewBox={`0 0 100 ${H + 24}`}
+      preserveAspectRatio="none"
+      style={S.chart}
+      role="img"
+      aria-label={label}
+    >
+      {data.map((d, i) => {
+        const h = (d.value / max) * H;
+        return (
+          <g key={d.key}>
+            <title>{`${d.label}${d.sub ? ` ${d.sub}` : ""}: ${d.value}`}</title>
+            <rect
+              x={i * w + w * 0.15}
+              y={H - h}
+              width={w * 0.7}
+              height={Math.max(h, d.value ? 1 : 0)}
+              rx={1.5}
+              fill={color}
+              opacity={0.85}
+            />
+            {d.value > 0 && (
+              <text x={i * w + w / 2} y={H - h - 2} textAnchor="middle" style={S.chartValue}>
+                {d.value}
+              </text>
+            )}
+            <text x={i * w + w / 2} y={H + 10} textAnchor="middle" style={S.chartLabel}>
+              {d.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/* Horizontal bars with labels, for ranked lists */
+function HBars({ rows, max, color = "#f472b6", format = String }) {
+  const top = max ?? Math.max(1, ...rows.map((r) => r.value));
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      {rows.map((r) => (
+        <div key={r.key} style={S.hbarRow}>
+          <span style={S.hbarLabel} title={r.label}>
+            {r.label}
+          </span>
+          <div style={{ ...S.progressTrack, marginTop: 0, flex: 1 }}>
+            <div
+              style={{ ...S.progressFill, width: `${(r.value / top) * 100}%`, background: color }}
+            />
+          </div>
+          <span style={S.hbarValue}>{format(r.value)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Donut({ ratio, label }) {
+  const r = 40;
+  const c = 2 * Math.PI * r;
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 16 }}>
+      <svg
+        viewBox="0 0 100 100"
+        width={120}
+        height={120}
+        role="img"
+        aria-label={`${Math.round(ratio * 100)}% favorites`}
+      >
+        <circle cx={50} cy={50} r={r} fill="none" stroke="#e2e8f0" strokeWidth={12} />
+        <circle
+          cx={50}
+          cy={50}
+          r={r}
+          fill="none"
+          stroke="#f43f5e"
+          strokeWidth={12}
+          strokeDasharray={`${ratio * c} ${c}`}
+          strokeLinecap={ratio > 0 ? "round" : "butt"}
+          transform="rotate(-90 50 50)"
+        />
+        <text x={50} y={55} textAnchor="middle" style={{ fontSize: 16, fontWeight: 900 }}>
+          {Math.round(ratio * 100)}%
+        </text>
+      </svg>
+      <div style={S.statsTileLabel}>♥ {label}</div>
+    </div>
+  );
+}
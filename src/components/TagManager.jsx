@@ -0,0 +1,176 @@
+import { useId, useState } from "react";
+import { S } from "../styles.js";
+import { Modal } from "./ui.jsx";
+import { MAX_TAG_LENGTH } from "../lib/schema.js";
+import { TAG_FIELDS, collectTags, hasTag } from "../lib/tags.js";
+
+/*
+ * Rename, merge and delete shelves and tags across the archive.
+ * `onRetag(field, from, to)` applies the change to every book; `to` null deletes.
+ */
+export default function TagManager({ books, onRetag, onClose }) {
+  const [field, setField] = useState("shelves");
+  const [busy, setBusy] = useState(false);
+  const names = collectTags(books, field);
+
+  const run = async (from, to) => {
+    setBusy(true);
+    try {
+      await onRetag(field, from, to);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal onClose={busy ? () => {} : onClose} label="Shelves & tags">
+      <div style={S.modalTitleRow}>
+        <h3 style={S.modalTitle}>Shelves & tags</h3>
+        <button style={S.iconBtn} onClick={onClose} aria-label="close">
+          ✕
+        </button>
+      </div>
+
+      <div style={S.segmented} role="tablist">
+        {Object.entries(TAG_FIELDS).map(([key, f]) => (
+          <button
+            key={key}
+            role="tab"
+            aria-selected={field === key}
+            style={{ ...S.segment, ...(field === key ? S.segmentOn : null) }}
+            onClick={() => setField(key)}
+          >
+            {f.icon} {f.label}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display: "grid", gap: 8, marginTop: 14 }}>
+        {names.length === 0 ? (
+          <p style={S.hint}>
+            No {TAG_FIELDS[field].label.toLowerCase()} yet. Add some from a book's Edit form.
+          </p>
+        ) : (
+          names.map((t) => (
+            <TagRow
+              key={`${field}:${t.name}`}
+              tag={t}
+              others={names.filter((o) => o !== t)}
+              what={TAG_FIELDS[field].one}
+              disabled={busy}
+              onRename={(to) => run(t.name, to)}
+              onDelete={() => run(t.name, null)}
+            />
+          ))
+        )}
+      </div>
+
+      <div style={S.modalFooter}>
+        <button style={S.secondaryBtn} onClick={onClose} disabled={busy}>
+          Done
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+function TagRow({ tag, others, what, disabled, onRename, onDelete }) {
+  const [mode, setMode] = useState(null); // null | "rename" | "delete"
+  const [name, setName] = useState(tag.name);
+  const errorId = useId();
+  const target = others.find((o) => hasTag([o.name], name));
+  const books = `${tag.count} book${tag.count === 1 ? "" : "s"}`;
+
+  if (mode === "rename") {
+    const error =
+      name.trim().length > MAX_TAG_LENGTH ? `Keep it under ${MAX_TAG_LENGTH} characters` : null;
+    const submit = () => {
+      if (error) return;
+      if (name.trim() && name.trim() !== tag.name) onRename(target ? target.name : name.trim());
+      setMode(null);
+    };
+    return (
+      <div style={S.tagManageRow}>
+        <input
+          style={{ ...S.input, flex: 1, padding: "8px 10px", ...(error && S.inputInvalid) }}
+          value={name}
+          autoFocus
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") submit();
+            if (e.key === "Escape") {
+              e.stopPropagation();
+              setMode(null);
+            }
+          }}
+          aria-label={`New name for ${tag.name}`}
+          aria-invalid={error ? true : undefined}
+          aria-describedby={error ? errorId : undefined}
+        />
+        <button style={S.smallBtn} onClick={submit} disabled={disabled || !!error}>
+          {target ? `Merge into “${target.name}”` : "Rename"}
+        </button>
+        <button style={S.smallBtn} onClick={() => setMode(null)}>
+          Cancel
+        </button>
+        {error && (
+          <div id={errorId} style={{ ...S.fieldError, flexBasis: "100%" }}>
+            ❌ {error}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (mode === "delete") {
+    return (
+      <div style={S.tagManageRow}>
+        <span style={{ flex: 1, fontSize: 14, color: "#334155" }}>
+          Remove the {what} “{tag.name}” from {books}?
+        </span>
+        <button style={S.smallDangerBtn} onClick={onDelete} disabled={disabled}>
+          Remove
+        </button>
+        <button style={S.smallBtn} onClick={() => setMode(null)}>
+          Cancel
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={S.tagManageRow}>
+      <span style={{ flex: 1, fontWeight: 800, color: "#0f172a" }}>{tag.name}</span>
+      <span style={S.hint}>{books}</span>
+      {others.length > 0 && (
+        <select
+          style={S.select}
+          value=""
+          disabled={disabled}
+          onChange={(e) => e.target.value && onRename(e.target.value)}
+          aria-label={`Merge ${tag.name} into`}
+        >
+          <option value="">Merge into…</option>
+          {others.map((o) => (
+            <option key={o.name} value={o.name}>
+              {o.name}
+            </option>
+          ))}
+        </select>
+      )}
+      <button
+        style={S.smallBtn}
+        disabled={disabled}
+        onClick={() => {
+          setName(tag.name);
+          setMode("rename");
+        }}
+      >
+        Rename
+      </button>
+      <button style={S.smallDangerBtn} disabled={disabled} onClick={() => setMode("delete")}>
+        Delete
+      </button>
+    </div>
+  );
+}
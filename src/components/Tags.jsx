@@ -0,0 +1,176 @@
+import { useState } from "react";
+import { S } from "../styles.js";
+import { TAG_FIELDS, cleanTags, getTags, hasTag, suggestTags } from "../lib/tags.js";
+
+/*
+ * Chip editor with autocomplete from `known` ([{ name, count }]).
+ * Enter or comma adds what's typed (or the suggestion picked with the arrow keys), Tab completes.
+ */
+export function TagInput({ value, onChange, known, placeholder }) {
+  const [text, setText] = useState("");
+  const [active, setActive] = useState(-1);
+  const [open, setOpen] = useState(false);
+
+  const options = open ? suggestTags(known, text, value) : [];
+  const add = (name) => {
+    /* Reuse the archive's spelling when the name already exists */
+    const existing = known.find((k) => hasTag([k.name], name));
+    onChange(cleanTags([...value, existing?.name ?? name]));
+    setText("");
+    setActive(-1);
+  };
+  const remove = (name) => onChange(value.filter((t) => t !== name));
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" && options.length) {
+      e.preventDefault();
+      setActive((i) => (i + 1) % options.length);
+    } else if (e.key === "ArrowUp" && options.length) {
+      e.preventDefault();
+      setActive((i) => (i <= 0 ? options.length - 1 : i - 1));
+    } else if (e.key === "Enter" || e.key === ",") {
+      const name = options[active]?.name ?? text;
+      if (!name.trim()) return;
+      e.preventDefault();
+      add(name);
+    } else if (e.key === "Tab" && text.trim() && options.length) {
+      e.preventDefault();
+      add(options[Math.max(active, 0)].name);
+    } else if (e.key === "Backspace" && !text && value.length) {
+      remove(value.at(-1));
+    } else if (e.key === "Escape" && open) {
+      e.stopPropagation();
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div style={{ position: "relative" }}>
+      <div style={S.tagInput}>
+        {value.map((t) => (
+          <span key={t} style={S.tagChip}>
+            {t}
+            <button
+              type="button"
+              style={S.tagRemove}
+              onClick={() => remove(t)}
+              aria-label={`Remove ${t}`}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        <input
+          style={S.tagInputField}
+          value={text}
+          placeholder={value.length ? "" : placeholder}
+          onChange={(e) => {
+            setText(e.target.value);
+            setActive(-1);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={onKeyDown}
+          role="combobox"
+          aria-expanded={options.length > 0}
+          aria-autocomplete="list"
+        />
+      </div>
+      {options.length > 0 && (
+        <div style={S.tagSuggest} role="listbox">
+          {options.map((o, i) => (
+            <button
+              key={o.name}
+              type="button"
+              role="option"
+              aria-selected={i === active}
+              style={{ ...S.menuItem, ...(i === active ? S.tagSuggestOn : null) }}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => add(o.name)}
+            >
+              {o.name}
+              <span style={S.menuExt}>{o.count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Shelf and tag chips on a card or detail page; clicking one filters the list */
+export function TagChips({ book, onPick }) {
+  const chips = Object.entries(TAG_FIELDS).flatMap(([field, f]) =>
+    getTags(book, field).map((name) => ({ field, name, icon: f.icon }))
+  );
+  if (!chips.length) return null;
+
+  return (
+    <div style={S.tagRow}>
+      {chips.map((c) => (
+        <button
+          key={`${c.field}:${c.name}`}
+          style={{
+            ...S.tagChip,
+            ...(c.field === "shelves" ? S.shelfChip : null),
+            cursor: "pointer",
+          }}
+          onClick={() => onPick(c.field, c.name)}
+          title={`Show ${TAG_FIELDS[c.field].one} “${c.name}”`}
+        >
+          {c.icon === "#" ? `#${c.name}` : `${c.icon} ${c.name}`}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/* Shelf sidebar: every shelf and tag with counts; the picked ones filter the list */
+export function CollectionsBar({ shelves, tags, shelf, tag, onShelf, onTag, onManage }) {
+  if (!shelves.length && !tags.length) return null;
+
+  return (
+    <aside style={S.collections} aria-label="Shelves and tags">
+      {shelves.length > 0 && (
+        <div style={S.collectionsRow}>
+          <span style={S.filterLabel}>📚 Shelves</span>
+          {shelves.map((s) => {
+            const on = hasTag([shelf], s.name);
+            return (
+              <button
+                key={s.name}
+                style={{ ...S.tab, ...(on ? S.tabActive : null) }}
+                onClick={() => onShelf(on ? "" : s.name)}
+                aria-pressed={on}
+              >
+                {s.name} <span style={S.tabCount}>{s.count}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+      {tags.length > 0 && (
+        <div style={S.collectionsRow}>
+          <span style={S.filterLabel}># Tags</span>
+          {tags.map((t) => {
+            const on = hasTag([tag], t.name);
+            return (
+              <button
+                key={t.name}
+                style={{ ...S.tagChip, ...(on ? S.chipActive : null), cursor: "pointer" }}
+                onClick={() => onTag(on ? "" : t.name)}
+                aria-pressed={on}
+              >
+                #{t.name} <span style={S.tabCount}>{t.count}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+      <button style={{ ...S.smallBtn, alignSelf: "flex-start" }} onClick={onManage}>
+        ⚙ Manage shelves & tags
+      </button>
+    </aside>
+  );
+}
@@ -0,0 +1,73 @@
+import { useState } from "react";
+import { S } from "../styles.js";
+import { Link } from "./ui.jsx";
+import { Cover } from "./Cover.jsx";
+
+const deletedOn = (iso) => {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "" : d.toLocaleDateString();
+};
+
+/* Page at /trash: deleted books can be restored, or purged from the backend for good */
+export default function TrashView({ books, backTo, onRestore, onPurge }) {
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+
+  return (
+    <section style={S.detail} aria-label="Trash">
+      <div style={S.detailTop}>
+        <Link to={backTo} style={S.backLink}>
+          ← Back to archive
+        </Link>
+        {books.length > 0 &&
+          (confirmEmpty ? (
+            <span style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <span style={S.hint}>Delete {books.length} for good?</span>
+              <button
+                style={S.smallDangerBtn}
+                onClick={() => {
+                  setConfirmEmpty(false);
+                  onPurge(books);
+                }}
+              >
+                Empty trash
+              </button>
+              <button style={S.smallBtn} onClick={() => setConfirmEmpty(false)}>
+                Cancel
+              </button>
+            </span>
+          ) : (
+            <button style={S.smallDangerBtn} onClick={() => setConfirmEmpty(true)}>
+              🔥 Empty trash
+            </button>
+          ))}
+      </div>
+
+      {books.length === 0 ? (
+        <div style={{ ...S.emptyText, padding: "24px 0" }}>
+          The trash is empty. Deleted books show up here until you purge them.
+        </div>
+      ) : (
+        <ul style={S.trashList}>
+          {books.map((b) => (
+            <li key={b.id} style={S.trashRow}>
+              <div style={{ ...S.stripCover, overflow: "hidden" }}>
+                <Cover book={b} alt="" />
+              </div>
+              <div style={{ minWidth: 0, flex: 1 }}>
+                <div style={S.cardTitle}>{b.title}</div>
+                <div style={S.cardAuthor}>by {b.author}</div>
+                <div style={S.hint}>Deleted {deletedOn(b.deletedAt)}</div>
+              </div>
+              <button style={S.smallBtn} onClick={() => onRestore([b])}>
+                ♻️ Restore
+              </button>
+              <button style={S.smallDangerBtn} onClick={() => onPurge([b])}>
+                Delete forever
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
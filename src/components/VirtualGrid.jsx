@@ -0,0 +1,125 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { S } from "../styles.js";
+
+const WINDOW_FROM = 60; // shorter lists render in full, so find-in-page keeps working
+const ROW_ESTIMATE = 330; // px per row until one has been measured
+const OVERSCAN = 800; // px of rows kept mounted above and below the viewport
+const ROW_GAP = 16; // same as S.grid's gap
+const SCROLL_STEP = 200; // px of scrolling before the window is worked out again
+
+/* Same breakpoints as the .__gridfix media queries */
+const columnsFor = (width) => (width <= 640 ? 1 : width <= 980 ? 2 : 3);
+
+/*
+ * The card grid. Long lists only mount the rows near the viewport; the rows above and below
+ * become padding, sized from rows measured so far, so the page keeps its scroll height.
+ * `items` need an `id`.
+ */
+export default function VirtualGrid({ items, renderItem }) {
+  if (items.length < WINDOW_FROM) {
+    return (
+      <div style={S.grid} data-gridfix="true">
+        {items.map(renderItem)}
+      </div>
+    );
+  }
+  return <WindowedGrid items={items} renderItem={renderItem} />;
+}
+
+function WindowedGrid({ items, renderItem }) {
+  const ref = useRef(null);
+  const observer = useRef(null);
+  /* The grid's top relative to the viewport, and the viewport size */
+  const [view, setView] = useState(() => ({
+    top: 0,
+    height: window.innerHeight,
+    width: window.innerWidth,
+  }));
+  const [heights, setHeights] = useState(() => new Map()); // row key -> px, gap included
+
+  useEffect(() => {
+    let frame = 0;
+    const measure = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => {
+        const top = Math.round(ref.current.getBoundingClientRect().top / SCROLL_STEP) * SCROLL_STEP;
+        const { innerHeight: height, innerWidth: width } = window;
+        setView((v) =>
+          v.top === top && v.height === height && v.width === width ? v : { top, height, width }
+        );
+      });
+    };
+    measure();
+    window.addEventListener("scroll", measure, { passive: true });
+    window.addEventListener("resize", measure);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("scroll", measure);
+      window.removeEventListener("resize", measure);
+    };
+  }, [items]);
+
+  useEffect(() => () => observer.current?.disconnect(), []);
+
+  /* Mounted rows report their height, which replaces the estimate for them */
+  const observeRow = useCallback((node) => {
+    if (!node || typeof ResizeObserver === "undefined") return;
+    observer.current ??= new ResizeObserver((entries) =>
+      setHeights((prev) => {
+        let next = prev;
+        for (const { target } of entries) {
+          const h = target.offsetHeight + ROW_GAP;
+          if (prev.get(target.dataset.row) === h) continue;
+          if (next === prev) next = new Map(prev);
+          next.set(target.dataset.row, h);
+        }
+        return next;
+      })
+    );
+    observer.current.observe(node);
+    return () => observer.current.unobserve(node);
+  }, []);
+
+  const cols = columnsFor(view.width);
+  const rowCount = Math.ceil(items.length / cols);
+  const rowKey = (r) => `${cols}:${items[r * cols].id}`;
+  const measured = [...heights.values()];
+  const estimate = measured.length
+    ? measured.reduce((a, b) => a + b, 0) / measured.length
+    : ROW_ESTIMATE;
+  const heightOf = (r) => heights.get(rowKey(r)) ?? estimate;
+
+  /* Rows overlapping the viewport plus the overscan on either side */
+  const from = -view.top - OVERSCAN;
+  const to = -view.top + view.height + OVERSCAN;
+  let first = 0;
+  let before = 0;
+  while (first < rowCount - 1 && before + heightOf(first) < from) before += heightOf(first++);
+  let last = first;
+  let y = before;
+  while (last < rowCount && y < to) y += heightOf(last++);
+  let after = 0;
+  for (let r = last; r < rowCount; r++) after += heightOf(r);
+
+  const rows = [];
+  for (let r = first; r < last; r++) rows.push(r);
+
+  return (
+    <div ref={ref} style={{ paddingTop: before, paddingBottom: after }}>
+      {rows.map((r) => (
+        <div
+          key={rowKey(r)}
+          ref={observeRow}
+          data-row={rowKey(r)}
+          style={{
+            ...S.grid,
+            gridTemplateColumns: `repeat(${cols}, minmax(0, 1fr))`,
+            marginBottom: ROW_GAP,
+          }}
+        >
+          {items.slice(r * cols, (r + 1) * cols).map(renderItem)}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+import { cloneElement, isValidElement, useEffect, useId, useRef, useState } from "react";
+import { S } from "../styles.js";
+import { navigate, toHref } from "../lib/router.js";
+
+/* ---------- Shared UI primitives ---------- */
+
+const CONTROLS = ["input", "select", "textarea"];
+
+/*
+ * A lone control is named by the label; anything else is grouped under it. `error` shows
+ * under the control, which is marked invalid and described by it.
+ */
+export function Field({ label, error, children }) {
+  const id = useId();
+  const errorId = `${id}-error`;
+  const lone = isValidElement(children) && CONTROLS.includes(children.type);
+  return (
+    <div
+      style={{ display: "grid", gap: 8 }}
+      role={lone ? undefined : "group"}
+      aria-labelledby={lone ? undefined : id}
+      aria-describedby={!lone && error ? errorId : undefined}
+    >
+      <div id={id} style={{ fontSize: 13, fontWeight: 700, color: "#334155" }}>
+        {label}
+      </div>
+      {lone
+        ? cloneElement(children, {
+            "aria-labelledby": id,
+            ...(error && { "aria-invalid": true, "aria-describedby": errorId }),
+            style: error ? { ...children.props.style, ...S.inputInvalid } : children.props.style,
+          })
+        : children}
+      {error && (
+        <div id={errorId} style={S.fieldError}>
+          ❌ {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/*
+ * Dialog: closes on an overlay click or Escape, keeps Tab inside, and hands focus back to
+ * whatever had it when it closes. `onSubmit` runs on Ctrl/Cmd+Enter.
+ */
+export function Modal({ children, onClose, onSubmit, label, style = S.modal }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const opener = document.activeElement;
+    const box = ref.current;
+    const first = box.querySelector("input, select, textarea") ?? box.querySelector(FOCUSABLE);
+    (first ?? box).focus();
+    return () => {
+      if (opener?.isConnected) opener.focus();
+    };
+  }, []);
+
+  const onKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      onClose();
+    } else if (e.key === "Enter" && (e.ctrlKey || e.metaKey) && onSubmit) {
+      e.preventDefault();
+      onSubmit();
+    } else if (e.key === "Tab") {
+      const items = [...ref.current.querySelectorAll(FOCUSABLE)];
+      if (!items.length) return;
+      const i = items.indexOf(document.activeElement);
+      if (e.shiftKey && i <= 0) {
+        e.preventDefault();
+        items.at(-1).focus();
+      } else if (!e.shiftKey && i === items.length - 1) {
+        e.preventDefault();
+        items[0].focus();
+      }
+    }
+  };
+
+  return (
+    <div style={S.overlay} onMouseDown={onClose}>
+      <div
+        ref={ref}
+        style={style}
+        role="dialog"
+        aria-modal="true"
+        aria-label={label}
+        tabIndex={-1}
+        onMouseDown={(e) => e.stopPropagation()}
+        onKeyDown={onKeyDown}
+      >
+        {children}
+      </div>
+    </div>
+  );
+}
+
+/* In-app link: real href (so open-in-new-tab works), client-side navigation on plain click */
+export function Link({ to, children, ...rest }) {
+  const onClick = (e) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+  return (
+    <a href={toHref(to)} onClick={onClick} {...rest}>
+      {children}
+    </a>
+  );
+}
+
+/*
+ * End of an infinite list: calls `onMore` while it's within a screen of the viewport, and
+ * keeps calling as pages arrive until it scrolls out (a narrow search may match few books
+ * per page). The button covers browsers without IntersectionObserver.
+ */
+export function LoadMore({ loading, onMore, children }) {
+  const ref = useRef(null);
+  const [near, setNear] = useState(false);
+
+  useEffect(() => {
+    if (typeof IntersectionObserver === "undefined") return;
+    const io = new IntersectionObserver(([entry]) => setNear(entry.isIntersecting), {
+      rootMargin: "100% 0px",
+    });
+    io.observe(ref.current);
+    return () => io.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (near && !loading) onMore();
+  });
+
+  return (
+    <div ref={ref} style={S.loadMore}>
+      <span style={S.hint}>{children}</span>
+      <button style={S.smallBtn} onClick={onMore} disabled={loading}>
+        {loading ? "Loading…" : "Load more"}
+      </button>
+    </div>
+  );
+}
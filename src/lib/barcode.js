@@ -0,0 +1,188 @@
+/*
+ * EAN-13 barcode reading (the barcode printed on book covers is the ISBN-13).
+ *
+ * Uses the browser's BarcodeDetector where there is one; elsewhere a small decoder
+ * scans rows of pixels, turns each into bar/space widths and looks for the
+ * 95-module EAN-13 layout: guard, 6 digits, middle guard, 6 digits, guard.
+ */
+import { normalizeIsbn } from "./isbn.js";
+
+/* Bar/space widths of each digit in the left-hand "L" code; "G" is the same reversed,
+   and the right-hand "R" code has the same widths starting with a bar */
+const L_WIDTHS = [
+  [3, 2, 1, 1],
+  [2, 2, 2, 1],
+  [2, 1, 2, 2],
+  [1, 4, 1, 1],
+  [1, 1, 3, 2],
+  [1, 2, 3, 1],
+  [1, 1, 1, 4],
+  [1, 3, 1, 2],
+  [1, 2, 1, 3],
+  [3, 1, 1, 2],
+];
+const G_WIDTHS = L_WIDTHS.map((w) => [...w].reverse());
+
+/* The L/G mix of the left half encodes the first digit */
+const FIRST_DIGIT = {
+  LLLLLL: 0,
+  LLGLGG: 1,
+  LLGGLG: 2,
+  LLGGGL: 3,
+  LGLLGG: 4,
+  LGGLLG: 5,
+  LGGGLL: 6,
+  LGLGLG: 7,
+  LGLGGL: 8,
+  LGGLGL: 9,
+};
+
+const RUNS = 59; // 3 + 6*4 + 5 + 6*4 + 3
+const MAX_DIGIT_ERROR = 0.38;
+
+export function isValidEan13(code) {
+  if (!/^\d{13}$/.test(code)) return false;
+  const sum = [...code.slice(0, 12)].reduce((acc, d, i) => acc + Number(d) * (i % 2 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(code[12]);
+}
+
+/* Best-matching digit for four runs, as { digit, error } per width table */
+function matchDigit(runs, tables) {
+  const total = runs.reduce((a, b) => a + b, 0);
+  let best = { digit: -1, error: Infinity, table: -1 };
+  tables.forEach((table, t) =>
+    table.forEach((widths, digit) => {
+      let error = 0;
+      for (let i = 0; i < 4; i++) error += Math.abs((runs[i] * 7) / total - widths[i]);
+      error /= 4;
+      if (error < best.error) best = { digit, error, table: t };
+    })
+  );
+  return best.error <= MAX_DIGIT_ERROR ? best : null;
+}
+
+/* Guard bars should each be about one module wide */
+const isGuard = (runs, module) => runs.every((r) => r > module * 0.4 && r < module * 1.8);
+
+/* Tries to read a code starting at run `at` (a bar); returns the 13 digits or null */
+function decodeAt(runs, at) {
+  const span = runs.slice(at, at + RUNS);
+  if (span.length < RUNS) return null;
+  const module = span.reduce((a, b) => a + b, 0) / 95;
+  if (!isGuard(span.slice(0, 3), module) || !isGuard(span.slice(27, 32), module)) return null;
+  if (!isGuard(span.slice(56, 59), module)) return null;
+
+  let parity = "";
+  let digits = "";
+  for (let i = 0; i < 6; i++) {
+    const m = matchDigit(span.slice(3 + i * 4, 7 + i * 4), [L_WIDTHS, G_WIDTHS]);
+    if (!m) return null;
+    parity += m.table === 0 ? "L" : "G";
+    digits += m.digit;
+  }
+  for (let i = 0; i < 6; i++) {
+    const m = matchDigit(span.slice(32 + i * 4, 36 + i * 4), [L_WIDTHS]);
+    if (!m) return null;
+    digits += m.digit;
+  }
+  if (!(parity in FIRST_DIGIT)) return null;
+  const code = FIRST_DIGIT[parity] + digits;
+  return isValidEan13(code) ? code : null;
+}
+
+/* Widths of alternating dark/light runs in one row of luminance values; first run is dark */
+export function toRuns(row) {
+  let min = 255;
+  let max = 0;
+  for (const v of row) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (max - min < 40) return [];
+  const threshold = (min + max) / 2;
+
+  const runs = [];
+  let dark = null;
+  for (const v of row) {
+    const d = v < threshold;
+    if (dark === null) {
+      if (!d) continue; // skip leading light pixels
+      dark = true;
+      runs.push(0);
+    } else if (d !== dark) {
+      dark = d;
+      runs.push(0);
+    }
+    runs[runs.length - 1]++;
+  }
+  return runs;
+}
+
+/* Reads an EAN-13 from a row of luminance values, in either direction */
+export function decodeRow(row) {
+  for (const line of [row, [...row].reverse()]) {
+    const runs = toRuns(line);
+    for (let at = 0; at + RUNS <= runs.length; at += 2) {
+      const code = decodeAt(runs, at);
+      if (code) return code;
+    }
+  }
+  return null;
+}
+
+/* Scans horizontal lines of an ImageData for a barcode; returns the digits or null */
+export function decodeImageData({ data, width, height }, lines = 24) {
+  const row = new Uint8ClampedArray(width);
+  for (let n = 0; n < lines; n++) {
+    /* Middle out, since people centre the barcode */
+    const offset = Math.ceil(n / 2) * (n % 2 ? 1 : -1);
+    const y = Math.round(height / 2 + (offset * height * 0.8) / lines);
+    if (y < 0 || y >= height) continue;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      row[x] = (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000;
+    }
+    const code = decodeRow(row);
+    if (code) return code;
+  }
+  return null;
+}
+
+/* Book barcodes are ISBN-13s ("Bookland" 978/979); other EANs are ignored */
+export const isbnFromBarcode = (code) => (/^97[89]/.test(code) ? normalizeIsbn(code) : null);
+
+/*
+ * Reader for video frames or images: detect(source) resolves to an ISBN-13 or null.
+ * Prefers the native BarcodeDetector, falling back to decodeImageData on a canvas.
+ */
+export function createBarcodeReader() {
+  const native =
+    typeof window !== "undefined" && "BarcodeDetector" in window
+      ? new window.BarcodeDetector({ formats: ["ean_13"] })
+      : null;
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+
+  const detect = async (source) => {
+    if (native) {
+      try {
+        const found = await native.detect(source);
+        const isbn = found.map((b) => isbnFromBarcode(b.rawValue)).find(Boolean);
+        if (isbn) return isbn;
+      } catch {
+        /* Some sources aren't supported natively; the fallback still works */
+      }
+    }
+    const w = source.videoWidth || source.naturalWidth || source.width;
+    const h = source.videoHeight || source.naturalHeight || source.height;
+    if (!w || !h || !ctx) return null;
+    const scale = Math.min(1, 1280 / w);
+    canvas.width = Math.round(w * scale);
+    canvas.height = Math.round(h * scale);
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    const code = decodeImageData(ctx.getImageData(0, 0, canvas.width, canvas.height));
+    return code ? isbnFromBarcode(code) : null;
+  };
+
+  return { native: !!native, detect };
+}
@@ -0,0 +1,45 @@
+/*
+ * Batch operations over a selection of books.
+ * runBatch() works through the items with at most `limit` in flight, reports progress after
+ * each one and never stops on a failure: it resolves to { done, failed: [{ item, error }] }.
+ */
+export const BATCH_CONCURRENCY = 4;
+
+export async function runBatch(items, worker, { limit = BATCH_CONCURRENCY, onProgress } = {}) {
+  const done = [];
+  const failed = [];
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      try {
+        done.push({ item, result: await worker(item) });
+      } catch (error) {
+        failed.push({ item, error });
+      }
+      onProgress?.(done.length + failed.length, items.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+  return { done, failed };
+}
+
+/* Ids from `anchor` to `id` inclusive, in the order they're shown (shift-click ranges) */
+export function rangeIds(order, anchor, id) {
+  const a = order.indexOf(anchor);
+  const b = order.indexOf(id);
+  if (a < 0 || b < 0) return [id];
+  return order.slice(Math.min(a, b), Math.max(a, b) + 1);
+}
+
+/* Adds or removes `ids` from the selection; a range takes the state of the clicked box */
+export function toggleSelection(selected, ids, on) {
+  const next = new Set(selected);
+  for (const id of ids) {
+    if (on) next.add(id);
+    else next.delete(id);
+  }
+  return next;
+}
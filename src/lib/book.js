@@ -0,0 +1,88 @@
+/* Book record helpers shared by the Add/Edit form and bulk flows */
+import { getStatus, readingFields, toDateInput } from "./reading.js";
+import { cleanTags, getTags } from "./tags.js";
+import { normalizeIsbn } from "./isbn.js";
+import { cleanQuotes, quotesToForm } from "./review.js";
+
+export const EMPTY_FORM = {
+  isbn: "",
+  title: "",
+  author: "",
+  coverImage: "",
+  description: "",
+  rating: 0,
+  status: "want",
+  startedAt: "",
+  finishedAt: "",
+  pageCount: "",
+  currentPage: "",
+  progress: 0,
+  tags: [],
+  shelves: [],
+  review: "",
+  quotes: [],
+};
+
+/* Random cover that older records were saved with when none was given */
+export const DEFAULT_COVER = "https://picsum.photos/400/520";
+
+/* 0-5; half stars are allowed, so 3.5 stays 3.5 */
+export const clampRating = (v) => Math.max(0, Math.min(5, Number(v || 0) || 0));
+
+/* The half star a rating falls in, rounded down: 4.5 stays 4.5 and never counts as 5 */
+export const halfStar = (v) => Math.floor(clampRating(v) * 2) / 2;
+
+/* 4.5 -> "4½", 0.5 -> "½" */
+export const formatRating = (v) => `${Math.floor(v) || ""}${v % 1 ? "½" : ""}`;
+
+/* Book record -> Add/Edit form values */
+export const bookToForm = (book) => ({
+  isbn: book.isbn || "",
+  title: book.title || "",
+  author: book.author || "",
+  coverImage: book.coverImage || "",
+  description: book.description || "",
+  rating: Number(book.rating || 0),
+  status: getStatus(book),
+  startedAt: toDateInput(book.startedAt),
+  finishedAt: toDateInput(book.finishedAt),
+  pageCount: book.pageCount ?? "",
+  currentPage: book.currentPage ?? "",
+  progress: Number(book.progress || 0),
+  tags: getTags(book, "tags"),
+  shelves: getTags(book, "shelves"),
+  review: book.review || "",
+  quotes: quotesToForm(book),
+});
+
+/* Form values -> trimmed payload sent to the API */
+export function toPayload(fields) {
+  return {
+    title: String(fields.title ?? "").trim(),
+    author: String(fields.author ?? "").trim(),
+    coverImage: String(fields.coverImage ?? "").trim(),
+    description: String(fields.description ?? "").trim(),
+    rating: clampRating(fields.rating),
+    isbn: normalizeIsbn(fields.isbn) ?? "",
+    ...readingFields(fields),
+    tags: cleanTags(fields.tags),
+    shelves: cleanTags(fields.shelves),
+    review: String(fields.review ?? "").trim(),
+    quotes: cleanQuotes(fields.quotes),
+  };
+}
+
+/* Lowercase without accents ("Café" -> "cafe") */
+export const fold = (s) =>
+  String(s ?? "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "");
+
+/* Case/punctuation-insensitive text, for spotting duplicates */
+export const normalizeText = (s) =>
+  fold(s)
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+export const bookKey = (b) => `${normalizeText(b.title)}|${normalizeText(b.author)}`;
@@ -0,0 +1,95 @@
+/* Cover images: cropping uploads to the card's shape, and the generated fallback cover */
+import { DEFAULT_COVER } from "./book.js";
+
+/* Stored size; same 0.69 aspect ratio as the card and detail cover frames */
+export const COVER_WIDTH = 400;
+export const COVER_HEIGHT = 576;
+
+export const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+/* Older records were saved with a random picsum photo; those count as "no cover" */
+export const coverSource = (value) => (value && value !== DEFAULT_COVER ? value : "");
+
+/* Open Library serves each cover in several sizes; cards only need the medium one */
+export const thumbSource = (src) =>
+  src.replace(/^(https:\/\/covers\.openlibrary\.org\/.+)-L\.jpg$/, "$1-M.jpg");
+
+/*
+ * Crop state is { zoom, x, y }: zoom >= 1 on top of the scale that just fills the frame,
+ * and x/y the image's top-left offset in output pixels (always <= 0, so no gaps show).
+ */
+export function clampCrop(img, { zoom, x, y }) {
+  const z = Math.max(1, Math.min(4, zoom));
+  const scale = Math.max(COVER_WIDTH / img.width, COVER_HEIGHT / img.height) * z;
+  const w = img.width * scale;
+  const h = img.height * scale;
+  return {
+    zoom: z,
+    x: Math.min(0, Math.max(COVER_WIDTH - w, x)),
+    y: Math.min(0, Math.max(COVER_HEIGHT - h, y)),
+    w,
+    h,
+  };
+}
+
+/* Centred crop at the given zoom */
+export function centerCrop(img, zoom = 1) {
+  const { w, h } = clampCrop(img, { zoom, x: 0, y: 0 });
+  return clampCrop(img, { zoom, x: (COVER_WIDTH - w) / 2, y: (COVER_HEIGHT - h) / 2 });
+}
+
+/* Zooms around the frame's centre, keeping that point of the image in place */
+export function zoomCrop(img, crop, zoom) {
+  const next = clampCrop(img, { ...crop, zoom });
+  const k = next.w / crop.w;
+  const cx = COVER_WIDTH / 2;
+  const cy = COVER_HEIGHT / 2;
+  return clampCrop(img, { zoom, x: cx - (cx - crop.x) * k, y: cy - (cy - crop.y) * k });
+}
+
+/* Draws the crop at the stored size; resolves to a JPEG blob */
+export function renderCrop(img, crop) {
+  const canvas = document.createElement("canvas");
+  canvas.width = COVER_WIDTH;
+  canvas.height = COVER_HEIGHT;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, COVER_WIDTH, COVER_HEIGHT);
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(img, crop.x, crop.y, crop.w, crop.h);
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (b) => (b ? resolve(b) : reject(new Error("Could not encode image"))),
+      "image/jpeg",
+      0.85
+    )
+  );
+}
+
+const SMALL_WORDS = new Set(["the", "a", "an", "of", "and", "le", "la", "les", "el", "der", "die"]);
+
+/* "The Silent Patient" -> "SP", "Alex Michaelides" -> "AM" */
+export function initials(text, max = 2) {
+  const words = String(text ?? "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  const picked = words.filter((w) => !SMALL_WORDS.has(w.toLowerCase()));
+  return (picked.length ? picked : words)
+    .slice(0, max)
+    .map((w) => w[0].toUpperCase())
+    .join("");
+}
+
+/* Stable hue per book, so a placeholder keeps its colour */
+export function coverHue(book) {
+  let h = 0;
+  for (const ch of `${book?.title ?? ""}|${book?.author ?? ""}`)
+    h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  return h % 360;
+}
@@ -0,0 +1,179 @@
+/*
+ * Duplicate finder and merge. Two books are likely the same when they share an ISBN, or when
+ * their titles and authors nearly match once case, accents, punctuation, a leading article
+ * and the order of the author's names ("Tolkien, J.R.R.") are ignored. Books that both have
+ * an ISBN are only matched by it, so different editions stay apart.
+ */
+import { clampRating, normalizeText } from "./book.js";
+import { STATUSES, getStatus, readingFields } from "./reading.js";
+import { getMemberEntries } from "./members.js";
+import { getQuotes } from "./review.js";
+import { TAG_FIELDS, cleanTags, getTags } from "./tags.js";
+
+export const TITLE_MATCH = 0.8;
+export const AUTHOR_MATCH = 0.8;
+
+const ARTICLE = /^(the|a|an|le|la|les|der|die|das|el|los|las) /;
+
+const titleKey = (b) => normalizeText(b.title).replace(ARTICLE, "");
+const authorKey = (b) => normalizeText(b.author).split(" ").filter(Boolean).sort().join(" ");
+
+/*
+ * 1 for equal strings down to 0 for nothing in common (edit distance over the longer length).
+ * Gives up with 0 as soon as the result can't reach `min`.
+ */
+export function similarity(a, b, min = 0) {
+  if (a === b) return 1;
+  const long = Math.max(a.length, b.length);
+  const maxEdits = Math.floor((1 - min) * long);
+  if (Math.abs(a.length - b.length) > maxEdits) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    if (Math.min(...row) > maxEdits) return 0;
+    prev = row;
+  }
+  return 1 - prev[b.length] / long;
+}
+
+/* Authors first: they're shorter, and most pairs already differ there */
+function isMatch(x, y) {
+  if (x.isbn && y.isbn) return x.isbn === y.isbn;
+  return (
+    similarity(x.author, y.author, AUTHOR_MATCH) >= AUTHOR_MATCH &&
+    similarity(x.title, y.title, TITLE_MATCH) >= TITLE_MATCH
+  );
+}
+
+/*
+ * Groups of likely duplicates: [{ id, reason: "isbn" | "similar", books }], biggest first.
+ * Only books sharing an ISBN, the start of the title or the author's longest name are
+ * compared, which keeps large archives fast.
+ */
+export function findDuplicates(books) {
+  const keys = books.map((b) => ({ title: titleKey(b), author: authorKey(b), isbn: b.isbn || "" }));
+
+  const parent = keys.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+
+  const blocks = new Map();
+  const add = (key, i) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(i);
+  };
+  keys.forEach((k, i) => {
+    if (k.isbn) add(`isbn:${k.isbn}`, i);
+    if (k.title) add(`title:${k.title.slice(0, 4)}`, i);
+    const surname = k.author.split(" ").reduce((a, b) => (b.length > a.length ? b : a), "");
+    if (surname) add(`author:${surname}`, i);
+  });
+
+  const tried = new Set();
+  for (const ids of blocks.values()) {
+    for (let a = 0; a < ids.length; a++) {
+      for (let b = a + 1; b < ids.length; b++) {
+        const [x, y] = [ids[a], ids[b]];
+        const pair = x * books.length + y;
+        if (tried.has(pair) || root(x) === root(y)) continue;
+        tried.add(pair);
+        if (isMatch(keys[x], keys[y])) parent[root(y)] = root(x);
+      }
+    }
+  }
+
+  const groups = new Map();
+  books.forEach((b, i) => {
+    if (!groups.has(root(i))) groups.set(root(i), []);
+    groups.get(root(i)).push(b);
+  });
+  return [...groups.values()]
+    .filter((list) => list.length > 1)
+    .map((list) => {
+      const sorted = list.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+      const isbns = sorted.map((b) => b.isbn).filter(Boolean);
+      return {
+        id: sorted.map((b) => b.id).join("+"),
+        reason: new Set(isbns).size < isbns.length ? "isbn" : "similar",
+        books: sorted,
+      };
+    })
+    .sort(
+      (a, b) => b.books.length - a.books.length || a.books[0].title.localeCompare(b.books[0].title)
+    );
+}
+
+/* What the merge screen lets you pick per copy; "reading" is status, dates and pages together */
+export const MERGE_FIELDS = {
+  title: "Title",
+  author: "Author",
+  isbn: "ISBN",
+  coverImage: "Cover",
+  description: "Description",
+  review: "Review",
+  rating: "Rating",
+  reading: "Reading",
+};
+
+const filled = (book, field) => {
+  if (field === "reading") return getStatus(book) !== "want" || !!book.pageCount;
+  if (field === "rating") return clampRating(book.rating) > 0;
+  return !!String(book[field] ?? "").trim();
+};
+
+/* How a copy's value reads on the merge screen */
+export function mergeValue(book, field) {
+  if (field === "reading") {
+    const { label } = STATUSES[getStatus(book)];
+    return book.pageCount ? `${label} · ${book.pageCount} pages` : label;
+  }
+  if (field === "rating") return clampRating(book.rating) ? `${clampRating(book.rating)}/5` : "";
+  if (field === "coverImage") return book.coverImage ? "Has a cover" : "";
+  return String(book[field] ?? "");
+}
+
+/*
+ * Starting choices: the copy with the most fields filled in is kept, and each field comes from
+ * it unless it's empty there. The rating defaults to the highest one.
+ */
+export function defaultPicks(books) {
+  const fields = Object.keys(MERGE_FIELDS);
+  const score = (b) => fields.filter((f) => filled(b, f)).length;
+  const keep = books.reduce((best, b) => (score(b) > score(best) ? b : best), books[0]);
+  const picks = { keep: keep.id };
+  for (const f of fields)
+    picks[f] = (filled(keep, f) ? keep : (books.find((b) => filled(b, f)) ?? keep)).id;
+  picks.rating = books.reduce((best, b) =>
+    clampRating(b.rating) > clampRating(best.rating) ? b : best
+  ).id;
+  return picks;
+}
+
+/*
+ * Patch that turns the kept copy into the merged book: picked fields, favorite if any copy
+ * was, every copy's tags, shelves and quotes, and each member's entry (the kept copy's first).
+ */
+export function mergePatch(books, picks) {
+  const from = (field) => books.find((b) => b.id === picks[field]) ?? books[0];
+  const patch = {};
+  for (const f of Object.keys(MERGE_FIELDS)) {
+    if (f === "reading") Object.assign(patch, readingFields(from(f)));
+    else if (f === "rating") patch.rating = clampRating(from(f).rating);
+    else patch[f] = from(f)[f] ?? "";
+  }
+  patch.isFavorite = books.some((b) => b.isFavorite);
+  for (const field of Object.keys(TAG_FIELDS)) {
+    patch[field] = cleanTags(books.flatMap((b) => getTags(b, field)));
+  }
+  const quotes = new Map(books.flatMap(getQuotes).map((q) => [`${q.text}|${q.page}`, q]));
+  patch.quotes = [...quotes.values()];
+  const keep = from("keep");
+  patch.members = Object.assign(
+    {},
+    ...books.filter((b) => b !== keep).map(getMemberEntries),
+    getMemberEntries(keep)
+  );
+  return patch;
+}
@@ -0,0 +1,109 @@
+import { toCsv } from "./csv.js";
+import { clampRating } from "./book.js";
+import { getTags } from "./tags.js";
+
+/* Columns written to CSV; names match what the importer maps back */
+const CSV_COLUMNS = [
+  "isbn",
+  "title",
+  "author",
+  "rating",
+  "description",
+  "review",
+  "coverImage",
+  "isFavorite",
+  "status",
+  "startedAt",
+  "finishedAt",
+  "pageCount",
+  "currentPage",
+  "progress",
+  "shelves",
+  "tags",
+];
+
+const stars = (r) => {
+  const v = clampRating(r);
+  return "★".repeat(v) + (v % 1 ? "½" : "") + "☆".repeat(5 - Math.ceil(v));
+};
+
+/* Lists (shelves, tags) go in one cell, "; "-separated */
+const cell = (v) => (Array.isArray(v) ? v.join("; ") : (v ?? ""));
+
+const toCsvText = (books) =>
+  toCsv([CSV_COLUMNS, ...books.map((b) => CSV_COLUMNS.map((c) => cell(b[c])))]);
+
+/* Whole records, so the file can be imported into another archive as-is */
+const toJsonText = (books) => JSON.stringify(books, null, 2);
+
+function toMarkdown(books) {
+  const lines = ["# My Book Archive", "", `_${books.length} books_`, ""];
+  for (const b of books) {
+    const rating = clampRating(b.rating) ? ` ${stars(b.rating)}` : "";
+    const tags = getTags(b, "tags")
+      .map((t) => ` \`#${t}\``)
+      .join("");
+    lines.push(`- **${b.title}** by ${b.author}${rating}${b.isFavorite ? " ♥" : ""}${tags}`);
+    if (b.description) lines.push(`  > ${b.description.replace(/\n+/g, " ")}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+/* BibTeX needs its special characters escaped and a unique key per entry */
+const bibEscape = (s) => String(s ?? "").replace(/([{}&%$#_])/g, "\\$1");
+const bibWord = (s) =>
+  String(s ?? "")
+    .normalize("NFKD")
+    .replace(/[^A-Za-z0-9 ]/g, "")
+    .split(" ")
+    .filter(Boolean);
+
+const keywords = (b) => [...(b.isFavorite ? ["favorite"] : []), ...getTags(b, "tags")].join(", ");
+
+function toBibtex(books) {
+  const used = new Map();
+  return books
+    .map((b) => {
+      const base =
+        (bibWord(b.author).at(-1) || "anon").toLowerCase() +
+        (bibWord(b.title)[0] || "book").toLowerCase();
+      const n = (used.get(base) || 0) + 1;
+      used.set(base, n);
+      const key = n === 1 ? base : `${base}${n}`;
+
+      const fields = [
+        ["title", `{${bibEscape(b.title)}}`],
+        ["author", `{${bibEscape(b.author)}}`],
+        b.isbn && ["isbn", `{${b.isbn}}`],
+        b.description && ["abstract", `{${bibEscape(b.description)}}`],
+        ["note", `{Rating: ${clampRating(b.rating)}/5${b.isFavorite ? ", favorite" : ""}}`],
+        keywords(b) && ["keywords", `{${bibEscape(keywords(b))}}`],
+      ].filter(Boolean);
+
+      const body = fields.map(([k, v]) => `  ${k} = ${v}`).join(",\n");
+      return `@book{${key},\n${body}\n}`;
+    })
+    .join("\n\n")
+    .concat("\n");
+}
+
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", ext: "csv", mime: "text/csv", render: toCsvText },
+  json: { label: "JSON", ext: "json", mime: "application/json", render: toJsonText },
+  markdown: { label: "Markdown", ext: "md", mime: "text/markdown", render: toMarkdown },
+  bibtex: { label: "BibTeX", ext: "bib", mime: "application/x-bibtex", render: toBibtex },
+};
+
+/* Renders `books` in the given format and hands the file to the browser */
+export function downloadBooks(books, format) {
+  const f = EXPORT_FORMATS[format];
+  const blob = new Blob([f.render(books)], { type: `${f.mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `my-book-archive-${new Date().toISOString().slice(0, 10)}.${f.ext}`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,27 @@
+/*
+ * Fuzzy matching for the command palette: the query's characters must appear in order.
+ * Runs of consecutive characters and matches at word starts score higher, so "phm" finds
+ * "Project Hail Mary" ahead of titles that merely contain those letters.
+ */
+import { fold } from "./book.js";
+
+/* Score (higher is better), or null when `text` doesn't match */
+export function fuzzyScore(query, text) {
+  const q = fold(query).replace(/\s+/g, "");
+  const t = fold(text);
+  if (!q) return 0;
+
+  let score = 0;
+  let first = -1;
+  let prev = -2;
+  for (const ch of q) {
+    const i = t.indexOf(ch, prev + 1);
+    if (i < 0) return null;
+    const wordStart = i === 0 || /[^\p{L}\p{N}]/u.test(t[i - 1]);
+    score += 1 + (wordStart ? 3 : 0) + (i === prev + 1 ? 2 : 0);
+    if (first < 0) first = i;
+    prev = i;
+  }
+  /* Prefer shorter texts and earlier matches among equals */
+  return score - first * 0.05 - t.length * 0.01;
+}
@@ -0,0 +1,38 @@
+/*
+ * Undo/redo history. Each entry is { label, steps }, and a step is { id, before, after }:
+ *   before null  -> the book was created (undo deletes it)
+ *   after null   -> the book was purged (undo re-creates it)
+ *   otherwise    -> field values before and after an update (moving to the trash
+ *                   is an update of `deletedAt`)
+ */
+export const HISTORY_LIMIT = 50;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+/* Adds an entry; a new change drops whatever could have been redone */
+export const pushEntry = (history, entry) =>
+  entry.steps.length
+    ? { past: [...history.past, entry].slice(-HISTORY_LIMIT), future: [] }
+    : history;
+
+/* Step for an update: the book's current values of the keys in `patch`, then `patch` */
+export function updateStep(book, patch) {
+  const before = {};
+  for (const k of Object.keys(patch)) before[k] = book[k] ?? null;
+  return { id: book.id, before, after: patch };
+}
+
+export const createStep = (book) => ({ id: book.id, before: null, after: withoutId(book) });
+export const purgeStep = (book) => ({ id: book.id, before: withoutId(book), after: null });
+
+function withoutId(book) {
+  const copy = { ...book };
+  delete copy.id;
+  return copy;
+}
+
+/* Steps that take the archive from one side of an entry to the other, in run order */
+export const stepsFor = (entry, direction) =>
+  direction === "undo"
+    ? [...entry.steps].reverse().map((s) => ({ id: s.id, from: s.after, to: s.before }))
+    : entry.steps.map((s) => ({ id: s.id, from: s.before, to: s.after }));
@@ -0,0 +1,175 @@
+import { parseCsv } from "./csv.js";
+import { bookKey, toPayload } from "./book.js";
+import { cleanMembers } from "./members.js";
+import { cleanQuotes } from "./review.js";
+import { validateBook } from "./schema.js";
+import { cleanTags } from "./tags.js";
+
+/* Book fields an import can fill, and the column names we recognise for each */
+export const IMPORT_FIELDS = [
+  "isbn",
+  "title",
+  "author",
+  "rating",
+  "description",
+  "review",
+  "coverImage",
+  "isFavorite",
+  "status",
+  "startedAt",
+  "finishedAt",
+  "pageCount",
+  "currentPage",
+  "progress",
+  "shelves",
+  "tags",
+  "quotes",
+  "members",
+];
+
+const ALIASES = {
+  isbn: ["isbn13", "isbn-13", "isbn 13", "isbn", "isbn10"],
+  title: ["title", "book title", "name"],
+  author: ["author", "authors", "author l-f", "writer"],
+  rating: ["rating", "my rating", "stars", "score"],
+  description: ["description", "summary", "notes"],
+  review: ["review", "my review"],
+  coverImage: ["coverimage", "cover image", "cover", "cover url", "image", "image url"],
+  isFavorite: ["isfavorite", "favorite", "favourite", "fav", "bookshelves"],
+  status: ["status", "exclusive shelf", "shelf", "read status"],
+  startedAt: ["startedat", "date started", "started", "start date"],
+  finishedAt: ["finishedat", "date read", "finished", "finish date", "date finished"],
+  pageCount: ["pagecount", "number of pages", "pages", "page count"],
+  currentPage: ["currentpage", "current page"],
+  progress: ["progress", "percent", "progress %"],
+  shelves: ["shelves", "collections", "bookshelves"],
+  tags: ["tags", "labels", "keywords", "genres"],
+  quotes: ["quotes", "favorite quotes", "favourite quotes"],
+  members: ["members", "team ratings"],
+};
+
+/* Goodreads library exports wrap ISBNs as ="..." and reviews in light HTML */
+const cleanCell = (v) =>
+  String(v ?? "")
+    .replace(/^="(.*)"$/, "$1")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .trim();
+
+const toBool = (v) => {
+  if (typeof v === "boolean") return v;
+  const s = String(v ?? "").toLowerCase();
+  return ["true", "yes", "y", "1", "♥"].includes(s.trim()) || /\bfavou?rites?\b/.test(s);
+};
+
+/* Shelf names (Goodreads "to-read", "currently-reading", "read", ...) -> our statuses */
+const toStatus = (v) => {
+  const s = String(v ?? "").toLowerCase();
+  if (/to[- ]?read|want|tbr|wishlist/.test(s)) return "want";
+  if (/current|reading/.test(s)) return "reading";
+  if (/abandon|dnf|did[- ]not[- ]finish/.test(s)) return "abandoned";
+  if (/\bread\b|finished|done/.test(s)) return "finished";
+  return "";
+};
+
+const toList = (v) => cleanTags(Array.isArray(v) ? v : cleanCell(v));
+
+/* JSON files carry quotes and members as they're stored; a CSV cell may hold the same JSON */
+const fromJson = (v) => {
+  if (typeof v !== "string") return v;
+  if (!/^\s*[[{]/.test(v)) return undefined;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return undefined;
+  }
+};
+
+/* A CSV cell that isn't JSON has one quote per line, without page numbers */
+const toQuotes = (v) => {
+  const list = fromJson(v) ?? cleanCell(v).split("\n");
+  return cleanQuotes(
+    Array.isArray(list) ? list.map((q) => (typeof q === "string" ? { text: q } : q)) : []
+  );
+};
+
+/*
+ * Goodreads also lists its built-in shelves (read status, favorites) under "Bookshelves"; those
+ * aren't shelves here. Custom ones like "read-2023" are kept.
+ */
+const BUILT_IN_SHELVES = /^(read|to-read|currently-reading|favou?rites)$/i;
+const toShelves = (v) => toList(v).filter((name) => !BUILT_IN_SHELVES.test(name));
+
+/*
+ * Reads an uploaded file into { format, columns, records }.
+ * format is "json", "goodreads" or "csv"; records are plain { column: value } objects.
+ */
+export function parseImportFile(name, text) {
+  const trimmed = text.trim();
+  if (/\.json$/i.test(name) || /^[[{]/.test(trimmed)) {
+    let data = JSON.parse(trimmed);
+    if (!Array.isArray(data)) data = data.books;
+    if (!Array.isArray(data)) throw new Error("JSON must be an array of books");
+    const records = data.filter((d) => d && typeof d === "object");
+    const columns = [...new Set(records.flatMap((r) => Object.keys(r)))];
+    return { format: "json", columns, records };
+  }
+
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((h) => h.trim());
+  const records = rows.map((r) => Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ""])));
+  const goodreads = columns.includes("Book Id") && columns.includes("Exclusive Shelf");
+  return { format: goodreads ? "goodreads" : "csv", columns, records };
+}
+
+/* Best guess of which column feeds each book field ("" = not imported) */
+export function guessMapping(columns) {
+  const byName = new Map(columns.map((c) => [c.toLowerCase(), c]));
+  return Object.fromEntries(
+    IMPORT_FIELDS.map((f) => [f, ALIASES[f].map((a) => byName.get(a)).find(Boolean) ?? ""])
+  );
+}
+
+/*
+ * Applies a mapping and validates each record the way saveBook does.
+ * Returns [{ index, payload, error, duplicate }] where duplicate is
+ * "archive" (already in `books`), "file" (earlier row in the same file) or null.
+ */
+export function buildImportRows(records, mapping, books) {
+  const existing = new Set(books.map(bookKey));
+  const seen = new Set();
+
+  return records.map((rec, index) => {
+    const pick = (f) => (mapping[f] ? rec[mapping[f]] : undefined);
+    const fields = {
+      isbn: cleanCell(pick("isbn")),
+      title: cleanCell(pick("title")),
+      author: cleanCell(pick("author")),
+      rating: pick("rating"),
+      description: cleanCell(pick("description")),
+      review: cleanCell(pick("review")),
+      coverImage: cleanCell(pick("coverImage")),
+      status: toStatus(pick("status")),
+      startedAt: pick("startedAt"),
+      finishedAt: pick("finishedAt"),
+      pageCount: cleanCell(pick("pageCount")),
+      currentPage: cleanCell(pick("currentPage")),
+      progress: cleanCell(pick("progress")),
+      shelves: toShelves(pick("shelves")),
+      tags: toList(pick("tags")),
+      quotes: toQuotes(pick("quotes")),
+    };
+    const members = cleanMembers(fromJson(pick("members")));
+    const payload = {
+      ...toPayload(fields),
+      isFavorite: toBool(pick("isFavorite")),
+      ...(Object.keys(members).length && { members }),
+    };
+    /* Spreadsheet ratings and dates are loose, so the cleaned-up values are checked */
+    const error = validateBook({ ...payload, isbn: fields.isbn });
+    const key = bookKey(payload);
+    const duplicate = existing.has(key) ? "archive" : seen.has(key) ? "file" : null;
+    if (!error) seen.add(key);
+    return { index, payload, error, duplicate };
+  });
+}
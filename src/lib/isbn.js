@@ -0,0 +1,50 @@
+/*
+ * ISBN helpers. Books store the ISBN-13 form without separators; ISBN-10s are
+ * converted on the way in (978 prefix, new check digit).
+ */
+
+/* Digits (and a trailing X) only: "0-306-40615-2" -> "0306406152" */
+export const cleanIsbn = (s) =>
+  String(s ?? "")
+    .toUpperCase()
+    .replace(/^ISBN(?:-1[03])?:?\s*/, "")
+    .replace(/[^0-9X]/g, "");
+
+export function isValidIsbn10(s) {
+  if (!/^\d{9}[\dX]$/.test(s)) return false;
+  const sum = [...s].reduce((acc, ch, i) => acc + (ch === "X" ? 10 : Number(ch)) * (10 - i), 0);
+  return sum % 11 === 0;
+}
+
+const check13 = (first12) => {
+  const sum = [...first12].reduce((acc, ch, i) => acc + Number(ch) * (i % 2 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+export const isValidIsbn13 = (s) => /^97[89]\d{10}$/.test(s) && check13(s.slice(0, 12)) === s[12];
+
+/* ISBN-13 for a valid ISBN-10 or ISBN-13, otherwise null */
+export function normalizeIsbn(s) {
+  const c = cleanIsbn(s);
+  if (isValidIsbn13(c)) return c;
+  if (isValidIsbn10(c)) return `978${c.slice(0, 9)}${check13(`978${c.slice(0, 9)}`)}`;
+  return null;
+}
+
+/* ISBN-10 form of a 978- ISBN-13 (some catalogs only know the old number), else null */
+export function toIsbn10(isbn13) {
+  if (!isValidIsbn13(isbn13) || !isbn13.startsWith("978")) return null;
+  const body = isbn13.slice(3, 12);
+  const sum = [...body].reduce((acc, ch, i) => acc + Number(ch) * (10 - i), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return body + (check === 10 ? "X" : String(check));
+}
+
+/* Returns an error message, or null for an empty or valid ISBN */
+export function validateIsbn(s) {
+  const c = cleanIsbn(s);
+  if (!c) return null;
+  if (c.length !== 10 && c.length !== 13) return "ISBN must have 10 or 13 digits";
+  if (!normalizeIsbn(c)) return "ISBN check digit doesn't match. Check for a typo";
+  return null;
+}
@@ -0,0 +1,153 @@
+/*
+ * The small Markdown subset reviews are written in, parsed to a tree that components render
+ * as elements (never as HTML, so a review can't inject markup):
+ *
+ *   # Heading  ## Smaller  ### Smallest     > quote      - item / 1. item      ---
+ *   **bold**  *italic*  `code`  [link](https://…)  ||inline spoiler||
+ *
+ *   :::spoiler Optional title
+ *   Hidden until opened
+ *   :::
+ */
+
+const SPOILER_OPEN = /^:::\s*spoiler\b[ \t]*(.*)$/i;
+const SPOILER_CLOSE = /^:::\s*$/;
+const HEADING = /^(#{1,3})\s+(.*?)\s*#*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>/;
+const ITEM = /^ {0,3}([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+/* Only links that leave the page: no javascript: and friends */
+const safeHref = (href) => (/^(https?:|mailto:)/i.test(href) ? href : null);
+
+const startsBlock = (line) =>
+  SPOILER_OPEN.test(line.trim()) ||
+  HEADING.test(line) ||
+  RULE.test(line) ||
+  QUOTE.test(line) ||
+  ITEM.test(line);
+
+/* The earliest match wins; at the same spot, the form listed first */
+const INLINE = [
+  ["code", /`([^`]+)`/],
+  ["spoiler", /\|\|(.+?)\|\|/],
+  ["link", /\[([^\]]+)\]\(([^)\s]+)\)/],
+  ["strong", /\*\*(.+?)\*\*|(?<!\w)__(.+?)__(?!\w)/],
+  ["em", /\*(?!\s)(.+?)\*|(?<!\w)_(?!\s)(.+?)_(?!\w)/],
+];
+
+/* Inline text -> [string | { type, children } | { type: "code", text } | { type: "link", href, children }] */
+export function parseInline(text) {
+  const out = [];
+  let rest = text;
+  while (rest) {
+    let best = null;
+    for (const [type, re] of INLINE) {
+      const m = re.exec(rest);
+      if (m && (!best || m.index < best.m.index)) best = { type, m };
+    }
+    if (!best) {
+      out.push(rest);
+      break;
+    }
+    const { type, m } = best;
+    if (m.index) out.push(rest.slice(0, m.index));
+    const inner = m[1] ?? m[2];
+    if (type === "code") out.push({ type, text: inner });
+    else if (type === "link") {
+      const href = safeHref(m[2]);
+      out.push(href ? { type, href, children: parseInline(inner) } : m[0]);
+    } else out.push({ type, children: parseInline(inner) });
+    rest = rest.slice(m.index + m[0].length);
+  }
+  return out;
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const spoiler = SPOILER_OPEN.exec(line.trim());
+    if (spoiler) {
+      /* Runs to the matching ":::", or to the end when it's never closed */
+      const body = [];
+      let depth = 1;
+      for (i++; i < lines.length; i++) {
+        if (SPOILER_OPEN.test(lines[i].trim())) depth++;
+        else if (SPOILER_CLOSE.test(lines[i].trim()) && !--depth) break;
+        body.push(lines[i]);
+      }
+      i++;
+      blocks.push({ type: "spoiler", title: spoiler[1].trim(), blocks: parseBlocks(body) });
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, children: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: "rule" });
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const body = [];
+      for (; i < lines.length && QUOTE.test(lines[i]); i++) {
+        body.push(lines[i].replace(/^ {0,3}> ?/, ""));
+      }
+      blocks.push({ type: "quote", blocks: parseBlocks(body) });
+      continue;
+    }
+
+    const item = ITEM.exec(line);
+    if (item) {
+      /* One list per run of items of the same kind; indented lines continue an item */
+      const ordered = /\d/.test(item[1]);
+      const items = [];
+      for (; i < lines.length; i++) {
+        const next = ITEM.exec(lines[i]);
+        if (next && /\d/.test(next[1]) === ordered) items.push(next[2]);
+        else if (!next && items.length && /^\s+\S/.test(lines[i])) {
+          items[items.length - 1] += ` ${lines[i].trim()}`;
+        } else break;
+      }
+      blocks.push({
+        type: "list",
+        ordered,
+        start: ordered ? parseInt(item[1], 10) : 1,
+        items: items.map(parseInline),
+      });
+      continue;
+    }
+
+    const para = [];
+    for (; i < lines.length && lines[i].trim() && (!para.length || !startsBlock(lines[i])); i++) {
+      para.push(lines[i].trim());
+    }
+    blocks.push({ type: "paragraph", children: parseInline(para.join(" ")) });
+  }
+  return blocks;
+}
+
+/*
+ * Markdown -> blocks: { type: "paragraph" | "heading", children, level? },
+ * { type: "quote" | "spoiler", blocks, title? }, { type: "list", ordered, start, items }
+ * and { type: "rule" }.
+ */
+export const parseMarkdown = (source) =>
+  parseBlocks(
+    String(source ?? "")
+      .replace(/\r\n?/g, "\n")
+      .split("\n")
+  );
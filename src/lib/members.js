@@ -0,0 +1,105 @@
+/*
+ * Team members sharing one archive. Ratings, favorites and reading status are personal:
+ * with a profile picked they're read from and written to the book's `members[<member id>]`
+ * entry, so one member's changes never overwrite another's. With no profile picked the
+ * book's own fields are used, as they were before profiles existed.
+ */
+import { clampRating } from "./book.js";
+import { getStatus } from "./reading.js";
+
+/* A member's fields on a book they haven't touched yet */
+export const PERSONAL_DEFAULTS = {
+  rating: 0,
+  isFavorite: false,
+  status: "want",
+  startedAt: "",
+  finishedAt: "",
+  currentPage: null,
+  progress: 0,
+};
+
+const isPersonal = (key) => Object.hasOwn(PERSONAL_DEFAULTS, key);
+
+/* { [member id]: personal fields }; anything malformed is dropped */
+export function cleanMembers(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
+  const out = {};
+  for (const [id, entry] of Object.entries(value)) {
+    if (!entry || typeof entry !== "object") continue;
+    out[id] = Object.fromEntries(Object.entries(entry).filter(([k]) => isPersonal(k)));
+  }
+  return out;
+}
+
+export const getMemberEntries = (book) => cleanMembers(book?.members);
+
+/* The book as `memberId` sees it: their personal fields over the shared record */
+export function forMember(book, memberId) {
+  if (!memberId) return book;
+  return { ...book, ...PERSONAL_DEFAULTS, ...getMemberEntries(book)[memberId] };
+}
+
+/* True when `changes` only touch `memberId`'s own fields */
+export const isPersonalChange = (changes, memberId) =>
+  !!memberId && Object.keys(changes).every(isPersonal);
+
+/* `changes` without `memberId`'s own fields: what the shared record's history should show */
+export function sharedChanges(changes, memberId) {
+  if (!memberId) return changes;
+  return Object.fromEntries(Object.entries(changes).filter(([k]) => !isPersonal(k)));
+}
+
+/*
+ * What to write to the record for `changes` made by `memberId`: personal fields move into
+ * their entry (on top of `changes.members` when the change brings its own, as a merge does).
+ */
+export function recordPatch(book, changes, memberId) {
+  if (!memberId) return changes;
+  const shared = {};
+  const personal = {};
+  for (const [k, v] of Object.entries(changes)) (isPersonal(k) ? personal : shared)[k] = v;
+  if (!Object.keys(personal).length) return shared;
+  const members = cleanMembers(shared.members ?? book?.members);
+  return { ...shared, members: { ...members, [memberId]: { ...members[memberId], ...personal } } };
+}
+
+/* Server entries, plus the ones a queued change made since `base`: nobody else's are lost */
+export function mergeMembers(server, base, next) {
+  const before = cleanMembers(base);
+  const changed = Object.entries(cleanMembers(next)).filter(
+    ([id, entry]) => JSON.stringify(entry) !== JSON.stringify(before[id])
+  );
+  return { ...cleanMembers(server), ...Object.fromEntries(changed) };
+}
+
+/*
+ * Team view of a book for the known `members`: each one's fields (null before they've
+ * touched it), the average of their ratings, and who has read it or is reading it.
+ */
+export function teamSummary(book, members) {
+  const entries = getMemberEntries(book);
+  const rows = members.map((member) => ({
+    member,
+    entry: entries[member.id] ? { ...PERSONAL_DEFAULTS, ...entries[member.id] } : null,
+  }));
+  const ratings = rows.map((r) => clampRating(r.entry?.rating)).filter((r) => r > 0);
+  const withStatus = (status) =>
+    rows.filter((r) => r.entry && getStatus(r.entry) === status).map((r) => r.member);
+  return {
+    rows,
+    ratings: ratings.length,
+    avgRating: ratings.length ? ratings.reduce((a, b) => a + b, 0) / ratings.length : 0,
+    read: withStatus("finished"),
+    reading: withStatus("reading"),
+  };
+}
+
+/* Profile names are trimmed, and unique regardless of case */
+export function memberNameError(name, members) {
+  const n = String(name ?? "").trim();
+  if (!n) return "Give the profile a name";
+  if (n.length > 40) return "Keep it under 40 characters";
+  return members.some((m) => m.name.toLowerCase() === n.toLowerCase())
+    ? `There's already a profile called “${n}”`
+    : null;
+}
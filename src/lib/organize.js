@@ -0,0 +1,141 @@
+import { DEFAULT_COVER, clampRating, fold, halfStar } from "./book.js";
+import { STATUSES } from "./reading.js";
+import { getTags, hasTag } from "./tags.js";
+
+/* Sort options; `dir` is the natural first direction for each */
+export const SORTS = {
+  relevance: { label: "Best match", dir: "asc" },
+  title: { label: "Title", dir: "asc" },
+  author: { label: "Author", dir: "asc" },
+  rating: { label: "Rating", dir: "desc" },
+  added: { label: "Date added", dir: "desc" },
+  edited: { label: "Last edited", dir: "desc" },
+};
+
+export const GROUPS = { none: "No grouping", author: "Author", rating: "Rating" };
+
+export const EMPTY_FACETS = { minRating: 0, hasDescription: false, hasCover: false };
+
+const collator = new Intl.Collator(undefined, { sensitivity: "base", numeric: true });
+const time = (v) => (v ? Date.parse(v) || 0 : 0);
+
+/* Author surname, so "Agatha Christie" sorts under C */
+const surname = (author) =>
+  String(author ?? "")
+    .trim()
+    .split(/\s+/)
+    .at(-1) ?? "";
+
+const comparators = {
+  title: (a, b) => collator.compare(a.title ?? "", b.title ?? ""),
+  author: (a, b) =>
+    collator.compare(surname(a.author), surname(b.author)) ||
+    collator.compare(a.author ?? "", b.author ?? ""),
+  rating: (a, b) => clampRating(a.rating) - clampRating(b.rating),
+  added: (a, b) => time(a.createdAt) - time(b.createdAt),
+  edited: (a, b) => time(a.updatedAt ?? a.createdAt) - time(b.updatedAt ?? b.createdAt),
+};
+
+/* Stable sort; "relevance" keeps the incoming (search-ranked or archive) order */
+export function sortBooks(list, key, dir) {
+  const cmp = comparators[key];
+  if (!cmp) return list;
+  const sign = dir === "desc" ? -1 : 1;
+  return list
+    .map((book, i) => ({ book, i }))
+    .sort((a, b) => sign * cmp(a.book, b.book) || a.i - b.i)
+    .map((x) => x.book);
+}
+
+export const hasCover = (b) => !!b.coverImage && b.coverImage !== DEFAULT_COVER;
+
+export function applyFacets(list, facets) {
+  return list.filter(
+    (b) =>
+      clampRating(b.rating) >= facets.minRating &&
+      (!facets.hasDescription || !!String(b.description ?? "").trim()) &&
+      (!facets.hasCover || hasCover(b))
+  );
+}
+
+/* Shelf and tag picked in the sidebar ("" = any) */
+export const applyCollections = (list, shelf, tag) =>
+  list.filter(
+    (b) =>
+      (!shelf || hasTag(getTags(b, "shelves"), shelf)) && (!tag || hasTag(getTags(b, "tags"), tag))
+  );
+
+export const activeFacetCount = (f) => (f.minRating > 0) + !!f.hasDescription + !!f.hasCover;
+
+/* "★★★★½ 4.5"; one band per half star */
+const ratingBand = (r) => (r ? `${"★".repeat(r)}${r % 1 ? "½" : ""} ${r}` : "Unrated");
+
+/*
+ * Splits an already-sorted list into sections: [{ key, label, books }].
+ * Sections keep the order in which their first book appears, except rating bands,
+ * which always run from 5 stars down to unrated.
+ */
+export function groupBooks(list, by) {
+  if (by === "none") return [{ key: "all", label: "", books: list }];
+
+  const groups = new Map();
+  for (const b of list) {
+    const key = by === "rating" ? String(halfStar(b.rating)) : fold(b.author).trim() || "—";
+    if (!groups.has(key)) {
+      const label =
+        by === "rating" ? ratingBand(Number(key)) : b.author?.trim() || "Unknown author";
+      groups.set(key, { key, label, books: [] });
+    }
+    groups.get(key).books.push(b);
+  }
+
+  const out = [...groups.values()];
+  return by === "rating" ? out.sort((a, b) => Number(b.key) - Number(a.key)) : out;
+}
+
+/*
+ * List view <-> query string, so a filtered view can be bookmarked:
+ *   ?q=dune&fav=1&status=reading&sort=rating&dir=asc&group=author&min=4&desc=1&cover=1
+ *   ?shelf=Book%20club%202026&tag=space
+ * Defaults are left out of the URL.
+ */
+export function readView(params) {
+  const sortKey = SORTS[params.get("sort")] ? params.get("sort") : "relevance";
+  const dir = ["asc", "desc"].includes(params.get("dir")) ? params.get("dir") : SORTS[sortKey].dir;
+  return {
+    q: params.get("q") ?? "",
+    onlyFav: params.get("fav") === "1",
+    status: STATUSES[params.get("status")] ? params.get("status") : "all",
+    shelf: params.get("shelf") ?? "",
+    tag: params.get("tag") ?? "",
+    sort: { key: sortKey, dir },
+    group: GROUPS[params.get("group")] ? params.get("group") : "none",
+    facets: {
+      minRating: Math.max(0, Math.min(5, Number(params.get("min")) || 0)),
+      hasDescription: params.get("desc") === "1",
+      hasCover: params.get("cover") === "1",
+    },
+  };
+}
+
+/* Partial view -> query-string patch for withParams() */
+export function viewPatch(view) {
+  const patch = {};
+  if ("q" in view) patch.q = view.q;
+  if ("onlyFav" in view) patch.fav = view.onlyFav ? "1" : null;
+  if ("status" in view) patch.status = view.status === "all" ? null : view.status;
+  if ("shelf" in view) patch.shelf = view.shelf || null;
+  if ("tag" in view) patch.tag = view.tag || null;
+  if ("sort" in view) {
+    const { key, dir } = view.sort;
+    patch.sort = key === "relevance" ? null : key;
+    patch.dir = dir === SORTS[key].dir ? null : dir;
+  }
+  if ("group" in view) patch.group = view.group === "none" ? null : view.group;
+  if ("facets" in view) {
+    patch.min = view.facets.minRating || null;
+    patch.desc = view.facets.hasDescription ? "1" : null;
+    patch.cover = view.facets.hasCover ? "1" : null;
+  }
+  return patch;
+}
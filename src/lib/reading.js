@@ -0,0 +1,68 @@
+/* Reading status workflow: status, start/finish dates and progress */
+
+export const STATUSES = {
+  want: { label: "Want to read", icon: "🔖" },
+  reading: { label: "Reading", icon: "📖" },
+  finished: { label: "Finished", icon: "✅" },
+  abandoned: { label: "Abandoned", icon: "💤" },
+};
+
+/* Older records have no status; they count as "want to read" */
+export const getStatus = (b) => (STATUSES[b?.status] ? b.status : "want");
+
+/* Local calendar date as YYYY-MM-DD */
+const pad = (n) => String(n).padStart(2, "0");
+export const today = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+/* "2023/5/14", "2023-05-14T10:00:00Z" -> "2023-05-14"; anything unparsable -> "" */
+export function toDateInput(v) {
+  const m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(String(v ?? "").trim());
+  if (!m) return "";
+  const [, y, mo, d] = m;
+  return `${y}-${pad(mo)}-${pad(d)}`;
+}
+
+const toCount = (v) => {
+  if (v === "" || v === null || v === undefined) return null;
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+/* 0..100; finished books are always 100 */
+export function progressPct(b) {
+  if (getStatus(b) === "finished") return 100;
+  const pages = toCount(b.pageCount);
+  const page = toCount(b.currentPage);
+  if (pages && page !== null) return Math.min(100, Math.round((page / pages) * 100));
+  return Math.max(0, Math.min(100, Math.round(Number(b.progress) || 0)));
+}
+
+/* Form values after picking a status: fills in today's dates and completes progress */
+export function withStatus(form, status) {
+  const next = { ...form, status };
+  if (status === "reading" && !next.startedAt) next.startedAt = today();
+  if (status === "finished") {
+    if (!next.finishedAt) next.finishedAt = today();
+    if (next.pageCount) next.currentPage = next.pageCount;
+    next.progress = 100;
+  }
+  return next;
+}
+
+/* Normalized reading fields for the API payload */
+export function readingFields(fields) {
+  const status = getStatus(fields);
+  const out = {
+    status,
+    startedAt: toDateInput(fields.startedAt),
+    finishedAt:
+      status === "finished" || status === "abandoned" ? toDateInput(fields.finishedAt) : "",
+    pageCount: toCount(fields.pageCount),
+    currentPage: toCount(fields.currentPage),
+  };
+  out.progress = progressPct({ ...out, progress: fields.progress });
+  return out;
+}
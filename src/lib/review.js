@@ -0,0 +1,20 @@
+/* Written review (Markdown, see markdown.js) and favorite quotes, stored as [{ text, page }] */
+
+export const MAX_QUOTE_LENGTH = 2000;
+
+const toPage = (v) => {
+  const n = Number(v);
+  return v === "" || v === null || v === undefined || !Number.isInteger(n) || n < 1 ? null : n;
+};
+
+/* Stored quotes: rows without text dropped, page a whole number or null */
+export const cleanQuotes = (list) =>
+  (Array.isArray(list) ? list : [])
+    .map((q) => ({ text: String(q?.text ?? "").trim(), page: toPage(q?.page) }))
+    .filter((q) => q.text);
+
+export const getQuotes = (book) => cleanQuotes(book?.quotes);
+
+/* Book quotes -> Add/Edit form rows (page as typed text) */
+export const quotesToForm = (book) =>
+  getQuotes(book).map((q) => ({ text: q.text, page: q.page ?? "" }));
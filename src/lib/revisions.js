@@ -0,0 +1,119 @@
+/*
+ * Per-book revision history, kept on the record itself so every client sees it:
+ *   book.revisions = [{ at, changes: { field: { from, to } } }, ...]   (oldest first)
+ * A revision is appended on each update that actually changes a tracked field.
+ */
+export const REVISION_LIMIT = 30;
+
+/* Bookkeeping keys that never count as a change (the trash has its own view) */
+const UNTRACKED = new Set(["id", "createdAt", "updatedAt", "revisions", "deletedAt", "members"]);
+
+export const FIELD_LABELS = {
+  isbn: "ISBN",
+  title: "Title",
+  author: "Author",
+  rating: "Rating",
+  description: "Description",
+  coverImage: "Cover",
+  isFavorite: "Favorite",
+  status: "Reading status",
+  startedAt: "Started",
+  finishedAt: "Finished",
+  pageCount: "Pages",
+  currentPage: "Current page",
+  progress: "Progress %",
+  shelves: "Shelves",
+  tags: "Tags",
+  review: "Review",
+  quotes: "Favorite quotes",
+};
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+export const getRevisions = (book) => (Array.isArray(book?.revisions) ? book.revisions : []);
+
+/* { field: { from, to } } for the tracked keys of `patch` that differ from `book` */
+export function diffRecord(book, patch) {
+  const changes = {};
+  for (const [k, to] of Object.entries(patch)) {
+    if (UNTRACKED.has(k) || same(book?.[k], to)) continue;
+    changes[k] = { from: book?.[k] ?? null, to: to ?? null };
+  }
+  return changes;
+}
+
+/* The book's revisions with one for `patch` appended, or null when nothing tracked changes */
+export function addRevision(book, patch, at = new Date().toISOString()) {
+  const changes = diffRecord(book, patch);
+  if (!Object.keys(changes).length) return null;
+  return [...getRevisions(book), { at, changes }].slice(-REVISION_LIMIT);
+}
+
+/*
+ * Patch that brings the book back to how it looked right after revision `index`
+ * (-1 for before the first one): later revisions are rolled back newest first.
+ */
+export function restorePatch(book, index) {
+  const state = {};
+  const later = getRevisions(book)
+    .slice(index + 1)
+    .reverse();
+  for (const { changes } of later) {
+    for (const [k, { from }] of Object.entries(changes)) state[k] = from;
+  }
+  return Object.fromEntries(Object.entries(state).filter(([k, v]) => !same(book[k], v)));
+}
+
+/* A value as shown in the history list */
+export function formatValue(field, v) {
+  if (v === null || v === undefined || v === "" || (Array.isArray(v) && !v.length)) return "—";
+  if (field === "quotes")
+    return v.map((q) => (q.page ? `“${q.text}” (p. ${q.page})` : `“${q.text}”`)).join(" ");
+  if (Array.isArray(v)) return v.join(", ");
+  if (typeof v === "boolean") return v ? "Yes" : "No";
+  if (field === "coverImage" && !/^https?:/i.test(String(v))) return "Uploaded image";
+  if (field === "rating") return `${v}/5`;
+  return String(v);
+}
+
+/* Word-level diff of two texts: [{ type: "same" | "add" | "del", text }] */
+export function diffWords(a, b) {
+  const x = String(a ?? "").split(/(\s+)/);
+  const y = String(b ?? "").split(/(\s+)/);
+  /* Longest common subsequence; very long texts just show as replaced */
+  if (x.length * y.length > 250000) {
+    return [
+      { type: "del", text: x.join("") },
+      { type: "add", text: y.join("") },
+    ];
+  }
+  const lcs = Array.from({ length: x.length + 1 }, () => new Array(y.length + 1).fill(0));
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  const push = (type, text) => {
+    if (!text) return;
+    if (out.at(-1)?.type === type) out.at(-1).text += text;
+    else out.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < x.length && j < y.length) {
+    if (x[i] === y[j]) {
+      push("same", x[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("del", x[i++]);
+    } else {
+      push("add", y[j++]);
+    }
+  }
+  while (i < x.length) push("del", x[i++]);
+  while (j < y.length) push("add", y[j++]);
+  return out;
+}
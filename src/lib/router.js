@@ -0,0 +1,76 @@
+/*
+ * Tiny History-API router that respects Vite's `base` ("/my-book-archive/" on GitHub Pages).
+ * Paths passed around the app are relative to the base: "/", "/book/12".
+ */
+import { useMemo, useSyncExternalStore } from "react";
+
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, "");
+
+const listeners = new Set();
+const notify = () => listeners.forEach((fn) => fn());
+
+const subscribe = (fn) => {
+  if (!listeners.size) window.addEventListener("popstate", notify);
+  listeners.add(fn);
+  return () => {
+    listeners.delete(fn);
+    if (!listeners.size) window.removeEventListener("popstate", notify);
+  };
+};
+const getHref = () => window.location.pathname + window.location.search;
+
+/* App-relative URL -> full URL under the deploy base */
+export const toHref = (to) => BASE + (to.startsWith("/") ? to : `/${to}`);
+
+/* Current { path, params } where path is relative to the base */
+export function useLocation() {
+  const href = useSyncExternalStore(subscribe, getHref);
+  return useMemo(() => {
+    const url = new URL(href, window.location.origin);
+    const path = url.pathname.startsWith(BASE) ? url.pathname.slice(BASE.length) : url.pathname;
+    return { path: path || "/", params: url.searchParams };
+  }, [href]);
+}
+
+export function navigate(to, { replace = false } = {}) {
+  const href = toHref(to);
+  if (href === getHref()) return;
+  window.history[replace ? "replaceState" : "pushState"](null, "", href);
+  notify();
+}
+
+/* A path segment decoded, or null when it's malformed ("%E0") */
+const decode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+};
+
+/* matchPath("/book/:id", "/book/12") -> { id: "12" }, or null */
+export function matchPath(pattern, path) {
+  const want = pattern.split("/").filter(Boolean);
+  const have = path.split("/").filter(Boolean);
+  if (want.length !== have.length) return null;
+  const out = {};
+  for (let i = 0; i < want.length; i++) {
+    if (want[i].startsWith(":")) {
+      const value = decode(have[i]);
+      if (value === null) return null;
+      out[want[i].slice(1)] = value;
+    } else if (want[i] !== have[i]) return null;
+  }
+  return out;
+}
+
+/* Current path + query string with `patch` applied (null/"" removes a key) */
+export function withParams(path, params, patch) {
+  const next = new URLSearchParams(params);
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === null || v === undefined || v === "") next.delete(k);
+    else next.set(k, String(v));
+  }
+  const qs = next.toString();
+  return qs ? `${path}?${qs}` : path;
+}
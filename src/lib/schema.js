@@ -0,0 +1,156 @@
+/*
+ * The book record schema. Every record we write carries `schemaVersion`; records written
+ * before a version existed, or by an older version of the app, are upgraded by
+ * `migrateBook` as they load, one step per version. `bookErrors` checks form values and
+ * outgoing records against the same rules and names the field each message belongs to.
+ */
+import { clampRating } from "./book.js";
+import { normalizeIsbn, validateIsbn } from "./isbn.js";
+import { PERSONAL_DEFAULTS, cleanMembers } from "./members.js";
+import { MAX_QUOTE_LENGTH, cleanQuotes } from "./review.js";
+import { STATUSES, readingFields, toDateInput } from "./reading.js";
+import { cleanTags } from "./tags.js";
+
+export const SCHEMA_VERSION = 4;
+
+const MAX_LENGTH = { title: 300, author: 200, description: 5000, review: 20000 };
+export const MAX_TAG_LENGTH = 60;
+
+const text = (v) => (v === null || v === undefined ? "" : String(v).trim());
+const empty = (v) => v === "" || v === null || v === undefined;
+const wholeNumber = (v, min) => Number.isInteger(Number(v)) && Number(v) >= min;
+
+/* One rule per field, in form order; each returns a message or null */
+const RULES = {
+  title: (b) => (!text(b.title) ? "Title is required" : null),
+  author: (b) => (!text(b.author) ? "Author is required" : null),
+  isbn: (b) => validateIsbn(b.isbn),
+  coverImage: (b) =>
+    !empty(b.coverImage) && !/^[a-z][a-z0-9+.-]*:\S+$/i.test(text(b.coverImage))
+      ? "Cover must be a link (https://…) or an uploaded image"
+      : null,
+  rating: (b) =>
+    !Number.isInteger(Number(b.rating ?? 0) * 2) || clampRating(b.rating) !== Number(b.rating ?? 0)
+      ? "Rating must be 0 to 5 stars, in half stars"
+      : null,
+  status: (b) => (!empty(b.status) && !STATUSES[b.status] ? "Unknown reading status" : null),
+  startedAt: (b) =>
+    !empty(b.startedAt) && !toDateInput(b.startedAt) ? "Start date isn't a date" : null,
+  finishedAt: (b) => {
+    if (empty(b.finishedAt)) return null;
+    const finished = toDateInput(b.finishedAt);
+    if (!finished) return "Finish date isn't a date";
+    const started = toDateInput(b.startedAt);
+    return started && finished < started ? "Finish date is before the start date" : null;
+  },
+  pageCount: (b) =>
+    !empty(b.pageCount) && !wholeNumber(b.pageCount, 1)
+      ? "Pages must be a whole number above 0"
+      : null,
+  currentPage: (b) => {
+    if (empty(b.currentPage)) return null;
+    if (!wholeNumber(b.currentPage, 0)) return "Current page must be a whole number";
+    return !empty(b.pageCount) && Number(b.currentPage) > Number(b.pageCount)
+      ? "Current page is past the last page"
+      : null;
+  },
+  progress: (b) =>
+    !empty(b.progress) && !(Number(b.progress) >= 0 && Number(b.progress) <= 100)
+      ? "Progress must be between 0 and 100"
+      : null,
+  shelves: (b) => tagError(b.shelves, "Shelf"),
+  tags: (b) => tagError(b.tags, "Tag"),
+  quotes: (b) => {
+    if (empty(b.quotes)) return null;
+    if (!Array.isArray(b.quotes)) return "Quotes must be a list";
+    const page = b.quotes.findIndex((q) => !empty(q?.page) && !wholeNumber(q.page, 1));
+    if (page >= 0) return `Quote ${page + 1}: the page must be a whole number above 0`;
+    const long = b.quotes.findIndex((q) => text(q?.text).length > MAX_QUOTE_LENGTH);
+    return long >= 0 ? `Quote ${long + 1}: keep it under ${MAX_QUOTE_LENGTH} characters` : null;
+  },
+  /* Each member's own fields follow the same rules as the book's */
+  members: (b) => {
+    if (empty(b.members)) return null;
+    for (const entry of Object.values(cleanMembers(b.members))) {
+      const errors = bookErrors({ ...b, ...entry }, Object.keys(PERSONAL_DEFAULTS));
+      if (Object.keys(errors).length) return Object.values(errors)[0];
+    }
+    return null;
+  },
+};
+
+function tagError(list, one) {
+  if (empty(list)) return null;
+  if (!Array.isArray(list)) return `${one} list must be a list of names`;
+  const long = list.find((t) => String(t).length > MAX_TAG_LENGTH);
+  return long ? `${one} “${String(long).slice(0, 20)}…” is too long` : null;
+}
+
+/* Every field with a rule or a length limit */
+const CHECKED = [...new Set([...Object.keys(RULES), ...Object.keys(MAX_LENGTH)])];
+
+/* { field: message } for each field that breaks a rule; `only` limits the check to some */
+export function bookErrors(fields, only = CHECKED) {
+  const errors = {};
+  for (const key of only) {
+    const message =
+      RULES[key]?.(fields) ??
+      (MAX_LENGTH[key] && text(fields[key]).length > MAX_LENGTH[key]
+        ? `Keep it under ${MAX_LENGTH[key]} characters`
+        : null);
+    if (message) errors[key] = message;
+  }
+  return errors;
+}
+
+/* First error message, or null when the book can be saved (import and scan rows) */
+export const validateBook = (fields) => Object.values(bookErrors(fields))[0] ?? null;
+
+/* Throws (with `fields`) when writing `record` would break a rule in `keys` */
+export function assertValid(record, keys) {
+  const errors = bookErrors(record, keys);
+  if (Object.keys(errors).length) {
+    throw Object.assign(new Error(Object.values(errors)[0]), { fields: errors });
+  }
+}
+
+/* Upgrade steps: MIGRATIONS[n] takes a version-n record to version n + 1 */
+const MIGRATIONS = [
+  /* 0 -> 1: loose types from MockAPI's seed data and the first clients */
+  (b) => ({
+    ...b,
+    title: text(b.title),
+    author: text(b.author),
+    description: text(b.description),
+    coverImage: text(b.coverImage),
+    isbn: normalizeIsbn(b.isbn) ?? "",
+    rating: Math.round(clampRating(b.rating) * 2) / 2,
+    isFavorite: b.isFavorite === true || b.isFavorite === "true",
+  }),
+  /* 1 -> 2: reading progress, shelves and tags */
+  (b) => ({
+    ...b,
+    ...readingFields(b),
+    tags: cleanTags(b.tags ?? []),
+    shelves: cleanTags(b.shelves ?? []),
+  }),
+  /* 2 -> 3: written review and favorite quotes */
+  (b) => ({ ...b, review: text(b.review), quotes: cleanQuotes(b.quotes) }),
+  /* 3 -> 4: per-member ratings, favorites and reading status */
+  (b) => ({ ...b, members: cleanMembers(b.members) }),
+];
+
+/* A record brought up to SCHEMA_VERSION (records from a newer app are left alone) */
+export function migrateBook(record) {
+  let book = record;
+  for (let v = Number(record.schemaVersion) || 0; v < SCHEMA_VERSION; v++) {
+    book = { ...MIGRATIONS[v](book), schemaVersion: v + 1 };
+  }
+  return book;
+}
+
+/* Incoming list: anything that isn't a record with an id is dropped, the rest migrated */
+export const readBooks = (data) =>
+  (Array.isArray(data) ? data : [])
+    .filter((b) => b && typeof b === "object" && !empty(b.id))
+    .map(migrateBook);
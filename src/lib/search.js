@@ -0,0 +1,244 @@
+/*
+ * Full-text search over title, author and description.
+ *
+ * buildIndex() makes an inverted index (token -> books) once per `books` change, so a
+ * keystroke only walks the distinct-token vocabulary, not every book. Query tokens match
+ * exactly, by prefix, or within a small edit distance (typo tolerance).
+ *
+ * Query syntax (combinable, all parts must match):
+ *   silent patient          plain words, any field
+ *   "silent patient"        exact phrase
+ *   title:patient  author:Michaelides  desc:therapist
+ *   rating:>=4  rating:<3  rating:5
+ *   fav:yes  fav:no
+ *   tag:space  shelf:"Book club 2026"
+ *   isbn:0-441-17271-7
+ */
+import { clampRating, fold } from "./book.js";
+import { getTags, hasTag } from "./tags.js";
+import { cleanIsbn, normalizeIsbn } from "./isbn.js";
+
+const FIELD_WEIGHTS = { title: 3, author: 2, description: 1 };
+const FIELD_ALIASES = {
+  title: "title",
+  t: "title",
+  author: "author",
+  by: "author",
+  a: "author",
+  desc: "description",
+  description: "description",
+  d: "description",
+};
+
+/* Lowercase, accent-free words (letters and digits in any script) */
+export const tokenize = (s) =>
+  fold(s)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+/* Edit distance counting adjacent swaps as one edit, giving up once it exceeds `max` */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (prev2 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      }
+      best = Math.min(best, cur[j]);
+    }
+    if (best > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+const typoBudget = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+export function buildIndex(books) {
+  const postings = new Map(); // token -> Map(bookIndex -> Set(field))
+  books.forEach((book, i) => {
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      for (const token of tokenize(book[field])) {
+        if (!postings.has(token)) postings.set(token, new Map());
+        const docs = postings.get(token);
+        if (!docs.has(i)) docs.set(i, new Set());
+        docs.get(i).add(field);
+      }
+    }
+  });
+  /* Sorted vocabulary for prefix lookups, bucketed by first letter for fuzzy ones */
+  const vocab = [...postings.keys()].sort();
+  const byFirst = new Map();
+  for (const v of vocab) {
+    if (!byFirst.has(v[0])) byFirst.set(v[0], []);
+    byFirst.get(v[0]).push(v);
+  }
+  return { books, postings, vocab, byFirst, cache: new Map() };
+}
+
+/* First index in the sorted vocabulary that is >= token */
+function lowerBound(vocab, token) {
+  let lo = 0;
+  let hi = vocab.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (vocab[mid] < token) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/*
+ * Vocabulary tokens that a query token stands for, with a 0..1 match quality.
+ * Typos are only looked for among tokens sharing the first letter (or with the
+ * first two letters swapped), which keeps this cheap on large archives.
+ */
+function expand(index, token) {
+  if (index.cache.has(token)) return index.cache.get(token);
+  const out = [];
+  const seen = new Set();
+
+  for (let i = lowerBound(index.vocab, token); i < index.vocab.length; i++) {
+    const v = index.vocab[i];
+    if (!v.startsWith(token)) break;
+    out.push([v, v === token ? 1 : 0.8]);
+    seen.add(v);
+  }
+
+  const max = typoBudget(token);
+  if (max) {
+    const pool = [
+      ...(index.byFirst.get(token[0]) ?? []),
+      ...(index.byFirst.get(token[1]) ?? []).filter((v) => v[1] === token[0]),
+    ];
+    for (const v of pool) {
+      if (seen.has(v)) continue;
+      const d = editDistance(token, v.slice(0, token.length + max), max);
+      if (d <= max) {
+        out.push([v, 0.6 - 0.15 * (d - 1)]);
+        seen.add(v);
+      }
+    }
+  }
+
+  index.cache.set(token, out);
+  return out;
+}
+
+export function parseQuery(input) {
+  const terms = []; // { token, field? }
+  const phrases = []; // { text, field? }
+  const filters = []; // (book) => boolean
+  const re = /(\w+):("[^"]*"?|\S+)|"([^"]*)"?|(\S+)/g;
+  let m;
+
+  while ((m = re.exec(input))) {
+    const [, key, rawValue, phrase, word] = m;
+    if (phrase !== undefined) {
+      if (phrase.trim()) phrases.push({ text: fold(phrase.trim()) });
+      continue;
+    }
+    if (word !== undefined) {
+      tokenize(word).forEach((token) => terms.push({ token }));
+      continue;
+    }
+
+    const k = key.toLowerCase();
+    const value = rawValue.replace(/^"|"$/g, "");
+    if (FIELD_ALIASES[k]) {
+      const field = FIELD_ALIASES[k];
+      if (rawValue.startsWith('"')) phrases.push({ text: fold(value), field });
+      else tokenize(value).forEach((token) => terms.push({ token, field }));
+    } else if (k === "rating" || k === "stars") {
+      const r = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/.exec(value);
+      if (!r) continue;
+      const [, op = "=", n] = r;
+      const num = Number(n);
+      filters.push((b) => {
+        const v = clampRating(b.rating);
+        if (op === ">=") return v >= num;
+        if (op === "<=") return v <= num;
+        if (op === ">") return v > num;
+        if (op === "<") return v < num;
+        return v === num;
+      });
+    } else if (k === "fav" || k === "favorite" || k === "is") {
+      const yes = /^(yes|y|true|1|fav|favorite)$/i.test(value);
+      filters.push((b) => !!b.isFavorite === yes);
+    } else if (k === "isbn") {
+      const isbn = normalizeIsbn(value) ?? cleanIsbn(value);
+      filters.push((b) => !!b.isbn && b.isbn.includes(isbn));
+    } else if (k === "tag" || k === "shelf") {
+      const field = k === "tag" ? "tags" : "shelves";
+      filters.push((b) => hasTag(getTags(b, field), value));
+    } else {
+      tokenize(`${key} ${value}`).forEach((token) => terms.push({ token }));
+    }
+  }
+  return { terms, phrases, filters };
+}
+
+/*
+ * Runs a query. Returns [{ book, score, terms }] best-first, where `terms` is the set of
+ * matched tokens for highlighting. An empty query returns every book in archive order.
+ */
+export function searchBooks(index, input) {
+  const { terms, phrases, filters } = parseQuery(input || "");
+  const { books } = index;
+
+  if (!terms.length && !phrases.length) {
+    return books.filter((b) => filters.every((f) => f(b))).map((book) => ({ book, score: 0 }));
+  }
+
+  /* Score each book per query term; a book must match every term */
+  let candidates = null; // Map(bookIndex -> { score, terms:Set })
+  for (const { token, field } of terms) {
+    const hits = new Map();
+    for (const [v, quality] of expand(index, token)) {
+      for (const [i, fields] of index.postings.get(v)) {
+        let w = 0;
+        for (const f of fields) if (!field || f === field) w = Math.max(w, FIELD_WEIGHTS[f]);
+        if (!w) continue;
+        const hit = hits.get(i) ?? { score: 0, terms: new Set() };
+        hit.score = Math.max(hit.score, w * quality);
+        hit.terms.add(v);
+        hits.set(i, hit);
+      }
+    }
+    if (!candidates) {
+      candidates = hits;
+    } else {
+      for (const [i, c] of candidates) {
+        const hit = hits.get(i);
+        if (!hit) candidates.delete(i);
+        else {
+          c.score += hit.score;
+          hit.terms.forEach((t) => c.terms.add(t));
+        }
+      }
+    }
+  }
+
+  const pool = candidates
+    ? [...candidates].map(([i, c]) => ({ book: books[i], ...c }))
+    : books.map((book) => ({ book, score: 0, terms: new Set() }));
+
+  return pool
+    .filter(({ book }) => filters.every((f) => f(book)))
+    .filter(({ book, terms: matched }) =>
+      phrases.every(({ text, field }) => {
+        const fields = field ? [field] : Object.keys(FIELD_WEIGHTS);
+        const hit = fields.some((f) => fold(book[f]).includes(text));
+        if (hit) tokenize(text).forEach((t) => matched.add(t));
+        return hit;
+      })
+    )
+    .map((r) => ({ ...r, score: r.score + phrases.length * 2 }))
+    .sort((a, b) => b.score - a.score);
+}
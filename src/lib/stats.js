@@ -0,0 +1,92 @@
+/* Numbers behind the stats view; everything is computed from the list it's given */
+import { clampRating, formatRating, halfStar } from "./book.js";
+import { getStatus } from "./reading.js";
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const avg = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0);
+
+/* Finish dates of finished books ("YYYY-MM-DD") */
+const finishDates = (books) =>
+  books.filter((b) => getStatus(b) === "finished" && b.finishedAt).map((b) => b.finishedAt);
+
+/* Books finished per month for the last `months` months, oldest first */
+export function finishedByMonth(books, months = 12, now = new Date()) {
+  const counts = new Map();
+  for (const d of finishDates(books))
+    counts.set(d.slice(0, 7), (counts.get(d.slice(0, 7)) || 0) + 1);
+
+  return Array.from({ length: months }, (_, i) => {
+    const d = new Date(now.getFullYear(), now.getMonth() - (months - 1 - i), 1);
+    const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+    return {
+      key,
+      label: MONTHS[d.getMonth()],
+      sub: String(d.getFullYear()),
+      value: counts.get(key) || 0,
+    };
+  });
+}
+
+/* Books finished per calendar year, oldest first */
+export function finishedByYear(books) {
+  const counts = new Map();
+  for (const d of finishDates(books))
+    counts.set(d.slice(0, 4), (counts.get(d.slice(0, 4)) || 0) + 1);
+  return [...counts]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([year, value]) => ({ key: year, label: year, value }));
+}
+
+/* How many books have each half-star rating (½★ to 5★); 0 = unrated */
+export function ratingDistribution(books) {
+  const counts = Array(11).fill(0);
+  for (const b of books) counts[halfStar(b.rating) * 2]++;
+  return counts.map((value, i) => ({
+    key: String(i / 2),
+    label: i ? `${formatRating(i / 2)}★` : "–",
+    value,
+  }));
+}
+
+/* Per-author book count and average rating (over rated books only) */
+export function authorStats(books) {
+  const by = new Map();
+  for (const b of books) {
+    const name = String(b.author ?? "").trim() || "Unknown author";
+    const key = name.toLowerCase();
+    if (!by.has(key)) by.set(key, { name, count: 0, ratings: [] });
+    const a = by.get(key);
+    a.count++;
+    if (clampRating(b.rating) > 0) a.ratings.push(clampRating(b.rating));
+  }
+  return [...by.values()].map((a) => ({
+    name: a.name,
+    count: a.count,
+    rated: a.ratings.length,
+    avgRating: avg(a.ratings),
+  }));
+}
+
+export function summarize(books) {
+  const rated = books.map((b) => clampRating(b.rating)).filter((r) => r > 0);
+  const authors = authorStats(books);
+  return {
+    total: books.length,
+    finished: books.filter((b) => getStatus(b) === "finished").length,
+    reading: books.filter((b) => getStatus(b) === "reading").length,
+    favorites: books.filter((b) => b.isFavorite).length,
+    favoriteRatio: books.length ? books.filter((b) => b.isFavorite).length / books.length : 0,
+    avgRating: avg(rated),
+    byMonth: finishedByMonth(books),
+    byYear: finishedByYear(books),
+    ratings: ratingDistribution(books),
+    topAuthors: [...authors]
+      .sort((a, b) => b.count - a.count || b.avgRating - a.avgRating)
+      .slice(0, 8),
+    bestRatedAuthors: authors
+      .filter((a) => a.rated > 0)
+      .sort((a, b) => b.avgRating - a.avgRating || b.rated - a.rated)
+      .slice(0, 8),
+  };
+}
@@ -0,0 +1,72 @@
+/*
+ * Tags and shelves: free-form labels stored on each book as arrays of names
+ * (`book.tags`, `book.shelves`). Names compare case- and accent-insensitively,
+ * but keep the spelling they were first typed with.
+ */
+import { fold } from "./book.js";
+
+export const TAG_FIELDS = {
+  shelves: { label: "Shelves", one: "shelf", icon: "📚" },
+  tags: { label: "Tags", one: "tag", icon: "#" },
+};
+
+const tagKey = (name) => fold(name).replace(/\s+/g, " ").trim();
+
+/* Trims, drops empties and case-insensitive repeats; accepts an array or "a, b; c" */
+export function cleanTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(/[,;]/);
+  const seen = new Set();
+  const out = [];
+  for (const raw of list) {
+    const name = String(raw ?? "")
+      .replace(/\s+/g, " ")
+      .trim();
+    const key = tagKey(name);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push(name);
+  }
+  return out;
+}
+
+export const getTags = (book, field) => (Array.isArray(book?.[field]) ? book[field] : []);
+
+export const hasTag = (list, name) => {
+  const key = tagKey(name);
+  return (list ?? []).some((t) => tagKey(t) === key);
+};
+
+/* Every name used in `field` across the archive: [{ name, count }] sorted by name */
+export function collectTags(books, field) {
+  const by = new Map();
+  for (const b of books) {
+    for (const name of getTags(b, field)) {
+      const key = tagKey(name);
+      if (!by.has(key)) by.set(key, { name, count: 0 });
+      by.get(key).count++;
+    }
+  }
+  return [...by.values()].sort((a, b) =>
+    a.name.localeCompare(b.name, undefined, { sensitivity: "base" })
+  );
+}
+
+/* Autocomplete: known names starting with (then containing) the input, minus ones already picked */
+export function suggestTags(all, input, taken = [], limit = 8) {
+  const q = tagKey(input);
+  const free = all.filter((t) => !hasTag(taken, t.name));
+  if (!q) return free.slice(0, limit);
+  const starts = free.filter((t) => tagKey(t.name).startsWith(q));
+  const contains = free.filter((t) => !starts.includes(t) && tagKey(t.name).includes(q));
+  return [...starts, ...contains].slice(0, limit);
+}
+
+/*
+ * `list` with `from` renamed to `to`. Renaming onto a name that's already there
+ * merges the two; a null `to` removes the name.
+ */
+export function renameTag(list, from, to) {
+  const out = [];
+  for (const t of list ?? []) out.push(tagKey(t) === tagKey(from) ? to : t);
+  return cleanTags(out.filter((t) => t != null));
+}
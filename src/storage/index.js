@@ -0,0 +1,62 @@
+import { createRestAdapter } from "./rest.js";
+import { LOCAL_COVER_PREFIX, createLocalAdapter, readLocalCover } from "./local.js";
+import { migrateBook, readBooks } from "../lib/schema.js";
+
+/* Profile picked in this browser; every member of the team picks their own */
+const MEMBER_KEY = "my-book-archive:member";
+
+/* Default MockAPI base + prefix + resource name (override with VITE_API_URL) */
+const DEFAULT_API_URL = "https://698861e1780e8375a6882998.mockapi.io/api/v1/books";
+
+/* Unset env numbers fall back to the request defaults (see request.js) */
+const envNumber = (value) => (value === undefined || value === "" ? undefined : Number(value));
+
+/*
+ * Picks the storage backend from the Vite env:
+ *   VITE_STORAGE=rest  -> MockAPI at VITE_API_URL (default)
+ *   VITE_STORAGE=local -> IndexedDB in this browser, no network needed
+ * An empty VITE_API_URL also switches to the local backend. VITE_API_TIMEOUT (ms) and
+ * VITE_API_RETRIES tune the REST calls.
+ */
+export function createStorage(env = import.meta.env) {
+  const apiUrl = env.VITE_API_URL ?? DEFAULT_API_URL;
+  if (env.VITE_STORAGE === "local" || !apiUrl) return withSchema(createLocalAdapter());
+  return withSchema(
+    createRestAdapter(apiUrl, {
+      timeout: envNumber(env.VITE_API_TIMEOUT),
+      retries: envNumber(env.VITE_API_RETRIES),
+    })
+  );
+}
+
+/* Every record a backend hands back is checked and upgraded to the current schema */
+function withSchema(adapter) {
+  const one = (book) => (book ? migrateBook(book) : book);
+  return {
+    ...adapter,
+    list: async (opts) => readBooks(await adapter.list(opts)),
+    listPage: async (page, limit, opts) => readBooks(await adapter.listPage(page, limit, opts)),
+    get: async (id, opts) => one(await adapter.get(id, opts)),
+    create: async (data) => one(await adapter.create(data)),
+    update: async (id, data) => one(await adapter.update(id, data)),
+  };
+}
+
+export const loadMemberId = () => {
+  try {
+    return localStorage.getItem(MEMBER_KEY) || null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveMemberId = (id) => {
+  try {
+    if (id) localStorage.setItem(MEMBER_KEY, id);
+    else localStorage.removeItem(MEMBER_KEY);
+  } catch {
+    /* Private mode: the pick lasts for this session */
+  }
+};
+
+export { createRestAdapter, createLocalAdapter, LOCAL_COVER_PREFIX, readLocalCover };
@@ -0,0 +1,147 @@
+/* Local adapter: keeps the archive in IndexedDB, or localStorage when IndexedDB is missing */
+import { blobToDataUrl } from "../lib/covers.js";
+
+const DB_NAME = "my-book-archive";
+const STORE = "books";
+const COVERS = "covers"; // uploaded cover images, as { id, blob }
+const MEMBERS = "members"; // team profiles, as { id, name, createdAt }
+const LS_KEY = "my-book-archive:books";
+const LS_MEMBERS_KEY = "my-book-archive:members";
+
+/* coverImage value pointing at a blob in the covers store */
+export const LOCAL_COVER_PREFIX = "local-cover:";
+
+const newId = () =>
+  globalThis.crypto?.randomUUID?.() ??
+  `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+/* Wraps an IDBRequest in a promise */
+const done = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+function openDb() {
+  const req = indexedDB.open(DB_NAME, 3);
+  req.onupgradeneeded = () => {
+    for (const name of [STORE, COVERS, MEMBERS]) {
+      if (!req.result.objectStoreNames.contains(name)) {
+        req.result.createObjectStore(name, { keyPath: "id" });
+      }
+    }
+  };
+  return done(req);
+}
+
+let dbPromise = null;
+const objectStore = async (name, mode) => {
+  dbPromise ??= openDb();
+  const db = await dbPromise;
+  return db.transaction(name, mode).objectStore(name);
+};
+
+/* Blob behind a local cover reference, or null when it's gone */
+export async function readLocalCover(ref) {
+  if (typeof indexedDB === "undefined" || !String(ref).startsWith(LOCAL_COVER_PREFIX)) return null;
+  const rec = await done(
+    (await objectStore(COVERS, "readonly")).get(ref.slice(LOCAL_COVER_PREFIX.length))
+  );
+  return rec?.blob ?? null;
+}
+
+function idbBackend(name) {
+  const store = (mode) => objectStore(name, mode);
+
+  return {
+    all: async () => done((await store("readonly")).getAll()),
+    get: async (id) => done((await store("readonly")).get(id)),
+    put: async (book) => {
+      await done((await store("readwrite")).put(book));
+      return book;
+    },
+    delete: async (id) => done((await store("readwrite")).delete(id)),
+    saveCover: async (blob) => {
+      const id = newId();
+      await done((await objectStore(COVERS, "readwrite")).put({ id, blob }));
+      return LOCAL_COVER_PREFIX + id;
+    },
+    /* Anything but a local cover reference (a link, an inline image) has nothing stored */
+    removeCover: async (ref) => {
+      if (!String(ref).startsWith(LOCAL_COVER_PREFIX)) return;
+      const id = ref.slice(LOCAL_COVER_PREFIX.length);
+      await done((await objectStore(COVERS, "readwrite")).delete(id));
+    },
+  };
+}
+
+function lsBackend(key) {
+  const read = () => {
+    try {
+      const data = JSON.parse(localStorage.getItem(key) || "[]");
+      return Array.isArray(data) ? data : [];
+    } catch {
+      return [];
+    }
+  };
+  const write = (books) => localStorage.setItem(key, JSON.stringify(books));
+
+  return {
+    all: async () => read(),
+    get: async (id) => read().find((b) => b.id === id),
+    put: async (book) => {
+      const books = read();
+      const i = books.findIndex((b) => b.id === book.id);
+      if (i === -1) books.push(book);
+      else books[i] = book;
+      write(books);
+      return book;
+    },
+    delete: async (id) => write(read().filter((b) => b.id !== id)),
+    /* No room for blobs here, so covers go inline */
+    saveCover: (blob) => blobToDataUrl(blob),
+    removeCover: async () => {},
+  };
+}
+
+export function createLocalAdapter() {
+  const hasIdb = typeof indexedDB !== "undefined";
+  const db = hasIdb ? idbBackend(STORE) : lsBackend(LS_KEY);
+  const members = hasIdb ? idbBackend(MEMBERS) : lsBackend(LS_MEMBERS_KEY);
+
+  const list = async () => {
+    const books = await db.all();
+    return books.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  };
+
+  return {
+    name: "local",
+    label: hasIdb ? "IndexedDB" : "localStorage",
+    list,
+    listPage: async (page, limit) => (await list()).slice((page - 1) * limit, page * limit),
+    get: async (id) => (await db.get(id)) ?? null,
+    create: (data) => db.put({ ...data, id: newId(), createdAt: new Date().toISOString() }),
+    update: async (id, data) => {
+      const current = await db.get(id);
+      if (!current) throw Object.assign(new Error("PUT failed"), { status: 404 });
+      return db.put({ ...current, ...data, id });
+    },
+    remove: async (id) => {
+      const current = await db.get(id);
+      if (!current) throw Object.assign(new Error("DELETE failed"), { status: 404 });
+      await db.delete(id);
+      return null;
+    },
+    saveCover: db.saveCover,
+    /* Once no book points at the cover any more */
+    removeCover: db.removeCover,
+    listMembers: async () =>
+      (await members.all()).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt))),
+    createMember: (data) =>
+      members.put({ ...data, id: newId(), createdAt: new Date().toISOString() }),
+    removeMember: async (id) => {
+      await members.delete(id);
+      return null;
+    },
+  };
+}
@@ -0,0 +1,141 @@
+/*
+ * HTTP for the REST adapter: every call has a timeout and can be cancelled with an
+ * AbortSignal, and calls that are safe to repeat (GET, PUT, DELETE) are retried with
+ * exponential backoff when the failure looks temporary. Failures are thrown as errors
+ * with a `kind` (and the HTTP `status` when there was an answer):
+ *   "network"       no answer at all: offline, DNS, CORS, connection dropped
+ *   "timeout"       no answer within `timeout` ms
+ *   "rate-limited"  429; `retryAfter` is the server's Retry-After in ms, when it sent one
+ *   "server"        5xx, or a 2xx whose body isn't JSON
+ *   "client"        any other 4xx
+ *   "aborted"       cancelled through the caller's `signal`
+ */
+
+export const REQUEST_DEFAULTS = { timeout: 10000, retries: 2, backoff: 400 };
+
+const IDEMPOTENT = ["GET", "PUT", "DELETE"];
+const RETRYABLE = ["network", "timeout", "rate-limited", "server"];
+
+/* A Retry-After longer than this is left to the user (the toast's Retry) */
+const MAX_WAIT = 10000;
+
+const apiError = (message, kind, extra) => Object.assign(new Error(message), { kind, ...extra });
+
+const kindOf = (status) => (status === 429 ? "rate-limited" : status >= 500 ? "server" : "client");
+
+export const isAborted = (err) => err?.kind === "aborted";
+
+/* Failures that may go away by themselves: worth trying again later */
+export const isRetryable = (err) => RETRYABLE.includes(err?.kind);
+
+/* Retry-After is either seconds or an HTTP date */
+function retryAfter(res) {
+  const value = res.headers.get("Retry-After");
+  if (!value) return undefined;
+  const ms = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return ms >= 0 ? ms : undefined;
+}
+
+/* Resolves after `ms`, or rejects as soon as `signal` aborts */
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(apiError("Request cancelled", "aborted"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/* One try: the timeout covers reading the body too */
+async function attempt(url, init, signal, timeout) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort);
+
+  try {
+    const res = await fetch(url, { ...init, signal: controller.signal });
+    if (!res.ok) {
+      throw apiError(`${init.method} failed (${res.status})`, kindOf(res.status), {
+        status: res.status,
+        retryAfter: retryAfter(res),
+      });
+    }
+    return init.method === "DELETE" ? null : await res.json();
+  } catch (err) {
+    if (err.kind) throw err;
+    if (signal?.aborted) throw apiError(`${init.method} cancelled`, "aborted");
+    if (timedOut) throw apiError(`${init.method} timed out after ${timeout} ms`, "timeout");
+    if (err.name === "SyntaxError") {
+      throw apiError(`${init.method} got a malformed answer`, "server", { cause: err });
+    }
+    throw apiError(`${init.method} failed: ${err.message}`, "network", { cause: err });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/*
+ * Sends `data` (as JSON) with `method` and resolves to the parsed answer (null for DELETE).
+ * Retries wait `backoff` ms, then twice that, and so on (plus some jitter), or what the
+ * server's Retry-After asks for.
+ */
+export async function request(
+  url,
+  {
+    method = "GET",
+    data,
+    signal,
+    timeout = REQUEST_DEFAULTS.timeout,
+    retries = REQUEST_DEFAULTS.retries,
+    backoff = REQUEST_DEFAULTS.backoff,
+  } = {}
+) {
+  const init = {
+    method,
+    headers: data ? { "Content-Type": "application/json" } : undefined,
+    body: data ? JSON.stringify(data) : undefined,
+  };
+  const tries = IDEMPOTENT.includes(method) ? retries + 1 : 1;
+
+  for (let i = 1; ; i++) {
+    if (signal?.aborted) throw apiError(`${method} cancelled`, "aborted");
+    try {
+      return await attempt(url, init, signal, timeout);
+    } catch (err) {
+      const delay = err.retryAfter ?? backoff * 2 ** (i - 1) * (1 + Math.random() / 4);
+      if (i >= tries || !isRetryable(err) || delay > MAX_WAIT) throw err;
+      await wait(delay, signal);
+    }
+  }
+}
+
+/* What went wrong, in a sentence for a toast */
+export function describeError(err) {
+  const status = err?.status;
+  const kind = err?.kind ?? (status ? kindOf(status) : null);
+  if (kind === "network") return "The server can't be reached. Check your connection.";
+  if (kind === "timeout") return "The server took too long to answer.";
+  if (kind === "rate-limited") {
+    const s = Math.ceil((err.retryAfter ?? 0) / 1000);
+    return s > 1
+      ? `Too many requests; try again in ${s} s.`
+      : "Too many requests; try again shortly.";
+  }
+  if (kind === "server") return `The server had a problem${status ? ` (HTTP ${status})` : ""}.`;
+  if (status === 401 || status === 403) {
+    return `Access denied (HTTP ${status}). Check your API URL.`;
+  }
+  if (status === 404) return "Not found on the server (HTTP 404). Check your API URL.";
+  if (kind === "client") return `The server refused the request (HTTP ${status}).`;
+  return "Check API / network.";
+}
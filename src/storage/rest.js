@@ -0,0 +1,74 @@
+/*
+ * REST adapter: talks to a MockAPI-style resource (GET/POST/PUT/DELETE).
+ * `options` sets the timeout and retries of every call (see request.js); reads also take
+ * { signal } to cancel them.
+ */
+import { blobToDataUrl } from "../lib/covers.js";
+import { request } from "./request.js";
+
+export function createRestAdapter(baseUrl, options = {}) {
+  const url = baseUrl.replace(/\/+$/, "");
+  /* Profiles are a sibling resource in the same MockAPI project */
+  const membersUrl = url.replace(/[^/]+$/, "members");
+
+  const send = (method, path, { data, signal, base = url } = {}) =>
+    request(`${base}${path}`, { ...options, method, data, signal });
+
+  /* Single record, or null when the server no longer has it */
+  const get = async (id, { signal } = {}) => {
+    try {
+      return await send("GET", `/${id}`, { signal });
+    } catch (err) {
+      if (err.status === 404) return null;
+      throw err;
+    }
+  };
+
+  /* One page of the list (MockAPI's page/limit params); past the end is an empty page */
+  const listPage = async (page, limit, { signal } = {}) => {
+    try {
+      return await send("GET", `?page=${page}&limit=${limit}`, { signal });
+    } catch (err) {
+      if (err.status === 404) return [];
+      throw err;
+    }
+  };
+
+  /*
+   * A 404 means the record is already gone, e.g. when an earlier try deleted it but the
+   * answer was lost and the call was retried
+   */
+  const remove = async (id) => {
+    try {
+      return await send("DELETE", `/${id}`);
+    } catch (err) {
+      if (err.status === 404) return null;
+      throw err;
+    }
+  };
+
+  return {
+    name: "rest",
+    label: "MockAPI",
+    list: ({ signal } = {}) => send("GET", "", { signal }),
+    listPage,
+    get,
+    create: (data) => send("POST", "", { data }),
+    update: (id, data) => send("PUT", `/${id}`, { data }),
+    remove,
+    /* The resource has no file storage, so uploaded covers travel inside the record */
+    saveCover: (blob) => blobToDataUrl(blob),
+    removeCover: async () => {},
+    /* A project without a members resource simply has no profiles yet */
+    listMembers: async ({ signal } = {}) => {
+      try {
+        return await send("GET", "", { signal, base: membersUrl });
+      } catch (err) {
+        if (err.status === 404) return [];
+        throw err;
+      }
+    },
+    createMember: (data) => send("POST", "", { data, base: membersUrl }),
+    removeMember: (id) => send("DELETE", `/${id}`, { base: membersUrl }),
+  };
+}
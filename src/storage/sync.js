@@ -0,0 +1,270 @@
+/*
+ * Offline-first sync queue.
+ *
+ * Every mutation is applied to the UI right away and recorded here as an op:
+ *   { id, type: "create" | "update" | "delete", bookId, data, base }
+ * `base` is the copy of the book the user was looking at when they made the change.
+ * Ops are replayed against the storage adapter in order; before an update or delete
+ * we re-read the server copy and, if it no longer matches `base`, park the op as a
+ * conflict instead of overwriting someone else's edit. Per-member entries (`members`)
+ * never conflict: only the entries an op changed are written over the server's.
+ */
+import { mergeMembers } from "../lib/members.js";
+import { isRetryable } from "./request.js";
+
+const QUEUE_KEY = "my-book-archive:queue";
+const CONFLICTS_KEY = "my-book-archive:conflicts";
+const CACHE_KEY = "my-book-archive:cache";
+
+const read = (key, fallback) => {
+  try {
+    const v = JSON.parse(localStorage.getItem(key));
+    return v ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+const write = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    /* Quota or private mode: the queue still works for this session */
+  }
+};
+
+const uid = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+export const tempId = () => `tmp-${uid()}`;
+export const isTempId = (id) => String(id).startsWith("tmp-");
+
+/* Last list seen from the server, so the archive can open offline */
+export const loadCache = () => read(CACHE_KEY, null);
+export const saveCache = (books) => write(CACHE_KEY, books);
+
+/*
+ * Network failures, timeouts, rate limits and 5xx (the request layer's `kind`) keep the op
+ * queued. Anything else, a 4xx, a storage or quota error or a bug, is reported instead.
+ */
+export const isTransient = (err) => isRetryable(err);
+
+/* Keys of `base` whose value differs in `other` (id, server-only keys and members ignored) */
+export function diffFields(base, other) {
+  if (!base || !other) return [];
+  return Object.keys(base).filter(
+    (k) => k !== "id" && k !== "members" && JSON.stringify(base[k]) !== JSON.stringify(other[k])
+  );
+}
+
+/* A copy of the book with an update op's changes on top */
+const withChanges = (book, op) => ({
+  ...book,
+  ...op.data,
+  ...(op.data.members && {
+    members: mergeMembers(book.members, op.base?.members, op.data.members),
+  }),
+});
+
+/* Replays ops on top of a list (used after reload, when the server list lacks them) */
+export function applyOps(books, ops) {
+  return ops.reduce((list, op) => {
+    if (op.type === "create") {
+      return list.some((b) => b.id === op.bookId) ? list : [...list, { ...op.data, id: op.bookId }];
+    }
+    if (op.type === "update") {
+      return list.map((b) => (b.id === op.bookId ? withChanges(b, op) : b));
+    }
+    return list.filter((b) => b.id !== op.bookId);
+  }, books);
+}
+
+/* Adds a later page of the server list; pages shift as books are added, so repeats are skipped */
+export function appendPage(books, page, ops) {
+  const seen = new Set(books.map((b) => b.id));
+  const fresh = applyOps(
+    page,
+    ops.filter((op) => op.type !== "create")
+  );
+  const added = fresh.filter((b) => !seen.has(b.id));
+  return added.length ? [...books, ...added] : books;
+}
+
+export function createSyncQueue(storage) {
+  let state = {
+    ops: read(QUEUE_KEY, []),
+    conflicts: read(CONFLICTS_KEY, []),
+    syncing: false,
+  };
+  const listeners = new Set();
+  let running = null;
+  let inFlight = null;
+
+  const set = (patch) => {
+    state = { ...state, ...patch };
+    write(QUEUE_KEY, state.ops);
+    write(CONFLICTS_KEY, state.conflicts);
+    listeners.forEach((fn) => fn());
+  };
+
+  /*
+   * Callers waiting on an op's outcome, by op id. Each hears once, when the op leaves the
+   * queue or a flush stops before it: {}, { error }, { conflict } or { offline }.
+   */
+  const waiters = new Map();
+  const settled = (opId) =>
+    new Promise((resolve) => waiters.set(opId, [...(waiters.get(opId) ?? []), resolve]));
+  const settle = (opId, outcome) => {
+    waiters.get(opId)?.forEach((resolve) => resolve(outcome));
+    waiters.delete(opId);
+  };
+
+  /*
+   * Folds a new op into a pending one for the same book where possible; resolves to the
+   * op's outcome (see `waiters`) once a flush gets to it
+   */
+  const enqueue = (op) => {
+    const ops = [...state.ops];
+    const i = ops.findIndex((o) => o.bookId === op.bookId && o.id !== inFlight);
+    const prev = ops[i];
+    let id = prev?.id;
+
+    if (prev && op.type === "update") {
+      ops[i] = { ...prev, data: { ...prev.data, ...op.data } };
+    } else if (prev && op.type === "delete" && prev.type === "create") {
+      ops.splice(i, 1);
+      settle(prev.id, {});
+      id = null;
+    } else if (prev && op.type === "delete") {
+      ops[i] = { ...op, id: prev.id, base: prev.base ?? op.base };
+    } else if (
+      op.type === "delete" &&
+      isTempId(op.bookId) &&
+      !ops.some((o) => o.bookId === op.bookId)
+    ) {
+      /* Never reached the server, nothing to delete */
+      return Promise.resolve({});
+    } else {
+      id = uid();
+      ops.push({ ...op, id });
+    }
+    set({ ops });
+    return id ? settled(id) : Promise.resolve({});
+  };
+
+  /* Runs one op; returns { events, conflict } */
+  const run = async (op) => {
+    if (op.type === "create") {
+      const created = await storage.create(op.data);
+      return { events: [{ upsert: created, replaces: op.bookId }], created };
+    }
+
+    const server = await storage.get(op.bookId);
+    const changed = diffFields(op.base, server);
+
+    /* `remove` also drops a copy re-added by the create event of the same run */
+    if (op.type === "delete") {
+      if (!server) return { events: [{ remove: op.bookId }] };
+      if (changed.length) return { conflict: { op, server, fields: changed } };
+      await storage.remove(op.bookId);
+      return { events: [{ remove: op.bookId }] };
+    }
+
+    if (!server || changed.length) return { conflict: { op, server, fields: changed } };
+    const updated = await storage.update(op.bookId, withChanges(server, op));
+    return { events: [{ upsert: updated }] };
+  };
+
+  /*
+   * Replays queued ops until the queue is empty or the network gives out; `offline` is then
+   * the error that stopped it
+   */
+  const drain = async () => {
+    const result = { events: [], conflicts: [], errors: [], offline: null };
+    set({ syncing: true });
+
+    while (state.ops.length) {
+      const op = state.ops[0];
+      inFlight = op.id;
+      try {
+        const out = await run(op);
+        let rest = state.ops.filter((o) => o.id !== op.id);
+
+        if (out.created) {
+          rest = rest.map((o) =>
+            o.bookId === op.bookId ? { ...o, bookId: out.created.id, base: out.created } : o
+          );
+        }
+        if (out.conflict) {
+          const conflict = { id: uid(), ...out.conflict };
+          result.conflicts.push(conflict);
+          set({ ops: rest, conflicts: [...state.conflicts, conflict] });
+          settle(op.id, { conflict });
+          continue;
+        }
+        /* A later op for the same book will bring its own server copy */
+        const events = out.events.filter((ev) => !rest.some((o) => o.bookId === ev.upsert?.id));
+        result.events.push(...(out.created ? out.events : events));
+        set({ ops: rest });
+        settle(op.id, {});
+      } catch (err) {
+        if (isTransient(err)) {
+          result.offline = err;
+          break;
+        }
+        result.errors.push({ op, error: err });
+        set({ ops: state.ops.filter((o) => o.id !== op.id) });
+        settle(op.id, { error: err });
+      } finally {
+        inFlight = null;
+      }
+    }
+
+    /* Ops still queued stay for the next flush; whoever waits on them hears why */
+    const pending = result.offline ? { offline: result.offline } : {};
+    for (const id of [...waiters.keys()]) settle(id, pending);
+    set({ syncing: false });
+    return result;
+  };
+
+  const flush = () => {
+    running ??= drain().finally(() => {
+      running = null;
+    });
+    return running;
+  };
+
+  /* Settles a conflict: "mine" pushes the local change, "server" keeps the server copy */
+  const resolve = async (conflictId, choice) => {
+    const conflict = state.conflicts.find((c) => c.id === conflictId);
+    if (!conflict) return [];
+    const { op, server } = conflict;
+    let events;
+
+    if (choice === "server") {
+      events = server ? [{ upsert: server }] : [{ remove: op.bookId }];
+    } else if (op.type === "delete") {
+      await storage.remove(op.bookId);
+      events = [];
+    } else if (server) {
+      events = [{ upsert: await storage.update(op.bookId, withChanges(server, op)) }];
+    } else {
+      /* Deleted on the server meanwhile: bring it back with our edits */
+      const book = { ...op.base, ...op.data };
+      delete book.id;
+      events = [{ upsert: await storage.create(book), replaces: op.bookId }];
+    }
+
+    set({ conflicts: state.conflicts.filter((c) => c.id !== conflictId) });
+    return events;
+  };
+
+  return {
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    getSnapshot: () => state,
+    enqueue,
+    flush,
+    resolve,
+  };
+}
@@ -0,0 +1,1073 @@
+/* ---------- Styles (shared by App and components/) ---------- */
+export const S = {
+  page: {
+    minHeight: "100vh",
+    background: "linear-gradient(135deg, #fff7ed 0%, #fdf2f8 30%, #eff6ff 65%, #ecfdf5 100%)",
+    padding: 34,
+    fontFamily:
+      'ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, "Helvetica Neue", Arial',
+  },
+  container: { maxWidth: 1100, margin: "0 auto" },
+
+  header: {
+    display: "flex",
+    gap: 16,
+    justifyContent: "space-between",
+    alignItems: "flex-end",
+    marginBottom: 18,
+    flexWrap: "wrap",
+  },
+
+  badgesRow: { display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" },
+  badge: {
+    background: "rgba(255,255,255,0.75)",
+    border: "1px solid rgba(255,255,255,0.8)",
+    padding: "8px 12px",
+    borderRadius: 999,
+    fontWeight: 900,
+    color: "#0f172a",
+    boxShadow: "0 10px 25px rgba(15,23,42,0.06)",
+  },
+  badgeSoft: {
+    background: "rgba(255,255,255,0.6)",
+    border: "1px solid rgba(255,255,255,0.75)",
+    padding: "8px 12px",
+    borderRadius: 999,
+    fontWeight: 800,
+    color: "#334155",
+  },
+
+  h1: { margin: "10px 0 6px" },
+  h1Script: {
+    fontSize: 62,
+    color: "#0f172a",
+    letterSpacing: -1,
+    fontWeight: 900,
+    fontFamily:
+      '"Brush Script MT","Segoe Script","Snell Roundhand","Apple Chancery","Comic Sans MS",cursive',
+  },
+
+  sub: { margin: 0, color: "#475569", fontSize: 16 },
+
+  primaryBtn: {
+    border: "none",
+    borderRadius: 16,
+    padding: "12px 16px",
+    cursor: "pointer",
+    background: "linear-gradient(90deg, #fb7185 0%, #f472b6 55%, #a78bfa 100%)",
+    color: "white",
+    fontWeight: 900,
+    boxShadow: "0 14px 35px rgba(244,114,182,0.25)",
+  },
+  secondaryBtn: {
+    border: "1px solid rgba(148,163,184,0.35)",
+    borderRadius: 16,
+    padding: "12px 16px",
+    cursor: "pointer",
+    background: "rgba(255,255,255,0.75)",
+    color: "#0f172a",
+    fontWeight: 900,
+  },
+  dangerBtn: {
+    border: "none",
+    borderRadius: 16,
+    padding: "12px 16px",
+    cursor: "pointer",
+    background: "linear-gradient(90deg, #fb7185 0%, #ef4444 100%)",
+    color: "white",
+    fontWeight: 900,
+  },
+
+  toolbar: {
+    display: "flex",
+    gap: 12,
+    alignItems: "center",
+    flexWrap: "wrap",
+    padding: 14,
+    borderRadius: 22,
+    background: "rgba(255,255,255,0.65)",
+    border: "1px solid rgba(255,255,255,0.8)",
+    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
+    marginBottom: 18,
+  },
+
+  searchWrap: {
+    flex: 1,
+    minWidth: 260,
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+    padding: "12px 14px",
+    borderRadius: 18,
+    background: "rgba(255,255,255,0.85)",
+    border: "1px solid rgba(226,232,240,0.9)",
+    boxShadow: "inset 0 1px 0 rgba(255,255,255,0.8)",
+  },
+  searchIcon: { fontSize: 16, opacity: 0.7 },
+  searchInput: {
+    flex: 1,
+    border: "none",
+    outline: "none",
+    background: "transparent",
+    fontSize: 15,
+    color: "#0f172a",
+  },
+  clearBtn: {
+    border: "none",
+    cursor: "pointer",
+    width: 34,
+    height: 34,
+    borderRadius: 12,
+    background: "rgba(241,245,249,0.9)",
+    color: "#475569",
+    fontWeight: 900,
+  },
+
+  chip: {
+    borderRadius: 999,
+    padding: "10px 14px",
+    border: "1px solid rgba(148,163,184,0.35)",
+    background: "rgba(255,255,255,0.75)",
+    cursor: "pointer",
+    fontWeight: 900,
+    color: "#0f172a",
+  },
+  chipActive: {
+    background: "linear-gradient(90deg, rgba(251,113,133,0.25), rgba(167,139,250,0.25))",
+    border: "1px solid rgba(167,139,250,0.35)",
+  },
+
+  grid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(3, minmax(0, 1fr))",
+    gap: 16,
+  },
+
+  centerBox: {
+    display: "flex",
+    alignItems: "center",
+    gap: 12,
+    padding: 16,
+    borderRadius: 22,
+    background: "rgba(255,255,255,0.65)",
+    border: "1px solid rgba(255,255,255,0.8)",
+    width: "fit-content",
+  },
+  loader: {
+    width: 18,
+    height: 18,
+    borderRadius: "50%",
+    border: "3px solid rgba(148,163,184,0.35)",
+    borderTopColor: "#a78bfa",
+    animation: "spin 1s linear infinite",
+  },
+
+  emptyCard: {
+    padding: 26,
+    borderRadius: 26,
+    background: "rgba(255,255,255,0.65)",
+    border: "1px solid rgba(255,255,255,0.8)",
+    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
+    textAlign: "center",
+    maxWidth: 520,
+  },
+  emptyIcon: {
+    width: 56,
+    height: 56,
+    borderRadius: 18,
+    display: "grid",
+    placeItems: "center",
+    margin: "0 auto 10px",
+    background:
+      "linear-gradient(135deg, rgba(251,113,133,0.25), rgba(96,165,250,0.25), rgba(52,211,153,0.25))",
+    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
+    fontSize: 22,
+  },
+  emptyTitle: { margin: "8px 0 6px", fontSize: 22, fontWeight: 1000, color: "#0f172a" },
+  emptyText: { margin: "0 0 14px", color: "#475569" },
+
+  card: {
+    position: "relative",
+    overflow: "hidden",
+    borderRadius: 26,
+    background: "rgba(255,255,255,0.7)",
+    border: "1px solid rgba(255,255,255,0.85)",
+    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
+  },
+  cardTopGradient: {
+    position: "absolute",
+    inset: 0,
+    height: 92,
+    background:
+      "linear-gradient(90deg, rgba(251,113,133,0.25), rgba(96,165,250,0.25), rgba(52,211,153,0.25))",
+  },
+  cardInner: { position: "relative", display: "flex", gap: 14, padding: 14 },
+
+  coverWrap: {
+    width: 86,
+    height: 124,
+    borderRadius: 20,
+    overflow: "hidden",
+    background: "rgba(255,255,255,0.85)",
+    border: "1px solid rgba(255,255,255,0.9)",
+    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
+    flexShrink: 0,
+  },
+  cover: { width: "100%", height: "100%", objectFit: "cover" },
+
+  cardHeaderRow: {
+    display: "flex",
+    justifyContent: "space-between",
+    gap: 10,
+    alignItems: "flex-start",
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 1000,
+    color: "#0f172a",
+    whiteSpace: "nowrap",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+  },
+  cardAuthor: {
+    fontSize: 13,
+    fontWeight: 800,
+    color: "#475569",
+    whiteSpace: "nowrap",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+  },
+
+  cardRatingRow: { display: "flex", alignItems: "center", gap: 10, marginTop: 8 },
+  starsLine: { display: "flex", gap: 2, fontSize: 14, lineHeight: "14px" },
+  ratingPill: {
+    fontSize: 12,
+    fontWeight: 900,
+    color: "#334155",
+    background: "rgba(255,255,255,0.75)",
+    border: "1px solid rgba(255,255,255,0.85)",
+    padding: "4px 10px",
+    borderRadius: 999,
+  },
+
+  heartBtn: {
+    border: "1px solid rgba(255,255,255,0.85)",
+    background: "rgba(255,255,255,0.75)",
+    width: 36,
+    height: 36,
+    borderRadius: 999,
+    cursor: "pointer",
+    display: "grid",
+    placeItems: "center",
+    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
+  },
+
+  cardDesc: {
+    marginTop: 10,
+    fontSize: 13,
+    color: "#334155",
+    display: "-webkit-box",
+    WebkitLineClamp: 2,
+    WebkitBoxOrient: "vertical",
+    overflow: "hidden",
+    minHeight: 34,
+  },
+
+  cardActions: { marginTop: 12, display: "flex", alignItems: "center", gap: 10 },
+  pill: {
+    fontSize: 12,
+    fontWeight: 900,
+    color: "#334155",
+    background: "rgba(255,255,255,0.75)",
+    border: "1px solid rgba(255,255,255,0.85)",
+    padding: "6px 10px",
+    borderRadius: 999,
+  },
+  favPill: {
+    fontSize: 12,
+    fontWeight: 900,
+    color: "#9f1239",
+    background: "rgba(255,228,230,0.7)",
+    border: "1px solid rgba(251,113,133,0.35)",
+    padding: "6px 10px",
+    borderRadius: 999,
+  },
+  smallBtn: {
+    borderRadius: 12,
+    padding: "8px 10px",
+    border: "1px solid rgba(148,163,184,0.35)",
+    background: "rgba(255,255,255,0.8)",
+    cursor: "pointer",
+    fontWeight: 900,
+    color: "#0f172a",
+  },
+  smallDangerBtn: {
+    borderRadius: 12,
+    padding: "8px 10px",
+    border: "1px solid rgba(251,113,133,0.35)",
+    background: "rgba(255,228,230,0.7)",
+    cursor: "pointer",
+    fontWeight: 900,
+    color: "#9f1239",
+  },
+
+  overlay: {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(15,23,42,0.35)",
+    backdropFilter: "blur(6px)",
+    display: "grid",
+    placeItems: "center",
+    padding: 18,
+    zIndex: 50,
+  },
+  modal: {
+    width: "min(620px, 100%)",
+    borderRadius: 26,
+    background: "rgba(255,255,255,0.9)",
+    border: "1px solid rgba(255,255,255,0.9)",
+    boxShadow: "0 24px 60px rgba(15,23,42,0.25)",
+    padding: 16,
+  },
+  modalTitleRow: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 10,
+  },
+  modalTitle: { margin: 0, fontSize: 20, fontWeight: 1000, color: "#0f172a" },
+  iconBtn: {
+    border: "none",
+    background: "rgba(255,255,255,0.75)",
+    borderRadius: 12,
+    width: 36,
+    height: 36,
+    cursor: "pointer",
+    fontWeight: 900,
+    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
+  },
+
+  formGrid: { display: "grid", gap: 12, marginTop: 14 },
+  input: {
+    width: "100%",
+    borderRadius: 14,
+    border: "1px solid rgba(148,163,184,0.35)",
+    background: "rgba(255,255,255,0.95)",
+    padding: "12px 12px",
+    outline: "none",
+    fontSize: 14,
+  },
+  textarea: {
+    width: "100%",
+    borderRadius: 14,
+    border: "1px solid rgba(148,163,184,0.35)",
+    background: "rgba(255,255,255,0.95)",
+    padding: "12px 12px",
+    outline: "none",
+    fontSize: 14,
+    resize: "vertical",
+  },
+  hint: { marginTop: 6, fontSize: 12, color: "#64748b" },
+
+  modalFooter: { display: "flex", justifyContent: "flex-end", gap: 10, marginTop: 14 },
+
+  toastWrap: { position: "fixed", top: 16, right: 16, zIndex: 60 },
+  toast: {
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+    borderRadius: 18,
+    padding: "10px 12px",
+    border: "1px solid rgba(255,255,255,0.85)",
+    boxShadow: "0 18px 45px rgba(15,23,42,0.12)",
+  },
+  toastIcon: {
+    width: 32,
+    height: 32,
+    borderRadius: 12,
+    display: "grid",
+    placeItems: "center",
+    fontWeight: 1000,
+  },
+
+  ratingBox: {
+    borderRadius: 16,
+    padding: 12,
+    border: "1px solid rgba(148,163,184,0.25)",
+    background: "rgba(255,255,255,0.8)",
+  },
+  starSlider: { display: "flex", gap: 8, cursor: "pointer", borderRadius: 14 },
+  starBtn: {
+    display: "grid",
+    placeItems: "center",
+    width: 40,
+    height: 40,
+    borderRadius: 14,
+    border: "1px solid rgba(148,163,184,0.25)",
+    background: "rgba(255,255,255,0.85)",
+    cursor: "pointer",
+    fontSize: 18,
+    lineHeight: "18px",
+    fontWeight: 900,
+    color: "#64748b",
+  },
+  starBtnOn: {
+    color: "#d97706",
+    border: "1px solid rgba(245,158,11,0.35)",
+    background: "rgba(254,243,199,0.9)",
+  },
+  clearRatingBtn: {
+    marginLeft: 6,
+    height: 40,
+    padding: "0 12px",
+    borderRadius: 14,
+    border: "1px solid rgba(148,163,184,0.25)",
+    background: "rgba(241,245,249,0.8)",
+    cursor: "pointer",
+    fontWeight: 900,
+    color: "#475569",
+  },
+  ratingHint: { marginTop: 8, fontSize: 12, color: "#64748b", fontWeight: 800 },
+
+  badgeConflict: {
+    background: "rgba(255,228,230,0.8)",
+    border: "1px solid rgba(251,113,133,0.35)",
+    padding: "8px 12px",
+    borderRadius: 999,
+    fontWeight: 800,
+    color: "#9f1239",
+    cursor: "pointer",
+  },
+  conflictCard: {
+    marginTop: 14,
+    padding: 12,
+    borderRadius: 18,
+    border: "1px solid rgba(148,163,184,0.25)",
+    background: "rgba(255,255,255,0.8)",
+  },
+  conflictTable: { width: "100%", borderCollapse: "collapse", marginTop: 10, fontSize: 13 },
+  conflictTh: {
+    textAlign: "left",
+    padding: "6px 8px",
+    color: "#64748b",
+    fontWeight: 800,
+    borderBottom: "1px solid rgba(148,163,184,0.25)",
+  },
+  conflictTd: {
+    padding: "6px 8px",
+    color: "#334155",
+    verticalAlign: "top",
+    borderBottom: "1px solid rgba(241,245,249,0.9)",
+    wordBreak: "break-word",
+  },
+
+  btnDisabled: { opacity: 0.5, cursor: "not-allowed", boxShadow: "none" },
+  headerActions: { display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" },
+
+  importMapGrid: { display: "grid", gridTemplateColumns: "repeat(3, minmax(0, 1fr))", gap: 10 },
+  importSummary: { display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" },
+  importPreview: {
+    maxHeight: 260,
+    overflow: "auto",
+    borderRadius: 16,
+    border: "1px solid rgba(148,163,184,0.25)",
+    background: "rgba(255,255,255,0.8)",
+    padding: "0 8px 8px",
+  },
+  progressTrack: {
+    marginTop: 6,
+    height: 10,
+    borderRadius: 999,
+    background: "rgba(226,232,240,0.9)",
+    overflow: "hidden",
+  },
+  progressFill: {
+    height: "100%",
+    borderRadius: 999,
+    background: "linear-gradient(90deg, #fb7185 0%, #f472b6 55%, #a78bfa 100%)",
+    transition: "width 200ms ease",
+  },
+
+  menu: {
+    position: "absolute",
+    right: 0,
+    top: "calc(100% + 8px)",
+    zIndex: 40,
+    minWidth: 230,
+    display: "grid",
+    gap: 4,
+    padding: 10,
+    borderRadius: 18,
+    background: "rgba(255,255,255,0.97)",
+    border: "1px solid rgba(226,232,240,0.9)",
+    boxShadow: "0 18px 45px rgba(15,23,42,0.12)",
+  },
+  menuLabel: {
+    fontSize: 11,
+    fontWeight: 900,
+    letterSpacing: 0.6,
+    textTransform: "uppercase",
+    color: "#64748b",
+    padding: "6px 6px 2px",
+  },
+  menuRadio: {
+    display: "flex",
+    gap: 8,
+    alignItems: "center",
+    padding: "6px",
+    fontSize: 14,
+    color: "#0f172a",
+    cursor: "pointer",
+  },
+  menuItem: {
+    display: "flex",
+    justifyContent: "space-between",
+    border: "none",
+    borderRadius: 12,
+    padding: "9px 10px",
+    background: "transparent",
+    cursor: "pointer",
+    fontWeight: 800,
+    fontSize: 14,
+    color: "#0f172a",
+    textAlign: "left",
+  },
+  menuExt: { color: "#64748b", fontWeight: 700 },
+
+  mark: {
+    background: "rgba(253,230,138,0.85)",
+    color: "inherit",
+    borderRadius: 4,
+    padding: "0 2px",
+  },
+  searchHelp: { fontSize: 12, color: "#64748b", margin: "-8px 4px 14px" },
+  code: {
+    fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+    background: "rgba(255,255,255,0.75)",
+    border: "1px solid rgba(226,232,240,0.9)",
+    borderRadius: 6,
+    padding: "1px 5px",
+  },
+
+  filterBar: {
+    display: "flex",
+    gap: 10,
+    alignItems: "center",
+    flexWrap: "wrap",
+    margin: "-6px 0 18px",
+    padding: "0 4px",
+  },
+  filterLabel: {
+    display: "flex",
+    gap: 8,
+    alignItems: "center",
+    fontSize: 13,
+    fontWeight: 800,
+    color: "#475569",
+  },
+  filterDivider: { width: 1, height: 24, background: "rgba(148,163,184,0.35)", margin: "0 4px" },
+  select: {
+    borderRadius: 999,
+    padding: "9px 12px",
+    border: "1px solid rgba(148,163,184,0.35)",
+    background: "rgba(255,255,255,0.85)",
+    fontWeight: 800,
+    color: "#0f172a",
+    cursor: "pointer",
+  },
+  groupHeader: {
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+    width: "100%",
+    margin: "18px 0 10px",
+    padding: "8px 12px",
+    border: "none",
+    borderRadius: 16,
+    background: "rgba(255,255,255,0.55)",
+    cursor: "pointer",
+    fontSize: 15,
+    fontWeight: 900,
+    color: "#0f172a",
+    textAlign: "left",
+  },
+  groupCount: { marginLeft: "auto", fontSize: 12, fontWeight: 800, color: "#64748b" },
+
+  detail: {
+    borderRadius: 26,
+    background: "rgba(255,255,255,0.7)",
+    border: "1px solid rgba(255,255,255,0.85)",
+    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
+    padding: 18,
+  },
+  detailTop: { display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10 },
+  backLink: { color: "#475569", fontWeight: 900, textDecoration: "none" },
+  detailBody: { display: "flex", gap: 22, marginTop: 16, flexWrap: "wrap" },
+  detailCover: {
+    width: 200,
+    height: 288,
+    borderRadius: 24,
+    overflow: "hidden",
+    background: "rgba(255,255,255,0.85)",
+    border: "1px solid rgba(255,255,255,0.9)",
+    boxShadow: "0 14px 35px rgba(15,23,42,0.1)",
+    flexShrink: 0,
+  },
+  detailTitle: { margin: "0 0 4px", fontSize: 30, fontWeight: 1000, color: "#0f172a" },
+  detailAuthor: { fontSize: 16, fontWeight: 800, color: "#475569" },
+  detailDesc: { color: "#334155", lineHeight: 1.6, whiteSpace: "pre-wrap", margin: "14px 0 18px" },
+  titleLink: { color: "inherit", textDecoration: "none" },
+
+  statusPill: {
+    want: { color: "#075985", background: "rgba(224,242,254,0.8)" },
+    reading: { color: "#6b21a8", background: "rgba(243,232,255,0.85)" },
+    finished: { color: "#166534", background: "rgba(220,252,231,0.85)" },
+    abandoned: { color: "#475569", background: "rgba(241,245,249,0.9)" },
+  },
+  tabs: { display: "flex", gap: 6, flexWrap: "wrap", flexBasis: "100%" },
+  tab: {
+    border: "1px solid transparent",
+    borderRadius: 999,
+    padding: "8px 12px",
+    background: "transparent",
+    cursor: "pointer",
+    fontWeight: 800,
+    color: "#475569",
+  },
+  tabActive: {
+    background: "rgba(255,255,255,0.85)",
+    border: "1px solid rgba(226,232,240,0.9)",
+    color: "#0f172a",
+    boxShadow: "0 10px 25px rgba(15,23,42,0.06)",
+  },
+  tabCount: { marginLeft: 4, fontSize: 12, color: "#64748b" },
+  strip: {
+    marginBottom: 18,
+    padding: 14,
+    borderRadius: 22,
+    background: "rgba(255,255,255,0.55)",
+    border: "1px solid rgba(255,255,255,0.8)",
+  },
+  stripTitle: { fontWeight: 900, color: "#0f172a", marginBottom: 10 },
+  stripRow: { display: "flex", gap: 12, overflowX: "auto", paddingBottom: 4 },
+  stripCard: {
+    display: "flex",
+    gap: 10,
+    alignItems: "center",
+    minWidth: 260,
+    maxWidth: 300,
+    padding: 10,
+    borderRadius: 18,
+    background: "rgba(255,255,255,0.8)",
+    border: "1px solid rgba(255,255,255,0.9)",
+    textDecoration: "none",
+  },
+  stripCover: { width: 44, height: 64, borderRadius: 10, objectFit: "cover", flexShrink: 0 },
+  segmented: { display: "flex", gap: 6, flexWrap: "wrap" },
+  segment: {
+    borderRadius: 12,
+    padding: "9px 12px",
+    border: "1px solid rgba(148,163,184,0.35)",
+    background: "rgba(255,255,255,0.85)",
+    cursor: "pointer",
+    fontWeight: 800,
+    color: "#475569",
+  },
+  segmentOn: {
+    background: "linear-gradient(90deg, rgba(251,113,133,0.25), rgba(167,139,250,0.25))",
+    border: "1px solid rgba(167,139,250,0.35)",
+    color: "#0f172a",
+  },
+  formRow: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(140px, 1fr))",
+    gap: 12,
+  },
+
+  detailMeta: {
+    display: "flex",
+    gap: 12,
+    alignItems: "center",
+    flexWrap: "wrap",
+    marginTop: 12,
+    fontSize: 13,
+    fontWeight: 700,
+    color: "#475569",
+  },
+
+  statsGrid: { display: "grid", gridTemplateColumns: "repeat(2, minmax(0, 1fr))", gap: 16 },
+  statsCard: {
+    padding: 16,
+    borderRadius: 22,
+    background: "rgba(255,255,255,0.7)",
+    border: "1px solid rgba(255,255,255,0.85)",
+    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
+    minWidth: 0,
+  },
+  statsTitle: { margin: "0 0 12px", fontSize: 15, fontWeight: 1000, color: "#0f172a" },
+  statsTiles: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(140px, 1fr))",
+    gap: 12,
+  },
+  statsTile: { padding: "6px 4px" },
+  statsTileValue: { fontSize: 30, fontWeight: 1000, color: "#0f172a" },
+  statsTileLabel: { fontSize: 13, fontWeight: 800, color: "#64748b" },
+  chart: { width: "100%", height: 180, overflow: "visible" },
+  chartValue: { fontSize: 4, fontWeight: 800, fill: "#334155" },
+  chartLabel: { fontSize: 4, fontWeight: 700, fill: "#64748b" },
+  hbarRow: { display: "flex", alignItems: "center", gap: 10 },
+  hbarLabel: {
+    width: 130,
+    fontSize: 13,
+    fontWeight: 800,
+    color: "#334155",
+    whiteSpace: "nowrap",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+  },
+  hbarValue: { width: 62, fontSize: 12, fontWeight: 800, color: "#475569", textAlign: "right" },
+
+  tagInput: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 6,
+    alignItems: "center",
+    borderRadius: 14,
+    border: "1px solid rgba(148,163,184,0.35)",
+    background: "rgba(255,255,255,0.95)",
+    padding: "8px 10px",
+  },
+  tagInputField: {
+    flex: 1,
+    minWidth: 120,
+    border: "none",
+    outline: "none",
+    background: "transparent",
+    fontSize: 14,
+    padding: "4px 2px",
+  },
+  tagChip: {
+    display: "inline-flex",
+    alignItems: "center",
+    gap: 4,
+    fontSize: 12,
+    fontWeight: 800,
+    color: "#5b21b6",
+    background: "rgba(237,233,254,0.8)",
+    border: "1px solid rgba(167,139,250,0.35)",
+    padding: "4px 9px",
+    borderRadius: 999,
+  },
+  shelfChip: {
+    color: "#0f766e",
+    background: "rgba(204,251,241,0.7)",
+    border: "1px solid rgba(45,212,191,0.35)",
+  },
+  tagRemove: {
+    border: "none",
+    background: "transparent",
+    cursor: "pointer",
+    fontSize: 10,
+    color: "inherit",
+    padding: 0,
+  },
+  tagSuggest: {
+    position: "absolute",
+    left: 0,
+    right: 0,
+    top: "calc(100% + 4px)",
+    zIndex: 40,
+    display: "grid",
+    gap: 2,
+    padding: 6,
+    borderRadius: 14,
+    background: "rgba(255,255,255,0.98)",
+    border: "1px solid rgba(226,232,240,0.9)",
+    boxShadow: "0 18px 45px rgba(15,23,42,0.12)",
+  },
+  tagSuggestOn: { background: "rgba(237,233,254,0.8)" },
+  tagRow: { display: "flex", flexWrap: "wrap", gap: 6, marginTop: 10 },
+  collections: {
+    display: "grid",
+    gap: 10,
+    margin: "0 0 16px",
+    padding: 14,
+    borderRadius: 22,
+    background: "rgba(255,255,255,0.55)",
+    border: "1px solid rgba(255,255,255,0.8)",
+  },
+  collectionsRow: { display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" },
+  tagManageRow: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 8,
+    alignItems: "center",
+    padding: "8px 10px",
+    borderRadius: 14,
+    background: "rgba(248,250,252,0.9)",
+    border: "1px solid rgba(226,232,240,0.9)",
+  },
+
+  scanView: {
+    position: "relative",
+    display: "grid",
+    placeItems: "center",
+    minHeight: 180,
+    borderRadius: 18,
+    overflow: "hidden",
+    background: "rgba(15,23,42,0.06)",
+    border: "1px dashed rgba(148,163,184,0.5)",
+  },
+  scanVideo: { width: "100%", maxHeight: 320, objectFit: "cover", display: "block" },
+  scanAim: {
+    position: "absolute",
+    left: "12%",
+    right: "12%",
+    top: "50%",
+    height: 2,
+    background: "rgba(244,63,94,0.85)",
+    boxShadow: "0 0 12px rgba(244,63,94,0.8)",
+  },
+  scanCell: {
+    width: "100%",
+    minWidth: 90,
+    border: "1px solid rgba(148,163,184,0.35)",
+    borderRadius: 8,
+    padding: "4px 6px",
+    fontSize: 13,
+  },
+
+  coverField: { display: "flex", gap: 14, alignItems: "flex-start", flexWrap: "wrap" },
+  cropper: {
+    display: "flex",
+    gap: 16,
+    flexWrap: "wrap",
+    width: "100%",
+    padding: 12,
+    borderRadius: 18,
+    background: "rgba(248,250,252,0.95)",
+    border: "1px solid rgba(226,232,240,0.9)",
+  },
+  cropFrame: {
+    position: "relative",
+    overflow: "hidden",
+    borderRadius: 16,
+    background: "#0f172a",
+    cursor: "grab",
+    touchAction: "none",
+    flexShrink: 0,
+  },
+  cropUse: {
+    border: "none",
+    color: "white",
+    background: "linear-gradient(90deg, #fb7185 0%, #f472b6 50%, #a78bfa 100%)",
+  },
+
+  trashList: { listStyle: "none", margin: "16px 0 0", padding: 0, display: "grid", gap: 10 },
+  trashRow: {
+    display: "flex",
+    gap: 12,
+    alignItems: "center",
+    flexWrap: "wrap",
+    padding: 10,
+    borderRadius: 18,
+    background: "rgba(248,250,252,0.9)",
+    border: "1px solid rgba(226,232,240,0.9)",
+  },
+
+  batchBar: {
+    display: "grid",
+    gap: 10,
+    margin: "0 0 16px",
+    padding: 14,
+    borderRadius: 22,
+    background: "rgba(255,255,255,0.8)",
+    border: "1px solid rgba(167,139,250,0.35)",
+    boxShadow: "0 14px 35px rgba(15,23,42,0.06)",
+    position: "sticky",
+    top: 10,
+    zIndex: 5,
+  },
+  batchRow: { display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" },
+  batchReport: {
+    marginTop: 10,
+    padding: "10px 12px",
+    borderRadius: 14,
+    fontSize: 13,
+    color: "#9f1239",
+    background: "rgba(255,228,230,0.7)",
+    border: "1px solid rgba(251,113,133,0.35)",
+  },
+  cardSelected: { outline: "3px solid rgba(167,139,250,0.7)", outlineOffset: -3 },
+  cardCheck: { position: "absolute", top: 12, left: 12, zIndex: 2, width: 18, height: 18 },
+
+  revisions: { marginTop: 22, paddingTop: 16, borderTop: "1px solid rgba(226,232,240,0.9)" },
+  revList: { listStyle: "none", margin: 0, padding: 0, display: "grid", gap: 12 },
+  revItem: {
+    padding: 12,
+    borderRadius: 16,
+    background: "rgba(248,250,252,0.9)",
+    border: "1px solid rgba(226,232,240,0.9)",
+  },
+  revHead: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 10,
+    marginBottom: 8,
+    fontSize: 13,
+    fontWeight: 800,
+    color: "#475569",
+  },
+  diffDel: { color: "#9f1239", background: "rgba(255,228,230,0.8)", borderRadius: 4 },
+  diffAdd: {
+    color: "#166534",
+    background: "rgba(220,252,231,0.85)",
+    borderRadius: 4,
+    textDecoration: "none",
+  },
+
+  palette: {
+    width: "min(560px, 100%)",
+    alignSelf: "start",
+    marginTop: "10vh",
+    borderRadius: 22,
+    background: "rgba(255,255,255,0.96)",
+    border: "1px solid rgba(255,255,255,0.9)",
+    boxShadow: "0 24px 60px rgba(15,23,42,0.25)",
+    padding: 12,
+  },
+  paletteInput: {
+    width: "100%",
+    boxSizing: "border-box",
+    padding: "12px 14px",
+    borderRadius: 14,
+    border: "1px solid rgba(226,232,240,0.9)",
+    fontSize: 16,
+    outline: "none",
+  },
+  paletteList: {
+    listStyle: "none",
+    margin: "8px 0",
+    padding: 0,
+    display: "grid",
+    gap: 2,
+    maxHeight: 360,
+    overflowY: "auto",
+  },
+  paletteItem: {
+    display: "flex",
+    gap: 10,
+    alignItems: "center",
+    padding: "9px 10px",
+    borderRadius: 12,
+    cursor: "pointer",
+    fontWeight: 700,
+    color: "#0f172a",
+  },
+  paletteHint: { fontSize: 12, fontWeight: 700, color: "#64748b" },
+  cardFocused: { boxShadow: "0 0 0 3px rgba(167,139,250,0.9), 0 14px 35px rgba(15,23,42,0.08)" },
+
+  loadMore: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 12,
+    padding: "18px 0",
+  },
+
+  dupeGroup: {
+    display: "grid",
+    gap: 10,
+    padding: 14,
+    borderRadius: 18,
+    background: "rgba(248,250,252,0.9)",
+    border: "1px solid rgba(226,232,240,0.9)",
+  },
+  dupeReason: {
+    fontSize: 12,
+    fontWeight: 800,
+    color: "#5b21b6",
+    background: "rgba(237,233,254,0.8)",
+    padding: "4px 9px",
+    borderRadius: 999,
+  },
+  dupeCopy: { display: "flex", gap: 8, alignItems: "center", cursor: "pointer" },
+  dupeCell: {
+    display: "flex",
+    gap: 8,
+    alignItems: "flex-start",
+    padding: 6,
+    borderRadius: 10,
+    cursor: "pointer",
+  },
+  dupeCellOn: { background: "rgba(237,233,254,0.8)" },
+  dupeValue: { minWidth: 0, overflowWrap: "anywhere", maxHeight: 90, overflow: "auto" },
+
+  fieldError: { fontSize: 12, fontWeight: 700, color: "#9f1239" },
+  inputInvalid: { border: "1px solid #e11d48", boxShadow: "0 0 0 3px rgba(225,29,72,0.12)" },
+
+  reviewSection: {
+    marginTop: 22,
+    paddingTop: 16,
+    borderTop: "1px solid rgba(226,232,240,0.9)",
+    display: "grid",
+    gap: 6,
+  },
+  review: { color: "#334155", lineHeight: 1.6, overflowWrap: "anywhere" },
+  reviewPara: { margin: "0 0 10px" },
+  reviewHeading: { margin: "14px 0 6px", fontWeight: 900, color: "#0f172a" },
+  reviewRule: { border: 0, borderTop: "1px solid rgba(226,232,240,0.9)", margin: "14px 0" },
+  reviewQuote: {
+    margin: "0 0 10px",
+    padding: "4px 0 4px 14px",
+    borderLeft: "3px solid rgba(167,139,250,0.6)",
+    color: "#475569",
+    whiteSpace: "pre-wrap",
+  },
+  reviewList: { margin: "0 0 10px", paddingLeft: 22 },
+  reviewTabs: { display: "flex", gap: 6, marginBottom: 8 },
+  reviewTab: { padding: "6px 12px", fontSize: 12 },
+  reviewPreview: {
+    minHeight: 120,
+    borderRadius: 14,
+    border: "1px solid rgba(148,163,184,0.35)",
+    background: "rgba(255,255,255,0.95)",
+    padding: 12,
+  },
+  spoilerBlock: {
+    margin: "0 0 10px",
+    padding: "8px 12px",
+    borderRadius: 12,
+    background: "rgba(241,245,249,0.9)",
+    border: "1px dashed rgba(148,163,184,0.6)",
+  },
+  spoilerSummary: { cursor: "pointer", fontWeight: 800, color: "#475569", marginBottom: 4 },
+  spoilerHidden: {
+    border: 0,
+    borderRadius: 6,
+    padding: "0 6px",
+    background: "#334155",
+    color: "#f8fafc",
+    font: "inherit",
+    fontSize: 12,
+    fontWeight: 800,
+    cursor: "pointer",
+  },
+  spoilerShown: { background: "rgba(226,232,240,0.9)", color: "inherit", borderRadius: 4 },
+  quoteRow: { display: "flex", gap: 8, alignItems: "flex-start" },
+  quoteList: { listStyle: "none", margin: 0, padding: 0, display: "grid", gap: 10 },
+  quoteFigure: { margin: 0 },
+
+  memberPicker: { display: "flex", gap: 6, alignItems: "center" },
+  teamLine: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "4px 10px",
+    marginTop: 8,
+    fontSize: 12,
+    fontWeight: 700,
+    color: "#475569",
+  },
+};
@@ -0,0 +1,191 @@
+import { beforeEach, describe, expect, test } from "vitest";
+import { fireEvent, screen, waitFor, within } from "@testing-library/react";
+import { axeViolations } from "./axe.js";
+import { renderApp } from "./server.jsx";
+
+const BOOKS = [
+  {
+    id: "b1",
+    title: "Dune",
+    author: "Frank Herbert",
+    rating: 5,
+    isFavorite: true,
+    description: "Politics and spice on a desert planet.",
+    review:
+      "## Verdict\n\n**Still great.** The ending ||Paul wins|| holds up.\n\n:::spoiler Ending\nIt ends on a wedding.\n:::",
+    quotes: [{ text: "Fear is the mind-killer.", page: 8 }],
+    tags: ["sci-fi"],
+    createdAt: "2024-01-01T00:00:00.000Z",
+  },
+  {
+    id: "b2",
+    title: "Emma",
+    author: "Jane Austen",
+    rating: 0,
+    isFavorite: false,
+    description: "",
+    createdAt: "2024-01-02T00:00:00.000Z",
+  },
+];
+
+/* The local backend starts from these */
+beforeEach(() => localStorage.setItem("my-book-archive:books", JSON.stringify(BOOKS)));
+
+describe("axe", () => {
+  test("the archive page", async () => {
+    await renderApp();
+    expect(await axeViolations()).toEqual([]);
+  });
+
+  test("the Add Book dialog", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "+ Add Book" }));
+    await screen.findByRole("dialog", { name: "Add Book" });
+    expect(await axeViolations()).toEqual([]);
+  });
+
+  test("the Add Book dialog with field errors", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "+ Add Book" }));
+    const dialog = await screen.findByRole("dialog", { name: "Add Book" });
+    fireEvent.click(within(dialog).getByRole("button", { name: "Add Book" }));
+    const title = within(dialog).getByRole("textbox", { name: "Title *" });
+    await waitFor(() => expect(title.getAttribute("aria-invalid")).toBe("true"));
+    expect(await axeViolations()).toEqual([]);
+  });
+
+  test("the ISBN input is named and described by its message", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "+ Add Book" }));
+    const dialog = await screen.findByRole("dialog", { name: "Add Book" });
+    const isbn = within(dialog).getByRole("textbox", {
+      name: "ISBN",
+      description: "ISBN-10 or ISBN-13, dashes optional.",
+    });
+
+    fireEvent.change(isbn, { target: { value: "978-0-441-17271-8" } });
+    expect(isbn.getAttribute("aria-invalid")).toBe("true");
+    expect(
+      within(dialog).getByRole("textbox", {
+        name: "ISBN",
+        description: "❌ ISBN check digit doesn't match. Check for a typo",
+      })
+    ).toBe(isbn);
+    expect(await axeViolations()).toEqual([]);
+  });
+
+  test("the delete confirmation", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "Delete “Dune”" }));
+    await screen.findByRole("dialog", { name: "Delete book?" });
+    expect(await axeViolations()).toEqual([]);
+  });
+
+  test("the command palette", async () => {
+    await renderApp();
+    fireEvent.keyDown(document.body, { key: "k", ctrlKey: true });
+    const palette = await screen.findByRole("dialog", { name: "Command palette" });
+    const input = within(palette).getByRole("combobox", { name: "Commands and books" });
+    fireEvent.change(input, { target: { value: "du" } });
+    expect(await axeViolations()).toEqual([]);
+  });
+
+  test.each(["/book/b1", "/stats", "/trash", "/duplicates"])("the %s page", async (path) => {
+    await renderApp(path);
+    expect(await axeViolations()).toEqual([]);
+  });
+});
+
+describe("Modal", () => {
+  test("is a labelled dialog that moves focus in and keeps Tab inside", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "+ Add Book" }));
+    const dialog = await screen.findByRole("dialog", { name: "Add Book" });
+    expect(dialog.getAttribute("aria-modal")).toBe("true");
+    expect(dialog.contains(document.activeElement)).toBe(true);
+
+    const buttons = within(dialog).getAllByRole("button");
+    buttons.at(-1).focus();
+    fireEvent.keyDown(buttons.at(-1), { key: "Tab" });
+    expect(dialog.contains(document.activeElement)).toBe(true);
+    expect(document.activeElement).not.toBe(buttons.at(-1));
+  });
+
+  test("closes on Escape and gives focus back to the opener", async () => {
+    await renderApp();
+    const opener = screen.getByRole("button", { name: "+ Add Book" });
+    opener.focus();
+    fireEvent.click(opener);
+    const dialog = await screen.findByRole("dialog", { name: "Add Book" });
+    fireEvent.keyDown(dialog, { key: "Escape" });
+    await waitFor(() => expect(screen.queryByRole("dialog")).toBeNull());
+    expect(document.activeElement).toBe(opener);
+  });
+});
+
+describe("StarRating", () => {
+  test("is a slider in half stars, driven by arrow keys", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "+ Add Book" }));
+    const slider = await screen.findByRole("slider", { name: "Rating" });
+    expect(slider.tabIndex).toBe(0);
+    expect(slider.getAttribute("aria-valuenow")).toBe("0");
+
+    fireEvent.keyDown(slider, { key: "ArrowRight" });
+    expect(slider.getAttribute("aria-valuenow")).toBe("0.5");
+    expect(slider.getAttribute("aria-valuetext")).toBe("0.5 out of 5 stars");
+    fireEvent.keyDown(slider, { key: "PageUp" });
+    expect(slider.getAttribute("aria-valuenow")).toBe("1.5");
+    fireEvent.keyDown(slider, { key: "End" });
+    fireEvent.keyDown(slider, { key: "ArrowRight" });
+    expect(slider.getAttribute("aria-valuenow")).toBe("5");
+    fireEvent.keyDown(slider, { key: "ArrowLeft" });
+    expect(slider.getAttribute("aria-valuenow")).toBe("4.5");
+    fireEvent.keyDown(slider, { key: "Home" });
+    expect(slider.getAttribute("aria-valuetext")).toBe("No rating");
+  });
+});
+
+describe("Review", () => {
+  test("keeps spoilers hidden until asked", async () => {
+    await renderApp("/book/b1");
+    const review = screen.getByRole("region", { name: "Review" });
+    expect(within(review).getByRole("heading", { name: "Verdict" })).toBeTruthy();
+    expect(review.textContent).not.toContain("Paul wins");
+
+    fireEvent.click(within(review).getByRole("button", { name: "Spoiler — show" }));
+    expect(review.textContent).toContain("Paul wins");
+    expect(review.querySelector("details").open).toBe(false);
+    expect(within(review).getByText("Fear is the mind-killer.")).toBeTruthy();
+    expect(within(review).getByText("p. 8")).toBeTruthy();
+  });
+});
+
+describe("Toast", () => {
+  test("is announced through a live region that's there before it shows", async () => {
+    await renderApp();
+    const status = screen.getByRole("status");
+    expect(status.getAttribute("aria-live")).toBe("polite");
+    expect(status.textContent).toBe("");
+
+    fireEvent.click(screen.getByRole("button", { name: "Favorite “Emma”" }));
+    await waitFor(() => expect(status.textContent).toContain("Added to favorites"));
+  });
+});
+
+describe("BookCard", () => {
+  test("the heart button names the book and exposes its state", async () => {
+    await renderApp();
+    const dune = screen.getByRole("button", { name: "Favorite “Dune”" });
+    const emma = screen.getByRole("button", { name: "Favorite “Emma”" });
+    expect(dune.getAttribute("aria-pressed")).toBe("true");
+    expect(emma.getAttribute("aria-pressed")).toBe("false");
+
+    fireEvent.click(emma);
+    await waitFor(() =>
+      expect(
+        screen.getByRole("button", { name: "Favorite “Emma”" }).getAttribute("aria-pressed")
+      ).toBe("true")
+    );
+  });
+});
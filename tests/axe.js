@@ -0,0 +1,14 @@
+import axe from "axe-core";
+
+/* WCAG 2.0-2.2 A and AA rules; jsdom can't lay out pages, so contrast is checked by hand */
+const OPTIONS = {
+  runOnly: { type: "tag", values: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa", "wcag22aa"] },
+  rules: { "color-contrast": { enabled: false } },
+  resultTypes: ["violations"],
+};
+
+/* Violations as "rule: selector" strings, which read well in a failed toEqual([]) */
+export async function axeViolations(node = document.body) {
+  const { violations } = await axe.run(node, OPTIONS);
+  return violations.flatMap((v) => v.nodes.map((n) => `${v.id}: ${n.target.join(" ")}`));
+}
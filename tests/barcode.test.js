@@ -0,0 +1,120 @@
+import { describe, expect, test } from "vitest";
+import {
+  decodeImageData,
+  decodeRow,
+  isValidEan13,
+  isbnFromBarcode,
+  toRuns,
+} from "../src/lib/barcode.js";
+
+const DUNE = "9780441172719";
+
+/* Bar/space widths of each digit in the "L" code, and the L/G mix that gives the first digit */
+const L_WIDTHS = ["3211", "2221", "2122", "1411", "1132", "1231", "1114", "1312", "1213", "3112"];
+const PARITY = [
+  "LLLLLL",
+  "LLGLGG",
+  "LLGGLG",
+  "LLGGGL",
+  "LGLLGG",
+  "LGGLLG",
+  "LGGGLL",
+  "LGLGLG",
+  "LGLGGL",
+  "LGGLGL",
+];
+
+/* Run widths in modules, starting with the first guard bar; the check digit isn't checked */
+function toWidths(code) {
+  const digit = (d, reverse) => {
+    const w = [...L_WIDTHS[d]].map(Number);
+    return reverse ? w.reverse() : w;
+  };
+  const left = [...code.slice(1, 7)].flatMap((d, i) => digit(d, PARITY[code[0]][i] === "G"));
+  const right = [...code.slice(7)].flatMap((d) => digit(d, false));
+  return [1, 1, 1, ...left, 1, 1, 1, 1, 1, ...right, 1, 1, 1];
+}
+
+/*
+ * One row of luminance values: a light quiet zone, the code at `module` pixels per
+ * module, and another quiet zone. `before` adds dark/light runs ahead of it.
+ */
+function renderRow(code, { module = 2, quiet = 10, before = [] } = {}) {
+  const row = [];
+  [...before, ...toWidths(code)].forEach((w, i) => {
+    if (i === before.length) row.push(...Array(quiet * module).fill(255));
+    row.push(...Array(w * module).fill(i % 2 ? 230 : 20));
+  });
+  row.push(...Array(quiet * module).fill(255));
+  return row;
+}
+
+describe("isValidEan13", () => {
+  test("checks the length and the check digit", () => {
+    expect(isValidEan13(DUNE)).toBe(true);
+    expect(isValidEan13("9780441172710")).toBe(false);
+    expect(isValidEan13("978044117271")).toBe(false);
+    expect(isValidEan13("978-0441172719")).toBe(false);
+    /* A sum that's a multiple of 10 gives a check digit of 0, not 10 */
+    expect(isValidEan13("9780306406140")).toBe(true);
+  });
+});
+
+describe("decodeRow", () => {
+  test("reads a code at any size and either way up", () => {
+    for (const module of [1, 2, 3, 5]) expect(decodeRow(renderRow(DUNE, { module }))).toBe(DUNE);
+    expect(decodeRow(renderRow(DUNE).reverse())).toBe(DUNE);
+    expect(decodeRow(renderRow("9791032305690"))).toBe("9791032305690");
+  });
+
+  test("finds the code after other marks, past its quiet zone", () => {
+    const before = [4, 1, 2, 3, 1, 1];
+    expect(decodeRow(renderRow(DUNE, { before }))).toBe(DUNE);
+    /* A narrow margin or none at all, as on a tightly cropped photo */
+    expect(decodeRow(renderRow(DUNE, { quiet: 1 }))).toBe(DUNE);
+    expect(decodeRow(renderRow(DUNE, { quiet: 0 }))).toBe(DUNE);
+  });
+
+  test("skips light pixels at the edges rather than counting them as a run", () => {
+    const runs = toRuns(renderRow(DUNE, { module: 1 }));
+    expect(runs.slice(0, 3)).toEqual([1, 1, 1]);
+    /* The trailing quiet zone is the last (light) run, after the end guard */
+    expect(runs).toHaveLength(60);
+    expect(runs.at(-1)).toBe(10);
+  });
+
+  test("rejects a wrong check digit and a code cut off at the edge", () => {
+    expect(decodeRow(renderRow("9780441172710"))).toBeNull();
+    const row = renderRow(DUNE, { quiet: 0 });
+    expect(decodeRow(row.slice(0, -6))).toBeNull();
+  });
+
+  test("ignores rows without enough contrast", () => {
+    expect(toRuns(renderRow(DUNE).map((v) => 120 + v / 10))).toEqual([]);
+    expect(decodeRow(Array(300).fill(255))).toBeNull();
+  });
+});
+
+describe("decodeImageData", () => {
+  /* RGBA image with the barcode drawn on rows `from` to `to` only */
+  function image(row, height, from, to) {
+    const data = new Uint8ClampedArray(row.length * height * 4).fill(255);
+    for (let y = from; y < to; y++) {
+      row.forEach((v, x) => data.set([v, v, v, 255], (y * row.length + x) * 4));
+    }
+    return { data, width: row.length, height };
+  }
+
+  test("scans from the middle out until a line reads", () => {
+    const row = renderRow(DUNE);
+    expect(decodeImageData(image(row, 40, 28, 34))).toBe(DUNE);
+    expect(decodeImageData(image(row, 40, 0, 0))).toBeNull();
+  });
+});
+
+describe("isbnFromBarcode", () => {
+  test("only takes Bookland codes", () => {
+    expect(isbnFromBarcode(DUNE)).toBe(DUNE);
+    expect(isbnFromBarcode("4006381333931")).toBeNull();
+  });
+});
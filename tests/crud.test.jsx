@@ -0,0 +1,128 @@
+import { describe, expect, test } from "vitest";
+import { fireEvent, screen, waitFor, within } from "@testing-library/react";
+import { findToast, renderApp, withMockApi } from "./server.jsx";
+
+const BOOKS = [
+  {
+    id: "1",
+    title: "Dune",
+    author: "Frank Herbert",
+    rating: 5,
+    isFavorite: false,
+    description: "Politics and spice on a desert planet.",
+    schemaVersion: 4,
+    createdAt: "2024-01-01T00:00:00.000Z",
+  },
+  {
+    id: "2",
+    title: "Emma",
+    author: "Jane Austen",
+    rating: 3,
+    isFavorite: false,
+    description: "",
+    schemaVersion: 4,
+    createdAt: "2024-01-02T00:00:00.000Z",
+  },
+];
+
+const api = withMockApi({ books: BOOKS });
+const onServer = (id) => api.data.books.find((b) => b.id === id);
+
+/* A card is on screen when its Edit button is */
+const card = (title) => screen.queryByRole("button", { name: `Edit “${title}”` });
+const form = () => within(screen.getByRole("dialog"));
+const type = (label, value) =>
+  fireEvent.change(form().getByRole("textbox", { name: label }), { target: { value } });
+
+describe("CRUD against the mock API", () => {
+  test("lists the books from the server", async () => {
+    await renderApp();
+    expect(card("Dune")).toBeTruthy();
+    expect(card("Emma")).toBeTruthy();
+    expect(api.requests[0]).toEqual({ method: "GET", path: "/books?page=1&limit=100" });
+  });
+
+  test("adds a book", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "+ Add Book" }));
+    type("Title *", "Kindred");
+    type("Author *", "Octavia E. Butler");
+    fireEvent.click(form().getByRole("button", { name: "Add Book" }));
+
+    await findToast("✅ Book added");
+    expect(screen.queryByRole("dialog")).toBeNull();
+    await waitFor(() => expect(onServer("3")).toMatchObject({ title: "Kindred" }));
+    expect(onServer("3")).toMatchObject({ author: "Octavia E. Butler", isFavorite: false });
+    /* The temporary id is swapped for the server's once the create lands */
+    await waitFor(() => expect(card("Kindred")).toBeTruthy());
+  });
+
+  test("edits a book", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "Edit “Emma”" }));
+    expect(form().getByRole("textbox", { name: "Title *" }).value).toBe("Emma");
+    type("Title *", "Emma (annotated)");
+    fireEvent.click(form().getByRole("button", { name: "Save Changes" }));
+
+    await findToast("✅ Book updated");
+    expect(card("Emma (annotated)")).toBeTruthy();
+    await waitFor(() => expect(onServer("2").title).toBe("Emma (annotated)"));
+    expect(onServer("2").revisions).toHaveLength(1);
+  });
+
+  test("favorites and unfavorites a book", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "Favorite “Dune”" }));
+    await findToast("❤️ Added to favorites");
+    await waitFor(() => expect(onServer("1").isFavorite).toBe(true));
+
+    fireEvent.click(screen.getByRole("button", { name: "Favorite “Dune”" }));
+    await findToast("🤍 Removed from favorites");
+    await waitFor(() => expect(onServer("1").isFavorite).toBe(false));
+  });
+
+  test("deleting asks first, and moves the book to the trash", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "Delete “Dune”" }));
+    const dialog = screen.getByRole("dialog", { name: "Delete book?" });
+    fireEvent.click(within(dialog).getByRole("button", { name: "Cancel" }));
+    expect(screen.queryByRole("dialog")).toBeNull();
+    expect(onServer("1").deletedAt).toBeUndefined();
+
+    fireEvent.click(screen.getByRole("button", { name: "Delete “Dune”" }));
+    fireEvent.click(screen.getByRole("button", { name: "Move to trash" }));
+    await findToast("🗑️ Moved to trash");
+    expect(card("Dune")).toBeNull();
+    await waitFor(() => expect(onServer("1").deletedAt).toEqual(expect.any(String)));
+    expect(api.requests.some((r) => r.method === "DELETE")).toBe(false);
+  });
+
+  test("undo puts a deleted book back", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "Delete “Dune”" }));
+    fireEvent.click(screen.getByRole("button", { name: "Move to trash" }));
+    await findToast("🗑️ Moved to trash");
+    await waitFor(() => expect(onServer("1").deletedAt).toEqual(expect.any(String)));
+
+    fireEvent.click(screen.getByRole("button", { name: "↶ Undo" }));
+    await findToast("↶ Undid “Delete “Dune””");
+    expect(card("Dune")).toBeTruthy();
+    await waitFor(() => expect(onServer("1").deletedAt).toBeNull());
+  });
+
+  test("searches the list", async () => {
+    await renderApp();
+    const search = screen.getByPlaceholderText("Search title, author, description…");
+    fireEvent.change(search, { target: { value: "austen" } });
+    await waitFor(() => expect(card("Dune")).toBeNull());
+    expect(card("Emma")).toBeTruthy();
+    expect(window.location.search).toBe("?q=austen");
+
+    fireEvent.change(search, { target: { value: "spice" } });
+    await waitFor(() => expect(card("Emma")).toBeNull());
+    expect(card("Dune")).toBeTruthy();
+
+    fireEvent.click(screen.getByRole("button", { name: "Clear" }));
+    await waitFor(() => expect(card("Emma")).toBeTruthy());
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, expect, test } from "vitest";
+import { defaultPicks, findDuplicates, mergePatch, similarity } from "../src/lib/duplicates.js";
+
+let n = 0;
+const book = (title, author, extra) => ({
+  id: String(++n),
+  title,
+  author,
+  createdAt: `2024-01-01T00:00:${String(n).padStart(2, "0")}.000Z`,
+  ...extra,
+});
+
+/* Titles of each group's books, for short assertions */
+const groups = (books) => findDuplicates(books).map((g) => g.books.map((b) => b.title));
+
+describe("similarity", () => {
+  test("is edit distance over the longer length", () => {
+    expect(similarity("dune", "dune")).toBe(1);
+    expect(similarity("kitten", "sitting")).toBeCloseTo(1 - 3 / 7);
+    expect(similarity("abc", "xyz")).toBe(0);
+  });
+
+  test("gives up with 0 once the minimum is out of reach", () => {
+    expect(similarity("kitten", "sitting", 0.8)).toBe(0);
+    expect(similarity("dune", "dunes and more", 0.8)).toBe(0);
+    expect(similarity("herbert", "herberts", 0.8)).toBeCloseTo(7 / 8);
+  });
+});
+
+describe("findDuplicates", () => {
+  test("ignores case, accents, punctuation, a leading article and name order", () => {
+    const books = [
+      book("The Hobbit", "J.R.R. Tolkien"),
+      book("Hobbit", "Tolkien, J. R. R."),
+      book("Les Misérables", "Victor Hugo"),
+      book("Misérables!", "HUGO, Victor"),
+      book("Emma", "Jane Austen"),
+    ];
+    expect(groups(books)).toEqual([
+      ["Les Misérables", "Misérables!"],
+      ["The Hobbit", "Hobbit"],
+    ]);
+    expect(findDuplicates(books)[1]).toMatchObject({
+      id: `${books[0].id}+${books[1].id}`,
+      reason: "similar",
+    });
+  });
+
+  test("tolerates small typos in the title and author", () => {
+    const books = [book("Dune Messiah", "Frank Herbert"), book("Dune Mesiah", "Frank Herbet")];
+    expect(groups(books)).toEqual([["Dune Messiah", "Dune Mesiah"]]);
+  });
+
+  test("books that both have an ISBN are matched by it alone", () => {
+    const books = [
+      book("Dune", "Frank Herbert", { isbn: "9780441013593" }),
+      book("Dune", "Frank Herbert", { isbn: "9780340960196" }),
+      book("Dune (40th anniversary)", "Herbert", { isbn: "9780441013593" }),
+    ];
+    expect(findDuplicates(books)).toEqual([
+      expect.objectContaining({ reason: "isbn", books: [books[0], books[2]] }),
+    ]);
+  });
+
+  test("a copy without an ISBN still matches by title and author", () => {
+    const books = [
+      book("Dune", "Frank Herbert", { isbn: "9780441013593" }),
+      book("Dune", "Herbert, Frank"),
+      book("Dune", "Frank Herbert", { isbn: "9780340960196" }),
+    ];
+    /* Both editions match the copy without one, which joins them in one group */
+    expect(findDuplicates(books)).toEqual([expect.objectContaining({ reason: "similar", books })]);
+  });
+
+  test("only compares books that share an ISBN, a title start or a surname", () => {
+    /* Close enough to match, but no title start ("dune"/"xdun") or surname in common */
+    const apart = [
+      book("Dune Chronicles", "Frank Herbert"),
+      book("xDune Chronicles", "Frank Herberts"),
+    ];
+    expect(groups(apart)).toEqual([]);
+
+    const sameSurname = [
+      book("Dune Chronicles", "Frank Herbert"),
+      book("xDune Chronicles", "Frank Herbert"),
+    ];
+    expect(groups(sameSurname)).toEqual([["Dune Chronicles", "xDune Chronicles"]]);
+  });
+
+  test("puts the oldest copy first and the biggest group first", () => {
+    const books = [
+      book("Emma", "Jane Austen", { createdAt: "2024-03-01" }),
+      book("Ubik", "Philip K. Dick"),
+      book("Emma", "Austen, Jane", { createdAt: "2024-02-01" }),
+      book("Ubik", "Dick, Philip K."),
+      book("Ubik.", "Philip Dick"),
+    ];
+    expect(groups(books)).toEqual([
+      ["Ubik", "Ubik", "Ubik."],
+      ["Emma", "Emma"],
+    ]);
+    expect(findDuplicates(books)[1].books[0].createdAt).toBe("2024-02-01");
+  });
+});
+
+describe("merging", () => {
+  const sparse = book("Dune", "Frank Herbert", {
+    rating: 5,
+    isFavorite: true,
+    tags: ["Classic", "space"],
+    shelves: ["Book club"],
+    quotes: [{ text: "Fear is the mind-killer.", page: 8 }],
+    members: { a: { rating: 4 }, b: { rating: 2 } },
+  });
+  const rich = book("Dune", "Herbert, Frank", {
+    isbn: "9780441013593",
+    description: "Desert planet",
+    coverImage: "https://example.com/dune.jpg",
+    rating: 3,
+    status: "finished",
+    finishedAt: "2024-05-01",
+    pageCount: 412,
+    tags: ["classic", "sf"],
+    quotes: [
+      { text: "Fear is the mind-killer.", page: 8 },
+      { text: "Fear is the mind-killer.", page: 9 },
+    ],
+    members: { b: { rating: 5, status: "finished" } },
+  });
+
+  test("keeps the fullest copy and the highest rating by default", () => {
+    expect(defaultPicks([sparse, rich])).toEqual({
+      keep: rich.id,
+      title: rich.id,
+      author: rich.id,
+      isbn: rich.id,
+      coverImage: rich.id,
+      description: rich.id,
+      /* Neither copy has a review, so it stays with the kept one */
+      review: rich.id,
+      rating: sparse.id,
+      reading: rich.id,
+    });
+  });
+
+  test("combines tags, shelves, quotes and members from every copy", () => {
+    const patch = mergePatch([sparse, rich], defaultPicks([sparse, rich]));
+    expect(patch).toMatchObject({
+      author: "Herbert, Frank",
+      isbn: "9780441013593",
+      rating: 5,
+      status: "finished",
+      pageCount: 412,
+      isFavorite: true,
+      tags: ["Classic", "space", "sf"],
+      shelves: ["Book club"],
+      quotes: [
+        { text: "Fear is the mind-killer.", page: 8 },
+        { text: "Fear is the mind-killer.", page: 9 },
+      ],
+      /* The kept copy's entry wins for a member on both */
+      members: { a: { rating: 4 }, b: { rating: 5, status: "finished" } },
+    });
+  });
+
+  test("takes each field from the copy picked for it", () => {
+    const picks = { ...defaultPicks([sparse, rich]), author: sparse.id, rating: rich.id };
+    const patch = mergePatch([sparse, rich], { ...picks, keep: sparse.id });
+    expect(patch).toMatchObject({ author: "Frank Herbert", rating: 3 });
+    expect(patch.members.b).toEqual({ rating: 2 });
+  });
+});
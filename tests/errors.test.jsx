@@ -0,0 +1,380 @@
+import { describe, expect, test, vi } from "vitest";
+import { fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import { findToast, renderApp, withMockApi } from "./server.jsx";
+
+const book = (n, extra) => ({
+  id: String(n),
+  title: `Book ${n}`,
+  author: "Anon",
+  rating: 0,
+  isFavorite: false,
+  schemaVersion: 4,
+  createdAt: `2024-01-01T00:00:${String(n % 60).padStart(2, "0")}.000Z`,
+  ...extra,
+});
+
+const BOOKS = [book(1, { title: "Dune" }), book(2, { title: "Emma" })];
+const MEMBERS = [{ id: "1", name: "Ana", createdAt: "2024-01-01T00:00:00.000Z" }];
+
+const api = withMockApi({ books: BOOKS, members: MEMBERS });
+/* Reads and updates are tried three times (two retries) before the app hears of it */
+const TRIES = 3;
+const onServer = (id) => api.data.books.find((b) => b.id === id);
+
+const card = (title) => screen.queryByRole("button", { name: `Edit “${title}”` });
+const heart = (title) => screen.getByRole("button", { name: `Favorite “${title}”` });
+const retry = () => fireEvent.click(screen.getByRole("button", { name: "↻ Retry" }));
+
+describe("loading errors", () => {
+  test("a failure that goes away is retried quietly", async () => {
+    api.fail({ method: "GET", path: "/books?page=1", status: 502 });
+    await renderApp();
+    expect(card("Dune")).toBeTruthy();
+    expect(screen.getByRole("status").textContent).toBe("");
+  });
+
+  test("no list and nothing cached", async () => {
+    api.fail({ method: "GET", path: "/books?page=1", status: 500, times: TRIES });
+    await renderApp();
+    await findToast("❌ Cannot load books. The server had a problem (HTTP 500).");
+    expect(card("Dune")).toBeNull();
+
+    retry();
+    await waitFor(() => expect(card("Dune")).toBeTruthy());
+  });
+
+  test("unmounting before the first page arrives cancels the request", async () => {
+    api.settings.latency = 300;
+    const fetch = vi.spyOn(globalThis, "fetch");
+    vi.resetModules();
+    const { default: App } = await import("../src/App.jsx");
+    const { unmount } = render(<App />);
+    /* Unmount once the server has the request, so it cannot arrive during the next test */
+    await waitFor(() => expect(api.requests.some((r) => r.path.startsWith("/books"))).toBe(true));
+    unmount();
+
+    const signals = fetch.mock.calls.map(([, init]) => init.signal);
+    expect(signals.every((signal) => signal.aborted)).toBe(true);
+    fetch.mockRestore();
+    api.settings.latency = 0;
+  });
+
+  test("a wrong API URL", async () => {
+    api.fail({ method: "GET", path: "/books?page=1", status: 403 });
+    await renderApp();
+    await findToast("❌ Cannot load books. Access denied (HTTP 403). Check your API URL.");
+  });
+
+  test("no list, but a copy from the last visit", async () => {
+    localStorage.setItem("my-book-archive:cache", JSON.stringify([BOOKS[0]]));
+    api.fail({ method: "GET", path: "/books", status: 0, times: TRIES });
+    await renderApp();
+    await findToast("📴 Offline. Showing your last synced archive.");
+    expect(card("Dune")).toBeTruthy();
+    expect(card("Emma")).toBeNull();
+
+    retry();
+    await waitFor(() => expect(card("Emma")).toBeTruthy());
+  });
+
+  test("local storage that can't be opened", async () => {
+    /* IndexedDB refuses to open, as in some private windows */
+    const blocked = () => {
+      const req = { error: new DOMException("The operation is insecure.", "SecurityError") };
+      setTimeout(() => req.onerror());
+      return req;
+    };
+    vi.stubEnv("VITE_STORAGE", "local");
+    vi.stubGlobal("indexedDB", { open: blocked });
+    try {
+      await renderApp();
+      await findToast("❌ Cannot open local storage.");
+      expect(card("Dune")).toBeNull();
+    } finally {
+      vi.stubEnv("VITE_STORAGE", "rest");
+      vi.unstubAllGlobals();
+    }
+  });
+
+  test("a later page fails, then loads on retry", async () => {
+    api.reset({ books: Array.from({ length: 101 }, (_, i) => book(i + 1)) });
+    api.fail({ method: "GET", path: "/books?page=2", status: 429, times: TRIES });
+    await renderApp();
+
+    fireEvent.click(screen.getByRole("button", { name: "Load more" }));
+    await findToast("❌ Could not load more books. Too many requests; try again shortly.");
+
+    retry();
+    /* The button reads "Loading…" while the page is on its way, so wait for both to go */
+    await waitFor(() =>
+      expect(screen.queryByRole("button", { name: /^(Load more|Loading…)$/ })).toBeNull()
+    );
+    expect(api.requests.filter((r) => r.path.startsWith("/books?page=2"))).toHaveLength(TRIES + 1);
+  });
+});
+
+describe("sync errors", () => {
+  test("a dropped connection queues the change until the browser is back online", async () => {
+    await renderApp();
+    api.fail({ method: "GET", path: "/books/1", status: 0, times: TRIES });
+    fireEvent.click(heart("Dune"));
+    await findToast("📴 Offline. Changes will sync when you're back online.");
+    expect(heart("Dune").getAttribute("aria-pressed")).toBe("true");
+    expect(onServer("1").isFavorite).toBe(false);
+
+    fireEvent(window, new Event("online"));
+    await waitFor(() => expect(onServer("1").isFavorite).toBe(true));
+  });
+
+  test("a server that keeps failing holds the change until Retry", async () => {
+    await renderApp();
+    api.fail({ method: "PUT", path: "/books/1", status: 503, times: TRIES });
+    fireEvent.click(heart("Dune"));
+    await findToast("⏳ The server had a problem (HTTP 503). Your changes will sync later.");
+    expect(JSON.parse(localStorage.getItem("my-book-archive:queue"))).toHaveLength(1);
+
+    retry();
+    await waitFor(() => expect(onServer("1").isFavorite).toBe(true));
+    expect(JSON.parse(localStorage.getItem("my-book-archive:queue"))).toEqual([]);
+  });
+
+  test("a rejected change is dropped and the list reloaded", async () => {
+    await renderApp();
+    api.fail({ method: "PUT", path: "/books/1", status: 400 });
+    fireEvent.click(heart("Dune"));
+    await findToast("❌ The server rejected a change (HTTP 400). Reloading.");
+    expect(api.requests.filter((r) => r.method === "PUT")).toHaveLength(1);
+    await waitFor(() => expect(heart("Dune").getAttribute("aria-pressed")).toBe("false"));
+    expect(JSON.parse(localStorage.getItem("my-book-archive:queue"))).toEqual([]);
+  });
+
+  test("reloading after a rejected change starts again from the first page", async () => {
+    api.reset({ books: Array.from({ length: 101 }, (_, i) => book(i + 1)) });
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "Load more" }));
+    await waitFor(() =>
+      expect(screen.queryByRole("button", { name: /^(Load more|Loading…)$/ })).toBeNull()
+    );
+
+    api.fail({ method: "PUT", path: "/books/1", status: 400 });
+    fireEvent.click(heart("Book 1"));
+    await findToast("❌ The server rejected a change (HTTP 400). Reloading.");
+    await screen.findByRole("button", { name: "Load more" });
+    expect(api.requests.filter((r) => r.path.startsWith("/books?page=1"))).toHaveLength(2);
+    expect(api.requests.some((r) => r.path === "/books")).toBe(false);
+  });
+
+  test("an edit made elsewhere meanwhile is a conflict, and resolving can fail", async () => {
+    await renderApp();
+    /* Someone else renames the book after this tab loaded it */
+    onServer("1").title = "Dune Messiah";
+    fireEvent.click(heart("Dune"));
+    await findToast("⚠️ Some changes conflict with the server. Review them.");
+
+    const dialog = screen.getByRole("dialog", { name: "Sync conflicts" });
+    expect(within(dialog).getByRole("cell", { name: "Dune Messiah" })).toBeTruthy();
+    api.fail({ method: "PUT", path: "/books/1", status: 0, times: TRIES });
+    fireEvent.click(within(dialog).getByRole("button", { name: "Keep mine" }));
+    await findToast(
+      "❌ Could not resolve right now. The server can't be reached. Check your connection."
+    );
+    expect(onServer("1").isFavorite).toBe(false);
+
+    retry();
+    await findToast("✅ Your version was saved");
+    expect(onServer("1")).toMatchObject({ title: "Dune Messiah", isFavorite: true });
+    expect(within(dialog).getByText("All conflicts resolved ✨")).toBeTruthy();
+  });
+});
+
+describe("other error toasts", () => {
+  test("an invalid form names the first problem", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "+ Add Book" }));
+    const dialog = screen.getByRole("dialog", { name: "Add Book" });
+    fireEvent.click(within(dialog).getByRole("button", { name: "Add Book" }));
+    await findToast("❌ Title is required");
+    expect(api.requests.some((r) => r.method === "POST")).toBe(false);
+  });
+
+  test("a batch reports the books it couldn't change", async () => {
+    api.reset({ books: [...BOOKS, book(3, { title: "Ubik", tags: ["x".repeat(61)] })] });
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "☑ Select" }));
+    fireEvent.click(screen.getByRole("button", { name: "Select all 3" }));
+    const tags = screen.getByPlaceholderText("Tags to add");
+    fireEvent.change(tags, { target: { value: "classic" } });
+    fireEvent.keyDown(tags, { key: "Enter" });
+    fireEvent.click(screen.getByRole("button", { name: "# Add tags" }));
+
+    await findToast("⚠️ Tag “classic”: 2 books done, 1 failed");
+    await waitFor(() => expect(onServer("2").tags).toEqual(["classic"]));
+    expect(onServer("3").tags).toEqual(["x".repeat(61)]);
+  });
+
+  test("a batch lists the books the server refused once they've synced", async () => {
+    await renderApp();
+    api.fail({ method: "PUT", path: "/books/2", status: 400 });
+    fireEvent.click(screen.getByRole("button", { name: "☑ Select" }));
+    fireEvent.click(screen.getByRole("button", { name: "Select all 2" }));
+    fireEvent.click(screen.getByRole("button", { name: "♥ Favorite" }));
+
+    await findToast("⚠️ Favorite: 1 book done, 1 failed");
+    const report = screen.getByRole("alert");
+    expect(report.textContent).toContain("Emma: The server refused the request (HTTP 400).");
+    expect(report.textContent).not.toContain("Dune");
+    expect(onServer("1").isFavorite).toBe(true);
+    expect(onServer("2").isFavorite).toBe(false);
+  });
+
+  test("an import lists the books the server refused to create", async () => {
+    await renderApp();
+    api.fail({ method: "POST", path: "/books", status: 400 });
+    fireEvent.click(screen.getByRole("button", { name: "⇪ Import" }));
+    const csv = "title,author\nUbik,Philip K. Dick\nKindred,Octavia E. Butler\n";
+    const field = screen.getByRole("group", {
+      name: "File (CSV, JSON or Goodreads library export)",
+    });
+    fireEvent.change(field.querySelector("input"), {
+      /* jsdom's File has no text() */
+      target: { files: [Object.assign(new File([csv], "books.csv"), { text: async () => csv })] },
+    });
+    fireEvent.click(await screen.findByRole("button", { name: "Import 2 books" }));
+
+    const report = await screen.findByRole("alert");
+    expect(report.textContent).toContain("The server refused 1 of 2");
+    expect(report.textContent).toContain("Ubik — Philip K. Dick");
+    expect(report.textContent).not.toContain("Kindred");
+    await waitFor(() => expect(screen.queryByText(/still waiting to sync/)).toBeNull());
+    expect(screen.queryByText(/✅ Imported/)).toBeNull();
+    expect(api.data.books.map((b) => b.title)).toEqual(["Dune", "Emma", "Kindred"]);
+  });
+
+  test("an over-long tag name is refused before any book changes", async () => {
+    const long = "y".repeat(61);
+    api.reset({
+      books: [book(1, { title: "Dune", tags: ["classic"] }), book(2, { tags: ["classic", long] })],
+    });
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "⚙ Manage shelves & tags" }));
+    const dialog = screen.getByRole("dialog", { name: "Shelves & tags" });
+    fireEvent.click(within(dialog).getByRole("tab", { name: "# Tags" }));
+
+    /* Names are listed alphabetically, so "classic" comes first */
+    fireEvent.click(within(dialog).getAllByRole("button", { name: "Rename" })[0]);
+    const input = within(dialog).getByRole("textbox", { name: "New name for classic" });
+    fireEvent.change(input, { target: { value: long } });
+    expect(input.getAttribute("aria-invalid")).toBe("true");
+    expect(within(dialog).getByText("❌ Keep it under 60 characters")).toBeTruthy();
+    fireEvent.keyDown(input, { key: "Enter" });
+    expect(input.isConnected).toBe(true);
+    fireEvent.click(within(dialog).getByRole("button", { name: "Cancel" }));
+
+    /* Merging onto a name that's already too long is checked for every book first */
+    fireEvent.change(within(dialog).getByRole("combobox", { name: "Merge classic into" }), {
+      target: { value: long },
+    });
+    await findToast(`❌ Could not rename “classic”. Tag “${"y".repeat(20)}…” is too long`);
+    expect(api.requests.some((r) => r.method === "PUT")).toBe(false);
+    expect(screen.getByRole("button", { name: "Undo" }).disabled).toBe(true);
+  });
+
+  test("an undo that would bring back an invalid value is refused", async () => {
+    api.reset({ books: [...BOOKS, book(3, { title: "Ubik", rating: 7 })] });
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "☑ Select" }));
+    fireEvent.click(screen.getByRole("button", { name: "Select all 3" }));
+    fireEvent.change(screen.getByRole("combobox", { name: "Set rating" }), {
+      target: { value: "3" },
+    });
+    await findToast("✅ Rate 3/5: 3 books");
+    const puts = api.requests.filter((r) => r.method === "PUT").length;
+
+    fireEvent.click(screen.getByRole("button", { name: "Undo" }));
+    await findToast("❌ Could not undo “Rate 3/5”. Rating must be 0 to 5 stars, in half stars");
+    expect(api.requests.filter((r) => r.method === "PUT")).toHaveLength(puts);
+    expect(onServer("1").rating).toBe(3);
+    expect(screen.getByRole("button", { name: "Undo" }).disabled).toBe(false);
+  });
+
+  test("a redo that no longer fits a book changed elsewhere is refused", async () => {
+    const revisions = [
+      { at: "2024-02-01T00:00:00.000Z", changes: { currentPage: { from: 90, to: 50 } } },
+    ];
+    api.reset({ books: [book(1, { title: "Dune", pageCount: 100, currentPage: 50, revisions })] });
+    await renderApp("/book/1");
+    fireEvent.click(screen.getByRole("button", { name: "↺ Restore original" }));
+    await findToast("🕘 Version restored");
+    await waitFor(() => expect(onServer("1").currentPage).toBe(90));
+
+    /* Someone else shortens the book; undoing conflicts, and their copy is kept */
+    onServer("1").pageCount = 60;
+    fireEvent.click(screen.getByRole("button", { name: "Undo" }));
+    const dialog = await screen.findByRole("dialog", { name: "Sync conflicts" });
+    fireEvent.click(within(dialog).getByRole("button", { name: "Keep server" }));
+    await findToast("✅ Server version kept");
+
+    fireEvent.click(screen.getByRole("button", { name: "Redo" }));
+    await findToast(
+      "❌ Could not redo “Restore a version of “Dune””. Current page is past the last page"
+    );
+    expect(onServer("1")).toMatchObject({ pageCount: 60, currentPage: 90 });
+  });
+
+  test("a merge that would break a rule is refused", async () => {
+    api.reset({
+      books: [
+        book(1, { title: "Dune", author: "Frank Herbert", tags: ["y".repeat(61)] }),
+        book(2, { title: "Dune", author: "Herbert, Frank" }),
+      ],
+    });
+    await renderApp("/duplicates");
+    fireEvent.click(screen.getByRole("button", { name: "⧉ Merge 2 into one" }));
+    await findToast(`❌ Could not merge “Dune”. Tag “${"y".repeat(20)}…” is too long`);
+    expect(api.requests.some((r) => r.method === "PUT")).toBe(false);
+  });
+
+  test("restoring a version that breaks a rule is refused", async () => {
+    const revisions = [{ at: "2024-02-01T00:00:00.000Z", changes: { rating: { from: 7, to: 4 } } }];
+    api.reset({ books: [book(1, { title: "Dune", rating: 4, revisions })] });
+    await renderApp("/book/1");
+    fireEvent.click(screen.getByRole("button", { name: "↺ Restore original" }));
+    await findToast(
+      "❌ Could not restore that version. Rating must be 0 to 5 stars, in half stars"
+    );
+    expect(onServer("1").rating).toBe(4);
+    expect(api.requests.some((r) => r.method === "PUT")).toBe(false);
+  });
+
+  test("adding and removing a profile can fail", async () => {
+    await renderApp();
+    await screen.findByRole("option", { name: "👤 Ana" });
+    fireEvent.change(screen.getByRole("combobox", { name: "Profile" }), { target: { value: "1" } });
+    fireEvent.click(screen.getByRole("button", { name: "Manage profiles" }));
+    const dialog = screen.getByRole("dialog", { name: "Profiles" });
+
+    api.fail({ method: "POST", path: "/members", status: 500 });
+    fireEvent.change(within(dialog).getByRole("textbox", { name: "New profile" }), {
+      target: { value: "Ben" },
+    });
+    fireEvent.click(within(dialog).getByRole("button", { name: "Add" }));
+    await findToast("❌ Could not add the profile. The server had a problem (HTTP 500).");
+    expect(api.data.members).toHaveLength(1);
+    retry();
+    await findToast("👤 Added Ben");
+    expect(api.data.members).toHaveLength(2);
+
+    api.fail({ method: "DELETE", path: "/members/1", status: 0, times: TRIES });
+    fireEvent.click(within(dialog).getByRole("button", { name: "Remove Ana" }));
+    await findToast(
+      "❌ Could not remove the profile. The server can't be reached. Check your connection."
+    );
+    expect(api.data.members).toHaveLength(2);
+  });
+
+  test("copying a link without clipboard access", async () => {
+    await renderApp("/book/1");
+    fireEvent.click(screen.getByRole("button", { name: "🔗 Copy link" }));
+    await findToast("❌ Could not copy the link");
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, expect, test } from "vitest";
+import { EXPORT_FORMATS } from "../src/lib/exportBooks.js";
+import { buildImportRows, guessMapping, parseImportFile } from "../src/lib/importBooks.js";
+
+const BOOK = {
+  id: "7",
+  title: "Dune",
+  author: "Frank Herbert",
+  rating: 4.5,
+  isFavorite: true,
+  tags: ["classic"],
+  review: "**Spice** must flow",
+  quotes: [
+    { text: "Fear is the mind-killer.", page: 8 },
+    { text: "The mystery of life isn't a problem to solve.", page: null },
+  ],
+  members: {
+    1: { rating: 5, status: "finished" },
+    2: { rating: 3.5, isFavorite: true, status: "reading", currentPage: 120 },
+  },
+};
+
+const importText = (name, text) => {
+  const file = parseImportFile(name, text);
+  return buildImportRows(file.records, guessMapping(file.columns), []);
+};
+
+describe("import", () => {
+  test("a JSON export comes back with its quotes and members", () => {
+    const [row] = importText("archive.json", EXPORT_FORMATS.json.render([BOOK]));
+    expect(row.error).toBeNull();
+    expect(row.payload).toMatchObject({
+      title: "Dune",
+      rating: 4.5,
+      isFavorite: true,
+      tags: ["classic"],
+      review: "**Spice** must flow",
+      quotes: BOOK.quotes,
+      members: BOOK.members,
+    });
+  });
+
+  test("maps quotes and members columns in a CSV", () => {
+    const file = parseImportFile("x.csv", "Title,Author,Favorite Quotes,Members\nDune,Herbert,,");
+    expect(guessMapping(file.columns)).toMatchObject({
+      quotes: "Favorite Quotes",
+      members: "Members",
+    });
+  });
+
+  test("reads quotes from a CSV cell as JSON or one per line", () => {
+    const csv = [
+      "title,author,quotes",
+      `Dune,Herbert,"[{""text"":""Fear is the mind-killer."",""page"":8}]"`,
+      `Emma,Austen,"Badly done, Emma!\nI may have lost my heart"`,
+    ].join("\n");
+    const [dune, emma] = importText("books.csv", csv);
+    expect(dune.payload.quotes).toEqual([{ text: "Fear is the mind-killer.", page: 8 }]);
+    expect(emma.payload.quotes).toEqual([
+      { text: "Badly done, Emma!", page: null },
+      { text: "I may have lost my heart", page: null },
+    ]);
+    expect(emma.payload).not.toHaveProperty("members");
+  });
+
+  test("drops malformed members entries and their unknown fields", () => {
+    const json = JSON.stringify([
+      { title: "Dune", author: "Herbert", members: { 1: { rating: 4, title: "x" }, 2: "nope" } },
+    ]);
+    const [row] = importText("a.json", json);
+    expect(row.payload.members).toEqual({ 1: { rating: 4 } });
+  });
+
+  test("keeps custom Goodreads shelves, dropping only the built-in ones", () => {
+    const csv = [
+      "Book Id,Title,Author,Exclusive Shelf,Bookshelves",
+      `1,Dune,Frank Herbert,read,"read, read-2023, book-club-reading, favorites"`,
+      `2,Emma,Jane Austen,to-read,"to-read, want-to-buy-hardcover, currently-reading"`,
+    ].join("\n");
+    const file = parseImportFile("goodreads_library_export.csv", csv);
+    expect(file.format).toBe("goodreads");
+    const [dune, emma] = buildImportRows(file.records, guessMapping(file.columns), []);
+    expect(dune.payload.shelves).toEqual(["read-2023", "book-club-reading"]);
+    expect(emma.payload.shelves).toEqual(["want-to-buy-hardcover"]);
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, expect, test } from "vitest";
+import { parseInline, parseMarkdown } from "../src/lib/markdown.js";
+
+const para = (...children) => ({ type: "paragraph", children });
+
+describe("parseInline", () => {
+  test("bold, italic, code and links", () => {
+    expect(parseInline("**Spice** and *sand*, __worms__ and _water_")).toEqual([
+      { type: "strong", children: ["Spice"] },
+      " and ",
+      { type: "em", children: ["sand"] },
+      ", ",
+      { type: "strong", children: ["worms"] },
+      " and ",
+      { type: "em", children: ["water"] },
+    ]);
+    expect(parseInline("run `npm **test**` [the **docs**](https://example.com/a_b)")).toEqual([
+      "run ",
+      { type: "code", text: "npm **test**" },
+      " ",
+      {
+        type: "link",
+        href: "https://example.com/a_b",
+        children: ["the ", { type: "strong", children: ["docs"] }],
+      },
+    ]);
+  });
+
+  test("leaves stray markers and underscores inside words alone", () => {
+    expect(parseInline("snake_case_name")).toEqual(["snake_case_name"]);
+    expect(parseInline("2 * 3 * 4")).toEqual(["2 * 3 * 4"]);
+    expect(parseInline("**open")).toEqual(["**open"]);
+  });
+
+  test("inline spoilers nest other markup", () => {
+    expect(parseInline("It was ||**the butler**|| all along")).toEqual([
+      "It was ",
+      { type: "spoiler", children: [{ type: "strong", children: ["the butler"] }] },
+      " all along",
+    ]);
+  });
+
+  test("only http(s) and mailto links become links", () => {
+    expect(parseInline("[mail](mailto:a@b.c)")[0]).toMatchObject({ href: "mailto:a@b.c" });
+    expect(parseInline("[x](HTTPS://EXAMPLE.COM)")[0]).toMatchObject({ type: "link" });
+    for (const href of [
+      "javascript:alert(1)",
+      "JavaScript:alert(1)",
+      "data:text/html;base64,PHNjcmlwdD4=",
+      "vbscript:msgbox",
+      "//evil.example",
+      "/relative",
+    ]) {
+      /* Left as plain text, exactly as typed */
+      const nodes = parseInline(`[click](${href})`);
+      expect(nodes.every((n) => typeof n === "string")).toBe(true);
+      expect(nodes.join("")).toBe(`[click](${href})`);
+    }
+  });
+});
+
+describe("parseMarkdown", () => {
+  test("headings, rules, quotes and paragraphs", () => {
+    const source = "# Title #\n### Small\n\nOne\nline\n\n---\n> quoted\n> **more**\nafter";
+    expect(parseMarkdown(source)).toEqual([
+      { type: "heading", level: 1, children: ["Title"] },
+      { type: "heading", level: 3, children: ["Small"] },
+      para("One line"),
+      { type: "rule" },
+      {
+        type: "quote",
+        blocks: [para("quoted ", { type: "strong", children: ["more"] })],
+      },
+      para("after"),
+    ]);
+    expect(parseMarkdown("#### Too deep")).toEqual([para("#### Too deep")]);
+  });
+
+  test("lists: ordered with their start, indented continuations, one list per kind", () => {
+    expect(parseMarkdown("3. three\n4) four\n   more\n- dash\n* star")).toEqual([
+      { type: "list", ordered: true, start: 3, items: [["three"], ["four more"]] },
+      { type: "list", ordered: false, start: 1, items: [["dash"], ["star"]] },
+    ]);
+  });
+
+  test("a paragraph ends where a block starts", () => {
+    expect(parseMarkdown("text\n- item\ntext\n## Head")).toEqual([
+      para("text"),
+      { type: "list", ordered: false, start: 1, items: [["item"]] },
+      para("text"),
+      { type: "heading", level: 2, children: ["Head"] },
+    ]);
+  });
+
+  test("spoiler sections, titled or not, nested, and unclosed", () => {
+    const source = [
+      ":::spoiler The ending",
+      "He *dies*.",
+      ":::",
+      "::: SPOILER",
+      ":::spoiler Inner",
+      "deep",
+      ":::",
+      "outer",
+      ":::",
+      ":::spoiler",
+      "runs to the end",
+    ].join("\n");
+    expect(parseMarkdown(source)).toEqual([
+      {
+        type: "spoiler",
+        title: "The ending",
+        blocks: [para("He ", { type: "em", children: ["dies"] }, ".")],
+      },
+      {
+        type: "spoiler",
+        title: "",
+        blocks: [{ type: "spoiler", title: "Inner", blocks: [para("deep")] }, para("outer")],
+      },
+      { type: "spoiler", title: "", blocks: [para("runs to the end")] },
+    ]);
+  });
+
+  test("HTML stays text, and empty input gives no blocks", () => {
+    expect(parseMarkdown('<img src=x onerror="alert(1)">')).toEqual([
+      para('<img src=x onerror="alert(1)">'),
+    ]);
+    expect(parseMarkdown("\r\n  \r\n")).toEqual([]);
+    expect(parseMarkdown(null)).toEqual([]);
+  });
+});
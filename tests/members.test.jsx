@@ -0,0 +1,123 @@
+import { beforeEach, describe, expect, test } from "vitest";
+import { fireEvent, screen, waitFor, within } from "@testing-library/react";
+import { axeViolations } from "./axe.js";
+import { renderApp } from "./server.jsx";
+
+const MEMBERS = [
+  { id: "m1", name: "Ana", createdAt: "2024-01-01T00:00:00.000Z" },
+  { id: "m2", name: "Ben", createdAt: "2024-01-02T00:00:00.000Z" },
+];
+
+const BOOKS = [
+  {
+    id: "b1",
+    title: "Dune",
+    author: "Frank Herbert",
+    rating: 2,
+    isFavorite: false,
+    schemaVersion: 4,
+    members: {
+      m1: { rating: 5, status: "finished", isFavorite: true },
+      m2: { rating: 4, status: "reading" },
+    },
+    createdAt: "2024-01-01T00:00:00.000Z",
+  },
+];
+
+const stored = () => JSON.parse(localStorage.getItem("my-book-archive:books"))[0];
+
+/* Profiles load after the books */
+const profilesLoaded = () => screen.findByRole("option", { name: "👤 Ben" });
+
+/* The local backend starts from these */
+beforeEach(() => {
+  localStorage.setItem("my-book-archive:books", JSON.stringify(BOOKS));
+  localStorage.setItem("my-book-archive:members", JSON.stringify(MEMBERS));
+});
+
+describe("profiles", () => {
+  test("without a profile the book's own fields are shown", async () => {
+    await renderApp();
+    await profilesLoaded();
+    expect(screen.getByRole("img", { name: "Rated 2 out of 5" })).toBeTruthy();
+    expect(screen.getByText("👥 Team 4.5★ (2)")).toBeTruthy();
+    expect(screen.getByText("✅ Read by Ana")).toBeTruthy();
+    expect(screen.getByText("📖 Ben reading")).toBeTruthy();
+  });
+
+  test("a member sees and changes only their own rating and favorite", async () => {
+    await renderApp();
+    await profilesLoaded();
+    fireEvent.change(screen.getByRole("combobox", { name: "Profile" }), {
+      target: { value: "m2" },
+    });
+    expect(screen.getByRole("img", { name: "Rated 4 out of 5" })).toBeTruthy();
+    const heart = screen.getByRole("button", { name: "Favorite “Dune”" });
+    expect(heart.getAttribute("aria-pressed")).toBe("false");
+
+    fireEvent.click(heart);
+    await waitFor(() => expect(stored().members.m2.isFavorite).toBe(true));
+    expect(stored().members.m1).toEqual({ rating: 5, status: "finished", isFavorite: true });
+    expect(stored().isFavorite).toBe(false);
+    expect(localStorage.getItem("my-book-archive:member")).toBe("m2");
+  });
+
+  test("a mixed edit keeps the member's own fields out of the shared history", async () => {
+    localStorage.setItem("my-book-archive:member", "m2");
+    await renderApp();
+    await profilesLoaded();
+    fireEvent.click(screen.getByRole("button", { name: "Edit “Dune”" }));
+    const dialog = await screen.findByRole("dialog", { name: "Edit Book" });
+    fireEvent.change(within(dialog).getByRole("textbox", { name: "Title *" }), {
+      target: { value: "Dune Messiah" },
+    });
+    fireEvent.keyDown(within(dialog).getByRole("slider", { name: "Rating" }), {
+      key: "ArrowRight",
+    });
+    fireEvent.click(within(dialog).getByRole("button", { name: "Save Changes" }));
+
+    await waitFor(() => expect(stored().title).toBe("Dune Messiah"));
+    expect(stored().members.m2.rating).toBe(4.5);
+    expect(stored().rating).toBe(2);
+    const [{ changes }] = stored().revisions;
+    expect(changes.title).toEqual({ from: "Dune", to: "Dune Messiah" });
+    expect(changes).not.toHaveProperty("rating");
+  });
+
+  test("the book page lists every member", async () => {
+    localStorage.setItem("my-book-archive:member", "m1");
+    await renderApp("/book/b1");
+    await profilesLoaded();
+    const team = screen.getByRole("region", { name: "Team" });
+    const rows = within(team).getAllByRole("row");
+    expect(rows).toHaveLength(3);
+    expect(within(rows[1]).getByText("✅ Finished")).toBeTruthy();
+    expect(within(rows[2]).getByText("📖 Reading")).toBeTruthy();
+    expect(await axeViolations()).toEqual([]);
+  });
+
+  test("profiles can be added and removed", async () => {
+    await renderApp();
+    await profilesLoaded();
+    fireEvent.click(screen.getByRole("button", { name: "Manage profiles" }));
+    const dialog = await screen.findByRole("dialog", { name: "Profiles" });
+    expect(await axeViolations()).toEqual([]);
+
+    const name = within(dialog).getByRole("textbox", { name: "New profile" });
+    fireEvent.change(name, { target: { value: "ana" } });
+    fireEvent.click(within(dialog).getByRole("button", { name: "Add" }));
+    expect(within(dialog).getByText(/already a profile called “ana”/)).toBeTruthy();
+
+    fireEvent.change(name, { target: { value: "Cy" } });
+    fireEvent.click(within(dialog).getByRole("button", { name: "Add" }));
+    await within(dialog).findByText("👤 Cy");
+    expect(screen.getByRole("combobox", { name: "Profile" }).value).not.toBe("");
+
+    fireEvent.click(within(dialog).getByRole("button", { name: "Remove Ana" }));
+    await waitFor(() => expect(within(dialog).queryByText("👤 Ana")).toBeNull());
+    expect(JSON.parse(localStorage.getItem("my-book-archive:members")).map((m) => m.name)).toEqual([
+      "Ben",
+      "Cy",
+    ]);
+  });
+});
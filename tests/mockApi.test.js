@@ -0,0 +1,126 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from "vitest";
+import { createMockApi } from "../server/mockApi.js";
+import { createRestAdapter } from "../src/storage/rest.js";
+
+const BOOKS = [
+  { id: "1", title: "Dune", author: "Frank Herbert", rating: 5 },
+  { id: "2", title: "Emma", author: "Jane Austen", rating: 3 },
+  { id: "3", title: "Ubik", author: "Philip K. Dick", rating: 4 },
+];
+
+const api = createMockApi({ books: BOOKS });
+let origin;
+let base;
+let rest;
+
+const get = async (path) => {
+  const res = await fetch(`${base}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+beforeAll(async () => {
+  origin = await api.listen();
+  base = `${origin}/api/v1`;
+  /* No retries, so each injected failure reaches the caller */
+  rest = createRestAdapter(`${base}/books`, { retries: 0 });
+});
+beforeEach(() => api.reset({ books: BOOKS }));
+afterAll(() => api.close());
+
+describe("mock API", () => {
+  test("creates, reads, updates and deletes through the REST adapter", async () => {
+    const created = await rest.create({ title: "Kindred", author: "Octavia E. Butler" });
+    expect(created).toEqual({ id: "4", title: "Kindred", author: "Octavia E. Butler" });
+
+    const updated = await rest.update("4", { rating: 4.5 });
+    expect(updated).toMatchObject({ id: "4", title: "Kindred", rating: 4.5 });
+    expect(await rest.get("4")).toEqual(updated);
+
+    await rest.remove("4");
+    expect(await rest.get("4")).toBeNull();
+    expect(await rest.list()).toEqual(BOOKS);
+    await expect(rest.update("4", { rating: 1 })).rejects.toMatchObject({ status: 404 });
+  });
+
+  test("deleting a book that's already gone succeeds", async () => {
+    await rest.remove("1");
+    await expect(rest.remove("1")).resolves.toBeNull();
+
+    /* The first try went through but its answer was lost; the retry gets a 404 */
+    api.fail({ method: "DELETE", path: "/books/2", status: 404 });
+    await expect(rest.remove("2")).resolves.toBeNull();
+  });
+
+  test("pages, sorts and filters the list like MockAPI", async () => {
+    expect((await get("/books?page=2&limit=2")).body.map((b) => b.id)).toEqual(["3"]);
+    expect(await rest.listPage(3, 2)).toEqual([]);
+    expect((await get("/books?sortBy=rating&order=desc")).body.map((b) => b.id)).toEqual([
+      "1",
+      "3",
+      "2",
+    ]);
+    expect((await get("/books?author=austen")).body.map((b) => b.id)).toEqual(["2"]);
+    expect((await get("/books?search=dick")).body.map((b) => b.id)).toEqual(["3"]);
+    expect(await get("/books?title=nope")).toEqual({ status: 404, body: "Not found" });
+  });
+
+  test("serves members beside books, without the API prefix too", async () => {
+    await rest.createMember({ name: "Ana" });
+    expect(await rest.listMembers()).toEqual([{ id: "1", name: "Ana" }]);
+    expect(await (await fetch(`${origin}/books/2`)).json()).toEqual(BOOKS[1]);
+  });
+
+  test("injected failures hit only the matching requests, then stop", async () => {
+    api.fail({ method: "GET", path: "/books?page=2", status: 503 });
+    api.fail({ method: "PUT", path: "/books/1", status: 0 });
+
+    expect(await rest.listPage(1, 2)).toHaveLength(2);
+    await expect(rest.listPage(2, 2)).rejects.toMatchObject({ status: 503 });
+    expect(await rest.listPage(2, 2)).toHaveLength(1);
+
+    const offline = await rest.update("1", { rating: 1 }).catch((err) => err);
+    expect(offline).toBeInstanceOf(Error);
+    expect(offline.status).toBeUndefined();
+    expect((await rest.update("1", { rating: 1 })).rating).toBe(1);
+  });
+
+  test("adds latency and random failures, and resets to the seed", async () => {
+    api.settings.latency = 50;
+    const start = Date.now();
+    await rest.get("1");
+    expect(Date.now() - start).toBeGreaterThanOrEqual(45);
+    api.settings.latency = 0;
+
+    api.settings.failRate = 1;
+    await expect(rest.list()).rejects.toMatchObject({ status: 500 });
+    api.settings.failRate = 0;
+
+    await rest.remove("1");
+    api.reset();
+    expect(await rest.list()).toEqual(BOOKS);
+    expect(api.requests).toEqual([{ method: "GET", path: "/books" }]);
+  });
+
+  test("drops requests still waiting when it's reset, so they can't take new faults", async () => {
+    api.settings.latency = 50;
+    const stale = rest.get("1").catch((err) => err);
+    await new Promise((r) => setTimeout(r, 10));
+    api.reset();
+    api.fail({ method: "GET", path: "/books/1", status: 403 });
+
+    expect(await stale).toBeInstanceOf(Error);
+    await expect(rest.get("1")).rejects.toMatchObject({ status: 403 });
+    api.settings.latency = 0;
+  });
+
+  test("can be driven over HTTP", async () => {
+    const post = (action, body) =>
+      fetch(`${origin}/__mock/${action}`, { method: "POST", body: JSON.stringify(body) });
+
+    await post("fail", { method: "DELETE", status: 429 });
+    await expect(rest.remove("2")).rejects.toMatchObject({ status: 429 });
+    await post("reset", { books: [{ id: "9", title: "Solaris" }] });
+    expect(await rest.list()).toEqual([{ id: "9", title: "Solaris" }]);
+    expect((await rest.create({ title: "Roadside Picnic" })).id).toBe("10");
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, expect, test } from "vitest";
+import {
+  applyCollections,
+  applyFacets,
+  groupBooks,
+  readView,
+  sortBooks,
+  viewPatch,
+} from "../src/lib/organize.js";
+
+const book = (id, extra) => ({ id, title: `Book ${id}`, author: "Anon", ...extra });
+
+const ids = (list) => list.map((b) => b.id);
+/* [label, ids] per section, for short assertions */
+const sections = (list, by) => groupBooks(list, by).map((g) => [g.label, ids(g.books)]);
+
+describe("sortBooks", () => {
+  const books = [
+    book("1", { title: "book 10", author: "Agatha Christie", rating: 4, createdAt: "2024-03-01" }),
+    book("2", { title: "Book 9", author: "Frank Herbert", rating: "4.5", createdAt: "2024-01-01" }),
+    book("3", { title: "Émile", author: "Mary Ann Evans", rating: 4, createdAt: "2024-02-01" }),
+    book("4", { title: "Anna", author: "Chris Evans", updatedAt: "2024-04-01" }),
+  ];
+
+  test("compares titles without case or accents and numbers by value", () => {
+    expect(ids(sortBooks(books, "title", "asc"))).toEqual(["4", "2", "1", "3"]);
+    expect(ids(sortBooks(books, "title", "desc"))).toEqual(["3", "1", "2", "4"]);
+  });
+
+  test("sorts authors by surname, then by full name", () => {
+    expect(ids(sortBooks(books, "author", "asc"))).toEqual(["1", "4", "3", "2"]);
+  });
+
+  test("keeps equal books in their incoming order, whichever the direction", () => {
+    expect(ids(sortBooks(books, "rating", "desc"))).toEqual(["2", "1", "3", "4"]);
+    expect(ids(sortBooks(books, "rating", "asc"))).toEqual(["4", "1", "3", "2"]);
+  });
+
+  test("dates: edits fall back to the date added, missing dates sort first", () => {
+    expect(ids(sortBooks(books, "added", "asc"))).toEqual(["4", "2", "3", "1"]);
+    expect(ids(sortBooks(books, "edited", "desc"))).toEqual(["4", "1", "3", "2"]);
+  });
+
+  test("relevance and unknown keys leave the list as it came", () => {
+    expect(sortBooks(books, "relevance", "asc")).toBe(books);
+    expect(sortBooks(books, "pages", "asc")).toBe(books);
+  });
+});
+
+describe("groupBooks", () => {
+  test("no grouping is one unlabelled section", () => {
+    const books = [book("1"), book("2")];
+    expect(groupBooks(books, "none")).toEqual([{ key: "all", label: "", books }]);
+  });
+
+  test("groups authors without case or accents, in order of first appearance", () => {
+    const books = [
+      book("1", { author: "Emile Zola" }),
+      book("2", { author: "Victor Hugo" }),
+      book("3", { author: " émile ZOLA " }),
+      book("4", { author: "" }),
+      book("5", { author: undefined }),
+    ];
+    expect(sections(books, "author")).toEqual([
+      ["Emile Zola", ["1", "3"]],
+      ["Victor Hugo", ["2"]],
+      ["Unknown author", ["4", "5"]],
+    ]);
+  });
+
+  test("rating bands run from five stars down to unrated, one per half star", () => {
+    const books = [
+      book("1", { rating: 0 }),
+      book("2", { rating: 3.7 }),
+      book("3", { rating: 5 }),
+      book("4", { rating: "3.5" }),
+      book("5", { rating: 0.5 }),
+      book("6", { rating: 9 }),
+      book("7", {}),
+    ];
+    expect(sections(books, "rating")).toEqual([
+      ["★★★★★ 5", ["3", "6"]],
+      ["★★★½ 3.5", ["2", "4"]],
+      ["½ 0.5", ["5"]],
+      ["Unrated", ["1", "7"]],
+    ]);
+  });
+
+  test("4.5 stays in its own band rather than rounding up to 5", () => {
+    const books = [book("1", { rating: 4.9 }), book("2", { rating: 5 })];
+    expect(sections(books, "rating")).toEqual([
+      ["★★★★★ 5", ["2"]],
+      ["★★★★½ 4.5", ["1"]],
+    ]);
+  });
+});
+
+describe("filters", () => {
+  const books = [
+    book("1", { rating: 4, description: "Desert", coverImage: "blob:1", tags: ["SF"] }),
+    book("2", { rating: 3, description: "  ", coverImage: "https://picsum.photos/400/520" }),
+    book("3", { rating: 5, shelves: ["Book club"], tags: ["sf"] }),
+  ];
+
+  test("facets: minimum rating, a description, a cover other than the placeholder", () => {
+    const facets = { minRating: 0, hasDescription: false, hasCover: false };
+    expect(ids(applyFacets(books, { ...facets, minRating: 4 }))).toEqual(["1", "3"]);
+    expect(ids(applyFacets(books, { ...facets, hasDescription: true }))).toEqual(["1"]);
+    expect(ids(applyFacets(books, { ...facets, hasCover: true }))).toEqual(["1"]);
+  });
+
+  test("shelf and tag match without case, empty means any", () => {
+    expect(ids(applyCollections(books, "", "sf"))).toEqual(["1", "3"]);
+    expect(ids(applyCollections(books, "book club", "SF"))).toEqual(["3"]);
+    expect(applyCollections(books, "", "")).toEqual(books);
+  });
+});
+
+describe("view in the URL", () => {
+  test("reads defaults for anything missing or unknown", () => {
+    const view = readView(new URLSearchParams("sort=pages&group=year&status=lost&min=9"));
+    expect(view).toEqual({
+      q: "",
+      onlyFav: false,
+      status: "all",
+      shelf: "",
+      tag: "",
+      sort: { key: "relevance", dir: "asc" },
+      group: "none",
+      facets: { minRating: 5, hasDescription: false, hasCover: false },
+    });
+  });
+
+  test("a sort takes its natural direction unless the URL says otherwise", () => {
+    expect(readView(new URLSearchParams("sort=rating")).sort).toEqual({
+      key: "rating",
+      dir: "desc",
+    });
+    expect(readView(new URLSearchParams("sort=rating&dir=asc")).sort.dir).toBe("asc");
+  });
+
+  test("viewPatch leaves defaults out, so the view round-trips", () => {
+    expect(viewPatch({ sort: { key: "rating", dir: "desc" }, group: "none" })).toEqual({
+      sort: "rating",
+      dir: null,
+      group: null,
+    });
+
+    const params = new URLSearchParams();
+    const view = {
+      ...readView(params),
+      q: "dune",
+      onlyFav: true,
+      tag: "sf",
+      sort: { key: "title", dir: "desc" },
+      group: "rating",
+      facets: { minRating: 3.5, hasDescription: true, hasCover: false },
+    };
+    for (const [k, v] of Object.entries(viewPatch(view))) if (v) params.set(k, v);
+    expect(readView(params)).toEqual(view);
+  });
+});
@@ -0,0 +1,92 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from "vitest";
+import { createMockApi } from "../server/mockApi.js";
+import { describeError, request } from "../src/storage/request.js";
+
+const api = createMockApi({ books: [{ id: "1", title: "Dune" }] });
+let url;
+
+/* Fast backoff so retries don't slow the suite down */
+const send = (path, options) => request(`${url}${path}`, { backoff: 5, ...options });
+const tries = (method, path) =>
+  api.requests.filter((r) => r.method === method && r.path === path).length;
+
+beforeAll(async () => {
+  url = `${await api.listen()}/api/v1`;
+});
+beforeEach(() => api.reset());
+afterAll(() => api.close());
+
+describe("request", () => {
+  test("retries reads and updates that failed for a temporary reason", async () => {
+    api.fail({ method: "GET", path: "/books/1", status: 503 });
+    api.fail({ method: "GET", path: "/books/1", status: 0 });
+    expect(await send("/books/1")).toEqual({ id: "1", title: "Dune" });
+    expect(tries("GET", "/books/1")).toBe(3);
+
+    api.fail({ method: "PUT", path: "/books/1", status: 500, times: 3 });
+    const err = await send("/books/1", { method: "PUT", data: { title: "x" } }).catch((e) => e);
+    expect(err).toMatchObject({ kind: "server", status: 500 });
+    expect(tries("PUT", "/books/1")).toBe(3);
+  });
+
+  test("never retries a create or a refusal", async () => {
+    api.fail({ method: "POST", status: 503 });
+    await expect(send("/books", { method: "POST", data: { title: "Emma" } })).rejects.toMatchObject(
+      { kind: "server", status: 503 }
+    );
+    expect(tries("POST", "/books")).toBe(1);
+
+    api.fail({ method: "GET", path: "/books/1", status: 403 });
+    await expect(send("/books/1")).rejects.toMatchObject({ kind: "client", status: 403 });
+    expect(tries("GET", "/books/1")).toBe(1);
+  });
+
+  test("waits as long as Retry-After asks, and gives up on long waits", async () => {
+    api.fail({ method: "GET", path: "/books/1", status: 429, retryAfter: 0 });
+    expect(await send("/books/1")).toMatchObject({ id: "1" });
+
+    api.fail({ method: "GET", path: "/books/1", status: 429, retryAfter: 60 });
+    const err = await send("/books/1").catch((e) => e);
+    expect(err).toMatchObject({ kind: "rate-limited", status: 429, retryAfter: 60000 });
+    expect(describeError(err)).toBe("Too many requests; try again in 60 s.");
+  });
+
+  test("times out a slow answer", async () => {
+    api.settings.latency = 200;
+    const err = await send("/books", { timeout: 50, retries: 1 }).catch((e) => e);
+    expect(err.kind).toBe("timeout");
+    expect(tries("GET", "/books")).toBe(2);
+    expect(describeError(err)).toBe("The server took too long to answer.");
+    api.settings.latency = 0;
+  });
+
+  test("stops when the caller aborts, without retrying", async () => {
+    api.settings.latency = 100;
+    const controller = new AbortController();
+    const pending = send("/books", { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+    await expect(pending).rejects.toMatchObject({ kind: "aborted" });
+    await expect(send("/books", { signal: controller.signal })).rejects.toMatchObject({
+      kind: "aborted",
+    });
+    expect(tries("GET", "/books")).toBe(1);
+    api.settings.latency = 0;
+  });
+
+  test("says what went wrong", async () => {
+    api.fail({ status: 0, times: 3 });
+    expect(describeError(await send("/books").catch((e) => e))).toBe(
+      "The server can't be reached. Check your connection."
+    );
+    expect(describeError({ kind: "server", status: 502 })).toBe(
+      "The server had a problem (HTTP 502)."
+    );
+    expect(describeError({ kind: "client", status: 404 })).toBe(
+      "Not found on the server (HTTP 404). Check your API URL."
+    );
+    expect(describeError({ kind: "client", status: 422 })).toBe(
+      "The server refused the request (HTTP 422)."
+    );
+    expect(describeError(new Error("quota"))).toBe("Check API / network.");
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, expect, test } from "vitest";
+import { matchPath, toHref, withParams } from "../src/lib/router.js";
+
+describe("matchPath", () => {
+  test("pulls named segments out of a matching path, decoded", () => {
+    expect(matchPath("/book/:id", "/book/12")).toEqual({ id: "12" });
+    expect(matchPath("/book/:id", "/book/a%20b/")).toEqual({ id: "a b" });
+    expect(matchPath("/stats", "/stats")).toEqual({});
+  });
+
+  test("is null when the path doesn't match", () => {
+    expect(matchPath("/book/:id", "/book")).toBeNull();
+    expect(matchPath("/book/:id", "/book/12/edit")).toBeNull();
+    expect(matchPath("/book/:id", "/shelf/12")).toBeNull();
+  });
+
+  test("is null for a segment that isn't valid percent-encoding", () => {
+    expect(() => matchPath("/book/:id", "/book/%E0")).not.toThrow();
+    expect(matchPath("/book/:id", "/book/%E0")).toBeNull();
+  });
+});
+
+describe("hrefs", () => {
+  test("toHref puts an app path under the deploy base", () => {
+    expect(toHref("/book/1")).toBe("/my-book-archive/book/1");
+    expect(toHref("stats")).toBe("/my-book-archive/stats");
+  });
+
+  test("withParams patches the query string and drops empty values", () => {
+    const params = new URLSearchParams("q=dune&tag=sf");
+    expect(withParams("/", params, { q: "emma", fav: true })).toBe("/?q=emma&tag=sf&fav=true");
+    expect(withParams("/", params, { q: "", tag: null })).toBe("/");
+  });
+});
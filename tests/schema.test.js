@@ -0,0 +1,202 @@
+import { describe, expect, test } from "vitest";
+import {
+  SCHEMA_VERSION,
+  assertValid,
+  bookErrors,
+  migrateBook,
+  readBooks,
+  validateBook,
+} from "../src/lib/schema.js";
+
+/* A record from MockAPI's seed data, before schemaVersion existed */
+const V0 = {
+  id: "1",
+  title: "  Dune ",
+  author: "Frank Herbert",
+  isbn: "0-441-01359-7",
+  rating: "4.3",
+  isFavorite: "true",
+};
+
+const VALID = { title: "Dune", author: "Frank Herbert", rating: 4.5, isbn: "9780441013593" };
+
+describe("migrations", () => {
+  test("take a version 0 record step by step to SCHEMA_VERSION", () => {
+    expect(SCHEMA_VERSION).toBe(4);
+    expect(migrateBook(V0)).toEqual({
+      id: "1",
+      schemaVersion: 4,
+      /* 0 -> 1 */
+      title: "Dune",
+      author: "Frank Herbert",
+      description: "",
+      coverImage: "",
+      isbn: "9780441013593",
+      rating: 4.5,
+      isFavorite: true,
+      /* 1 -> 2 */
+      status: "want",
+      startedAt: "",
+      finishedAt: "",
+      pageCount: null,
+      currentPage: null,
+      progress: 0,
+      tags: [],
+      shelves: [],
+      /* 2 -> 3 */
+      review: "",
+      quotes: [],
+      /* 3 -> 4 */
+      members: {},
+    });
+  });
+
+  test("start from the record's own version", () => {
+    /* Already version 2: the 0 -> 1 clean-up doesn't run again */
+    const v2 = { id: "2", title: " Emma ", rating: 3, tags: ["a"], schemaVersion: 2 };
+    expect(migrateBook(v2)).toEqual({
+      ...v2,
+      review: "",
+      quotes: [],
+      members: {},
+      schemaVersion: 4,
+    });
+
+    const v3 = {
+      id: "3",
+      quotes: [{ text: "Hi" }],
+      members: { a: { rating: 5, title: "x" }, b: 7 },
+      schemaVersion: "3",
+    };
+    expect(migrateBook(v3)).toEqual({
+      ...v3,
+      members: { a: { rating: 5 } },
+      schemaVersion: 4,
+    });
+  });
+
+  test("clean up each version's loose values", () => {
+    expect(migrateBook({ id: "1", rating: 9, isFavorite: "yes" })).toMatchObject({
+      rating: 5,
+      isFavorite: false,
+    });
+    expect(
+      migrateBook({ id: "1", tags: "sf; Space ;sf", shelves: null, status: "reading" })
+    ).toMatchObject({ tags: ["sf", "Space"], shelves: [], status: "reading" });
+    expect(
+      migrateBook({
+        id: "1",
+        quotes: [{ text: " Fear ", page: "8" }, { text: "" }],
+        schemaVersion: 2,
+      })
+    ).toMatchObject({ quotes: [{ text: "Fear", page: 8 }] });
+  });
+
+  test("leave records from a newer version alone", () => {
+    const v9 = { id: "1", rating: "weird", schemaVersion: 9 };
+    expect(migrateBook(v9)).toBe(v9);
+  });
+
+  test("readBooks drops anything without an id and migrates the rest", () => {
+    const books = readBooks([V0, null, "x", { title: "No id" }, { id: "" }, { id: 0 }]);
+    expect(books.map((b) => [b.id, b.schemaVersion])).toEqual([
+      ["1", 4],
+      [0, 4],
+    ]);
+    expect(readBooks({ books: [V0] })).toEqual([]);
+  });
+});
+
+describe("validation", () => {
+  test("names the field each message belongs to", () => {
+    expect(bookErrors(VALID)).toEqual({});
+    expect(
+      bookErrors({
+        title: " ",
+        author: "",
+        isbn: "123",
+        coverImage: "not a link",
+        rating: 4.3,
+        status: "skimmed",
+        pageCount: 0,
+        description: "x".repeat(5001),
+      })
+    ).toEqual({
+      title: "Title is required",
+      author: "Author is required",
+      isbn: expect.any(String),
+      coverImage: "Cover must be a link (https://…) or an uploaded image",
+      rating: "Rating must be 0 to 5 stars, in half stars",
+      status: "Unknown reading status",
+      pageCount: "Pages must be a whole number above 0",
+      description: "Keep it under 5000 characters",
+    });
+  });
+
+  test("checks fields against each other", () => {
+    const errors = bookErrors({
+      ...VALID,
+      status: "finished",
+      startedAt: "2024-05-02",
+      finishedAt: "2024-05-01",
+      pageCount: 100,
+      currentPage: 101,
+      progress: 120,
+    });
+    expect(errors).toEqual({
+      finishedAt: "Finish date is before the start date",
+      currentPage: "Current page is past the last page",
+      progress: "Progress must be between 0 and 100",
+    });
+  });
+
+  test("checks list fields and every member's own values", () => {
+    expect(
+      bookErrors({
+        ...VALID,
+        tags: ["ok", "y".repeat(61)],
+        shelves: "Book club",
+        quotes: [
+          { text: "Hi", page: 1 },
+          { text: "Yo", page: -2 },
+        ],
+        members: { a: { rating: 5 }, b: { rating: 7 } },
+      })
+    ).toEqual({
+      tags: `Tag “${"y".repeat(20)}…” is too long`,
+      shelves: "Shelf list must be a list of names",
+      quotes: "Quote 2: the page must be a whole number above 0",
+      members: "Rating must be 0 to 5 stars, in half stars",
+    });
+  });
+
+  test("only checks the fields asked for", () => {
+    expect(bookErrors({ title: "", rating: 9 }, ["rating"])).toEqual({
+      rating: "Rating must be 0 to 5 stars, in half stars",
+    });
+    expect(bookErrors({ title: "" }, ["isFavorite", "revisions"])).toEqual({});
+  });
+
+  test("validateBook returns the first message in form order, or null", () => {
+    expect(validateBook(VALID)).toBeNull();
+    expect(validateBook({ ...VALID, author: "", rating: 6 })).toBe("Author is required");
+  });
+
+  test("assertValid throws with every broken field in `fields`", () => {
+    expect(() => assertValid(VALID, Object.keys(VALID))).not.toThrow();
+    /* A patch is checked against the fields it changes, not the whole record */
+    expect(() => assertValid({ title: "", rating: 1 }, ["rating"])).not.toThrow();
+
+    expect(() =>
+      assertValid({ ...VALID, title: "", rating: 6 }, ["title", "author", "rating"])
+    ).toThrow(
+      expect.objectContaining({
+        message: "Title is required",
+        fields: {
+          title: "Title is required",
+          rating: "Rating must be 0 to 5 stars, in half stars",
+        },
+      })
+    );
+  });
+});
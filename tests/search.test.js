@@ -0,0 +1,112 @@
+import { describe, expect, test } from "vitest";
+import { buildIndex, parseQuery, searchBooks, tokenize } from "../src/lib/search.js";
+
+const BOOKS = [
+  {
+    id: "1",
+    title: "The Silent Patient",
+    author: "Alex Michaelides",
+    description: "A therapist tries to make a patient talk",
+    rating: 4,
+    isFavorite: true,
+    tags: ["Thriller"],
+    shelves: ["Book club 2026"],
+    isbn: "9781250301697",
+  },
+  {
+    id: "2",
+    title: "Dune",
+    author: "Frank Herbert",
+    description: "A silent desert planet, and a patient boy",
+    rating: 5,
+    tags: ["sf", "space"],
+    isbn: "9780441172719",
+  },
+  { id: "3", title: "Les Misérables", author: "Victor Hugo", rating: 2.5, tags: ["classic"] },
+];
+const index = buildIndex(BOOKS);
+
+/* Ids of the books a query finds, best first */
+const find = (query) => searchBooks(index, query).map((r) => r.book.id);
+
+describe("tokenize", () => {
+  test("folds case and accents and splits on anything but letters and digits", () => {
+    expect(tokenize("Les Misérables, tome 1!")).toEqual(["les", "miserables", "tome", "1"]);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+});
+
+describe("matching", () => {
+  test("an empty query lists every book in archive order", () => {
+    expect(find("")).toEqual(["1", "2", "3"]);
+    expect(find("  ")).toEqual(["1", "2", "3"]);
+  });
+
+  test("every word must match, by whole word or prefix", () => {
+    expect(find("dune")).toEqual(["2"]);
+    expect(find("miser")).toEqual(["3"]);
+    expect(find("dune hugo")).toEqual([]);
+  });
+
+  test("ranks a title match above the same word in a description", () => {
+    expect(find("patient")).toEqual(["1", "2"]);
+    expect(searchBooks(index, "dune")[0].terms).toEqual(new Set(["dune"]));
+  });
+
+  test("tolerates typos, more of them in longer words", () => {
+    /* Swapped letters are one edit, even the first two */
+    expect(find("herbret")).toEqual(["2"]);
+    expect(find("ehrbert")).toEqual(["2"]);
+    /* Eight letters or more allow two edits, four to seven only one */
+    expect(find("micheelidse")).toEqual(["1"]);
+    expect(find("hogu")).toEqual([]);
+    /* Shorter words must be exact or a prefix */
+    expect(find("dnu")).toEqual([]);
+  });
+
+  test("an exact word scores above a typo", () => {
+    const [exact, typo] = [searchBooks(index, "dune")[0], searchBooks(index, "dnue")[0]];
+    expect(typo.book.id).toBe("2");
+    expect(exact.score).toBeGreaterThan(typo.score);
+  });
+});
+
+describe("query syntax", () => {
+  test("a quoted phrase must appear as written", () => {
+    expect(find('"silent patient"')).toEqual(["1"]);
+    expect(find('"patient silent"')).toEqual([]);
+    /* An unclosed quote runs to the end */
+    expect(find('"desert planet')).toEqual(["2"]);
+  });
+
+  test("field prefixes limit a word or phrase to one field", () => {
+    expect(find("title:silent")).toEqual(["1"]);
+    expect(find("desc:silent")).toEqual(["2"]);
+    expect(find("by:herbert")).toEqual(["2"]);
+    expect(find('t:"silent patient"')).toEqual(["1"]);
+    expect(find('d:"silent patient"')).toEqual([]);
+  });
+
+  test("rating, favorite, tag, shelf and ISBN filters", () => {
+    expect(find("rating:>=4")).toEqual(["1", "2"]);
+    expect(find("rating:<3")).toEqual(["3"]);
+    expect(find("stars:5")).toEqual(["2"]);
+    expect(find("rating:lots")).toEqual(["1", "2", "3"]);
+    expect(find("fav:yes")).toEqual(["1"]);
+    expect(find("fav:no")).toEqual(["2", "3"]);
+    expect(find("tag:SPACE")).toEqual(["2"]);
+    expect(find('shelf:"Book club 2026"')).toEqual(["1"]);
+    expect(find("isbn:0-441-17271-7")).toEqual(["2"]);
+  });
+
+  test("filters combine with words", () => {
+    expect(find("patient rating:5")).toEqual(["2"]);
+    expect(find("patient fav:yes")).toEqual(["1"]);
+  });
+
+  test("an unknown prefix is searched as plain words", () => {
+    const { terms, filters } = parseQuery("planet:dune");
+    expect(terms).toEqual([{ token: "planet" }, { token: "dune" }]);
+    expect(filters).toEqual([]);
+  });
+});
@@ -0,0 +1,42 @@
+import { afterAll, beforeAll, beforeEach, expect, vi } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import { createMockApi } from "../server/mockApi.js";
+
+/*
+ * Runs the file's tests against the mock API (see server/) over real HTTP, so they go
+ * through the REST adapter and the sync queue like the app in production does.
+ * Returns the server; each test starts from `seed` again.
+ */
+export function withMockApi(seed) {
+  const api = createMockApi(seed);
+
+  beforeAll(async () => {
+    const origin = await api.listen();
+    vi.stubEnv("VITE_STORAGE", "rest");
+    vi.stubEnv("VITE_API_URL", `${origin}/api/v1/books`);
+  });
+  beforeEach(() => api.reset());
+  afterAll(async () => {
+    vi.unstubAllEnvs();
+    await api.close();
+  });
+
+  return api;
+}
+
+/*
+ * Renders the app on `path` and waits for the first page, from the mock API under
+ * withMockApi() and from localStorage otherwise (seed it first). Storage and the sync queue
+ * are created when App.jsx loads, so every render gets a fresh copy of the module.
+ */
+export async function renderApp(path = "/") {
+  vi.resetModules();
+  const { default: App } = await import("../src/App.jsx");
+  window.history.replaceState(null, "", `/my-book-archive${path}`);
+  render(<App />);
+  /* Long enough for a failing first page to use up its retries */
+  await waitFor(() => expect(screen.queryByText("Loading…")).toBeNull(), { timeout: 5000 });
+}
+
+/* The toast currently showing `text` */
+export const findToast = (text) => screen.findByText(text, {}, { timeout: 3000 });
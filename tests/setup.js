@@ -0,0 +1,9 @@
+import { afterEach } from "vitest";
+import { cleanup } from "@testing-library/react";
+
+/* jsdom has no IndexedDB, so the local backend keeps the archive in localStorage */
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  window.history.replaceState(null, "", "/my-book-archive/");
+});
@@ -0,0 +1,39 @@
+import { describe, expect, test } from "vitest";
+import { groupBooks } from "../src/lib/organize.js";
+import { ratingDistribution } from "../src/lib/stats.js";
+
+const books = [0, 4.5, 5, 4.5, 0.5, 3, 4.7].map((rating, i) => ({
+  id: String(i),
+  author: "Anon",
+  rating,
+}));
+
+describe("rating buckets", () => {
+  test("the distribution counts half stars on their own", () => {
+    const bars = Object.fromEntries(ratingDistribution(books).map((b) => [b.label, b.value]));
+    expect(bars).toEqual({
+      "–": 1,
+      "½★": 1,
+      "1★": 0,
+      "1½★": 0,
+      "2★": 0,
+      "2½★": 0,
+      "3★": 1,
+      "3½★": 0,
+      "4★": 0,
+      "4½★": 3,
+      "5★": 1,
+    });
+  });
+
+  test("grouping by rating keeps 4½ out of the 5-star band", () => {
+    const sections = groupBooks(books, "rating").map((s) => [s.label, s.books.length]);
+    expect(sections).toEqual([
+      ["★★★★★ 5", 1],
+      ["★★★★½ 4.5", 3],
+      ["★★★ 3", 1],
+      ["½ 0.5", 1],
+      ["Unrated", 1],
+    ]);
+  });
+});
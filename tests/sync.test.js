@@ -0,0 +1,185 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from "vitest";
+import { createMockApi } from "../server/mockApi.js";
+import { createRestAdapter } from "../src/storage/rest.js";
+import { createSyncQueue, isTransient, tempId } from "../src/storage/sync.js";
+
+const DUNE = { id: "1", title: "Dune", author: "Frank Herbert", isFavorite: false };
+const EMMA = { id: "2", title: "Emma", author: "Jane Austen", isFavorite: false };
+
+const api = createMockApi({ books: [DUNE, EMMA] });
+let rest;
+let queue;
+
+const ops = () => queue.getSnapshot().ops;
+const onServer = (id) => api.data.books.find((b) => b.id === id);
+const update = (book, data) => ({ type: "update", bookId: book.id, data, base: book });
+
+beforeAll(async () => {
+  /* No retries, so each injected failure reaches the queue */
+  rest = createRestAdapter(`${await api.listen()}/api/v1/books`, { retries: 0 });
+});
+beforeEach(() => {
+  api.reset({ books: [DUNE, EMMA] });
+  queue = createSyncQueue(rest);
+});
+afterAll(() => api.close());
+
+describe("enqueue", () => {
+  test("folds changes to the same book into one op", () => {
+    queue.enqueue(update(DUNE, { isFavorite: true }));
+    queue.enqueue(update(EMMA, { rating: 3 }));
+    queue.enqueue(update(DUNE, { rating: 5 }));
+    expect(ops()).toEqual([
+      expect.objectContaining({ bookId: "1", data: { isFavorite: true, rating: 5 }, base: DUNE }),
+      expect.objectContaining({ bookId: "2", data: { rating: 3 } }),
+    ]);
+
+    /* A delete replaces the pending update but keeps the copy it was based on */
+    queue.enqueue({ type: "delete", bookId: "1", base: { ...DUNE, isFavorite: true } });
+    expect(ops()[0]).toMatchObject({ type: "delete", bookId: "1", base: DUNE });
+    expect(JSON.parse(localStorage.getItem("my-book-archive:queue"))).toEqual(ops());
+  });
+
+  test("a book deleted before it was ever sent is never sent", async () => {
+    const id = tempId();
+    queue.enqueue({ type: "create", bookId: id, data: { title: "Ubik" } });
+    queue.enqueue(update({ id }, { rating: 4 }));
+    expect(ops()).toEqual([
+      expect.objectContaining({ type: "create", data: { title: "Ubik", rating: 4 } }),
+    ]);
+
+    expect(await queue.enqueue({ type: "delete", bookId: id })).toEqual({});
+    expect(await queue.enqueue({ type: "delete", bookId: tempId() })).toEqual({});
+    expect(ops()).toEqual([]);
+  });
+});
+
+describe("flush", () => {
+  test("sends a change made while its book was being created to the new server id", async () => {
+    const id = tempId();
+    queue.enqueue({ type: "create", bookId: id, data: { title: "Ubik" } });
+    const flushing = queue.flush();
+    /* The create is in flight, so this can't fold into it */
+    queue.enqueue(update({ id, title: "Ubik" }, { rating: 4 }));
+    expect(ops()).toHaveLength(2);
+
+    const res = await flushing;
+    expect(res.events[0]).toEqual({ upsert: { id: "3", title: "Ubik" }, replaces: id });
+    expect(onServer("3")).toEqual({ id: "3", title: "Ubik", rating: 4 });
+    expect(api.requests.map((r) => `${r.method} ${r.path}`)).toEqual([
+      "POST /books",
+      "GET /books/3",
+      "PUT /books/3",
+    ]);
+    expect(ops()).toEqual([]);
+  });
+
+  test("holds back a change to a book edited elsewhere since `base` was read", async () => {
+    onServer("1").title = "Dune Messiah";
+    const outcome = queue.enqueue(update(DUNE, { isFavorite: true }));
+    queue.enqueue(update(EMMA, { isFavorite: true }));
+
+    const res = await queue.flush();
+    expect(res.conflicts).toEqual([
+      expect.objectContaining({
+        op: expect.objectContaining({ bookId: "1" }),
+        server: { ...DUNE, title: "Dune Messiah" },
+        fields: ["title"],
+      }),
+    ]);
+    expect((await outcome).conflict).toBe(res.conflicts[0]);
+    expect(onServer("1").isFavorite).toBe(false);
+    expect(onServer("2").isFavorite).toBe(true);
+    expect(queue.getSnapshot().conflicts).toEqual(res.conflicts);
+    expect(ops()).toEqual([]);
+  });
+
+  test("keeps the op when the connection gives out, drops one that's refused", async () => {
+    api.fail({ method: "GET", path: "/books/1", status: 0 });
+    const offline = queue.enqueue(update(DUNE, { isFavorite: true }));
+    let res = await queue.flush();
+    expect(res.offline).toMatchObject({ kind: "network" });
+    expect(await offline).toEqual({ offline: res.offline });
+    expect(ops()).toHaveLength(1);
+
+    api.fail({ method: "PUT", path: "/books/1", status: 400 });
+    const refused = queue.enqueue(update(DUNE, { rating: 5 }));
+    res = await queue.flush();
+    expect(res.offline).toBeNull();
+    expect(res.errors).toEqual([
+      {
+        op: expect.objectContaining({ bookId: "1" }),
+        error: expect.objectContaining({ status: 400 }),
+      },
+    ]);
+    expect(await refused).toEqual({ error: res.errors[0].error });
+    expect(ops()).toEqual([]);
+  });
+
+  test("reports a storage error instead of waiting for the network", async () => {
+    const quota = Object.assign(new Error("The quota has been exceeded."), {
+      name: "QuotaExceededError",
+    });
+    queue = createSyncQueue({ ...rest, update: () => Promise.reject(quota) });
+    queue.enqueue(update(DUNE, { isFavorite: true }));
+    queue.enqueue(update(EMMA, { isFavorite: true }));
+
+    const res = await queue.flush();
+    expect(res.offline).toBeNull();
+    expect(res.errors.map((e) => e.error)).toEqual([quota, quota]);
+    expect(ops()).toEqual([]);
+  });
+
+  test("only temporary request failures count as transient", () => {
+    for (const kind of ["network", "timeout", "rate-limited", "server"]) {
+      expect(isTransient({ kind })).toBe(true);
+    }
+    expect(isTransient({ kind: "client", status: 409 })).toBe(false);
+    expect(isTransient(new TypeError("x is undefined"))).toBe(false);
+    expect(isTransient(undefined)).toBe(false);
+  });
+});
+
+describe("resolve", () => {
+  const conflictOn = async (data) => {
+    onServer("1").title = "Dune Messiah";
+    queue.enqueue(update(DUNE, data));
+    return (await queue.flush()).conflicts[0];
+  };
+
+  test('"mine" writes the change over the server copy, keeping its other edits', async () => {
+    const conflict = await conflictOn({ isFavorite: true });
+    const events = await queue.resolve(conflict.id, "mine");
+    expect(events).toEqual([{ upsert: { ...DUNE, title: "Dune Messiah", isFavorite: true } }]);
+    expect(onServer("1")).toEqual(events[0].upsert);
+    expect(queue.getSnapshot().conflicts).toEqual([]);
+  });
+
+  test('"server" keeps the server copy and sends nothing', async () => {
+    const conflict = await conflictOn({ isFavorite: true });
+    const sent = api.requests.length;
+    expect(await queue.resolve(conflict.id, "server")).toEqual([
+      { upsert: { ...DUNE, title: "Dune Messiah" } },
+    ]);
+    expect(api.requests).toHaveLength(sent);
+    expect(queue.getSnapshot().conflicts).toEqual([]);
+  });
+
+  test('"mine" brings back a book deleted on the server meanwhile', async () => {
+    api.data.books = api.data.books.filter((b) => b.id !== "1");
+    queue.enqueue(update(DUNE, { isFavorite: true }));
+    const [conflict] = (await queue.flush()).conflicts;
+    expect(conflict.server).toBeNull();
+
+    const [event] = await queue.resolve(conflict.id, "mine");
+    expect(event).toEqual({ upsert: { ...DUNE, id: "3", isFavorite: true }, replaces: "1" });
+  });
+
+  test("a failed resolve leaves the conflict for another try", async () => {
+    const conflict = await conflictOn({ isFavorite: true });
+    api.fail({ method: "PUT", path: "/books/1", status: 503 });
+    await expect(queue.resolve(conflict.id, "mine")).rejects.toMatchObject({ status: 503 });
+    expect(queue.getSnapshot().conflicts).toEqual([conflict]);
+    expect(await queue.resolve("nope", "mine")).toEqual([]);
+  });
+});
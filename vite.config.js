@@ -1,8 +1,26 @@
 // vite.config.js
+import { copyFileSync } from "node:fs";
+import { resolve } from "node:path";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
+/* GitHub Pages serves 404.html for unknown paths; make it the app so deep links like /book/:id load */
+const spaFallback = () => ({
+  name: "spa-fallback",
+  apply: "build",
+  writeBundle(options) {
+    copyFileSync(resolve(options.dir, "index.html"), resolve(options.dir, "404.html"));
+  },
+});
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), spaFallback()],
   base: "/my-book-archive/",
+  /* `npm test`: jsdom, the local storage backend and the offline catalog, so no network */
+  test: {
+    environment: "jsdom",
+    include: ["tests/**/*.test.{js,jsx}"],
+    setupFiles: ["tests/setup.js"],
+    env: { VITE_STORAGE: "local", VITE_CATALOG: "fixture" },
+  },
 });